@@ -22,13 +22,189 @@ public record DeploymentRequest
     public DatabaseConfiguration? DatabaseConfig { get; init; }
     public SslConfiguration? SslConfig { get; init; }
     public CloudConfiguration? CloudConfig { get; init; }
+    public ContainerConfiguration? ContainerConfig { get; init; }
+    
+    /// <summary>
+    /// Passwords and keys for the target as entered; encrypted into CloudConfig and ContainerConfig
+    /// before the request is stored, and never returned
+    /// </summary>
+    public DeploymentSecrets? Secrets { get; init; }
     
     public bool RunHealthChecks { get; init; } = true;
     public bool SendNotifications { get; init; } = true;
     
+    // Deploy outside the environment's change window; the reason is audited
+    public string? EmergencyJustification { get; init; }
+    
     public Dictionary<string, string> EnvironmentVariables { get; init; } = new();
+
+    /// <summary>
+    /// The settings a deployment record was created with, to run it after it was held back
+    /// </summary>
+    public static DeploymentRequest From(Deployment deployment) => new()
+    {
+        ApplicationPath = deployment.ApplicationPath,
+        ProfileId = deployment.ProfileId?.ToString(),
+        DomainName = deployment.DomainName,
+        HttpPort = deployment.HttpPort,
+        HttpsPort = deployment.HttpsPort,
+        Target = deployment.Target,
+        Environment = deployment.Environment,
+        Strategy = deployment.Strategy,
+        DatabaseConfig = deployment.DatabaseConfig,
+        SslConfig = deployment.SslConfig,
+        CloudConfig = deployment.CloudConfig,
+        ContainerConfig = deployment.ContainerConfig,
+        RunHealthChecks = deployment.RunHealthChecks,
+        SendNotifications = deployment.SendNotifications,
+        EmergencyJustification = deployment.EmergencyJustification
+    };
+}
+
+/// <summary>
+/// Target secrets in plain text, as entered on the deploy form
+/// </summary>
+public record DeploymentSecrets
+{
+    public string? AwsSecretAccessKey { get; init; }
+    public string? GcpServiceAccountKey { get; init; }
+    public string? RemotePassword { get; init; }
+    public string? RegistryPassword { get; init; }
+}
+
+/// <summary>
+/// Deployment waiting to be executed by the background worker
+/// </summary>
+public record QueuedDeployment
+{
+    public Guid DeploymentId { get; init; }
+    public DeploymentRequest Request { get; init; } = new();
+    
+    // Deployments of the same site run one at a time, in the order they were queued
+    public string SiteName { get; init; } = string.Empty;
+    
+    // Set when the deployment should be rolled back rather than executed
+    public bool IsRollback { get; init; }
+    public Guid? RollbackTargetId { get; init; }
+}
+
+/// <summary>
+/// Where a deployment waits in its site's queue. Position 1 runs next; Ahead also counts a run in progress.
+/// </summary>
+public record QueuePosition
+{
+    public Guid DeploymentId { get; init; }
+    public string SiteName { get; init; } = string.Empty;
+    public int Position { get; init; }
+    public int Ahead { get; init; }
+    public DateTime QueuedAt { get; init; }
+}
+
+/// <summary>
+/// Request to roll a deployment back
+/// </summary>
+public record RollbackRequest
+{
+    /// <summary>
+    /// Earlier successful deployment of the same site to restore.
+    /// When null, the deployment's own backups are restored and the site is removed.
+    /// </summary>
+    public Guid? TargetDeploymentId { get; init; }
+    
+    /// <summary>
+    /// Site name typed by the user; required for Production deployments
+    /// </summary>
+    public string? ConfirmSiteName { get; init; }
+}
+
+/// <summary>
+/// What a rollback of a deployment can restore
+/// </summary>
+public record RollbackPlan
+{
+    public Guid DeploymentId { get; init; }
+    public string? SiteName { get; init; }
+    public DeploymentEnvironment Environment { get; init; }
+    public bool RequiresSiteNameConfirmation { get; init; }
+    public string? DatabaseBackupPath { get; init; }
+    
+    /// <summary>
+    /// Last log sequence before the rollback; later entries belong to the rollback
+    /// </summary>
+    public int LastLogSequence { get; init; }
+    
+    public IEnumerable<RollbackCandidate> Candidates { get; init; } = Array.Empty<RollbackCandidate>();
 }
 
+/// <summary>
+/// Earlier successful deployment that a rollback can return to
+/// </summary>
+public record RollbackCandidate
+{
+    public Guid DeploymentId { get; init; }
+    public string Name { get; init; } = string.Empty;
+    public string ApplicationVersion { get; init; } = string.Empty;
+    public string ApplicationPath { get; init; } = string.Empty;
+    public DateTime? CompletedAt { get; init; }
+    
+    /// <summary>
+    /// Copy of the site's files taken before the next deployment replaced them
+    /// </summary>
+    public string? AppBackupPath { get; init; }
+    
+    /// <summary>
+    /// Database backup taken before the next deployment changed it
+    /// </summary>
+    public string? DatabaseBackupPath { get; init; }
+}
+
+/// <summary>
+/// Pre-flight analysis of a deployment request: what was found at the application path
+/// and anything that would stop the deployment
+/// </summary>
+public record PreflightResult
+{
+    public ApplicationDiscovery? Discovery { get; init; }
+    
+    // Values the deployment would use once the profile and domain pattern are applied
+    public DeploymentEnvironment Environment { get; init; }
+    public string DomainName { get; init; } = string.Empty;
+    public string SiteName { get; init; } = string.Empty;
+    public bool SiteExists { get; init; }
+    
+    /// <summary>
+    /// Database settings inferred from detected scripts, migrations and connection strings
+    /// </summary>
+    public DatabaseConfiguration? SuggestedDatabase { get; init; }
+    
+    /// <summary>
+    /// Dockerfile, and for Kubernetes the manifest, generated for container targets
+    /// </summary>
+    public ContainerPreview? ContainerPreview { get; init; }
+    
+    public IEnumerable<PreflightIssue> Errors { get; init; } = Array.Empty<PreflightIssue>();
+    public IEnumerable<PreflightIssue> Warnings { get; init; } = Array.Empty<PreflightIssue>();
+    public bool CanDeploy => !Errors.Any();
+}
+
+/// <summary>
+/// Files generated to build and run the application as a container
+/// </summary>
+public record ContainerPreview
+{
+    public string Image { get; init; } = string.Empty;
+    public string Dockerfile { get; init; } = string.Empty;
+    public string? KubernetesManifest { get; init; }
+    
+    // Docker only: how to start the built image
+    public string? RunCommand { get; init; }
+}
+
+/// <summary>
+/// Pre-flight finding tied to the request field it concerns
+/// </summary>
+public record PreflightIssue(string Field, string Message);
+
 /// <summary>
 /// Result of a deployment operation
 /// </summary>
@@ -152,6 +328,7 @@ public record ApplicationDeploymentConfig
     public string SiteName { get; init; } = string.Empty;
     public bool StopSiteBeforeDeployment { get; init; } = true;
     public bool BackupExisting { get; init; } = true;
+    public string? BackupPath { get; init; }
     public IEnumerable<string> ExcludePatterns { get; init; } = Array.Empty<string>();
 }
 
@@ -179,6 +356,7 @@ public record CertificateInfo
     public DateTime NotAfter { get; init; }
     public int DaysUntilExpiry { get; init; }
     public bool IsSelfSigned { get; init; }
+    public IEnumerable<string> BoundSites { get; init; } = Array.Empty<string>();
 }
 
 /// <summary>
@@ -222,7 +400,11 @@ public record DeploymentStatusInfo
     public string CurrentStage { get; init; } = string.Empty;
     public DateTime? StartedAt { get; init; }
     public DateTime? EstimatedCompletion { get; init; }
+    public string? FailedStage { get; init; }
     public IEnumerable<string> RecentLogs { get; init; } = Array.Empty<string>();
+    
+    // Set while the deployment waits for another deployment of the same site
+    public QueuePosition? Queue { get; init; }
 }
 
 /// <summary>
@@ -239,6 +421,934 @@ public record DashboardSummary
     public IEnumerable<Deployment> RecentDeployments { get; init; } = Array.Empty<Deployment>();
 }
 
+/// <summary>
+/// Date range and team the dashboard analytics cover
+/// </summary>
+public record AnalyticsQuery
+{
+    // Inclusive range on CreatedAt; defaults to the last 30 days
+    public DateTime? From { get; init; }
+    public DateTime? To { get; init; }
+    
+    /// <summary>
+    /// Team name from the deployment's profile
+    /// </summary>
+    public string? Team { get; init; }
+}
+
+/// <summary>
+/// Deployment trends, success rates and failure hotspots for the dashboard charts
+/// </summary>
+public record DeploymentAnalytics
+{
+    public DateTime From { get; init; }
+    public DateTime To { get; init; }
+    public string? Team { get; init; }
+    
+    /// <summary>
+    /// Every team with deployments in the range, for the team filter
+    /// </summary>
+    public IEnumerable<string> Teams { get; init; } = Array.Empty<string>();
+    
+    public IEnumerable<DailyDeploymentCount> Daily { get; init; } = Array.Empty<DailyDeploymentCount>();
+    public IEnumerable<SegmentStats> ByEnvironment { get; init; } = Array.Empty<SegmentStats>();
+    public IEnumerable<SegmentStats> ByTarget { get; init; } = Array.Empty<SegmentStats>();
+    public IEnumerable<SiteFailureStats> FailingSites { get; init; } = Array.Empty<SiteFailureStats>();
+    public IEnumerable<ErrorGroup> CommonErrors { get; init; } = Array.Empty<ErrorGroup>();
+    
+    /// <summary>
+    /// Mean time from a site's first failure to its next successful deployment; null when nothing recovered
+    /// </summary>
+    public double? MeanTimeToRecoveryMinutes { get; init; }
+    public int Recoveries { get; init; }
+    
+    public IEnumerable<TeamMetrics> TeamMetrics { get; init; } = Array.Empty<TeamMetrics>();
+}
+
+/// <summary>
+/// Deployments created on one day, counted by status
+/// </summary>
+public record DailyDeploymentCount
+{
+    public DateTime Date { get; init; }
+    public int Total { get; init; }
+    public Dictionary<string, int> ByStatus { get; init; } = new();
+}
+
+/// <summary>
+/// Outcome of the finished deployments to one environment or target
+/// </summary>
+public record SegmentStats
+{
+    public string Name { get; init; } = string.Empty;
+    public int Total { get; init; }
+    public int Succeeded { get; init; }
+    public double SuccessRate { get; init; }
+    public int MedianDurationSeconds { get; init; }
+}
+
+/// <summary>
+/// A site with failed deployments in the range
+/// </summary>
+public record SiteFailureStats
+{
+    public string SiteName { get; init; } = string.Empty;
+    public int Failures { get; init; }
+    public int Total { get; init; }
+    public DateTime LastFailureAt { get; init; }
+}
+
+/// <summary>
+/// Error messages that differ only in ids, numbers or quoted values
+/// </summary>
+public record ErrorGroup
+{
+    public string Message { get; init; } = string.Empty;
+    public int Count { get; init; }
+    public DateTime LastSeenAt { get; init; }
+    public Guid LatestDeploymentId { get; init; }
+}
+
+/// <summary>
+/// One page of a list along with the total number of matching items
+/// </summary>
+public record PagedResult<T>
+{
+    public IEnumerable<T> Items { get; init; } = Array.Empty<T>();
+    public int TotalCount { get; init; }
+    public int Page { get; init; }
+    public int PageSize { get; init; }
+    public int TotalPages => PageSize > 0 ? (int)Math.Ceiling(TotalCount / (double)PageSize) : 0;
+}
+
+/// <summary>
+/// Filters and paging for the audit log, newest first
+/// </summary>
+public record AuditListQuery
+{
+    public int Page { get; init; } = 1;
+    public int PageSize { get; init; } = 50;
+
+    public AuditEventType? EventType { get; init; }
+
+    // Case-insensitive substring matches
+    public string? User { get; init; }
+    public string? Resource { get; init; }
+
+    // Inclusive range on CreatedAt; a date-only upper bound includes the whole day
+    public DateTime? From { get; init; }
+    public DateTime? To { get; init; }
+}
+
+/// <summary>
+/// Outcome of checking the audit hash chain and signatures
+/// </summary>
+public record AuditVerificationResult
+{
+    public bool IsValid { get; init; }
+    public int RecordCount { get; init; }
+    public long LastSequence { get; init; }
+    public bool SignaturesChecked { get; init; }
+    public DateTime VerifiedAt { get; init; } = DateTime.UtcNow;
+    public List<AuditVerificationIssue> Issues { get; init; } = new();
+}
+
+/// <summary>
+/// A record that fails verification, or a gap where records were removed
+/// </summary>
+public record AuditVerificationIssue(long Sequence, string Problem);
+
+/// <summary>
+/// Filters, sort order and paging for the deployments list
+/// </summary>
+public record DeploymentListQuery
+{
+    public int Page { get; init; } = 1;
+    public int PageSize { get; init; } = 20;
+    
+    public DeploymentStatus? Status { get; init; }
+    public DeploymentEnvironment? Environment { get; init; }
+    public DeploymentTarget? Target { get; init; }
+    public DeploymentStrategy? Strategy { get; init; }
+    
+    // Inclusive range on CreatedAt
+    public DateTime? From { get; init; }
+    public DateTime? To { get; init; }
+    
+    /// <summary>
+    /// Free text matched against name, domain and site name
+    /// </summary>
+    public string? Q { get; init; }
+    
+    /// <summary>
+    /// createdAt (default), name, environment, target, status or duration
+    /// </summary>
+    public string? Sort { get; init; }
+    public bool Descending { get; init; } = true;
+}
+
+/// <summary>
+/// Global search matches grouped by kind
+/// </summary>
+public record SearchResults
+{
+    public string Query { get; init; } = string.Empty;
+    public IEnumerable<Deployment> Deployments { get; init; } = Array.Empty<Deployment>();
+    public IEnumerable<SiteStatus> Sites { get; init; } = Array.Empty<SiteStatus>();
+    public IEnumerable<DeploymentProfile> Profiles { get; init; } = Array.Empty<DeploymentProfile>();
+}
+
+/// <summary>
+/// What importing a profile JSON document would create
+/// </summary>
+public record ProfileImportPreview
+{
+    public bool IsValid { get; init; }
+    public DeploymentProfile? Profile { get; init; }
+    public IEnumerable<string> Errors { get; init; } = Array.Empty<string>();
+    public IEnumerable<string> Warnings { get; init; } = Array.Empty<string>();
+    
+    /// <summary>
+    /// Secret-bearing fields present in the document; they are only imported on request
+    /// </summary>
+    public IEnumerable<string> SecretFields { get; init; } = Array.Empty<string>();
+    
+    public bool NameConflict { get; init; }
+}
+
+/// <summary>
+/// Identifies an IIScribe server; clients use it to check a connection
+/// </summary>
+public record ServerInfo
+{
+    public string Name { get; init; } = "IIScribe";
+    public string Version { get; init; } = string.Empty;
+    public string MachineName { get; init; } = string.Empty;
+    public string Environment { get; init; } = string.Empty;
+    public bool IisAvailable { get; init; }
+    public DateTime ServerTime { get; init; }
+}
+
+/// <summary>
+/// Local account sign-in
+/// </summary>
+public record LoginRequest
+{
+    public string Username { get; init; } = string.Empty;
+    public string Password { get; init; } = string.Empty;
+}
+
+/// <summary>
+/// Change the signed-in user's own password
+/// </summary>
+public record ChangePasswordRequest
+{
+    public string CurrentPassword { get; init; } = string.Empty;
+    public string NewPassword { get; init; } = string.Empty;
+}
+
+/// <summary>
+/// Bearer token for the Authorization header
+/// </summary>
+public record AuthToken
+{
+    public string Token { get; init; } = string.Empty;
+    public DateTime ExpiresAt { get; init; }
+}
+
+/// <summary>
+/// A signed-in user's token along with who they are and what they may do
+/// </summary>
+public record LoginResponse
+{
+    public string Token { get; init; } = string.Empty;
+    public DateTime ExpiresAt { get; init; }
+    public UserInfo User { get; init; } = new();
+}
+
+/// <summary>
+/// User account without its password hash or API key
+/// </summary>
+public record UserInfo
+{
+    public string Username { get; init; } = string.Empty;
+    public string? FullName { get; init; }
+    public string Email { get; init; } = string.Empty;
+    public UserRole Role { get; init; }
+    public string? TeamName { get; init; }
+    public bool IsActive { get; init; }
+    public DateTime? LastLoginAt { get; init; }
+    public IEnumerable<Permission> Permissions { get; init; } = Array.Empty<Permission>();
+
+    public static UserInfo From(User user) => new()
+    {
+        Username = user.Username,
+        FullName = user.FullName,
+        Email = user.Email,
+        Role = user.Role,
+        TeamName = user.TeamName,
+        IsActive = user.IsActive,
+        LastLoginAt = user.LastLoginAt,
+        Permissions = RolePermissions.For(user.Role)
+    };
+}
+
+/// <summary>
+/// Approval rules for one environment, configured under IIScribe:Approvals:Policies
+/// </summary>
+public record ApprovalPolicy
+{
+    public DeploymentEnvironment Environment { get; init; }
+    public int RequiredApprovals { get; init; }
+    
+    // Administrators only when empty
+    public List<UserRole> ApproverRoles { get; init; } = new();
+    
+    // Deployments are allowed at any time when empty
+    public List<ChangeWindow> ChangeWindows { get; init; } = new();
+}
+
+/// <summary>
+/// Weekly period in which deployments are allowed. An End at or before Start runs past midnight.
+/// </summary>
+public record ChangeWindow
+{
+    public List<DayOfWeek> Days { get; init; } = new();
+    public TimeSpan Start { get; init; }
+    public TimeSpan End { get; init; }
+}
+
+/// <summary>
+/// Whether an environment's change window is open; times are UTC
+/// </summary>
+public record ChangeWindowStatus
+{
+    public bool IsOpen { get; init; }
+    public DateTime? ClosesAt { get; init; }
+    public DateTime? NextOpensAt { get; init; }
+    public string TimeZone { get; init; } = string.Empty;
+}
+
+/// <summary>
+/// An environment's approval policy with its change window as of now
+/// </summary>
+public record EnvironmentPolicyInfo
+{
+    public ApprovalPolicy Policy { get; init; } = new();
+    public ChangeWindowStatus ChangeWindow { get; init; } = new();
+}
+
+/// <summary>
+/// Deployment waiting in the approvals inbox, and whether the current user may decide on it
+/// </summary>
+public record PendingApprovalInfo
+{
+    public Deployment Deployment { get; init; } = new();
+    public bool CanApprove { get; init; }
+    public string? CannotApproveReason { get; init; }
+    public ChangeWindowStatus ChangeWindow { get; init; } = new();
+}
+
+/// <summary>
+/// Approve or reject a deployment; rejecting requires a comment
+/// </summary>
+public record ApprovalDecisionRequest
+{
+    public string? Comment { get; init; }
+}
+
+/// <summary>
+/// Run a deployment at a later time (UTC), once or repeatedly
+/// </summary>
+public record ScheduleDeploymentRequest
+{
+    public DeploymentRequest Request { get; init; } = new();
+    public DateTime RunAt { get; init; }
+    public DeploymentRecurrence Recurrence { get; init; } = DeploymentRecurrence.Once;
+}
+
+/// <summary>
+/// Move a scheduled deployment to another time or change how often it repeats
+/// </summary>
+public record RescheduleRequest
+{
+    public DateTime RunAt { get; init; }
+    public DeploymentRecurrence Recurrence { get; init; }
+    
+    // Required when the new time is outside the change window; replaces any justification given before
+    public string? EmergencyJustification { get; init; }
+}
+
+/// <summary>
+/// One upcoming run of a scheduled deployment, for the calendar
+/// </summary>
+public record ScheduledRun
+{
+    public Guid ScheduleId { get; init; }
+    public DateTime RunAt { get; init; }
+    public string SiteName { get; init; } = string.Empty;
+    public DeploymentEnvironment Environment { get; init; }
+    public DeploymentRecurrence Recurrence { get; init; }
+    public string CreatedBy { get; init; } = string.Empty;
+}
+
+/// <summary>
+/// Notification delivery settings, configured under IIScribe:Notifications
+/// </summary>
+public record NotificationOptions
+{
+    public bool Enabled { get; init; } = true;
+    public int MaxAttempts { get; init; } = 5;
+    
+    // Retries wait this long, doubling after each failed attempt
+    public int RetryBaseSeconds { get; init; } = 15;
+    public int TimeoutSeconds { get; init; } = 10;
+}
+
+/// <summary>
+/// Notification channel without its webhook secret
+/// </summary>
+public record NotificationChannelInfo
+{
+    public Guid Id { get; init; }
+    public string Name { get; init; } = string.Empty;
+    public NotificationChannel Channel { get; init; }
+    public bool Enabled { get; init; }
+    public bool NotifyOnStart { get; init; }
+    public bool NotifyOnSuccess { get; init; }
+    public bool NotifyOnFailure { get; init; }
+    public bool NotifyOnRollback { get; init; }
+    public bool NotifyOnHealthAlert { get; init; }
+    public string? EmailTo { get; init; }
+    public string? EmailFrom { get; init; }
+    public string? SmtpServer { get; init; }
+    public int? SmtpPort { get; init; }
+    public string? SlackWebhookUrl { get; init; }
+    public string? SlackChannel { get; init; }
+    public string? TeamsWebhookUrl { get; init; }
+    public string? WebhookUrl { get; init; }
+    public Dictionary<string, string> WebhookHeaders { get; init; } = new();
+    public bool HasWebhookSecret { get; init; }
+    public string CreatedBy { get; init; } = string.Empty;
+
+    public static NotificationChannelInfo From(NotificationConfiguration config) => new()
+    {
+        Id = config.Id,
+        Name = config.Name,
+        Channel = config.Channel,
+        Enabled = config.Enabled,
+        NotifyOnStart = config.NotifyOnStart,
+        NotifyOnSuccess = config.NotifyOnSuccess,
+        NotifyOnFailure = config.NotifyOnFailure,
+        NotifyOnRollback = config.NotifyOnRollback,
+        NotifyOnHealthAlert = config.NotifyOnHealthAlert,
+        EmailTo = config.EmailTo,
+        EmailFrom = config.EmailFrom,
+        SmtpServer = config.SmtpServer,
+        SmtpPort = config.SmtpPort,
+        SlackWebhookUrl = config.SlackWebhookUrl,
+        SlackChannel = config.SlackChannel,
+        TeamsWebhookUrl = config.TeamsWebhookUrl,
+        WebhookUrl = config.WebhookUrl,
+        WebhookHeaders = new Dictionary<string, string>(config.WebhookHeaders),
+        HasWebhookSecret = !string.IsNullOrEmpty(config.WebhookSecret),
+        CreatedBy = config.CreatedBy
+    };
+}
+
+/// <summary>
+/// Create or update a notification channel. Only the fields of the chosen channel are used;
+/// leave WebhookSecret empty when updating to keep the current one.
+/// </summary>
+public record SaveNotificationChannelRequest
+{
+    public string Name { get; init; } = string.Empty;
+    public NotificationChannel Channel { get; init; }
+    public bool Enabled { get; init; } = true;
+    public bool NotifyOnStart { get; init; } = true;
+    public bool NotifyOnSuccess { get; init; } = true;
+    public bool NotifyOnFailure { get; init; } = true;
+    public bool NotifyOnRollback { get; init; } = true;
+    public bool NotifyOnHealthAlert { get; init; } = true;
+    public string? EmailTo { get; init; }
+    public string? EmailFrom { get; init; }
+    public string? SmtpServer { get; init; }
+    public int? SmtpPort { get; init; }
+    public string? SlackWebhookUrl { get; init; }
+    public string? SlackChannel { get; init; }
+    public string? TeamsWebhookUrl { get; init; }
+    public string? WebhookUrl { get; init; }
+    public Dictionary<string, string>? WebhookHeaders { get; init; }
+    public string? WebhookSecret { get; init; }
+}
+
+/// <summary>
+/// JSON body posted to webhook channels
+/// </summary>
+public record NotificationPayload
+{
+    public NotificationEvent Event { get; init; }
+    public Guid DeliveryId { get; init; }
+    public DateTime RaisedAt { get; init; }
+    public string Message { get; init; } = string.Empty;
+    public NotificationDeploymentInfo? Deployment { get; init; }
+}
+
+/// <summary>
+/// The deployment a notification is about, without its database or certificate settings
+/// </summary>
+public record NotificationDeploymentInfo
+{
+    public Guid Id { get; init; }
+    public string Name { get; init; } = string.Empty;
+    public string? SiteName { get; init; }
+    public string ApplicationPath { get; init; } = string.Empty;
+    public DeploymentEnvironment Environment { get; init; }
+    public DeploymentTarget Target { get; init; }
+    public DeploymentStatus Status { get; init; }
+    public string TargetUrl { get; init; } = string.Empty;
+    public string RequestedBy { get; init; } = string.Empty;
+    public DateTime? StartedAt { get; init; }
+    public DateTime? CompletedAt { get; init; }
+    public int DurationSeconds { get; init; }
+    public string? ErrorMessage { get; init; }
+
+    public static NotificationDeploymentInfo From(Deployment deployment) => new()
+    {
+        Id = deployment.Id,
+        Name = deployment.Name,
+        SiteName = deployment.SiteName,
+        ApplicationPath = deployment.ApplicationPath,
+        Environment = deployment.Environment,
+        Target = deployment.Target,
+        Status = deployment.Status,
+        TargetUrl = deployment.TargetUrl,
+        RequestedBy = deployment.CreatedBy,
+        StartedAt = deployment.StartedAt,
+        CompletedAt = deployment.CompletedAt,
+        DurationSeconds = deployment.DurationSeconds,
+        ErrorMessage = deployment.ErrorMessage
+    };
+}
+
+/// <summary>
+/// One host name mapped by the hosts file; a line mapping several names gives one entry per name
+/// </summary>
+public record HostsEntry
+{
+    public int LineNumber { get; init; }
+    public string IpAddress { get; init; } = string.Empty;
+    public string HostName { get; init; } = string.Empty;
+    
+    /// <summary>
+    /// Written by IIScribe, which marks its lines with "# IIScribe"; only these can be removed here
+    /// </summary>
+    public bool IsManaged { get; init; }
+    
+    // IIS site with a binding for the host name
+    public string? SiteName { get; init; }
+    public bool IsOrphaned => IsManaged && SiteName == null;
+}
+
+/// <summary>
+/// The hosts file IIScribe edits and the host names it maps
+/// </summary>
+public record HostsFileInfo
+{
+    public string Path { get; init; } = string.Empty;
+    public List<HostsEntry> Entries { get; init; } = new();
+}
+
+/// <summary>
+/// Copy of the hosts file taken before IIScribe changed it
+/// </summary>
+public record HostsFileBackup
+{
+    public string Name { get; init; } = string.Empty;
+    public DateTime CreatedAt { get; init; }
+    public long SizeBytes { get; init; }
+}
+
+/// <summary>
+/// Host name to add to the hosts file
+/// </summary>
+public record HostsEntryRequest
+{
+    public string IpAddress { get; init; } = "127.0.0.1";
+    public string HostName { get; init; } = string.Empty;
+}
+
+/// <summary>
+/// Change to the hosts file: add and remove entries, or restore a backup instead.
+/// Applying needs the BaseHash of its preview, so nothing is written that was not previewed.
+/// </summary>
+public record HostsFileEdit
+{
+    public List<HostsEntryRequest> Add { get; init; } = new();
+    public List<string> Remove { get; init; } = new();
+    public string? RestoreBackup { get; init; }
+    public string? BaseHash { get; init; }
+}
+
+/// <summary>
+/// Line diff of a hosts file edit, previewed or applied
+/// </summary>
+public record HostsFileChange
+{
+    /// <summary>
+    /// SHA-256 of the hosts file the diff was made against
+    /// </summary>
+    public string BaseHash { get; init; } = string.Empty;
+    
+    public List<HostsDiffLine> Lines { get; init; } = new();
+    public int Added { get; init; }
+    public int Removed { get; init; }
+    public bool HasChanges => Added > 0 || Removed > 0;
+    
+    // Requested changes that were skipped, and why
+    public List<string> Notes { get; init; } = new();
+    
+    // Set once applied: the backup taken just before writing
+    public string? BackupName { get; init; }
+}
+
+/// <summary>
+/// Line of a hosts file diff, numbered in the file before and after the change
+/// </summary>
+public record HostsDiffLine(DiffLineKind Kind, string Text, int? OldLineNumber, int? NewLineNumber);
+
+/// <summary>
+/// Settings a deployment takes on when promoted into an environment, configured under IIScribe:Promotion:Environments
+/// </summary>
+public record PromotionEnvironmentOptions
+{
+    // Used instead of the profile's DomainPattern, e.g. "{appname}.example.com"
+    public string? DomainPattern { get; init; }
+    
+    // The promoted deployment keeps its certificate type when empty
+    public CertificateType? CertificateType { get; init; }
+}
+
+/// <summary>
+/// Changes to the settings proposed for a promotion; anything left empty takes the proposal
+/// </summary>
+public record PromotionRequest
+{
+    public string? DomainName { get; init; }
+    public string? DatabaseName { get; init; }
+    public CertificateType? CertificateType { get; init; }
+    
+    // Deploy outside the target environment's change window; the reason is audited
+    public string? EmergencyJustification { get; init; }
+}
+
+/// <summary>
+/// What promoting a deployment would create, next to the deployment it is promoted from
+/// </summary>
+public record PromotionPlan
+{
+    public Deployment Source { get; init; } = new();
+    
+    /// <summary>
+    /// Not saved; the deployment promoting creates, with the target environment's overrides applied
+    /// </summary>
+    public Deployment Target { get; init; } = new();
+    
+    // Pre-flight errors that would stop the promoted deployment
+    public List<PreflightIssue> Errors { get; init; } = new();
+    public List<string> Warnings { get; init; } = new();
+}
+
+/// <summary>
+/// Where one application's builds sit across the promotion pipeline
+/// </summary>
+public record ApplicationPipeline
+{
+    // Last folder of the application path, as {appname} in domain patterns
+    public string ApplicationName { get; init; } = string.Empty;
+    public List<PipelineStage> Stages { get; init; } = new();
+}
+
+/// <summary>
+/// One environment of an application's pipeline
+/// </summary>
+public record PipelineStage
+{
+    public DeploymentEnvironment Environment { get; init; }
+    
+    /// <summary>
+    /// Latest successful deployment, which is what the environment runs
+    /// </summary>
+    public PipelineDeployment? Current { get; init; }
+    
+    /// <summary>
+    /// A newer deployment that has not succeeded: waiting, running, failed or rolled back
+    /// </summary>
+    public PipelineDeployment? Latest { get; init; }
+    
+    // Where Current can be promoted to; null for the last environment
+    public DeploymentEnvironment? PromotesTo { get; init; }
+}
+
+/// <summary>
+/// Deployment as shown in the pipeline
+/// </summary>
+public record PipelineDeployment
+{
+    public Guid Id { get; init; }
+    public string Name { get; init; } = string.Empty;
+    public string ApplicationPath { get; init; } = string.Empty;
+    public string ApplicationVersion { get; init; } = string.Empty;
+    public string DomainName { get; init; } = string.Empty;
+    public string? SiteName { get; init; }
+    public DeploymentStatus Status { get; init; }
+    public DateTime CreatedAt { get; init; }
+    public DateTime? CompletedAt { get; init; }
+    public string CreatedBy { get; init; } = string.Empty;
+    public Guid? PromotedFromId { get; init; }
+
+    public static PipelineDeployment From(Deployment deployment) => new()
+    {
+        Id = deployment.Id,
+        Name = deployment.Name,
+        ApplicationPath = deployment.ApplicationPath,
+        ApplicationVersion = deployment.ApplicationVersion,
+        DomainName = deployment.DomainName,
+        SiteName = deployment.SiteName,
+        Status = deployment.Status,
+        CreatedAt = deployment.CreatedAt,
+        CompletedAt = deployment.CompletedAt,
+        CreatedBy = deployment.CreatedBy,
+        PromotedFromId = Guid.TryParse(deployment.Metadata.GetValueOrDefault("PromotedFromId"), out var id) ? id : null
+    };
+}
+
+/// <summary>
+/// Health monitoring settings, from IIScribe:HealthMonitoring
+/// </summary>
+public record HealthMonitoringOptions
+{
+    public bool Enabled { get; init; } = true;
+    
+    /// <summary>
+    /// A monitor with AutoRollback only rolls back deployments that completed this recently
+    /// </summary>
+    public int RollbackWindowMinutes { get; init; } = 30;
+    
+    /// <summary>
+    /// Probe results older than this are discarded
+    /// </summary>
+    public int HistoryHours { get; init; } = 24;
+}
+
+/// <summary>
+/// Create or update a health monitor
+/// </summary>
+public record SaveHealthMonitorRequest
+{
+    public string SiteName { get; init; } = string.Empty;
+    public string Name { get; init; } = string.Empty;
+    public string Url { get; init; } = string.Empty;
+    public bool Enabled { get; init; } = true;
+    public int ExpectedStatusCode { get; init; } = 200;
+    public string? ExpectedBodyContains { get; init; }
+    public int? DegradedAfterMs { get; init; }
+    public int TimeoutSeconds { get; init; } = 10;
+    public int IntervalSeconds { get; init; } = 60;
+    public int FailureThreshold { get; init; } = 3;
+    public bool AutoRollback { get; init; }
+}
+
+/// <summary>
+/// Health monitor with its recent probes, oldest first
+/// </summary>
+public record HealthMonitorInfo
+{
+    public Guid Id { get; init; }
+    public string SiteName { get; init; } = string.Empty;
+    public string Name { get; init; } = string.Empty;
+    public string Url { get; init; } = string.Empty;
+    public bool Enabled { get; init; }
+    public int ExpectedStatusCode { get; init; }
+    public string? ExpectedBodyContains { get; init; }
+    public int? DegradedAfterMs { get; init; }
+    public int TimeoutSeconds { get; init; }
+    public int IntervalSeconds { get; init; }
+    public int FailureThreshold { get; init; }
+    public bool AutoRollback { get; init; }
+    public string? AutoRollbackEnabledBy { get; init; }
+    public HealthCheckStatus Status { get; init; }
+    public int ConsecutiveFailures { get; init; }
+    public string? LastMessage { get; init; }
+    public DateTime? LastCheckedAt { get; init; }
+    public DateTime? UnhealthySince { get; init; }
+    
+    /// <summary>
+    /// Share of recent probes that were not Unhealthy, or null before the first probe
+    /// </summary>
+    public double? UptimePercent { get; init; }
+    
+    public int? AverageResponseTimeMs { get; init; }
+    public List<HealthSample> History { get; init; } = new();
+
+    public static HealthMonitorInfo From(HealthMonitor monitor, IEnumerable<HealthCheck> checks)
+    {
+        var history = checks
+            .OrderBy(c => c.CheckedAt)
+            .Select(c => new HealthSample { CheckedAt = c.CheckedAt, Status = c.Status, ResponseTimeMs = c.ResponseTimeMs })
+            .ToList();
+
+        return new HealthMonitorInfo
+        {
+            Id = monitor.Id,
+            SiteName = monitor.SiteName,
+            Name = monitor.Name,
+            Url = monitor.Url,
+            Enabled = monitor.Enabled,
+            ExpectedStatusCode = monitor.ExpectedStatusCode,
+            ExpectedBodyContains = monitor.ExpectedBodyContains,
+            DegradedAfterMs = monitor.DegradedAfterMs,
+            TimeoutSeconds = monitor.TimeoutSeconds,
+            IntervalSeconds = monitor.IntervalSeconds,
+            FailureThreshold = monitor.FailureThreshold,
+            AutoRollback = monitor.AutoRollback,
+            AutoRollbackEnabledBy = monitor.AutoRollbackEnabledBy,
+            Status = monitor.Status,
+            ConsecutiveFailures = monitor.ConsecutiveFailures,
+            LastMessage = monitor.LastMessage,
+            LastCheckedAt = monitor.LastCheckedAt,
+            UnhealthySince = monitor.UnhealthySince,
+            UptimePercent = history.Count == 0
+                ? null
+                : Math.Round(100.0 * history.Count(h => h.Status != HealthCheckStatus.Unhealthy) / history.Count, 1),
+            AverageResponseTimeMs = history.Count == 0 ? null : (int)history.Average(h => h.ResponseTimeMs),
+            History = history
+        };
+    }
+}
+
+/// <summary>
+/// One probe of a health monitor
+/// </summary>
+public record HealthSample
+{
+    public DateTime CheckedAt { get; init; }
+    public HealthCheckStatus Status { get; init; }
+    public int ResponseTimeMs { get; init; }
+}
+
+/// <summary>
+/// Database backup settings, from IIScribe:Backups
+/// </summary>
+public record BackupOptions
+{
+    /// <summary>
+    /// Prune each database's backups according to its retention policy
+    /// </summary>
+    public bool EnforceRetention { get; init; } = true;
+    
+    /// <summary>
+    /// Folder for backups of databases whose deployments give no backup path; the temp folder when empty
+    /// </summary>
+    public string? DefaultPath { get; init; }
+}
+
+/// <summary>
+/// A database that deployments use, with its backups newest first
+/// </summary>
+public record DatabaseBackups
+{
+    public string? ServerName { get; init; }
+    public string DatabaseName { get; init; } = string.Empty;
+    public DatabaseProvider Provider { get; init; }
+    public BackupRetentionPolicy RetentionPolicy { get; init; }
+    
+    /// <summary>
+    /// The latest deployment using the database; backups and restores use its database settings
+    /// </summary>
+    public Guid LatestDeploymentId { get; init; }
+    public string? SiteName { get; init; }
+    public DeploymentEnvironment Environment { get; init; }
+    
+    public long TotalSizeBytes { get; init; }
+    public List<BackupInfo> Backups { get; init; } = new();
+}
+
+/// <summary>
+/// A database backup and the deployment it was taken before
+/// </summary>
+public record BackupInfo
+{
+    public Guid Id { get; init; }
+    public string? ServerName { get; init; }
+    public string DatabaseName { get; init; } = string.Empty;
+    public string FilePath { get; init; } = string.Empty;
+    public long FileSizeBytes { get; init; }
+    public string? Checksum { get; init; }
+    public DateTime BackupDate { get; init; }
+    public DateTime? ExpiryDate { get; init; }
+    public string CreatedBy { get; init; } = string.Empty;
+    
+    /// <summary>
+    /// Null for backups taken on demand
+    /// </summary>
+    public Guid? DeploymentId { get; init; }
+    public string? DeploymentName { get; init; }
+    
+    /// <summary>
+    /// Whether the file still matched its checksum when last verified, at VerifiedAt
+    /// </summary>
+    public bool Verified { get; init; }
+    public DateTime? VerifiedAt { get; init; }
+    
+    public bool IsRestored { get; init; }
+    public DateTime? RestoredAt { get; init; }
+    public string? RestoredBy { get; init; }
+
+    public static BackupInfo From(Backup backup, Deployment? deployment) => new()
+    {
+        Id = backup.Id,
+        ServerName = backup.ServerName,
+        DatabaseName = backup.DatabaseName,
+        FilePath = backup.FilePath,
+        FileSizeBytes = backup.FileSizeBytes,
+        Checksum = backup.Checksum,
+        BackupDate = backup.BackupDate,
+        ExpiryDate = backup.ExpiryDate,
+        CreatedBy = backup.CreatedBy,
+        DeploymentId = backup.DeploymentId,
+        DeploymentName = deployment?.Name,
+        Verified = backup.Verified,
+        VerifiedAt = backup.VerifiedAt,
+        IsRestored = backup.IsRestored,
+        RestoredAt = backup.RestoredAt,
+        RestoredBy = backup.RestoredBy
+    };
+}
+
+/// <summary>
+/// Back up a database now, outside any deployment
+/// </summary>
+public record BackupDatabaseRequest
+{
+    public string? ServerName { get; init; }
+    public string DatabaseName { get; init; } = string.Empty;
+}
+
+/// <summary>
+/// Create or update a user; a password is required when creating and optional when updating
+/// </summary>
+public record SaveUserRequest
+{
+    public string Username { get; init; } = string.Empty;
+    public string? FullName { get; init; }
+    public string Email { get; init; } = string.Empty;
+    public UserRole Role { get; init; } = UserRole.Viewer;
+    public string? TeamName { get; init; }
+    public bool IsActive { get; init; } = true;
+    public string? Password { get; init; }
+}
+
 /// <summary>
 /// Team metrics for analytics
 /// </summary>
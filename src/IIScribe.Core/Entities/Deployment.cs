@@ -1,3 +1,4 @@
+using IIScribe.Core.DTOs;
 using IIScribe.Core.Enums;
 
 namespace IIScribe.Core.Entities;
@@ -62,6 +63,15 @@ public class Deployment : BaseEntity
     public string? ErrorMessage { get; set; }
     public string? RollbackCommand { get; set; }
     
+    // Options the deployment was requested with, kept for when it runs later (e.g. after approval)
+    public bool RunHealthChecks { get; set; } = true;
+    public bool SendNotifications { get; set; } = true;
+    
+    // Approval
+    public int RequiredApprovals { get; set; }
+    public ICollection<DeploymentApproval> Approvals { get; set; } = new List<DeploymentApproval>();
+    public string? EmergencyJustification { get; set; }
+    
     // Relationships
     public Guid? ProfileId { get; set; }
     public DeploymentProfile? Profile { get; set; }
@@ -73,8 +83,47 @@ public class Deployment : BaseEntity
     // Metadata
     public Dictionary<string, string> Metadata { get; set; } = new();
     
-    // Cloud specific
+    // Target specific
     public CloudConfiguration? CloudConfig { get; set; }
+    public ContainerConfiguration? ContainerConfig { get; set; }
+}
+
+/// <summary>
+/// An approver's decision on a deployment waiting for approval
+/// </summary>
+public class DeploymentApproval
+{
+    public string UserName { get; set; } = string.Empty;
+    public UserRole Role { get; set; }
+    public bool Approved { get; set; }
+    public string? Comment { get; set; }
+    public DateTime DecidedAt { get; set; } = DateTime.UtcNow;
+}
+
+/// <summary>
+/// A deployment set to run later, once or on a recurring schedule. Each run creates a deployment
+/// from Request, which then waits for approval like any other deployment to its environment.
+/// </summary>
+public class ScheduledDeployment : BaseEntity
+{
+    public DeploymentRequest Request { get; set; } = new();
+    
+    // Resolved from the request when it was scheduled
+    public string SiteName { get; set; } = string.Empty;
+    public DeploymentEnvironment Environment { get; set; }
+    
+    public DeploymentRecurrence Recurrence { get; set; }
+    
+    // Repeats keep this run's local time of day, and for weekly runs its day of the week
+    public DateTime FirstRunAt { get; set; }
+    
+    // Null once a one-off run has happened or the schedule was cancelled
+    public DateTime? NextRunAt { get; set; }
+    public bool IsActive { get; set; } = true;
+    
+    public DateTime? LastRunAt { get; set; }
+    public Guid? LastDeploymentId { get; set; }
+    public string? LastError { get; set; }
 }
 
 /// <summary>
@@ -92,6 +141,7 @@ public class DatabaseConfiguration
     
     // Authentication
     public string? Username { get; set; }
+    [Secret]
     public string? PasswordEncrypted { get; set; }
     
     // Connection String
@@ -133,6 +183,7 @@ public class SslConfiguration
     
     // Custom Certificate
     public string? CertificatePath { get; set; }
+    [Secret]
     public string? CertificatePassword { get; set; }
     
     // Azure Key Vault
@@ -156,14 +207,27 @@ public class CloudConfiguration
     public string? ResourceGroup { get; set; }
     public string? Location { get; set; }
     
+    // Azure App Service
+    public string? AppServiceName { get; set; }
+    public string? AppServicePlan { get; set; }
+    
     // AWS
     public string? AwsRegion { get; set; }
     public string? AwsAccessKeyId { get; set; }
+    [Secret]
     public string? AwsSecretKeyEncrypted { get; set; }
     
     // GCP
     public string? GcpProjectId { get; set; }
-    public string? GcpServiceAccountKey { get; set; }
+    public string? GcpZone { get; set; }
+    [Secret]
+    public string? GcpServiceAccountKeyEncrypted { get; set; }
+    
+    // On-premises Windows server
+    public string? RemoteHost { get; set; }
+    public string? RemoteUserName { get; set; }
+    [Secret]
+    public string? RemotePasswordEncrypted { get; set; }
     
     // VM Configuration
     public string? VmName { get; set; }
@@ -176,6 +240,31 @@ public class CloudConfiguration
     public string? DnsRecordName { get; set; }
 }
 
+/// <summary>
+/// Container image and how it runs, for Docker and Kubernetes targets
+/// </summary>
+public class ContainerConfiguration
+{
+    public string ImageName { get; set; } = string.Empty;
+    public string ImageTag { get; set; } = "latest";
+    
+    // Registry host the image is pushed to; Docker Hub when empty
+    public string? Registry { get; set; }
+    public string? RegistryUserName { get; set; }
+    [Secret]
+    public string? RegistryPasswordEncrypted { get; set; }
+    
+    public int ContainerPort { get; set; } = 8080;
+    
+    // Docker
+    public int? HostPort { get; set; }
+    
+    // Kubernetes
+    public string Namespace { get; set; } = "default";
+    public int Replicas { get; set; } = 1;
+    public KubernetesServiceType ServiceType { get; set; } = KubernetesServiceType.ClusterIP;
+}
+
 /// <summary>
 /// Deployment log entry
 /// </summary>
@@ -184,6 +273,9 @@ public class DeploymentLog : BaseEntity
     public Guid DeploymentId { get; set; }
     public Deployment? Deployment { get; set; }
     
+    // Position within the deployment's log, used to resume log streams
+    public int Sequence { get; set; }
+    
     public LogLevel Level { get; set; }
     public string Message { get; set; } = string.Empty;
     public string? Exception { get; set; }
@@ -200,6 +292,9 @@ public class HealthCheck : BaseEntity
     public Guid DeploymentId { get; set; }
     public Deployment? Deployment { get; set; }
     
+    // Set for probes by a HealthMonitor; DeploymentId is then the site's deployment at the time, or empty
+    public Guid? MonitorId { get; set; }
+    
     public string CheckName { get; set; } = string.Empty;
     public HealthCheckStatus Status { get; set; }
     public string? Message { get; set; }
@@ -230,6 +325,11 @@ public class AuditLog : BaseEntity
     public bool Success { get; set; }
     public string? ErrorMessage { get; set; }
     
+    // Hash chain: each record's hash covers its content and the previous record's hash
+    public long Sequence { get; set; }
+    public string? PreviousHash { get; set; }
+    public string? Hash { get; set; }
+
     // Cryptographic signature for tamper-proof logs
     public string? Signature { get; set; }
     
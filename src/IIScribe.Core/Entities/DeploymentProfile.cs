@@ -103,6 +103,7 @@ public class SiteStatus : BaseEntity
 {
     public string SiteName { get; set; } = string.Empty;
     public string Url { get; set; } = string.Empty;
+    public List<string> Bindings { get; set; } = new(); // protocol://host:port, host empty for all hosts
     public bool IsRunning { get; set; }
     public string State { get; set; } = string.Empty; // Started, Stopped, Starting, Stopping
     
@@ -132,6 +133,41 @@ public class SiteStatus : BaseEntity
     public Dictionary<string, object> AdditionalInfo { get; set; } = new();
 }
 
+/// <summary>
+/// User-defined check that keeps probing a site after it is deployed; each probe is kept as a HealthCheck
+/// </summary>
+public class HealthMonitor : BaseEntity
+{
+    public string SiteName { get; set; } = string.Empty;
+    public string Name { get; set; } = string.Empty;
+    public string Url { get; set; } = string.Empty;
+    public bool Enabled { get; set; } = true;
+    
+    // What a healthy response looks like
+    public int ExpectedStatusCode { get; set; } = 200;
+    public string? ExpectedBodyContains { get; set; }
+    public int? DegradedAfterMs { get; set; } // Slower responses count as Degraded
+    
+    public int TimeoutSeconds { get; set; } = 10;
+    public int IntervalSeconds { get; set; } = 60;
+    
+    // Failed probes in a row before the site counts as Unhealthy; fewer show as Degraded
+    public int FailureThreshold { get; set; } = 3;
+    
+    // Roll back to the previous successful deployment when the site turns Unhealthy soon after a deployment
+    public bool AutoRollback { get; set; }
+    
+    // Who last saved the monitor with AutoRollback on; their permissions are checked again before each rollback
+    public string? AutoRollbackEnabledBy { get; set; }
+    
+    // State
+    public HealthCheckStatus Status { get; set; } = HealthCheckStatus.Unknown;
+    public int ConsecutiveFailures { get; set; }
+    public string? LastMessage { get; set; }
+    public DateTime? LastCheckedAt { get; set; }
+    public DateTime? UnhealthySince { get; set; }
+}
+
 /// <summary>
 /// Notification configuration
 /// </summary>
@@ -146,6 +182,7 @@ public class NotificationConfiguration : BaseEntity
     public bool NotifyOnSuccess { get; set; } = true;
     public bool NotifyOnFailure { get; set; } = true;
     public bool NotifyOnRollback { get; set; } = true;
+    public bool NotifyOnHealthAlert { get; set; } = true; // Site turned Unhealthy or recovered
     
     // Email
     public string? EmailTo { get; set; }
@@ -160,9 +197,46 @@ public class NotificationConfiguration : BaseEntity
     // Teams
     public string? TeamsWebhookUrl { get; set; }
     
-    // Custom Webhook
+    // Custom Webhook; payloads are signed with the secret, which is stored encrypted
     public string? WebhookUrl { get; set; }
     public Dictionary<string, string> WebhookHeaders { get; set; } = new();
+    public string? WebhookSecret { get; set; }
+}
+
+/// <summary>
+/// One notification sent, or still to be sent, to a channel. The payload is fixed when the
+/// notification is raised, so every retry sends the same body.
+/// </summary>
+public class NotificationDelivery : BaseEntity
+{
+    public Guid ChannelId { get; set; }
+    public string ChannelName { get; set; } = string.Empty;
+    public NotificationChannel Channel { get; set; }
+    
+    // Host or recipients only; Slack and Teams webhook URLs carry their own secret
+    public string Target { get; set; } = string.Empty;
+    
+    public NotificationEvent Event { get; set; }
+    public Guid? DeploymentId { get; set; }
+    public string Message { get; set; } = string.Empty;
+    public string Payload { get; set; } = string.Empty;
+    
+    public NotificationDeliveryStatus Status { get; set; }
+    public DateTime? NextAttemptAt { get; set; }
+    public DateTime? DeliveredAt { get; set; }
+    public List<NotificationAttempt> Attempts { get; set; } = new();
+}
+
+/// <summary>
+/// Outcome of one attempt to deliver a notification
+/// </summary>
+public class NotificationAttempt
+{
+    public DateTime AttemptedAt { get; set; } = DateTime.UtcNow;
+    public bool Succeeded { get; set; }
+    public int? StatusCode { get; set; }
+    public string? Error { get; set; }
+    public long DurationMs { get; set; }
 }
 
 /// <summary>
@@ -195,20 +269,33 @@ public class User : BaseEntity
 /// </summary>
 public class Backup : BaseEntity
 {
-    public Guid DeploymentId { get; set; }
+    /// <summary>
+    /// The deployment the backup was taken before, or null for one taken on demand
+    /// </summary>
+    public Guid? DeploymentId { get; set; }
     public Deployment? Deployment { get; set; }
     
     public string BackupType { get; set; } = string.Empty; // Database, Application, Full
     public string FilePath { get; set; } = string.Empty;
     public long FileSizeBytes { get; set; }
     
+    // Database
+    public string? ServerName { get; set; }
+    public string DatabaseName { get; set; } = string.Empty;
+    
     public DateTime BackupDate { get; set; } = DateTime.UtcNow;
-    public DateTime ExpiryDate { get; set; }
+    
+    /// <summary>
+    /// The latest the retention policy keeps the backup, for policies based on age; count-based policies have none
+    /// </summary>
+    public DateTime? ExpiryDate { get; set; }
     
     public bool IsRestored { get; set; }
     public DateTime? RestoredAt { get; set; }
+    public string? RestoredBy { get; set; }
     
     // Verification
     public bool Verified { get; set; }
+    public DateTime? VerifiedAt { get; set; }
     public string? Checksum { get; set; }
 }
@@ -0,0 +1,10 @@
+namespace IIScribe.Core.Entities;
+
+/// <summary>
+/// Marks a stored secret (a password or key, usually encrypted). The API never writes these properties into
+/// its responses; they are still accepted in requests, and kept in profile exports that ask for secrets.
+/// </summary>
+[AttributeUsage(AttributeTargets.Property)]
+public sealed class SecretAttribute : Attribute
+{
+}
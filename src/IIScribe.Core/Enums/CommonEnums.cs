@@ -121,7 +121,10 @@ public enum DeploymentStatus
     Success,
     Failed,
     RolledBack,
-    PartialSuccess
+    PartialSuccess,
+    // New members go last: statuses are stored and may be serialized as numbers
+    Rejected,
+    PendingApproval
 }
 
 /// <summary>
@@ -155,6 +158,17 @@ public enum DeploymentStrategy
     InPlace
 }
 
+/// <summary>
+/// How often a scheduled deployment runs
+/// </summary>
+public enum DeploymentRecurrence
+{
+    Once,
+    Daily,
+    Weekdays,
+    Weekly
+}
+
 /// <summary>
 /// Authentication mode for database
 /// </summary>
@@ -190,6 +204,26 @@ public enum CloudProvider
     GoogleCloud
 }
 
+/// <summary>
+/// Line of a diff
+/// </summary>
+public enum DiffLineKind
+{
+    Unchanged,
+    Added,
+    Removed
+}
+
+/// <summary>
+/// How a Kubernetes deployment is exposed inside or outside the cluster
+/// </summary>
+public enum KubernetesServiceType
+{
+    ClusterIP,
+    NodePort,
+    LoadBalancer
+}
+
 /// <summary>
 /// IIS application pool managed runtime version
 /// </summary>
@@ -221,6 +255,30 @@ public enum NotificationChannel
     Webhook
 }
 
+/// <summary>
+/// What a notification is about
+/// </summary>
+public enum NotificationEvent
+{
+    DeploymentStarted,
+    DeploymentSucceeded,
+    DeploymentFailed,
+    DeploymentRolledBack,
+    SiteUnhealthy,
+    SiteRecovered,
+    Test
+}
+
+/// <summary>
+/// Notification delivery state; pending deliveries are retried until delivered or out of attempts
+/// </summary>
+public enum NotificationDeliveryStatus
+{
+    Pending,
+    Delivered,
+    Failed
+}
+
 /// <summary>
 /// Audit event type
 /// </summary>
@@ -239,7 +297,15 @@ public enum AuditEventType
     BackupRestored,
     CertificateInstalled,
     CertificateRenewed,
-    SecurityAlert
+    SecurityAlert,
+    DeploymentApproved,
+    DeploymentRejected,
+    ChangeWindowOverridden,
+    DeploymentScheduled,
+    DeploymentScheduleCancelled,
+    DeploymentPromoted,
+    SiteUnhealthy,
+    DeploymentScheduleFailed
 }
 
 /// <summary>
@@ -256,6 +322,23 @@ public enum UserRole
     Viewer
 }
 
+/// <summary>
+/// Action a role may perform; apart from the audit trail, reading is open to every signed-in user
+/// </summary>
+public enum Permission
+{
+    Deploy,
+    DeployProduction,
+    Rollback,
+    ManageSites,
+    ManageProfiles,
+    ManageCertificates,
+    ManageNotifications,
+    ManageHostsFile,
+    ManageUsers,
+    ViewAudit
+}
+
 /// <summary>
 /// Backup retention policy
 /// </summary>
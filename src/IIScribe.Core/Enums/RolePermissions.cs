@@ -0,0 +1,35 @@
+namespace IIScribe.Core.Enums;
+
+/// <summary>
+/// What each role is allowed to do. Viewers get no permissions and are read-only.
+/// </summary>
+public static class RolePermissions
+{
+    /// <summary>Claim carrying one granted permission on an authenticated principal</summary>
+    public const string ClaimType = "permission";
+
+    private static readonly Dictionary<UserRole, Permission[]> Map = new()
+    {
+        [UserRole.Administrator] = Enum.GetValues<Permission>(),
+        [UserRole.TeamLead] = new[]
+        {
+            Permission.Deploy, Permission.DeployProduction, Permission.Rollback,
+            Permission.ManageSites, Permission.ManageProfiles, Permission.ManageCertificates, Permission.ManageNotifications,
+            Permission.ManageHostsFile, Permission.ViewAudit
+        },
+        [UserRole.DevOpsEngineer] = new[]
+        {
+            Permission.Deploy, Permission.ManageSites, Permission.ManageProfiles, Permission.ManageCertificates,
+            Permission.ManageNotifications, Permission.ManageHostsFile
+        },
+        [UserRole.Developer] = new[] { Permission.Deploy, Permission.ManageProfiles, Permission.ManageHostsFile },
+        [UserRole.DatabaseAdministrator] = new[] { Permission.Deploy },
+        [UserRole.SecurityOfficer] = new[] { Permission.ManageCertificates, Permission.ViewAudit },
+        [UserRole.Viewer] = Array.Empty<Permission>()
+    };
+
+    public static IReadOnlyCollection<Permission> For(UserRole role) =>
+        Map.GetValueOrDefault(role) ?? Array.Empty<Permission>();
+
+    public static bool Has(UserRole role, Permission permission) => For(role).Contains(permission);
+}
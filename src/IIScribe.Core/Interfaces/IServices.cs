@@ -1,6 +1,7 @@
 using IIScribe.Core.DTOs;
 using IIScribe.Core.Entities;
 using IIScribe.Core.Enums;
+using System.Security.Claims;
 
 namespace IIScribe.Core.Interfaces;
 
@@ -10,11 +11,81 @@ namespace IIScribe.Core.Interfaces;
 public interface IDeploymentOrchestrator
 {
     Task<DeploymentResult> DeployAsync(DeploymentRequest request, CancellationToken cancellationToken = default);
-    Task<DeploymentResult> RollbackAsync(Guid deploymentId, CancellationToken cancellationToken = default);
+    Task<Deployment> CreateDeploymentAsync(DeploymentRequest request);
+    
+    /// <summary>
+    /// The deployment a request would create, without saving it or checking who may run it
+    /// </summary>
+    Task<Deployment> PreviewDeploymentAsync(DeploymentRequest request);
+    Task<PreflightResult> AnalyzeAsync(DeploymentRequest request);
+    
+    /// <summary>
+    /// The request with its secrets encrypted into its cloud and container settings, ready to be kept
+    /// </summary>
+    DeploymentRequest ProtectSecrets(DeploymentRequest request);
+    
+    Task<DeploymentResult> ExecuteDeploymentAsync(Guid deploymentId, DeploymentRequest request, CancellationToken cancellationToken = default);
+    Task<DeploymentResult> RollbackAsync(Guid deploymentId, Guid? targetDeploymentId = null, CancellationToken cancellationToken = default);
+    Task<RollbackPlan> GetRollbackPlanAsync(Guid deploymentId);
     Task<DeploymentStatus> GetStatusAsync(Guid deploymentId);
     Task<IEnumerable<Deployment>> GetActiveDeploymentsAsync();
 }
 
+/// <summary>
+/// Hands deployments off to the background worker so API calls return immediately
+/// </summary>
+public interface IDeploymentQueue
+{
+    ValueTask EnqueueAsync(QueuedDeployment item, CancellationToken cancellationToken = default);
+    
+    /// <summary>
+    /// Next item whose site has nothing running; the site stays busy until Complete is called
+    /// </summary>
+    ValueTask<QueuedDeployment> DequeueAsync(CancellationToken cancellationToken);
+    void Complete(QueuedDeployment item);
+    
+    IReadOnlyList<QueuePosition> GetWaiting();
+    QueuePosition? GetPosition(Guid deploymentId);
+}
+
+/// <summary>
+/// Runs deployments at a later time, once or repeatedly
+/// </summary>
+public interface IDeploymentScheduler
+{
+    Task<IEnumerable<ScheduledDeployment>> GetSchedulesAsync();
+    Task<IEnumerable<ScheduledRun>> GetRunsAsync(DateTime from, DateTime to);
+    Task<ScheduledDeployment> ScheduleAsync(ScheduleDeploymentRequest request);
+    Task<ScheduledDeployment> RescheduleAsync(Guid id, RescheduleRequest request);
+    Task CancelAsync(Guid id);
+    
+    /// <summary>
+    /// Start every schedule that is due and move repeating ones on to their next run
+    /// </summary>
+    Task RunDueAsync(DateTime utcNow, CancellationToken cancellationToken = default);
+}
+
+/// <summary>
+/// Moves a successful deployment's artifact on to the next environment: Development, Testing, Staging, Production
+/// </summary>
+public interface IDeploymentPromotionService
+{
+    /// <summary>
+    /// Each application's deployments in every pipeline environment
+    /// </summary>
+    Task<IEnumerable<ApplicationPipeline>> GetPipelinesAsync();
+    
+    /// <summary>
+    /// The deployment promoting would create, next to the one it is promoted from; nothing is saved
+    /// </summary>
+    Task<PromotionPlan> PlanAsync(Guid deploymentId, PromotionRequest request);
+    
+    /// <summary>
+    /// Create the promoted deployment; it waits for approval where its environment needs it and is queued otherwise
+    /// </summary>
+    Task<Deployment> PromoteAsync(Guid deploymentId, PromotionRequest request, CancellationToken cancellationToken = default);
+}
+
 /// <summary>
 /// Discovers and analyzes applications for deployment
 /// </summary>
@@ -39,6 +110,8 @@ public interface IIISDeploymentService
     Task StartSiteAsync(string siteName);
     Task StopSiteAsync(string siteName);
     Task RemoveSiteAsync(string siteName);
+    Task RecycleAppPoolAsync(string appPoolName);
+    Task BindCertificateAsync(string siteName, string thumbprint);
     Task<IEnumerable<SiteStatus>> GetAllSitesAsync();
 }
 
@@ -57,6 +130,44 @@ public interface IDatabaseDeploymentService
     Task UpdateConnectionStringAsync(string configFilePath, string connectionString);
 }
 
+/// <summary>
+/// Records database backups with their checksums, restores them once the checksum still matches,
+/// and prunes them according to each database's retention policy
+/// </summary>
+public interface IDatabaseBackupService
+{
+    /// <summary>
+    /// Every database that deployments use, with its recorded backups
+    /// </summary>
+    Task<IEnumerable<DatabaseBackups>> GetDatabasesAsync();
+
+    /// <summary>
+    /// Back up the database into its backup folder and record the backup; deployment is the one it is taken before, if any
+    /// </summary>
+    Task<BackupResult> BackupAsync(DatabaseConfiguration config, Deployment? deployment = null);
+
+    /// <summary>
+    /// Back up a database on demand, with the settings of the latest deployment that uses it
+    /// </summary>
+    Task<BackupInfo> BackupNowAsync(BackupDatabaseRequest request);
+
+    /// <summary>
+    /// Check the backup file against the checksum recorded when it was taken
+    /// </summary>
+    Task<BackupInfo> VerifyAsync(Guid backupId);
+
+    /// <summary>
+    /// Restore a backup over its database, refusing when the file no longer matches its checksum
+    /// or while a deployment is using the database
+    /// </summary>
+    Task<BackupInfo> RestoreAsync(Guid backupId);
+
+    /// <summary>
+    /// Delete the backups each database's retention policy no longer keeps, and return how many went
+    /// </summary>
+    Task<int> EnforceRetentionAsync(DateTime utcNow, CancellationToken cancellationToken = default);
+}
+
 /// <summary>
 /// Manages SSL certificates
 /// </summary>
@@ -67,8 +178,9 @@ public interface ICertificateService
     Task<CertificateResult> InstallCertificateAsync(string certificatePath, string password);
     Task<CertificateResult> GetFromKeyVaultAsync(string keyVaultUrl, string certificateName);
     Task InstallCertificateToIISAsync(string siteName, string thumbprint);
+    Task<IEnumerable<CertificateInfo>> GetCertificatesAsync();
     Task<IEnumerable<CertificateInfo>> GetExpiringCertificatesAsync(int daysThreshold);
-    Task RenewCertificateAsync(string thumbprint);
+    Task<CertificateResult> RenewCertificateAsync(string thumbprint);
 }
 
 /// <summary>
@@ -82,6 +194,21 @@ public interface ICloudDeploymentService
     Task<string> GetPublicIpAddressAsync();
 }
 
+/// <summary>
+/// Generates the files to run an application as a container
+/// </summary>
+public interface IContainerManifestService
+{
+    string GetImageReference(ContainerConfiguration config);
+    string GenerateDockerfile(ApplicationDiscovery discovery, ContainerConfiguration config);
+    string GenerateRunCommand(string name, int hostPort, ContainerConfiguration config);
+    
+    /// <summary>
+    /// Namespace, Deployment and Service, plus an Ingress for the domain name
+    /// </summary>
+    string GenerateKubernetesManifest(string name, string domainName, ContainerConfiguration config, IDictionary<string, string> environmentVariables);
+}
+
 /// <summary>
 /// Manages health checks
 /// </summary>
@@ -94,15 +221,63 @@ public interface IHealthCheckService
     Task<HealthCheckSummary> RunAllChecksAsync(Deployment deployment);
 }
 
+/// <summary>
+/// User-defined checks that keep probing sites after deployment, alerting when a site turns Unhealthy
+/// and rolling back recent deployments where a monitor asks for it
+/// </summary>
+public interface IHealthMonitorService
+{
+    Task<IEnumerable<HealthMonitorInfo>> GetMonitorsAsync(string? siteName = null);
+    Task<HealthMonitor> CreateMonitorAsync(SaveHealthMonitorRequest request);
+    Task<HealthMonitor> UpdateMonitorAsync(Guid id, SaveHealthMonitorRequest request);
+    
+    /// <summary>
+    /// Delete a monitor along with its probe history
+    /// </summary>
+    Task DeleteMonitorAsync(Guid id);
+    
+    /// <summary>
+    /// Probe now rather than waiting for the monitor's interval
+    /// </summary>
+    Task<HealthMonitorInfo> CheckNowAsync(Guid id, CancellationToken cancellationToken = default);
+    
+    /// <summary>
+    /// Probe every enabled monitor whose interval has elapsed and act on sites that changed health
+    /// </summary>
+    Task RunDueAsync(DateTime utcNow, CancellationToken cancellationToken = default);
+}
+
 /// <summary>
 /// Manages notifications
 /// </summary>
 public interface INotificationService
 {
-    Task SendDeploymentStartedAsync(Deployment deployment, NotificationConfiguration config);
-    Task SendDeploymentSuccessAsync(Deployment deployment, NotificationConfiguration config);
-    Task SendDeploymentFailedAsync(Deployment deployment, NotificationConfiguration config);
-    Task SendDeploymentRolledBackAsync(Deployment deployment, NotificationConfiguration config);
+    Task<IEnumerable<NotificationConfiguration>> GetChannelsAsync();
+    Task<NotificationConfiguration> CreateChannelAsync(SaveNotificationChannelRequest request);
+    Task<NotificationConfiguration> UpdateChannelAsync(Guid id, SaveNotificationChannelRequest request);
+    Task DeleteChannelAsync(Guid id);
+    
+    /// <summary>
+    /// Send a test notification to the channel once, without retrying, and return how it went
+    /// </summary>
+    Task<NotificationDelivery> SendTestAsync(Guid channelId, CancellationToken cancellationToken = default);
+    
+    /// <summary>
+    /// Queue a notification for every enabled channel that wants this event; delivery happens in DeliverDueAsync
+    /// </summary>
+    Task NotifyAsync(Deployment deployment, NotificationEvent notificationEvent);
+    
+    /// <summary>
+    /// Queue a SiteUnhealthy or SiteRecovered alert; deployment is the site's latest, when IIScribe deployed it
+    /// </summary>
+    Task NotifyHealthAsync(NotificationEvent notificationEvent, string message, Deployment? deployment);
+    
+    Task<IEnumerable<NotificationDelivery>> GetDeliveriesAsync(Guid deploymentId);
+    
+    /// <summary>
+    /// Attempt every pending delivery that is due, scheduling a retry with backoff for those that fail
+    /// </summary>
+    Task DeliverDueAsync(DateTime utcNow, CancellationToken cancellationToken = default);
 }
 
 /// <summary>
@@ -119,14 +294,81 @@ public interface IRepository<T> where T : BaseEntity
     Task<int> CountAsync();
 }
 
+/// <summary>
+/// Local user accounts
+/// </summary>
+public interface IUserService
+{
+    Task<User?> AuthenticateAsync(string username, string password);
+    Task<User?> GetUserAsync(string username);
+    Task<IEnumerable<User>> GetUsersAsync();
+    Task<User> CreateUserAsync(SaveUserRequest request);
+    Task<User> UpdateUserAsync(string username, SaveUserRequest request);
+    Task SetPasswordAsync(string username, string password);
+}
+
+/// <summary>
+/// Issues and validates API bearer tokens. Register another implementation to plug in an external issuer;
+/// validated tokens must name a local, active user.
+/// </summary>
+public interface ITokenService
+{
+    AuthToken IssueToken(User user);
+    ClaimsPrincipal? ValidateToken(string token);
+}
+
+/// <summary>
+/// The user making the current request, or "System" for background work
+/// </summary>
+public interface ICurrentUserService
+{
+    string UserName { get; }
+    bool IsAuthenticated { get; }
+    UserRole? Role { get; }
+    bool HasPermission(Permission permission);
+}
+
+/// <summary>
+/// Per-environment approval gates and change windows
+/// </summary>
+public interface IDeploymentApprovalService
+{
+    IReadOnlyList<ApprovalPolicy> GetPolicies();
+    ApprovalPolicy? GetPolicy(DeploymentEnvironment environment);
+    ChangeWindowStatus GetChangeWindowStatus(DeploymentEnvironment environment, DateTime utcNow);
+
+    /// <summary>
+    /// Throws UnauthorizedAccessException when the change window is closed and no emergency justification is given
+    /// </summary>
+    Task EnsureChangeWindowAsync(Deployment deployment);
+
+    Task<IEnumerable<PendingApprovalInfo>> GetPendingAsync();
+
+    /// <summary>
+    /// Record the current user's decision. The last required approval queues the deployment; a rejection ends it.
+    /// </summary>
+    Task<Deployment> DecideAsync(Guid deploymentId, bool approve, string? comment);
+}
+
 /// <summary>
 /// Audit logging service
 /// </summary>
 public interface IAuditService
 {
     Task LogEventAsync(AuditEventType eventType, string userId, string action, string resourceId, Dictionary<string, object>? data = null);
+
+    /// <summary>
+    /// Record a change with before and after snapshots; either may be null for creations and deletions
+    /// </summary>
+    Task LogChangeAsync(AuditEventType eventType, string userId, string action, string resourceType, string resourceId, object? before, object? after);
+
     Task<IEnumerable<AuditLog>> GetAuditTrailAsync(string resourceId);
     Task<IEnumerable<AuditLog>> GetUserActivityAsync(string userId, DateTime from, DateTime to);
+
+    /// <summary>
+    /// Check every record's hash, signature and link to the previous record
+    /// </summary>
+    Task<AuditVerificationResult> VerifyAsync();
 }
 
 /// <summary>
@@ -139,7 +381,8 @@ public interface IProfileService
     Task<IEnumerable<DeploymentProfile>> GetProfilesByCategoryAsync(string category);
     Task<IEnumerable<DeploymentProfile>> SearchProfilesAsync(string searchTerm);
     Task<string> ExportProfileAsync(Guid profileId);
-    Task<DeploymentProfile> ImportProfileAsync(string json);
+    Task<ProfileImportPreview> PreviewImportAsync(string json);
+    Task<DeploymentProfile> ImportProfileAsync(string json, bool includeSecrets = false);
 }
 
 /// <summary>
@@ -147,11 +390,26 @@ public interface IProfileService
 /// </summary>
 public interface IHostsFileService
 {
+    string HostsFilePath { get; }
+    
     Task AddEntryAsync(string ipAddress, string hostname);
     Task RemoveEntryAsync(string hostname);
     Task<bool> EntryExistsAsync(string hostname);
     Task BackupAsync();
     Task RestoreAsync();
+    
+    Task<IEnumerable<HostsEntry>> GetEntriesAsync();
+    Task<IEnumerable<HostsFileBackup>> GetBackupsAsync();
+    
+    /// <summary>
+    /// What the edit would change, without writing anything
+    /// </summary>
+    Task<HostsFileChange> PreviewAsync(HostsFileEdit edit);
+    
+    /// <summary>
+    /// Back up the hosts file and write the edit, provided the file still matches the edit's BaseHash
+    /// </summary>
+    Task<HostsFileChange> ApplyAsync(HostsFileEdit edit);
 }
 
 /// <summary>
@@ -172,4 +430,9 @@ public interface IDeploymentLogger
 {
     Task LogAsync(Guid deploymentId, LogLevel level, string message, Exception? exception = null);
     Task<IEnumerable<DeploymentLog>> GetLogsAsync(Guid deploymentId);
+    
+    /// <summary>
+    /// Yields logs after the given sequence number, then each new log as it is written, until cancelled
+    /// </summary>
+    IAsyncEnumerable<DeploymentLog> StreamLogsAsync(Guid deploymentId, int afterSequence = 0, CancellationToken cancellationToken = default);
 }
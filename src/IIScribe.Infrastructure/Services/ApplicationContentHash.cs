@@ -0,0 +1,31 @@
+using System.Security.Cryptography;
+using System.Text;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// Fingerprint of an application folder: SHA-256 over every file's relative path and contents, so the same
+/// build gives the same hash wherever it sits and any added, removed or edited file changes it
+/// </summary>
+public static class ApplicationContentHash
+{
+    public static async Task<string> ComputeAsync(string applicationPath, CancellationToken cancellationToken = default)
+    {
+        using var hash = IncrementalHash.CreateHash(HashAlgorithmName.SHA256);
+
+        var files = Directory.GetFiles(applicationPath, "*", SearchOption.AllDirectories)
+            .Select(path => (FullPath: path, Relative: Path.GetRelativePath(applicationPath, path).Replace('\\', '/')))
+            .OrderBy(file => file.Relative, StringComparer.Ordinal);
+
+        foreach (var file in files)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            await using var stream = File.OpenRead(file.FullPath);
+            hash.AppendData(Encoding.UTF8.GetBytes(file.Relative + '\0'));
+            hash.AppendData(await SHA256.HashDataAsync(stream, cancellationToken));
+        }
+
+        return Convert.ToHexString(hash.GetHashAndReset()).ToLowerInvariant();
+    }
+}
@@ -0,0 +1,149 @@
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// Starter profiles shipped with IIScribe (Story 1.3: Template-Based Learning)
+/// </summary>
+public static class BuiltInProfileTemplates
+{
+    public const string Author = "IIScribe";
+
+    public static IReadOnlyList<DeploymentProfile> All { get; } = new List<DeploymentProfile>
+    {
+        new()
+        {
+            Id = Guid.Parse("6f1c2a0e-0d1b-4c55-9a61-1f0a7b2e0001"),
+            Name = "ASP.NET Core - Local Development",
+            Description = "Local IIS with LocalDB migrations and a self-signed certificate",
+            Category = "Template",
+            ApplicationType = ApplicationType.AspNetCoreMvc,
+            Target = DeploymentTarget.LocalIIS,
+            Environment = DeploymentEnvironment.Development,
+            Strategy = DeploymentStrategy.StopAndDeploy,
+            DomainPattern = "{appname}.local",
+            RuntimeVersion = AppPoolRuntimeVersion.NoManagedCode,
+            PipelineMode = PipelineMode.Integrated,
+            DatabaseTemplate = new DatabaseConfiguration
+            {
+                Provider = DatabaseProvider.SqlServerLocalDb,
+                DeploymentMode = DatabaseDeploymentMode.Migrate,
+                AuthMode = DatabaseAuthenticationMode.WindowsIntegrated
+            },
+            SslTemplate = new SslConfiguration
+            {
+                CertificateType = CertificateType.SelfSigned,
+                ValidityDays = 365
+            },
+            EnvironmentVariables = new() { ["ASPNETCORE_ENVIRONMENT"] = "Development" },
+            IsTemplate = true,
+            CreatedBy = Author
+        },
+        new()
+        {
+            Id = Guid.Parse("6f1c2a0e-0d1b-4c55-9a61-1f0a7b2e0002"),
+            Name = "ASP.NET Core - Staging",
+            Description = "Staging server with SQL Server backups and health checks",
+            Category = "Template",
+            ApplicationType = ApplicationType.AspNetCoreMvc,
+            Target = DeploymentTarget.OnPremiseWindows,
+            Environment = DeploymentEnvironment.Staging,
+            Strategy = DeploymentStrategy.StopAndDeploy,
+            DomainPattern = "{appname}.staging.local",
+            RuntimeVersion = AppPoolRuntimeVersion.NoManagedCode,
+            PipelineMode = PipelineMode.Integrated,
+            DatabaseTemplate = new DatabaseConfiguration
+            {
+                Provider = DatabaseProvider.SqlServer,
+                DeploymentMode = DatabaseDeploymentMode.Migrate,
+                AuthMode = DatabaseAuthenticationMode.WindowsIntegrated,
+                BackupBeforeDeployment = true,
+                RetentionPolicy = BackupRetentionPolicy.KeepLast5
+            },
+            SslTemplate = new SslConfiguration
+            {
+                CertificateType = CertificateType.InternalCA
+            },
+            EnvironmentVariables = new() { ["ASPNETCORE_ENVIRONMENT"] = "Staging" },
+            IsTemplate = true,
+            CreatedBy = Author
+        },
+        new()
+        {
+            Id = Guid.Parse("6f1c2a0e-0d1b-4c55-9a61-1f0a7b2e0003"),
+            Name = "ASP.NET Core - Production Blue-Green",
+            Description = "Zero-downtime production deployment with Let's Encrypt and automatic rollback",
+            Category = "Template",
+            ApplicationType = ApplicationType.AspNetCoreMvc,
+            Target = DeploymentTarget.AzureVM,
+            Environment = DeploymentEnvironment.Production,
+            Strategy = DeploymentStrategy.BlueGreen,
+            DomainPattern = "{appname}.example.com",
+            RuntimeVersion = AppPoolRuntimeVersion.NoManagedCode,
+            PipelineMode = PipelineMode.Integrated,
+            AppPoolAlwaysRunning = true,
+            AppPoolIdleTimeoutMinutes = 0,
+            DatabaseTemplate = new DatabaseConfiguration
+            {
+                Provider = DatabaseProvider.AzureSqlDatabase,
+                DeploymentMode = DatabaseDeploymentMode.Migrate,
+                AuthMode = DatabaseAuthenticationMode.AzureManagedIdentity,
+                BackupBeforeDeployment = true,
+                RetentionPolicy = BackupRetentionPolicy.KeepLast10,
+                AutoRollbackOnFailure = true
+            },
+            SslTemplate = new SslConfiguration
+            {
+                CertificateType = CertificateType.LetsEncrypt,
+                AutoRenew = true,
+                EnableHsts = true
+            },
+            EnvironmentVariables = new() { ["ASPNETCORE_ENVIRONMENT"] = "Production" },
+            IsTemplate = true,
+            CreatedBy = Author
+        },
+        new()
+        {
+            Id = Guid.Parse("6f1c2a0e-0d1b-4c55-9a61-1f0a7b2e0004"),
+            Name = "Static Website",
+            Description = "HTML/JS site on IIS without a managed runtime or database",
+            Category = "Template",
+            ApplicationType = ApplicationType.StaticWebsite,
+            Target = DeploymentTarget.LocalIIS,
+            Environment = DeploymentEnvironment.Development,
+            Strategy = DeploymentStrategy.InPlace,
+            DomainPattern = "{appname}.{env}.local",
+            RuntimeVersion = AppPoolRuntimeVersion.NoManagedCode,
+            PipelineMode = PipelineMode.Integrated,
+            SslTemplate = new SslConfiguration
+            {
+                CertificateType = CertificateType.SelfSigned
+            },
+            IsTemplate = true,
+            CreatedBy = Author
+        },
+        new()
+        {
+            Id = Guid.Parse("6f1c2a0e-0d1b-4c55-9a61-1f0a7b2e0005"),
+            Name = "ASP.NET Framework - Web Forms",
+            Description = "Classic .NET Framework 4.x application pool with SQL Server",
+            Category = "Template",
+            ApplicationType = ApplicationType.AspNetFrameworkWebForms,
+            Target = DeploymentTarget.LocalIIS,
+            Environment = DeploymentEnvironment.Development,
+            Strategy = DeploymentStrategy.StopAndDeploy,
+            DomainPattern = "{appname}.local",
+            RuntimeVersion = AppPoolRuntimeVersion.V4_0,
+            PipelineMode = PipelineMode.Integrated,
+            DatabaseTemplate = new DatabaseConfiguration
+            {
+                Provider = DatabaseProvider.SqlServer,
+                DeploymentMode = DatabaseDeploymentMode.None,
+                AuthMode = DatabaseAuthenticationMode.WindowsIntegrated
+            },
+            IsTemplate = true,
+            CreatedBy = Author
+        }
+    };
+}
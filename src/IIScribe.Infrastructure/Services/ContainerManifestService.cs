@@ -0,0 +1,252 @@
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using System.Text;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// Generates Dockerfiles and Kubernetes manifests from what discovery found. The Dockerfile is meant to be
+/// built from the application path, which holds the published output. Registry passwords never appear in
+/// the generated files; the manifest refers to a pull secret created separately.
+/// </summary>
+public class ContainerManifestService : IContainerManifestService
+{
+    private const string DefaultDotNetVersion = "8.0";
+
+    public string GetImageReference(ContainerConfiguration config)
+    {
+        var image = string.IsNullOrWhiteSpace(config.Registry)
+            ? config.ImageName
+            : $"{config.Registry.TrimEnd('/')}/{config.ImageName}";
+
+        return $"{image}:{(string.IsNullOrWhiteSpace(config.ImageTag) ? "latest" : config.ImageTag)}";
+    }
+
+    public string GenerateDockerfile(ApplicationDiscovery discovery, ContainerConfiguration config)
+    {
+        var port = config.ContainerPort;
+        var dockerfile = new StringBuilder()
+            .AppendLine($"# Generated by IIScribe for {discovery.DetectedType}; build it from the published output folder");
+
+        switch (discovery.DetectedType)
+        {
+            case ApplicationType.AspNetCoreMvc:
+            case ApplicationType.AspNetCoreRazor:
+            case ApplicationType.AspNetCoreBlazorServer:
+            case ApplicationType.AspNetCoreWebApi:
+                dockerfile
+                    .AppendLine($"FROM mcr.microsoft.com/dotnet/aspnet:{GetDotNetVersion(discovery.FrameworkVersion)}")
+                    .AppendLine("WORKDIR /app")
+                    .AppendLine("COPY . .")
+                    .AppendLine($"ENV ASPNETCORE_URLS=http://+:{port}")
+                    .AppendLine($"EXPOSE {port}")
+                    .AppendLine($"ENTRYPOINT [\"dotnet\", \"{GetAssemblyName(discovery)}.dll\"]");
+                break;
+
+            case ApplicationType.AspNetFrameworkMvc:
+            case ApplicationType.AspNetFrameworkWebForms:
+                dockerfile
+                    .AppendLine("# ASP.NET Framework images run on Windows container hosts only")
+                    .AppendLine("FROM mcr.microsoft.com/dotnet/framework/aspnet:4.8-windowsservercore-ltsc2022")
+                    .AppendLine("COPY . /inetpub/wwwroot");
+                if (port != 80)
+                {
+                    dockerfile.AppendLine(
+                        $"RUN powershell -Command \"Set-WebBinding -Name 'Default Web Site' -BindingInformation '*:80:' -PropertyName Port -Value {port}\"");
+                }
+                dockerfile.AppendLine($"EXPOSE {port}");
+                break;
+
+            case ApplicationType.NodeJs:
+                dockerfile
+                    .AppendLine("FROM node:20-alpine")
+                    .AppendLine("WORKDIR /app")
+                    .AppendLine("COPY package*.json ./")
+                    .AppendLine("RUN npm ci --omit=dev")
+                    .AppendLine("COPY . .")
+                    .AppendLine("ENV NODE_ENV=production")
+                    .AppendLine($"ENV PORT={port}")
+                    .AppendLine($"EXPOSE {port}")
+                    .AppendLine("CMD [\"npm\", \"start\"]");
+                break;
+
+            default:
+                // Blazor WebAssembly publishes its static files to wwwroot; anything else unrecognised is served as-is
+                if (discovery.DetectedType == ApplicationType.Unknown)
+                    dockerfile.AppendLine("# The application type was not recognised, so its files are served as static content");
+
+                dockerfile
+                    .AppendLine("FROM nginx:alpine")
+                    .AppendLine($"COPY {(discovery.DetectedType == ApplicationType.AspNetCoreBlazorWasm ? "wwwroot" : ".")} /usr/share/nginx/html");
+                if (port != 80)
+                    dockerfile.AppendLine($"RUN sed -i 's/80;/{port};/' /etc/nginx/conf.d/default.conf");
+                dockerfile.AppendLine($"EXPOSE {port}");
+                break;
+        }
+
+        return dockerfile.ToString();
+    }
+
+    public string GenerateRunCommand(string name, int hostPort, ContainerConfiguration config)
+    {
+        return $"docker run -d --name {ToResourceName(name)} --restart unless-stopped " +
+               $"-p {hostPort}:{config.ContainerPort} {GetImageReference(config)}";
+    }
+
+    public string GenerateKubernetesManifest(
+        string name,
+        string domainName,
+        ContainerConfiguration config,
+        IDictionary<string, string> environmentVariables)
+    {
+        name = ToResourceName(name);
+        var ns = string.IsNullOrWhiteSpace(config.Namespace) ? "default" : config.Namespace;
+        var pullSecret = string.IsNullOrWhiteSpace(config.RegistryUserName) ? null : $"{name}-registry";
+        var manifest = new StringBuilder();
+
+        if (pullSecret != null)
+        {
+            manifest
+                .AppendLine("# Create the image pull secret before applying:")
+                .AppendLine($"#   kubectl create secret docker-registry {pullSecret} --namespace {ns} " +
+                            $"--docker-server={config.Registry} --docker-username={config.RegistryUserName} --docker-password=<password>");
+        }
+
+        if (ns != "default")
+        {
+            manifest
+                .AppendLine("apiVersion: v1")
+                .AppendLine("kind: Namespace")
+                .AppendLine("metadata:")
+                .AppendLine($"  name: {ns}")
+                .AppendLine("---");
+        }
+
+        manifest
+            .AppendLine("apiVersion: apps/v1")
+            .AppendLine("kind: Deployment")
+            .AppendLine("metadata:")
+            .AppendLine($"  name: {name}")
+            .AppendLine($"  namespace: {ns}")
+            .AppendLine("  labels:")
+            .AppendLine($"    app: {name}")
+            .AppendLine("spec:")
+            .AppendLine($"  replicas: {config.Replicas}")
+            .AppendLine("  selector:")
+            .AppendLine("    matchLabels:")
+            .AppendLine($"      app: {name}")
+            .AppendLine("  template:")
+            .AppendLine("    metadata:")
+            .AppendLine("      labels:")
+            .AppendLine($"        app: {name}")
+            .AppendLine("    spec:");
+        if (pullSecret != null)
+        {
+            manifest
+                .AppendLine("      imagePullSecrets:")
+                .AppendLine($"        - name: {pullSecret}");
+        }
+        manifest
+            .AppendLine("      containers:")
+            .AppendLine($"        - name: {name}")
+            .AppendLine($"          image: {GetImageReference(config)}")
+            .AppendLine("          ports:")
+            .AppendLine($"            - containerPort: {config.ContainerPort}");
+        if (environmentVariables.Count > 0)
+        {
+            manifest.AppendLine("          env:");
+            foreach (var (key, value) in environmentVariables.OrderBy(v => v.Key, StringComparer.Ordinal))
+            {
+                // JSON strings are valid double-quoted YAML scalars
+                manifest
+                    .AppendLine($"            - name: {JsonSerializer.Serialize(key)}")
+                    .AppendLine($"              value: {JsonSerializer.Serialize(value)}");
+            }
+        }
+        manifest
+            .AppendLine("          readinessProbe:")
+            .AppendLine("            tcpSocket:")
+            .AppendLine($"              port: {config.ContainerPort}")
+            .AppendLine("---")
+            .AppendLine("apiVersion: v1")
+            .AppendLine("kind: Service")
+            .AppendLine("metadata:")
+            .AppendLine($"  name: {name}")
+            .AppendLine($"  namespace: {ns}")
+            .AppendLine("spec:")
+            .AppendLine($"  type: {config.ServiceType}")
+            .AppendLine("  selector:")
+            .AppendLine($"    app: {name}")
+            .AppendLine("  ports:")
+            .AppendLine("    - port: 80")
+            .AppendLine($"      targetPort: {config.ContainerPort}");
+
+        // A ClusterIP service is only reachable from outside through an ingress
+        if (config.ServiceType == KubernetesServiceType.ClusterIP && !string.IsNullOrWhiteSpace(domainName))
+        {
+            manifest
+                .AppendLine("---")
+                .AppendLine("apiVersion: networking.k8s.io/v1")
+                .AppendLine("kind: Ingress")
+                .AppendLine("metadata:")
+                .AppendLine($"  name: {name}")
+                .AppendLine($"  namespace: {ns}")
+                .AppendLine("spec:")
+                .AppendLine("  rules:")
+                .AppendLine($"    - host: {domainName.ToLowerInvariant()}")
+                .AppendLine("      http:")
+                .AppendLine("        paths:")
+                .AppendLine("          - path: /")
+                .AppendLine("            pathType: Prefix")
+                .AppendLine("            backend:")
+                .AppendLine("              service:")
+                .AppendLine($"                name: {name}")
+                .AppendLine("                port:")
+                .AppendLine("                  number: 80");
+        }
+
+        return manifest.ToString();
+    }
+
+    /// <summary>
+    /// Kubernetes names are lower-case DNS labels
+    /// </summary>
+    private static string ToResourceName(string name)
+    {
+        var resourceName = Regex.Replace(name.ToLowerInvariant(), "[^a-z0-9-]+", "-").Trim('-');
+        if (resourceName.Length > 63)
+            resourceName = resourceName[..63].TrimEnd('-');
+
+        return resourceName.Length == 0 ? "app" : resourceName;
+    }
+
+    /// <summary>
+    /// "net8.0" or "netcoreapp3.1" to the runtime image tag
+    /// </summary>
+    private static string GetDotNetVersion(string frameworkVersion)
+    {
+        var match = Regex.Match(frameworkVersion, @"^net(?:coreapp)?(?<version>\d+\.\d+)");
+        return match.Success ? match.Groups["version"].Value : DefaultDotNetVersion;
+    }
+
+    /// <summary>
+    /// Published output has a runtimeconfig.json named after the entry assembly; fall back to the project name
+    /// </summary>
+    private static string GetAssemblyName(ApplicationDiscovery discovery)
+    {
+        const string runtimeConfigSuffix = ".runtimeconfig.json";
+
+        var runtimeConfig = Directory.Exists(discovery.Path)
+            ? Directory.EnumerateFiles(discovery.Path, "*" + runtimeConfigSuffix).FirstOrDefault()
+            : null;
+        if (runtimeConfig != null)
+            return Path.GetFileName(runtimeConfig)[..^runtimeConfigSuffix.Length];
+
+        return discovery.ProjectFilePath != null
+            ? Path.GetFileNameWithoutExtension(discovery.ProjectFilePath)
+            : "app";
+    }
+}
@@ -0,0 +1,325 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.Extensions.Logging;
+using System.Globalization;
+using System.Security.Cryptography;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// Database backups, taken before deployments or on demand, recorded with the SHA-256 of the backup file.
+/// A database is identified by server and name, and its latest deployment supplies the settings used to back it up,
+/// restore it and prune it: the connection, the backup folder and the retention policy. The newest backup of a
+/// database is never pruned, and a policy of Custom keeps everything.
+/// </summary>
+public class DatabaseBackupService : IDatabaseBackupService
+{
+    private const string DatabaseBackupType = "Database";
+
+    private readonly BackupOptions _options;
+    private readonly IDatabaseDeploymentService _databaseService;
+    private readonly IRepository<Backup> _backupRepo;
+    private readonly IRepository<Deployment> _deploymentRepo;
+    private readonly IAuditService _auditService;
+    private readonly ICurrentUserService _currentUser;
+    private readonly ILogger<DatabaseBackupService> _logger;
+
+    public DatabaseBackupService(
+        BackupOptions options,
+        IDatabaseDeploymentService databaseService,
+        IRepository<Backup> backupRepo,
+        IRepository<Deployment> deploymentRepo,
+        IAuditService auditService,
+        ICurrentUserService currentUser,
+        ILogger<DatabaseBackupService> logger)
+    {
+        _options = options;
+        _databaseService = databaseService;
+        _backupRepo = backupRepo;
+        _deploymentRepo = deploymentRepo;
+        _auditService = auditService;
+        _currentUser = currentUser;
+        _logger = logger;
+    }
+
+    public async Task<IEnumerable<DatabaseBackups>> GetDatabasesAsync()
+    {
+        var deployments = (await _deploymentRepo.GetAllAsync()).ToList();
+        var deploymentsById = deployments.ToDictionary(d => d.Id);
+        var backups = (await _backupRepo.FindAsync(b => b.BackupType == DatabaseBackupType))
+            .ToLookup(b => Key(b.ServerName, b.DatabaseName));
+
+        return deployments
+            .Where(UsesDatabase)
+            .GroupBy(d => Key(d.DatabaseConfig!.ServerName, d.DatabaseConfig.DatabaseName))
+            .Select(group =>
+            {
+                var latest = group.MaxBy(d => d.CreatedAt)!;
+                var databaseBackups = backups[group.Key]
+                    .OrderByDescending(b => b.BackupDate)
+                    .Select(b => BackupInfo.From(b, b.DeploymentId is { } id ? deploymentsById.GetValueOrDefault(id) : null))
+                    .ToList();
+
+                return new DatabaseBackups
+                {
+                    ServerName = latest.DatabaseConfig!.ServerName,
+                    DatabaseName = latest.DatabaseConfig.DatabaseName!,
+                    Provider = latest.DatabaseConfig.Provider,
+                    RetentionPolicy = latest.DatabaseConfig.RetentionPolicy,
+                    LatestDeploymentId = latest.Id,
+                    SiteName = latest.SiteName,
+                    Environment = latest.Environment,
+                    TotalSizeBytes = databaseBackups.Sum(b => b.FileSizeBytes),
+                    Backups = databaseBackups
+                };
+            })
+            .OrderBy(d => d.DatabaseName, StringComparer.OrdinalIgnoreCase)
+            .ThenBy(d => d.ServerName, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    public async Task<BackupResult> BackupAsync(DatabaseConfiguration config, Deployment? deployment = null)
+    {
+        var (result, _) = await TakeBackupAsync(config, deployment);
+        return result;
+    }
+
+    public async Task<BackupInfo> BackupNowAsync(BackupDatabaseRequest request)
+    {
+        if (string.IsNullOrWhiteSpace(request.DatabaseName))
+            throw new ArgumentException("Database name is required");
+
+        var latest = await GetLatestDeploymentAsync(request.ServerName, request.DatabaseName);
+        var (result, backup) = await TakeBackupAsync(latest.DatabaseConfig!, null);
+        if (backup == null)
+            throw new InvalidOperationException($"Backup of {request.DatabaseName} failed: {result.ErrorMessage}");
+
+        return BackupInfo.From(backup, null);
+    }
+
+    public async Task<BackupInfo> VerifyAsync(Guid backupId)
+    {
+        var backup = await GetBackupAsync(backupId);
+        await VerifyFileAsync(backup);
+
+        return BackupInfo.From(backup, await FindDeploymentAsync(backup));
+    }
+
+    public async Task<BackupInfo> RestoreAsync(Guid backupId)
+    {
+        var backup = await GetBackupAsync(backupId);
+        var latest = await GetLatestDeploymentAsync(backup.ServerName, backup.DatabaseName);
+
+        if (latest.Environment == DeploymentEnvironment.Production && !_currentUser.HasPermission(Permission.DeployProduction))
+            throw new UnauthorizedAccessException($"{_currentUser.UserName} is not allowed to restore Production databases");
+
+        // Queued and running deployments would work against a database that changes underneath them
+        var running = (await _deploymentRepo.FindAsync(d => d.CompletedAt == null && d.Status != DeploymentStatus.PendingApproval))
+            .Where(UsesDatabase)
+            .FirstOrDefault(d => Key(d.DatabaseConfig!.ServerName, d.DatabaseConfig.DatabaseName) == Key(backup.ServerName, backup.DatabaseName));
+        if (running != null)
+            throw new InvalidOperationException($"Deployment {running.Name} is using {backup.DatabaseName} ({running.Status}); restore once it finishes");
+
+        var problem = await VerifyFileAsync(backup);
+        if (problem != null)
+            throw new InvalidOperationException($"{problem}; the database was not restored");
+
+        await _databaseService.RestoreDatabaseAsync(latest.DatabaseConfig!, backup.FilePath);
+
+        backup.IsRestored = true;
+        backup.RestoredAt = DateTime.UtcNow;
+        backup.RestoredBy = _currentUser.UserName;
+        await _backupRepo.UpdateAsync(backup);
+
+        return BackupInfo.From(backup, await FindDeploymentAsync(backup));
+    }
+
+    public async Task<int> EnforceRetentionAsync(DateTime utcNow, CancellationToken cancellationToken = default)
+    {
+        if (!_options.EnforceRetention)
+            return 0;
+
+        var policies = (await _deploymentRepo.GetAllAsync())
+            .Where(UsesDatabase)
+            .GroupBy(d => Key(d.DatabaseConfig!.ServerName, d.DatabaseConfig.DatabaseName))
+            .ToDictionary(group => group.Key, group => group.MaxBy(d => d.CreatedAt)!.DatabaseConfig!.RetentionPolicy);
+        var backups = (await _backupRepo.FindAsync(b => b.BackupType == DatabaseBackupType))
+            .GroupBy(b => Key(b.ServerName, b.DatabaseName));
+
+        var pruned = 0;
+        foreach (var group in backups)
+        {
+            // Without a deployment to say which policy applies, everything is kept
+            if (!policies.TryGetValue(group.Key, out var policy))
+                continue;
+
+            var newestFirst = group.OrderByDescending(b => b.BackupDate).ToList();
+            var retained = Retained(newestFirst, policy, utcNow);
+
+            foreach (var backup in newestFirst.Where(b => !retained.Contains(b.Id)))
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                try
+                {
+                    if (File.Exists(backup.FilePath))
+                        File.Delete(backup.FilePath);
+                }
+                catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+                {
+                    // Kept on record so the next run tries again
+                    _logger.LogWarning(ex, "Could not delete backup {Path}", backup.FilePath);
+                    continue;
+                }
+
+                await _backupRepo.DeleteAsync(backup.Id);
+                await _auditService.LogEventAsync(
+                    AuditEventType.ConfigurationChanged,
+                    _currentUser.UserName,
+                    "PruneBackup",
+                    backup.Id.ToString(),
+                    new Dictionary<string, object>
+                    {
+                        ["Database"] = backup.DatabaseName,
+                        ["FilePath"] = backup.FilePath,
+                        ["BackupDate"] = backup.BackupDate,
+                        ["RetentionPolicy"] = policy.ToString()
+                    });
+                pruned++;
+            }
+        }
+
+        return pruned;
+    }
+
+    private async Task<(BackupResult Result, Backup? Backup)> TakeBackupAsync(DatabaseConfiguration config, Deployment? deployment)
+    {
+        var directory = GetBackupDirectory(config);
+        var name = $"{config.DatabaseName}_backup_{DateTime.Now:yyyyMMddHHmmss}";
+        var path = Path.Combine(directory, $"{name}.bak");
+        for (var i = 2; File.Exists(path); i++)
+            path = Path.Combine(directory, $"{name}_{i}.bak");
+
+        var result = await _databaseService.BackupDatabaseAsync(config, path);
+        if (!result.Success)
+            return (result, null);
+
+        // Providers that don't report a checksum get one from the file, when this server can read it
+        var exists = File.Exists(result.BackupPath);
+        var checksum = result.Checksum ?? (exists ? await ComputeChecksumAsync(result.BackupPath) : null);
+        var backupDate = DateTime.UtcNow;
+
+        var backup = await _backupRepo.AddAsync(new Backup
+        {
+            DeploymentId = deployment?.Id,
+            BackupType = DatabaseBackupType,
+            FilePath = result.BackupPath,
+            FileSizeBytes = exists ? new FileInfo(result.BackupPath).Length : result.FileSizeBytes,
+            ServerName = config.ServerName,
+            DatabaseName = config.DatabaseName ?? string.Empty,
+            BackupDate = backupDate,
+            ExpiryDate = GetExpiryDate(config.RetentionPolicy, backupDate),
+            Checksum = checksum,
+            CreatedBy = _currentUser.UserName
+        });
+
+        return (result with { Checksum = checksum, FileSizeBytes = backup.FileSizeBytes }, backup);
+    }
+
+    /// <summary>
+    /// Records the outcome on the backup and returns what is wrong with the file, or null when it matches its checksum
+    /// </summary>
+    private async Task<string?> VerifyFileAsync(Backup backup)
+    {
+        string? problem = null;
+        if (string.IsNullOrEmpty(backup.Checksum))
+            problem = "No checksum was recorded for this backup, so it cannot be verified";
+        else if (!File.Exists(backup.FilePath))
+            problem = $"Backup file {backup.FilePath} no longer exists";
+        else if (!string.Equals(await ComputeChecksumAsync(backup.FilePath), backup.Checksum, StringComparison.OrdinalIgnoreCase))
+            problem = $"Backup file {backup.FilePath} no longer matches its checksum";
+
+        backup.Verified = problem == null;
+        backup.VerifiedAt = DateTime.UtcNow;
+        await _backupRepo.UpdateAsync(backup);
+
+        return problem;
+    }
+
+    private static async Task<string> ComputeChecksumAsync(string path)
+    {
+        await using var stream = File.OpenRead(path);
+        return Convert.ToHexString(await SHA256.HashDataAsync(stream)).ToLowerInvariant();
+    }
+
+    // Deployments replace BackupPath with the file they backed up to, so a file name stands for its folder
+    private string GetBackupDirectory(DatabaseConfiguration config)
+    {
+        var path = config.BackupPath;
+        if (string.IsNullOrWhiteSpace(path))
+            return string.IsNullOrWhiteSpace(_options.DefaultPath) ? Path.GetTempPath() : _options.DefaultPath;
+
+        return Path.GetExtension(path).Equals(".bak", StringComparison.OrdinalIgnoreCase)
+            ? Path.GetDirectoryName(path) ?? Path.GetTempPath()
+            : path;
+    }
+
+    private static DateTime? GetExpiryDate(BackupRetentionPolicy policy, DateTime backupDate) => policy switch
+    {
+        BackupRetentionPolicy.KeepDaily7Days => backupDate.AddDays(7),
+        BackupRetentionPolicy.KeepWeekly30Days => backupDate.AddDays(30),
+        BackupRetentionPolicy.KeepMonthly1Year => backupDate.AddYears(1),
+        _ => null
+    };
+
+    /// <summary>
+    /// Ids of the backups the policy keeps: the newest N, or the newest of each day, week or month within the period
+    /// </summary>
+    private static HashSet<Guid> Retained(List<Backup> newestFirst, BackupRetentionPolicy policy, DateTime utcNow)
+    {
+        IEnumerable<Backup> kept = policy switch
+        {
+            BackupRetentionPolicy.KeepLast5 => newestFirst.Take(5),
+            BackupRetentionPolicy.KeepLast10 => newestFirst.Take(10),
+            BackupRetentionPolicy.KeepDaily7Days =>
+                NewestOfEach(newestFirst, b => b.BackupDate.Date, utcNow.AddDays(-7)),
+            BackupRetentionPolicy.KeepWeekly30Days =>
+                NewestOfEach(newestFirst, b => (ISOWeek.GetYear(b.BackupDate), ISOWeek.GetWeekOfYear(b.BackupDate)), utcNow.AddDays(-30)),
+            BackupRetentionPolicy.KeepMonthly1Year =>
+                NewestOfEach(newestFirst, b => (b.BackupDate.Year, b.BackupDate.Month), utcNow.AddYears(-1)),
+            _ => newestFirst
+        };
+
+        return kept.Prepend(newestFirst[0]).Select(b => b.Id).ToHashSet();
+    }
+
+    private static IEnumerable<Backup> NewestOfEach<TPeriod>(List<Backup> newestFirst, Func<Backup, TPeriod> period, DateTime since) =>
+        newestFirst.Where(b => b.BackupDate >= since).GroupBy(period).Select(group => group.First());
+
+    private static bool UsesDatabase(Deployment deployment) =>
+        !string.IsNullOrEmpty(deployment.DatabaseConfig?.DatabaseName) &&
+        deployment.Status is not (DeploymentStatus.PendingApproval or DeploymentStatus.Rejected);
+
+    private static string Key(string? serverName, string? databaseName) =>
+        $"{serverName}|{databaseName}".ToLowerInvariant();
+
+    private async Task<Deployment> GetLatestDeploymentAsync(string? serverName, string databaseName)
+    {
+        var key = Key(serverName, databaseName);
+        return (await _deploymentRepo.GetAllAsync())
+            .Where(UsesDatabase)
+            .Where(d => Key(d.DatabaseConfig!.ServerName, d.DatabaseConfig.DatabaseName) == key)
+            .MaxBy(d => d.CreatedAt)
+            ?? throw new KeyNotFoundException($"No deployment uses database {databaseName}");
+    }
+
+    private async Task<Backup> GetBackupAsync(Guid id) =>
+        await _backupRepo.GetByIdAsync(id) is { BackupType: DatabaseBackupType } backup
+            ? backup
+            : throw new KeyNotFoundException($"Backup {id} not found");
+
+    private async Task<Deployment?> FindDeploymentAsync(Backup backup) =>
+        backup.DeploymentId is { } id ? await _deploymentRepo.GetByIdAsync(id) : null;
+}
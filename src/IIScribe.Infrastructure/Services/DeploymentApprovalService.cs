@@ -0,0 +1,249 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using LogLevel = IIScribe.Core.Enums.LogLevel;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// Holds deployments to gated environments until enough approvers have signed off, and keeps deployments
+/// inside their environment's change windows. Nobody can approve a deployment they requested.
+/// </summary>
+public class DeploymentApprovalService : IDeploymentApprovalService
+{
+    private static readonly List<UserRole> DefaultApproverRoles = new() { UserRole.Administrator };
+
+    private readonly IReadOnlyList<ApprovalPolicy> _policies;
+    private readonly TimeZoneInfo _timeZone;
+    private readonly IRepository<Deployment> _deploymentRepo;
+    private readonly IDeploymentQueue _queue;
+    private readonly IDeploymentLogger _logger;
+    private readonly IAuditService _auditService;
+    private readonly ICurrentUserService _currentUser;
+
+    // Two approvers deciding at once must not both queue the deployment
+    private readonly SemaphoreSlim _decisionLock = new(1, 1);
+
+    public DeploymentApprovalService(
+        IEnumerable<ApprovalPolicy> policies,
+        TimeZoneInfo timeZone,
+        IRepository<Deployment> deploymentRepo,
+        IDeploymentQueue queue,
+        IDeploymentLogger logger,
+        IAuditService auditService,
+        ICurrentUserService currentUser)
+    {
+        _policies = policies.ToList();
+        _timeZone = timeZone;
+        _deploymentRepo = deploymentRepo;
+        _queue = queue;
+        _logger = logger;
+        _auditService = auditService;
+        _currentUser = currentUser;
+    }
+
+    public IReadOnlyList<ApprovalPolicy> GetPolicies() => _policies;
+
+    public ApprovalPolicy? GetPolicy(DeploymentEnvironment environment) =>
+        _policies.FirstOrDefault(p => p.Environment == environment);
+
+    public ChangeWindowStatus GetChangeWindowStatus(DeploymentEnvironment environment, DateTime utcNow)
+    {
+        var windows = GetPolicy(environment)?.ChangeWindows ?? new List<ChangeWindow>();
+        if (windows.Count == 0)
+            return new ChangeWindowStatus { IsOpen = true, TimeZone = _timeZone.Id };
+
+        // Window occurrences from yesterday (one may run past midnight) to a week ahead, in local time
+        var localNow = TimeZoneInfo.ConvertTimeFromUtc(utcNow, _timeZone);
+        var occurrences = Enumerable.Range(-1, 9)
+            .Select(offset => localNow.Date.AddDays(offset))
+            .SelectMany(day => windows
+                .Where(w => w.Days.Contains(day.DayOfWeek))
+                .Select(w => (Start: day + w.Start, End: day.AddDays(w.End <= w.Start ? 1 : 0) + w.End)))
+            .ToList();
+
+        var open = occurrences.Where(o => o.Start <= localNow && localNow < o.End).ToList();
+        if (open.Count > 0)
+        {
+            return new ChangeWindowStatus
+            {
+                IsOpen = true,
+                ClosesAt = ToUtc(open.Max(o => o.End)),
+                TimeZone = _timeZone.Id
+            };
+        }
+
+        var next = occurrences.Where(o => o.Start > localNow).Select(o => (DateTime?)o.Start).Min();
+        return new ChangeWindowStatus
+        {
+            IsOpen = false,
+            NextOpensAt = next.HasValue ? ToUtc(next.Value) : null,
+            TimeZone = _timeZone.Id
+        };
+    }
+
+    public async Task EnsureChangeWindowAsync(Deployment deployment)
+    {
+        var window = GetChangeWindowStatus(deployment.Environment, DateTime.UtcNow);
+        if (window.IsOpen)
+            return;
+
+        if (string.IsNullOrWhiteSpace(deployment.EmergencyJustification))
+            throw new UnauthorizedAccessException(ClosedMessage(deployment.Environment, window));
+
+        await _auditService.LogEventAsync(
+            AuditEventType.ChangeWindowOverridden,
+            _currentUser.UserName,
+            "EmergencyOverride",
+            deployment.Id.ToString(),
+            new Dictionary<string, object>
+            {
+                ["Environment"] = deployment.Environment.ToString(),
+                ["Justification"] = deployment.EmergencyJustification
+            });
+    }
+
+    public async Task<IEnumerable<PendingApprovalInfo>> GetPendingAsync()
+    {
+        var pending = await _deploymentRepo.FindAsync(d => d.Status == DeploymentStatus.PendingApproval);
+
+        return pending
+            .OrderBy(d => d.CreatedAt)
+            .Select(d =>
+            {
+                var reason = CannotApproveReason(d);
+                return new PendingApprovalInfo
+                {
+                    Deployment = d,
+                    CanApprove = reason == null,
+                    CannotApproveReason = reason,
+                    ChangeWindow = GetChangeWindowStatus(d.Environment, DateTime.UtcNow)
+                };
+            })
+            .ToList();
+    }
+
+    public async Task<Deployment> DecideAsync(Guid deploymentId, bool approve, string? comment)
+    {
+        await _decisionLock.WaitAsync();
+        try
+        {
+            var deployment = await _deploymentRepo.GetByIdAsync(deploymentId)
+                ?? throw new InvalidOperationException($"Deployment not found: {deploymentId}");
+
+            if (deployment.Status != DeploymentStatus.PendingApproval)
+                throw new InvalidOperationException($"Deployment is not waiting for approval ({deployment.Status})");
+
+            var reason = CannotApproveReason(deployment);
+            if (reason != null)
+                throw new UnauthorizedAccessException(reason);
+
+            if (!approve && string.IsNullOrWhiteSpace(comment))
+                throw new ArgumentException("Give a reason for rejecting the deployment");
+
+            var approvals = deployment.Approvals.Count(a => a.Approved) + (approve ? 1 : 0);
+            var complete = approve && approvals >= deployment.RequiredApprovals;
+
+            // The final approval starts the deployment, so it has to land inside the change window too
+            if (complete && string.IsNullOrWhiteSpace(deployment.EmergencyJustification))
+            {
+                var window = GetChangeWindowStatus(deployment.Environment, DateTime.UtcNow);
+                if (!window.IsOpen)
+                    throw new UnauthorizedAccessException(ClosedMessage(deployment.Environment, window));
+            }
+
+            deployment.Approvals.Add(new DeploymentApproval
+            {
+                UserName = _currentUser.UserName,
+                Role = _currentUser.Role!.Value,
+                Approved = approve,
+                Comment = string.IsNullOrWhiteSpace(comment) ? null : comment.Trim()
+            });
+
+            if (!approve)
+            {
+                deployment.Status = DeploymentStatus.Rejected;
+                deployment.CompletedAt = DateTime.UtcNow;
+                deployment.ErrorMessage = $"Rejected by {_currentUser.UserName}: {comment!.Trim()}";
+            }
+            else if (complete)
+            {
+                deployment.Status = DeploymentStatus.Pending;
+            }
+            await _deploymentRepo.UpdateAsync(deployment);
+
+            await _logger.LogAsync(deployment.Id, approve ? LogLevel.Information : LogLevel.Warning,
+                approve
+                    ? $"Approved by {_currentUser.UserName} ({approvals} of {deployment.RequiredApprovals})"
+                    : deployment.ErrorMessage!, null);
+
+            await _auditService.LogEventAsync(
+                approve ? AuditEventType.DeploymentApproved : AuditEventType.DeploymentRejected,
+                _currentUser.UserName,
+                approve ? "Approve" : "Reject",
+                deployment.Id.ToString(),
+                new Dictionary<string, object>
+                {
+                    ["Environment"] = deployment.Environment.ToString(),
+                    ["Approvals"] = $"{approvals}/{deployment.RequiredApprovals}",
+                    ["Comment"] = comment?.Trim() ?? string.Empty
+                });
+
+            if (complete)
+            {
+                await _queue.EnqueueAsync(new QueuedDeployment
+                {
+                    DeploymentId = deployment.Id,
+                    Request = DeploymentRequest.From(deployment),
+                    SiteName = deployment.SiteName ?? string.Empty
+                });
+            }
+
+            return deployment;
+        }
+        finally
+        {
+            _decisionLock.Release();
+        }
+    }
+
+    private string? CannotApproveReason(Deployment deployment)
+    {
+        var role = _currentUser.Role;
+        var roles = GetPolicy(deployment.Environment)?.ApproverRoles is { Count: > 0 } configured
+            ? configured
+            : DefaultApproverRoles;
+
+        if (role == null || !roles.Contains(role.Value))
+            return $"Only {string.Join(", ", roles)} can approve {deployment.Environment} deployments";
+
+        if (string.Equals(deployment.CreatedBy, _currentUser.UserName, StringComparison.OrdinalIgnoreCase))
+            return "You requested this deployment";
+
+        if (deployment.Approvals.Any(a => string.Equals(a.UserName, _currentUser.UserName, StringComparison.OrdinalIgnoreCase)))
+            return "You have already approved this deployment";
+
+        return null;
+    }
+
+    private string ClosedMessage(DeploymentEnvironment environment, ChangeWindowStatus window)
+    {
+        var next = window.NextOpensAt.HasValue
+            ? $"; the next one opens {TimeZoneInfo.ConvertTimeFromUtc(window.NextOpensAt.Value, _timeZone):ddd yyyy-MM-dd HH:mm} ({_timeZone.Id})"
+            : string.Empty;
+
+        return $"{environment} deployments are only allowed inside a change window{next}. " +
+               "Give an emergency justification to deploy anyway.";
+    }
+
+    // A local time skipped by a daylight saving change is moved past the gap
+    private DateTime ToUtc(DateTime local)
+    {
+        local = DateTime.SpecifyKind(local, DateTimeKind.Unspecified);
+        if (_timeZone.IsInvalidTime(local))
+            local = local.AddHours(1);
+
+        return TimeZoneInfo.ConvertTimeToUtc(local, _timeZone);
+    }
+}
@@ -2,7 +2,10 @@ using IIScribe.Core.DTOs;
 using IIScribe.Core.Entities;
 using IIScribe.Core.Enums;
 using IIScribe.Core.Interfaces;
+using System.Data.Common;
 using System.Diagnostics;
+using System.Text.Json;
+using System.Text.RegularExpressions;
 using LogLevel = IIScribe.Core.Enums.LogLevel;
 
 namespace IIScribe.Infrastructure.Services;
@@ -15,6 +18,7 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
     private readonly IApplicationDiscoveryService _discoveryService;
     private readonly IIISDeploymentService _iisService;
     private readonly IDatabaseDeploymentService _databaseService;
+    private readonly IDatabaseBackupService _backupService;
     private readonly ICertificateService _certificateService;
     private readonly IHealthCheckService _healthCheckService;
     private readonly INotificationService _notificationService;
@@ -23,11 +27,16 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
     private readonly IRepository<DeploymentProfile> _profileRepo;
     private readonly IAuditService _auditService;
     private readonly ICloudDeploymentService _cloudService;
+    private readonly ICurrentUserService _currentUser;
+    private readonly IDeploymentApprovalService _approvalService;
+    private readonly IEncryptionService _encryptionService;
+    private readonly IContainerManifestService _containerService;
 
     public DeploymentOrchestrator(
         IApplicationDiscoveryService discoveryService,
         IIISDeploymentService iisService,
         IDatabaseDeploymentService databaseService,
+        IDatabaseBackupService backupService,
         ICertificateService certificateService,
         IHealthCheckService healthCheckService,
         INotificationService notificationService,
@@ -35,11 +44,16 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
         IRepository<Deployment> deploymentRepo,
         IRepository<DeploymentProfile> profileRepo,
         IAuditService auditService,
-        ICloudDeploymentService cloudService)
+        ICloudDeploymentService cloudService,
+        ICurrentUserService currentUser,
+        IDeploymentApprovalService approvalService,
+        IEncryptionService encryptionService,
+        IContainerManifestService containerService)
     {
         _discoveryService = discoveryService;
         _iisService = iisService;
         _databaseService = databaseService;
+        _backupService = backupService;
         _certificateService = certificateService;
         _healthCheckService = healthCheckService;
         _notificationService = notificationService;
@@ -48,19 +62,229 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
         _profileRepo = profileRepo;
         _auditService = auditService;
         _cloudService = cloudService;
+        _currentUser = currentUser;
+        _approvalService = approvalService;
+        _encryptionService = encryptionService;
+        _containerService = containerService;
     }
 
     public async Task<DeploymentResult> DeployAsync(
         DeploymentRequest request,
         CancellationToken cancellationToken = default)
+    {
+        request = ProtectSecrets(request);
+        var deployment = await CreateDeploymentAsync(request);
+        if (deployment.Status == DeploymentStatus.PendingApproval)
+        {
+            // Runs from the queue once approved
+            return new DeploymentResult
+            {
+                DeploymentId = deployment.Id,
+                Url = deployment.TargetUrl,
+                Status = deployment.Status
+            };
+        }
+
+        return await ExecuteDeploymentAsync(deployment.Id, request, cancellationToken);
+    }
+
+    public Task<Deployment> CreateDeploymentAsync(DeploymentRequest request)
+    {
+        return CreateDeploymentRecordAsync(request);
+    }
+
+    public DeploymentRequest ProtectSecrets(DeploymentRequest request)
+    {
+        var secrets = request.Secrets;
+        if (secrets == null)
+            return request;
+
+        string? Encrypt(string? secret) =>
+            string.IsNullOrEmpty(secret) ? null : _encryptionService.Encrypt(secret);
+
+        var cloud = request.CloudConfig;
+        if (!string.IsNullOrEmpty(secrets.AwsSecretAccessKey) ||
+            !string.IsNullOrEmpty(secrets.GcpServiceAccountKey) ||
+            !string.IsNullOrEmpty(secrets.RemotePassword))
+        {
+            cloud ??= new CloudConfiguration();
+            cloud.AwsSecretKeyEncrypted = Encrypt(secrets.AwsSecretAccessKey) ?? cloud.AwsSecretKeyEncrypted;
+            cloud.GcpServiceAccountKeyEncrypted = Encrypt(secrets.GcpServiceAccountKey) ?? cloud.GcpServiceAccountKeyEncrypted;
+            cloud.RemotePasswordEncrypted = Encrypt(secrets.RemotePassword) ?? cloud.RemotePasswordEncrypted;
+        }
+
+        var container = request.ContainerConfig;
+        if (!string.IsNullOrEmpty(secrets.RegistryPassword))
+        {
+            container ??= new ContainerConfiguration();
+            container.RegistryPasswordEncrypted = Encrypt(secrets.RegistryPassword);
+        }
+
+        return request with { CloudConfig = cloud, ContainerConfig = container, Secrets = null };
+    }
+
+    /// <summary>
+    /// Pre-flight check: discover the application and find anything that would make the deployment fail
+    /// </summary>
+    public async Task<PreflightResult> AnalyzeAsync(DeploymentRequest request)
+    {
+        var errors = new List<PreflightIssue>();
+        var warnings = new List<PreflightIssue>();
+
+        DeploymentProfile? profile = null;
+        if (!string.IsNullOrEmpty(request.ProfileId))
+        {
+            profile = Guid.TryParse(request.ProfileId, out var profileId)
+                ? await _profileRepo.GetByIdAsync(profileId)
+                : null;
+
+            if (profile == null)
+                errors.Add(new("profileId", $"Profile not found: {request.ProfileId}"));
+        }
+
+        // Application
+        ApplicationDiscovery? discovery = null;
+        if (string.IsNullOrWhiteSpace(request.ApplicationPath))
+        {
+            errors.Add(new("applicationPath", "Application path is required"));
+        }
+        else if (!Directory.Exists(request.ApplicationPath))
+        {
+            errors.Add(new("applicationPath", $"Application path not found on the server: {request.ApplicationPath}"));
+        }
+        else
+        {
+            discovery = await _discoveryService.DiscoverAsync(request.ApplicationPath);
+            warnings.AddRange(discovery.Warnings.Select(w => new PreflightIssue("applicationPath", w)));
+        }
+
+        // Domain, resolved the same way CreateDeploymentRecordAsync does
+        var environment = request.Environment ?? profile?.Environment ?? DeploymentEnvironment.Development;
+        if (environment == DeploymentEnvironment.Production && !_currentUser.HasPermission(Permission.DeployProduction))
+            errors.Add(new("environment", $"{_currentUser.UserName} is not allowed to deploy to Production"));
+
+        var window = _approvalService.GetChangeWindowStatus(environment, DateTime.UtcNow);
+        if (!window.IsOpen && string.IsNullOrWhiteSpace(request.EmergencyJustification))
+            errors.Add(new("emergencyJustification", $"The {environment} change window is closed; give an emergency justification to deploy anyway"));
+        else if (!window.IsOpen)
+            warnings.Add(new("emergencyJustification", $"Deploying outside the {environment} change window as an emergency; the justification is audited"));
+
+        var requiredApprovals = _approvalService.GetPolicy(environment)?.RequiredApprovals ?? 0;
+        if (requiredApprovals > 0)
+            warnings.Add(new("environment", $"{environment} deployments wait for {requiredApprovals} approval(s) before they run"));
+
+        var domainName = ExpandDomainPattern(
+            request.DomainName ?? profile?.DomainPattern ?? "myapp.local",
+            request.ApplicationPath,
+            environment);
+        var siteName = domainName.Replace(".", "_");
+
+        if (string.IsNullOrWhiteSpace(domainName))
+        {
+            errors.Add(new("domainName", "Domain name is required"));
+        }
+        else if (!IsValidHostName(domainName))
+        {
+            errors.Add(new("domainName", $"'{domainName}' is not a valid host name. Use letters, digits and hyphens separated by dots."));
+        }
+        else if (environment == DeploymentEnvironment.Production &&
+                 new[] { ".local", ".test", ".localhost" }.Any(suffix => domainName.EndsWith(suffix, StringComparison.OrdinalIgnoreCase)))
+        {
+            warnings.Add(new("domainName", $"'{domainName}' is a development domain but the environment is Production"));
+        }
+
+        // Ports
+        var httpPort = request.HttpPort ?? profile?.HttpPort ?? 80;
+        var httpsPort = request.HttpsPort ?? profile?.HttpsPort ?? 443;
+        var enableHttps = (request.SslConfig ?? profile?.SslTemplate) != null;
+
+        if (httpPort is < 1 or > 65535)
+            errors.Add(new("httpPort", $"HTTP port {httpPort} is outside 1-65535"));
+        if (httpsPort is < 1 or > 65535)
+            errors.Add(new("httpsPort", $"HTTPS port {httpsPort} is outside 1-65535"));
+        if (enableHttps && httpPort == httpsPort)
+            errors.Add(new("httpsPort", "HTTP and HTTPS must use different ports"));
+
+        var siteExists = false;
+        try
+        {
+            var sites = (await _iisService.GetAllSitesAsync()).ToList();
+            siteExists = sites.Any(s => s.SiteName.Equals(siteName, StringComparison.OrdinalIgnoreCase));
+
+            // The site being redeployed keeps its own bindings, so only other sites can conflict
+            foreach (var site in sites.Where(s => !s.SiteName.Equals(siteName, StringComparison.OrdinalIgnoreCase)))
+            {
+                if (BindingConflicts(site, domainName, httpPort))
+                    errors.Add(new("httpPort", $"Port {httpPort} is already bound for {domainName} by site {site.SiteName}"));
+                if (enableHttps && BindingConflicts(site, domainName, httpsPort))
+                    errors.Add(new("httpsPort", $"Port {httpsPort} is already bound for {domainName} by site {site.SiteName}"));
+            }
+        }
+        catch (Exception ex)
+        {
+            warnings.Add(new("target", $"Could not check existing sites for port conflicts: {ex.Message}"));
+        }
+
+        if (siteExists)
+            warnings.Add(new("domainName", $"Site {siteName} already exists and will be redeployed"));
+
+        // Target
+        var target = request.Target ?? profile?.Target ?? DeploymentTarget.LocalIIS;
+        ValidateTarget(target, ResolveCloudConfig(request, profile, target), request.ContainerConfig, request.Secrets, errors, warnings);
+
+        // Database
+        var database = request.DatabaseConfig ?? profile?.DatabaseTemplate;
+        if (database != null)
+            ValidateDatabase(database, environment, errors, warnings);
+
+        ContainerPreview? containerPreview = null;
+        var container = request.ContainerConfig;
+        if (discovery != null && target is DeploymentTarget.Docker or DeploymentTarget.Kubernetes &&
+            !string.IsNullOrWhiteSpace(container?.ImageName))
+        {
+            var environmentVariables = new Dictionary<string, string>(profile?.EnvironmentVariables ?? new());
+            foreach (var (key, value) in request.EnvironmentVariables)
+                environmentVariables[key] = value;
+
+            containerPreview = new ContainerPreview
+            {
+                Image = _containerService.GetImageReference(container),
+                Dockerfile = _containerService.GenerateDockerfile(discovery, container),
+                KubernetesManifest = target == DeploymentTarget.Kubernetes
+                    ? _containerService.GenerateKubernetesManifest(siteName, domainName, container, environmentVariables)
+                    : null,
+                RunCommand = target == DeploymentTarget.Docker
+                    ? _containerService.GenerateRunCommand(siteName, container.HostPort ?? httpPort, container)
+                    : null
+            };
+        }
+
+        return new PreflightResult
+        {
+            Discovery = discovery,
+            Environment = environment,
+            DomainName = domainName,
+            SiteName = siteName,
+            SiteExists = siteExists,
+            SuggestedDatabase = discovery == null ? null : SuggestDatabase(discovery, request.ApplicationPath, environment),
+            ContainerPreview = containerPreview,
+            Errors = errors,
+            Warnings = warnings
+        };
+    }
+
+    public async Task<DeploymentResult> ExecuteDeploymentAsync(
+        Guid deploymentId,
+        DeploymentRequest request,
+        CancellationToken cancellationToken = default)
     {
         var stopwatch = Stopwatch.StartNew();
         Deployment deployment = null!;
 
         try
         {
-            // Create deployment record
-            deployment = await CreateDeploymentRecordAsync(request);
+            deployment = await _deploymentRepo.GetByIdAsync(deploymentId)
+                ?? throw new InvalidOperationException($"Deployment not found: {deploymentId}");
             deployment.Status = DeploymentStatus.InProgress;
             deployment.StartedAt = DateTime.UtcNow;
             await _deploymentRepo.UpdateAsync(deployment);
@@ -68,22 +292,35 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
             await _logger.LogAsync(deployment.Id, LogLevel.Information, 
                 "Deployment started", null);
 
-            // Send start notification
-            if (request.SendNotifications)
-            {
-                // Get notification config and send
-            }
+            await _auditService.LogEventAsync(
+                AuditEventType.DeploymentStarted,
+                deployment.CreatedBy,
+                "Deploy",
+                deployment.Id.ToString(),
+                new Dictionary<string, object>
+                {
+                    ["Environment"] = deployment.Environment.ToString(),
+                    ["Target"] = deployment.Target.ToString()
+                });
+
+            await NotifyAsync(deployment, NotificationEvent.DeploymentStarted);
 
-            // Detect cloud environment if needed
-            if (request.Target == DeploymentTarget.AzureVM || 
-                request.Target == DeploymentTarget.AWSEC2)
+            // Detect cloud environment if needed, keeping the settings the deployment was created with
+            if (deployment.Target is DeploymentTarget.AzureVM or DeploymentTarget.AWSEC2 or DeploymentTarget.GoogleCloudVM)
             {
                 var cloudInfo = await _cloudService.DetectCloudEnvironmentAsync();
-                deployment.CloudConfig = new CloudConfiguration
+                deployment.CloudConfig ??= new CloudConfiguration();
+                if (deployment.CloudConfig.Provider == CloudProvider.None)
+                    deployment.CloudConfig.Provider = cloudInfo.Provider;
+                deployment.CloudConfig.PublicIpAddress = cloudInfo.PublicIp ?? deployment.CloudConfig.PublicIpAddress;
+
+                var publicIp = deployment.CloudConfig.PublicIpAddress;
+                if (deployment.CloudConfig.ManageDns && !string.IsNullOrEmpty(publicIp))
                 {
-                    Provider = cloudInfo.Provider,
-                    PublicIpAddress = cloudInfo.PublicIp
-                };
+                    await _cloudService.UpdateDnsAsync(deployment.CloudConfig, publicIp);
+                    await _logger.LogAsync(deployment.Id, LogLevel.Information,
+                        $"DNS record {deployment.CloudConfig.DnsRecordName ?? deployment.DomainName} in {deployment.CloudConfig.DnsZone} points to {publicIp}", null);
+                }
             }
 
             // Discover application
@@ -92,10 +329,17 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
             
             var appDiscovery = await _discoveryService.DiscoverAsync(request.ApplicationPath);
             deployment.ApplicationType = appDiscovery.DetectedType;
+
+            // Fingerprint the build so a promotion can tell whether the folder still holds it
+            var contentHash = await ApplicationContentHash.ComputeAsync(deployment.ApplicationPath, cancellationToken);
+            if (deployment.Metadata.TryGetValue("ExpectedContentHash", out var expectedHash) && expectedHash != contentHash)
+            {
+                throw new InvalidOperationException(
+                    $"The files in {deployment.ApplicationPath} have changed since the deployment being promoted, so this would deploy a different build");
+            }
+            deployment.Metadata["ContentHash"] = contentHash;
             await _deploymentRepo.UpdateAsync(deployment);
 
-            deployment.Status = DeploymentStatus.ValidationFailed;
-            
             // Validate IIS installation
             if (!await _iisService.IsIISInstalledAsync())
             {
@@ -112,7 +356,7 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
 
             // Database deployment
             DatabaseDeploymentResult? dbResult = null;
-            if (deployment.DatabaseConfig != null)
+            if (deployment.DatabaseConfig is { DeploymentMode: not DatabaseDeploymentMode.None })
             {
                 deployment.Status = DeploymentStatus.DatabaseDeploying;
                 await _deploymentRepo.UpdateAsync(deployment);
@@ -146,6 +390,18 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
                 await _deploymentRepo.UpdateAsync(deployment);
 
                 healthSummary = await _healthCheckService.RunAllChecksAsync(deployment);
+                deployment.HealthChecks = healthSummary.Results
+                    .Select(r => new HealthCheck
+                    {
+                        DeploymentId = deployment.Id,
+                        CheckName = r.CheckName,
+                        Status = r.Status,
+                        Message = r.Message,
+                        ResponseTimeMs = r.ResponseTimeMs,
+                        CheckedAt = r.CheckedAt,
+                        Data = r.Data
+                    })
+                    .ToList();
             }
 
             // Success!
@@ -169,6 +425,8 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
                     ["Duration"] = deployment.DurationSeconds
                 });
 
+            await NotifyAsync(deployment, NotificationEvent.DeploymentSucceeded);
+
             return new DeploymentResult
             {
                 Success = true,
@@ -186,8 +444,11 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
         {
             if (deployment != null)
             {
+                // Remember which stage failed so the UI can stop on that step
+                deployment.Metadata["FailedStage"] = deployment.Status.ToString();
                 deployment.Status = DeploymentStatus.Failed;
                 deployment.ErrorMessage = ex.Message;
+                deployment.RollbackCommand = $"iiscribe rollback --id {deployment.Id}";
                 deployment.CompletedAt = DateTime.UtcNow;
                 deployment.DurationSeconds = (int)stopwatch.Elapsed.TotalSeconds;
                 await _deploymentRepo.UpdateAsync(deployment);
@@ -205,10 +466,12 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
                         ["Error"] = ex.Message
                     });
 
+                await NotifyAsync(deployment, NotificationEvent.DeploymentFailed);
+
                 // Auto-rollback if configured
                 if (deployment.DatabaseConfig?.AutoRollbackOnFailure == true)
                 {
-                    await RollbackAsync(deployment.Id, cancellationToken);
+                    await RollbackAsync(deployment.Id, cancellationToken: cancellationToken);
                 }
             }
 
@@ -217,13 +480,15 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
                 Success = false,
                 DeploymentId = deployment?.Id ?? Guid.Empty,
                 Status = DeploymentStatus.Failed,
-                ErrorMessage = ex.Message
+                ErrorMessage = ex.Message,
+                RollbackCommand = deployment?.RollbackCommand
             };
         }
     }
 
     public async Task<DeploymentResult> RollbackAsync(
         Guid deploymentId,
+        Guid? targetDeploymentId = null,
         CancellationToken cancellationToken = default)
     {
         var deployment = await _deploymentRepo.GetByIdAsync(deploymentId);
@@ -232,14 +497,20 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
 
         try
         {
+            if (targetDeploymentId.HasValue)
+            {
+                return await RollbackToDeploymentAsync(deployment, targetDeploymentId.Value, cancellationToken);
+            }
+
             await _logger.LogAsync(deploymentId, LogLevel.Warning, 
                 "Starting rollback...", null);
 
-            deployment.Status = DeploymentStatus.RolledBack;
-
             // Rollback database if backup exists
             if (deployment.DatabaseConfig?.BackupPath != null)
             {
+                deployment.Status = DeploymentStatus.DatabaseDeploying;
+                await _deploymentRepo.UpdateAsync(deployment);
+
                 await _databaseService.RestoreDatabaseAsync(
                     deployment.DatabaseConfig, 
                     deployment.DatabaseConfig.BackupPath);
@@ -248,9 +519,14 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
             // Stop and remove IIS site
             if (deployment.SiteName != null)
             {
+                deployment.Status = DeploymentStatus.AppDeploying;
+                await _deploymentRepo.UpdateAsync(deployment);
+
                 await _iisService.RemoveSiteAsync(deployment.SiteName);
             }
 
+            deployment.Status = DeploymentStatus.RolledBack;
+            deployment.CompletedAt = DateTime.UtcNow;
             await _deploymentRepo.UpdateAsync(deployment);
 
             await _logger.LogAsync(deploymentId, LogLevel.Information, 
@@ -258,10 +534,12 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
 
             await _auditService.LogEventAsync(
                 AuditEventType.DeploymentRolledBack,
-                "System",
+                RollbackRequester(deployment),
                 "Rollback",
                 deploymentId.ToString());
 
+            await NotifyAsync(deployment, NotificationEvent.DeploymentRolledBack);
+
             return new DeploymentResult
             {
                 Success = true,
@@ -271,6 +549,14 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
         }
         catch (Exception ex)
         {
+            deployment.Metadata["FailedStage"] = deployment.Status.ToString();
+            deployment.Status = DeploymentStatus.Failed;
+            deployment.ErrorMessage = deployment.ErrorMessage == null
+                ? $"Rollback failed: {ex.Message}"
+                : $"{deployment.ErrorMessage} (rollback failed: {ex.Message})";
+            deployment.CompletedAt = DateTime.UtcNow;
+            await _deploymentRepo.UpdateAsync(deployment);
+
             await _logger.LogAsync(deploymentId, LogLevel.Error, 
                 "Rollback failed", ex);
 
@@ -278,11 +564,181 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
             {
                 Success = false,
                 DeploymentId = deploymentId,
+                Status = DeploymentStatus.Failed,
                 ErrorMessage = ex.Message
             };
         }
     }
 
+    public async Task<RollbackPlan> GetRollbackPlanAsync(Guid deploymentId)
+    {
+        var deployment = await _deploymentRepo.GetByIdAsync(deploymentId)
+            ?? throw new InvalidOperationException($"Deployment not found: {deploymentId}");
+
+        var logs = await _logger.GetLogsAsync(deploymentId);
+
+        return new RollbackPlan
+        {
+            DeploymentId = deployment.Id,
+            SiteName = deployment.SiteName,
+            Environment = deployment.Environment,
+            RequiresSiteNameConfirmation = deployment.Environment == DeploymentEnvironment.Production,
+            DatabaseBackupPath = deployment.DatabaseConfig?.BackupPath,
+            LastLogSequence = logs.Select(l => l.Sequence).DefaultIfEmpty().Max(),
+            Candidates = await GetRollbackCandidatesAsync(deployment)
+        };
+    }
+
+    /// <summary>
+    /// Earlier successful deployments of the same site, most recent first. Each one is restored
+    /// from the backups taken by the deployment that replaced it.
+    /// </summary>
+    private async Task<List<RollbackCandidate>> GetRollbackCandidatesAsync(Deployment deployment)
+    {
+        var history = (await _deploymentRepo.FindAsync(d =>
+                d.SiteName == deployment.SiteName &&
+                d.CreatedAt <= deployment.CreatedAt))
+            .OrderBy(d => d.CreatedAt)
+            .ToList();
+
+        var candidates = new List<RollbackCandidate>();
+        for (var i = 0; i < history.Count - 1; i++)
+        {
+            var target = history[i];
+            if (target.Status != DeploymentStatus.Success || target.Id == deployment.Id)
+                continue;
+
+            var replacedBy = history[i + 1];
+            candidates.Add(new RollbackCandidate
+            {
+                DeploymentId = target.Id,
+                Name = target.Name,
+                ApplicationVersion = target.ApplicationVersion,
+                ApplicationPath = target.ApplicationPath,
+                CompletedAt = target.CompletedAt,
+                AppBackupPath = replacedBy.Metadata.GetValueOrDefault("AppBackupPath"),
+                DatabaseBackupPath = replacedBy.DatabaseConfig?.BackupPath
+            });
+        }
+
+        candidates.Reverse();
+        return candidates;
+    }
+
+    private async Task<DeploymentResult> RollbackToDeploymentAsync(
+        Deployment deployment,
+        Guid targetDeploymentId,
+        CancellationToken cancellationToken)
+    {
+        var candidate = (await GetRollbackCandidatesAsync(deployment))
+            .FirstOrDefault(c => c.DeploymentId == targetDeploymentId)
+            ?? throw new InvalidOperationException(
+                $"Deployment {targetDeploymentId} is not an earlier successful deployment of {deployment.SiteName}");
+
+        await _logger.LogAsync(deployment.Id, LogLevel.Warning, 
+            $"Starting rollback to {candidate.Name} ({candidate.DeploymentId})...", null);
+
+        deployment.Status = DeploymentStatus.InProgress;
+        await _deploymentRepo.UpdateAsync(deployment);
+
+        // Restore the database as it was before the replacing deployment
+        if (deployment.DatabaseConfig != null)
+        {
+            if (candidate.DatabaseBackupPath != null)
+            {
+                deployment.Status = DeploymentStatus.DatabaseDeploying;
+                await _deploymentRepo.UpdateAsync(deployment);
+
+                await _logger.LogAsync(deployment.Id, LogLevel.Information, 
+                    $"Restoring database from {candidate.DatabaseBackupPath}", null);
+                await _databaseService.RestoreDatabaseAsync(deployment.DatabaseConfig, candidate.DatabaseBackupPath);
+            }
+            else
+            {
+                await _logger.LogAsync(deployment.Id, LogLevel.Warning, 
+                    "No database backup recorded; database left unchanged", null);
+            }
+        }
+
+        // Restore application files, falling back to the target's original source
+        deployment.Status = DeploymentStatus.AppDeploying;
+        await _deploymentRepo.UpdateAsync(deployment);
+
+        var sourcePath = candidate.AppBackupPath ?? candidate.ApplicationPath;
+        if (candidate.AppBackupPath == null)
+        {
+            await _logger.LogAsync(deployment.Id, LogLevel.Warning, 
+                $"No application backup recorded; redeploying from {candidate.ApplicationPath}", null);
+        }
+
+        var progress = new Progress<ProgressInfo>(info =>
+        {
+            _logger.LogAsync(deployment.Id, info.Level, info.Message, null).Wait();
+        });
+
+        await _iisService.DeployApplicationAsync(new ApplicationDeploymentConfig
+        {
+            SourcePath = sourcePath,
+            DestinationPath = GetPhysicalPath(deployment.SiteName!),
+            SiteName = deployment.SiteName!,
+            StopSiteBeforeDeployment = true,
+            BackupExisting = true
+        }, progress);
+
+        await _iisService.StartSiteAsync(deployment.SiteName!);
+
+        deployment.Status = DeploymentStatus.RolledBack;
+        deployment.CompletedAt = DateTime.UtcNow;
+        deployment.Metadata["RolledBackTo"] = candidate.DeploymentId.ToString();
+        await _deploymentRepo.UpdateAsync(deployment);
+
+        await _logger.LogAsync(deployment.Id, LogLevel.Information, 
+            $"Rollback completed; {deployment.SiteName} is running {candidate.Name}", null);
+
+        await _auditService.LogEventAsync(
+            AuditEventType.DeploymentRolledBack,
+            RollbackRequester(deployment),
+            "Rollback",
+            deployment.Id.ToString(),
+            new Dictionary<string, object>
+            {
+                ["TargetDeploymentId"] = candidate.DeploymentId.ToString(),
+                ["AppSource"] = sourcePath,
+                ["DatabaseBackup"] = candidate.DatabaseBackupPath ?? string.Empty
+            });
+
+        await NotifyAsync(deployment, NotificationEvent.DeploymentRolledBack);
+
+        return new DeploymentResult
+        {
+            Success = true,
+            DeploymentId = deployment.Id,
+            Url = deployment.TargetUrl,
+            Status = DeploymentStatus.RolledBack
+        };
+    }
+
+    // Notifications are only queued here; a channel that is down must never fail the deployment
+    private async Task NotifyAsync(Deployment deployment, NotificationEvent notificationEvent)
+    {
+        if (!deployment.SendNotifications)
+            return;
+
+        try
+        {
+            await _notificationService.NotifyAsync(deployment, notificationEvent);
+        }
+        catch (Exception ex)
+        {
+            await _logger.LogAsync(deployment.Id, LogLevel.Warning,
+                $"Could not queue {notificationEvent} notifications: {ex.Message}", null);
+        }
+    }
+
+    // Rollbacks run on the background worker, so the requester is recorded on the deployment when queued
+    private string RollbackRequester(Deployment deployment) =>
+        deployment.Metadata.TryGetValue("RollbackRequestedBy", out var user) ? user : _currentUser.UserName;
+
     public async Task<DeploymentStatus> GetStatusAsync(Guid deploymentId)
     {
         var deployment = await _deploymentRepo.GetByIdAsync(deploymentId);
@@ -296,24 +752,65 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
             d.Status == DeploymentStatus.Pending);
     }
 
+    public async Task<Deployment> PreviewDeploymentAsync(DeploymentRequest request)
+    {
+        var (deployment, _) = await BuildDeploymentAsync(ProtectSecrets(request));
+        return deployment;
+    }
+
     private async Task<Deployment> CreateDeploymentRecordAsync(DeploymentRequest request)
+    {
+        var (deployment, profile) = await BuildDeploymentAsync(ProtectSecrets(request));
+        if (deployment.Environment == DeploymentEnvironment.Production && !_currentUser.HasPermission(Permission.DeployProduction))
+            throw new UnauthorizedAccessException($"{_currentUser.UserName} is not allowed to deploy to Production");
+
+        await _approvalService.EnsureChangeWindowAsync(deployment);
+
+        if (profile != null)
+        {
+            profile.DeploymentCount++;
+            profile.LastUsedAt = DateTime.UtcNow;
+            await _profileRepo.UpdateAsync(profile);
+        }
+
+        deployment = await _deploymentRepo.AddAsync(deployment);
+        if (deployment.Status == DeploymentStatus.PendingApproval)
+        {
+            await _logger.LogAsync(deployment.Id, LogLevel.Information,
+                $"Waiting for {deployment.RequiredApprovals} approval(s) before deploying to {deployment.Environment}", null);
+        }
+        return deployment;
+    }
+
+    /// <summary>
+    /// The unsaved deployment a request resolves to, with the profile it uses
+    /// </summary>
+    private async Task<(Deployment Deployment, DeploymentProfile? Profile)> BuildDeploymentAsync(DeploymentRequest request)
     {
         DeploymentProfile? profile = null;
         if (!string.IsNullOrEmpty(request.ProfileId))
         {
-            profile = await _profileRepo.GetByIdAsync(Guid.Parse(request.ProfileId));
+            if (!Guid.TryParse(request.ProfileId, out var profileId))
+                throw new ArgumentException($"Invalid profile id: {request.ProfileId}");
+
+            profile = await _profileRepo.GetByIdAsync(profileId);
         }
 
-        var domainName = request.DomainName ?? profile?.DomainPattern ?? "myapp.local";
+        var environment = request.Environment ?? profile?.Environment ?? DeploymentEnvironment.Development;
+        var domainName = ExpandDomainPattern(
+            request.DomainName ?? profile?.DomainPattern ?? "myapp.local",
+            request.ApplicationPath,
+            environment);
         var httpPort = request.HttpPort ?? profile?.HttpPort ?? 80;
         var httpsPort = request.HttpsPort ?? profile?.HttpsPort ?? 443;
+        var target = request.Target ?? profile?.Target ?? DeploymentTarget.LocalIIS;
 
         var deployment = new Deployment
         {
             Name = $"Deployment_{DateTime.Now:yyyyMMdd_HHmmss}",
             ApplicationPath = request.ApplicationPath,
-            Target = request.Target ?? profile?.Target ?? DeploymentTarget.LocalIIS,
-            Environment = request.Environment ?? profile?.Environment ?? DeploymentEnvironment.Development,
+            Target = target,
+            Environment = environment,
             Strategy = request.Strategy ?? profile?.Strategy ?? DeploymentStrategy.StopAndDeploy,
             DomainName = domainName,
             HttpPort = httpPort,
@@ -325,13 +822,318 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
             PipelineMode = profile?.PipelineMode ?? PipelineMode.Integrated,
             DatabaseConfig = request.DatabaseConfig ?? profile?.DatabaseTemplate,
             SslConfig = request.SslConfig ?? profile?.SslTemplate,
-            CloudConfig = request.CloudConfig ?? profile?.CloudTemplate,
+            CloudConfig = ResolveCloudConfig(request, profile, target),
+            ContainerConfig = request.ContainerConfig,
             ProfileId = profile?.Id,
-            Status = DeploymentStatus.Pending,
-            CreatedBy = "System" // Should come from auth context
+            RunHealthChecks = request.RunHealthChecks,
+            SendNotifications = request.SendNotifications,
+            RequiredApprovals = _approvalService.GetPolicy(environment)?.RequiredApprovals ?? 0,
+            EmergencyJustification = string.IsNullOrWhiteSpace(request.EmergencyJustification)
+                ? null
+                : request.EmergencyJustification.Trim(),
+            CreatedBy = _currentUser.UserName
+        };
+        deployment.Status = deployment.RequiredApprovals > 0
+            ? DeploymentStatus.PendingApproval
+            : DeploymentStatus.Pending;
+
+        return (deployment, profile);
+    }
+
+    private static bool IsValidHostName(string hostName) =>
+        hostName.Length <= 253 &&
+        Regex.IsMatch(hostName, @"^(?!-)[A-Za-z0-9-]{1,63}(?<!-)(\.(?!-)[A-Za-z0-9-]{1,63}(?<!-))*$");
+
+    /// <summary>
+    /// The request's cloud settings, or else the profile's. Secrets the request leaves out are kept from the profile.
+    /// </summary>
+    private static CloudConfiguration? ResolveCloudConfig(DeploymentRequest request, DeploymentProfile? profile, DeploymentTarget target)
+    {
+        var template = profile?.CloudTemplate;
+        var cloud = request.CloudConfig;
+        if (cloud == null)
+            return template;
+
+        if (template != null)
+        {
+            cloud.AwsSecretKeyEncrypted ??= template.AwsSecretKeyEncrypted;
+            cloud.GcpServiceAccountKeyEncrypted ??= template.GcpServiceAccountKeyEncrypted;
+            cloud.RemotePasswordEncrypted ??= template.RemotePasswordEncrypted;
+        }
+
+        if (cloud.Provider == CloudProvider.None)
+        {
+            cloud.Provider = target switch
+            {
+                DeploymentTarget.AzureAppService or DeploymentTarget.AzureVM => CloudProvider.Azure,
+                DeploymentTarget.AWSEC2 => CloudProvider.AWS,
+                DeploymentTarget.GoogleCloudVM => CloudProvider.GoogleCloud,
+                _ => CloudProvider.None
+            };
+        }
+        return cloud;
+    }
+
+    /// <summary>
+    /// Check the settings each target needs. Secrets count when entered now or already stored encrypted.
+    /// </summary>
+    private static void ValidateTarget(
+        DeploymentTarget target,
+        CloudConfiguration? cloud,
+        ContainerConfiguration? container,
+        DeploymentSecrets? secrets,
+        List<PreflightIssue> errors,
+        List<PreflightIssue> warnings)
+    {
+        bool Require(string field, string? value, string label)
+        {
+            if (!string.IsNullOrWhiteSpace(value))
+                return true;
+
+            errors.Add(new(field, $"{label} is required for {target} deployments"));
+            return false;
+        }
+
+        switch (target)
+        {
+            case DeploymentTarget.AzureAppService:
+            case DeploymentTarget.AzureVM:
+                if (Require("cloudConfig.subscriptionId", cloud?.SubscriptionId, "Azure subscription ID") &&
+                    !Guid.TryParse(cloud!.SubscriptionId, out _))
+                {
+                    errors.Add(new("cloudConfig.subscriptionId", $"'{cloud.SubscriptionId}' is not a subscription ID; it looks like 00000000-0000-0000-0000-000000000000"));
+                }
+                Require("cloudConfig.resourceGroup", cloud?.ResourceGroup, "Resource group");
+                Require("cloudConfig.location", cloud?.Location, "Azure location");
+
+                if (target == DeploymentTarget.AzureAppService)
+                {
+                    // The name becomes {name}.azurewebsites.net
+                    if (Require("cloudConfig.appServiceName", cloud?.AppServiceName, "App Service name") &&
+                        !Regex.IsMatch(cloud!.AppServiceName!, "^(?!-)[A-Za-z0-9-]{2,60}(?<!-)$"))
+                    {
+                        errors.Add(new("cloudConfig.appServiceName", "App Service names are 2-60 letters, digits and hyphens"));
+                    }
+                    Require("cloudConfig.appServicePlan", cloud?.AppServicePlan, "App Service plan");
+                }
+                else
+                {
+                    Require("cloudConfig.vmName", cloud?.VmName, "VM name");
+                    Require("cloudConfig.vmSize", cloud?.VmSize, "VM size");
+                }
+                break;
+
+            case DeploymentTarget.AWSEC2:
+                Require("cloudConfig.awsRegion", cloud?.AwsRegion, "AWS region");
+                Require("cloudConfig.awsAccessKeyId", cloud?.AwsAccessKeyId, "AWS access key ID");
+                Require("secrets.awsSecretAccessKey", secrets?.AwsSecretAccessKey ?? cloud?.AwsSecretKeyEncrypted, "AWS secret access key");
+                Require("cloudConfig.vmName", cloud?.VmName, "Instance name");
+                Require("cloudConfig.vmSize", cloud?.VmSize, "Instance type");
+                break;
+
+            case DeploymentTarget.GoogleCloudVM:
+                Require("cloudConfig.gcpProjectId", cloud?.GcpProjectId, "Google Cloud project ID");
+                Require("cloudConfig.gcpZone", cloud?.GcpZone, "Zone");
+                Require("cloudConfig.vmName", cloud?.VmName, "Instance name");
+                Require("cloudConfig.vmSize", cloud?.VmSize, "Machine type");
+                if (Require("secrets.gcpServiceAccountKey", secrets?.GcpServiceAccountKey ?? cloud?.GcpServiceAccountKeyEncrypted, "Service account key") &&
+                    !string.IsNullOrEmpty(secrets?.GcpServiceAccountKey))
+                {
+                    try
+                    {
+                        using var key = JsonDocument.Parse(secrets.GcpServiceAccountKey);
+                        if (!key.RootElement.TryGetProperty("private_key", out _))
+                            errors.Add(new("secrets.gcpServiceAccountKey", "The service account key has no private_key; paste the whole JSON key file"));
+                    }
+                    catch (JsonException)
+                    {
+                        errors.Add(new("secrets.gcpServiceAccountKey", "The service account key is not valid JSON; paste the whole JSON key file"));
+                    }
+                }
+                break;
+
+            case DeploymentTarget.OnPremiseWindows:
+                if (Require("cloudConfig.remoteHost", cloud?.RemoteHost, "Server name") &&
+                    !IsValidHostName(cloud!.RemoteHost!))
+                {
+                    errors.Add(new("cloudConfig.remoteHost", $"'{cloud.RemoteHost}' is not a valid server name"));
+                }
+                Require("cloudConfig.remoteUserName", cloud?.RemoteUserName, "User name");
+                Require("secrets.remotePassword", secrets?.RemotePassword ?? cloud?.RemotePasswordEncrypted, "Password");
+                break;
+
+            case DeploymentTarget.Docker:
+            case DeploymentTarget.Kubernetes:
+                ValidateContainer(target, container, secrets, Require, errors);
+                warnings.Add(new("target", target == DeploymentTarget.Docker
+                    ? "IIScribe does not run containers yet; build the image from the generated Dockerfile"
+                    : "IIScribe does not apply Kubernetes manifests yet; build the image from the generated Dockerfile and apply the manifest"));
+                break;
+        }
+
+        if (cloud?.ManageDns == true && target is not (DeploymentTarget.LocalIIS or DeploymentTarget.LocalIISExpress))
+            Require("cloudConfig.dnsZone", cloud.DnsZone, "DNS zone");
+    }
+
+    /// <summary>
+    /// Check the files the database deployment mode needs, and keep Fresh (drop and recreate) out of Production
+    /// </summary>
+    private static void ValidateDatabase(
+        DatabaseConfiguration database,
+        DeploymentEnvironment environment,
+        List<PreflightIssue> errors,
+        List<PreflightIssue> warnings)
+    {
+        switch (database.DeploymentMode)
+        {
+            case DatabaseDeploymentMode.DacPac when string.IsNullOrWhiteSpace(database.DacPacPath):
+                errors.Add(new("dacPacPath", "DACPAC deployments need the path of a .dacpac file"));
+                break;
+            case DatabaseDeploymentMode.DacPac when !File.Exists(database.DacPacPath):
+                errors.Add(new("dacPacPath", $"DACPAC not found on the server: {database.DacPacPath}"));
+                break;
+            case DatabaseDeploymentMode.Fresh when environment == DeploymentEnvironment.Production:
+                errors.Add(new("deploymentMode", "Fresh drops and recreates the database and is not allowed in Production"));
+                break;
+            case DatabaseDeploymentMode.Fresh:
+                warnings.Add(new("deploymentMode", $"Fresh drops and recreates {database.DatabaseName}; its data will be lost"));
+                break;
+            case DatabaseDeploymentMode.None:
+                warnings.Add(new("deploymentMode", "The database is left as it is; only the application is deployed"));
+                break;
+        }
+
+        if (database.DeploymentMode != DatabaseDeploymentMode.None &&
+            !string.IsNullOrWhiteSpace(database.MigrationsFolder) && !Directory.Exists(database.MigrationsFolder))
+            errors.Add(new("migrationsFolder", $"Migrations folder not found on the server: {database.MigrationsFolder}"));
+    }
+
+    private static void ValidateContainer(
+        DeploymentTarget target,
+        ContainerConfiguration? container,
+        DeploymentSecrets? secrets,
+        Func<string, string?, string, bool> require,
+        List<PreflightIssue> errors)
+    {
+        // Docker's rules: lower-case path components, and tags of up to 128 word characters, dots and hyphens
+        if (require("containerConfig.imageName", container?.ImageName, "Image name") &&
+            !Regex.IsMatch(container!.ImageName, "^[a-z0-9]+([._-][a-z0-9]+)*(/[a-z0-9]+([._-][a-z0-9]+)*)*$"))
+        {
+            errors.Add(new("containerConfig.imageName", $"'{container.ImageName}' is not a valid image name; use lower-case letters, digits, '.', '_', '-' and '/'"));
+        }
+        if (container == null)
+            return;
+
+        if (!string.IsNullOrEmpty(container.ImageTag) && !Regex.IsMatch(container.ImageTag, @"^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$"))
+            errors.Add(new("containerConfig.imageTag", $"'{container.ImageTag}' is not a valid image tag"));
+
+        if (container.ContainerPort is < 1 or > 65535)
+            errors.Add(new("containerConfig.containerPort", $"Container port {container.ContainerPort} is outside 1-65535"));
+
+        if (!string.IsNullOrWhiteSpace(container.RegistryUserName))
+        {
+            require("containerConfig.registry", container.Registry, "Registry");
+            require("secrets.registryPassword", secrets?.RegistryPassword ?? container.RegistryPasswordEncrypted, "Registry password");
+        }
+
+        if (target == DeploymentTarget.Docker)
+        {
+            if (container.HostPort is < 1 or > 65535)
+                errors.Add(new("containerConfig.hostPort", $"Host port {container.HostPort} is outside 1-65535"));
+        }
+        else
+        {
+            if (!Regex.IsMatch(container.Namespace ?? string.Empty, "^[a-z0-9]([-a-z0-9]{0,61}[a-z0-9])?$"))
+                errors.Add(new("containerConfig.namespace", $"'{container.Namespace}' is not a valid namespace; use lower-case letters, digits and hyphens"));
+            if (container.Replicas is < 1 or > 100)
+                errors.Add(new("containerConfig.replicas", $"Replicas must be 1-100, not {container.Replicas}"));
+        }
+    }
+
+    /// <summary>
+    /// A binding conflicts when it uses the port for the same host, or for all hosts
+    /// </summary>
+    private static bool BindingConflicts(SiteStatus site, string domainName, int port)
+    {
+        var bindings = site.Bindings.Count > 0 ? site.Bindings : new List<string> { site.Url };
+
+        return bindings
+            .Select(binding => Regex.Match(binding, @"^\w+://(?<host>[^:/]*):(?<port>\d+)"))
+            .Where(match => match.Success && int.Parse(match.Groups["port"].Value) == port)
+            .Select(match => match.Groups["host"].Value)
+            .Any(host => host.Length == 0 || host == "*" || host.Equals(domainName, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Database settings implied by what discovery found, or null when the application has no database
+    /// </summary>
+    private static DatabaseConfiguration? SuggestDatabase(
+        ApplicationDiscovery discovery,
+        string applicationPath,
+        DeploymentEnvironment environment)
+    {
+        var dacPac = Directory
+            .EnumerateFiles(discovery.Path, "*.dacpac", new EnumerationOptions { RecurseSubdirectories = true, IgnoreInaccessible = true })
+            .FirstOrDefault();
+
+        if (discovery.SqlScripts.Count == 0 && discovery.MigrationsFolder == null && dacPac == null)
+            return null;
+
+        var appName = ExpandDomainPattern("{appname}", applicationPath, environment);
+        var config = new DatabaseConfiguration
+        {
+            Provider = DatabaseProvider.SqlServer,
+            DeploymentMode = dacPac != null ? DatabaseDeploymentMode.DacPac : DatabaseDeploymentMode.Migrate,
+            DatabaseName = $"{appName}_{environment}",
+            ScriptPaths = discovery.SqlScripts,
+            MigrationsFolder = discovery.MigrationsFolder,
+            DacPacPath = dacPac
         };
 
-        return await _deploymentRepo.AddAsync(deployment);
+        // Take the server, database and provider from the app's own connection string when there is one
+        foreach (var connectionString in discovery.ConnectionStrings)
+        {
+            try
+            {
+                var builder = new DbConnectionStringBuilder { ConnectionString = connectionString };
+                string? Read(params string[] keys) =>
+                    keys.Where(builder.ContainsKey).Select(key => builder[key]?.ToString()).FirstOrDefault();
+
+                var databaseName = Read("Database", "Initial Catalog");
+                if (string.IsNullOrEmpty(databaseName))
+                    continue;
+
+                var server = Read("Server", "Data Source", "Host") ?? string.Empty;
+                config.DatabaseName = databaseName;
+                config.ServerName = server;
+                config.Provider =
+                    builder.ContainsKey("Host") ? DatabaseProvider.PostgreSQL :
+                    server.Contains("(localdb)", StringComparison.OrdinalIgnoreCase) ? DatabaseProvider.SqlServerLocalDb :
+                    server.Contains("database.windows.net", StringComparison.OrdinalIgnoreCase) ? DatabaseProvider.AzureSqlDatabase :
+                    DatabaseProvider.SqlServer;
+                break;
+            }
+            catch (ArgumentException)
+            {
+                // Not a key=value connection string; keep looking
+            }
+        }
+
+        return config;
+    }
+
+    /// <summary>
+    /// Fill in profile domain patterns such as "{appname}.{env}.local"
+    /// </summary>
+    private static string ExpandDomainPattern(string pattern, string applicationPath, DeploymentEnvironment environment)
+    {
+        var appName = applicationPath
+            .Split(new[] { '\\', '/' }, StringSplitOptions.RemoveEmptyEntries)
+            .LastOrDefault() ?? "app";
+
+        return pattern
+            .Replace("{appname}", appName.ToLowerInvariant(), StringComparison.OrdinalIgnoreCase)
+            .Replace("{env}", environment.ToString().ToLowerInvariant(), StringComparison.OrdinalIgnoreCase);
     }
 
     private async Task<DatabaseDeploymentResult> DeployDatabaseAsync(
@@ -347,12 +1149,23 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
         BackupResult? backupResult = null;
         if (config.BackupBeforeDeployment && await _databaseService.DatabaseExistsAsync(config))
         {
-            var backupPath = Path.Combine(
-                config.BackupPath ?? Path.GetTempPath(),
-                $"{config.DatabaseName}_backup_{DateTime.Now:yyyyMMddHHmmss}.bak");
+            deployment.Status = DeploymentStatus.BackupInProgress;
+            await _deploymentRepo.UpdateAsync(deployment);
+
+            backupResult = await _backupService.BackupAsync(config, deployment);
+            if (!backupResult.Success)
+            {
+                // Nothing to restore from if the deployment is rolled back
+                config.BackupPath = null;
+                throw new InvalidOperationException($"Database backup failed: {backupResult.ErrorMessage}");
+            }
 
-            backupResult = await _databaseService.BackupDatabaseAsync(config, backupPath);
             config.BackupPath = backupResult.BackupPath;
+            await _logger.LogAsync(deployment.Id, LogLevel.Information, 
+                $"Database backed up to {backupResult.BackupPath} (SHA-256 {backupResult.Checksum ?? "not available"})", null);
+
+            deployment.Status = DeploymentStatus.DatabaseDeploying;
+            await _deploymentRepo.UpdateAsync(deployment);
         }
 
         // Create database if needed
@@ -434,6 +1247,13 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
             _ => throw new NotSupportedException($"Certificate type not supported: {config.CertificateType}")
         };
 
+        // The site is still deployed, just without an HTTPS binding
+        if (!result.Success)
+        {
+            await _logger.LogAsync(deployment.Id, LogLevel.Warning,
+                $"SSL certificate not configured: {result.ErrorMessage}", null);
+        }
+
         return result;
     }
 
@@ -457,7 +1277,7 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
         var websiteConfig = new WebsiteConfiguration
         {
             Name = deployment.SiteName!,
-            PhysicalPath = Path.Combine(@"C:\inetpub\wwwroot", deployment.SiteName!),
+            PhysicalPath = GetPhysicalPath(deployment.SiteName!),
             AppPoolName = deployment.AppPoolName!,
             DomainName = deployment.DomainName,
             HttpPort = deployment.HttpPort,
@@ -468,14 +1288,22 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
 
         await _iisService.CreateWebsiteAsync(websiteConfig);
 
-        // Deploy files
+        // Deploy files, remembering where the replaced files went so a rollback can restore them
+        string? backupPath = null;
+        if (Directory.Exists(websiteConfig.PhysicalPath))
+        {
+            backupPath = $"{websiteConfig.PhysicalPath}_backup_{DateTime.Now:yyyyMMddHHmmss}";
+            deployment.Metadata["AppBackupPath"] = backupPath;
+        }
+
         var deployConfig = new ApplicationDeploymentConfig
         {
             SourcePath = deployment.ApplicationPath,
             DestinationPath = websiteConfig.PhysicalPath,
             SiteName = deployment.SiteName!,
             StopSiteBeforeDeployment = true,
-            BackupExisting = true
+            BackupExisting = true,
+            BackupPath = backupPath
         };
 
         var progress = new Progress<ProgressInfo>(info =>
@@ -486,6 +1314,9 @@ public class DeploymentOrchestrator : IDeploymentOrchestrator
         await _iisService.DeployApplicationAsync(deployConfig, progress);
     }
 
+    private static string GetPhysicalPath(string siteName) =>
+        Path.Combine(@"C:\inetpub\wwwroot", siteName);
+
     private string BuildConnectionString(DatabaseConfiguration config)
     {
         return config.Provider switch
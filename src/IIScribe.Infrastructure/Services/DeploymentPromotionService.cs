@@ -0,0 +1,349 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using LogLevel = IIScribe.Core.Enums.LogLevel;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// Promotes successful deployments along Development → Testing → Staging → Production. The promoted deployment
+/// uses the same application path and profile; its domain, database name and certificate type follow the
+/// target environment, from IIScribe:Promotion:Environments and the profile's DomainPattern.
+/// The application folder must still hold the files the source deployment copied, checked by their content hash
+/// both here and again when the promoted deployment runs.
+/// </summary>
+public class DeploymentPromotionService : IDeploymentPromotionService
+{
+    private static readonly DeploymentEnvironment[] Pipeline =
+    {
+        DeploymentEnvironment.Development,
+        DeploymentEnvironment.Testing,
+        DeploymentEnvironment.Staging,
+        DeploymentEnvironment.Production
+    };
+
+    private readonly IReadOnlyDictionary<DeploymentEnvironment, PromotionEnvironmentOptions> _environments;
+    private readonly IRepository<Deployment> _deploymentRepo;
+    private readonly IRepository<DeploymentProfile> _profileRepo;
+    private readonly IDeploymentOrchestrator _orchestrator;
+    private readonly IDeploymentQueue _queue;
+    private readonly IDeploymentLogger _logger;
+    private readonly IAuditService _auditService;
+    private readonly ICurrentUserService _currentUser;
+
+    public DeploymentPromotionService(
+        IReadOnlyDictionary<DeploymentEnvironment, PromotionEnvironmentOptions> environments,
+        IRepository<Deployment> deploymentRepo,
+        IRepository<DeploymentProfile> profileRepo,
+        IDeploymentOrchestrator orchestrator,
+        IDeploymentQueue queue,
+        IDeploymentLogger logger,
+        IAuditService auditService,
+        ICurrentUserService currentUser)
+    {
+        _environments = environments;
+        _deploymentRepo = deploymentRepo;
+        _profileRepo = profileRepo;
+        _orchestrator = orchestrator;
+        _queue = queue;
+        _logger = logger;
+        _auditService = auditService;
+        _currentUser = currentUser;
+    }
+
+    public async Task<IEnumerable<ApplicationPipeline>> GetPipelinesAsync()
+    {
+        var deployments = await _deploymentRepo.FindAsync(d => !d.IsDeleted && Pipeline.Contains(d.Environment));
+
+        return deployments
+            .GroupBy(d => GetApplicationName(d.ApplicationPath), StringComparer.OrdinalIgnoreCase)
+            .Select(application => new ApplicationPipeline
+            {
+                ApplicationName = application.Key,
+                Stages = Pipeline.Select(environment =>
+                {
+                    var inEnvironment = application.Where(d => d.Environment == environment).ToList();
+                    var current = inEnvironment
+                        .Where(d => d.Status == DeploymentStatus.Success)
+                        .MaxBy(d => d.CompletedAt);
+                    var latest = inEnvironment.MaxBy(d => d.CreatedAt);
+
+                    return new PipelineStage
+                    {
+                        Environment = environment,
+                        Current = current == null ? null : PipelineDeployment.From(current),
+                        Latest = latest == null || latest == current ? null : PipelineDeployment.From(latest),
+                        PromotesTo = NextEnvironment(environment)
+                    };
+                }).ToList()
+            })
+            .OrderBy(p => p.ApplicationName, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    public async Task<PromotionPlan> PlanAsync(Guid deploymentId, PromotionRequest request)
+    {
+        var (source, promotion, warnings) = await BuildPromotionAsync(deploymentId, request);
+        var preflight = await _orchestrator.AnalyzeAsync(promotion);
+        var (contentHash, artifactIssue) = await CheckArtifactAsync(source);
+
+        var target = await _orchestrator.PreviewDeploymentAsync(promotion);
+        target.ApplicationVersion = source.ApplicationVersion;
+        target.Metadata["PromotedFromId"] = source.Id.ToString();
+
+        // Shown in the diff, so a changed folder stands out next to the source's hash
+        if (contentHash != null)
+            target.Metadata["ContentHash"] = contentHash;
+
+        var errors = preflight.Errors.ToList();
+        if (artifactIssue != null)
+            errors.Add(artifactIssue);
+
+        return new PromotionPlan
+        {
+            Source = source,
+            Target = target,
+            Errors = errors,
+            Warnings = warnings.Concat(preflight.Warnings.Select(w => w.Message)).ToList()
+        };
+    }
+
+    public async Task<Deployment> PromoteAsync(Guid deploymentId, PromotionRequest request, CancellationToken cancellationToken = default)
+    {
+        var (source, promotion, _) = await BuildPromotionAsync(deploymentId, request);
+
+        // Creating the deployment checks the change window and the right to deploy to Production
+        var preflight = await _orchestrator.AnalyzeAsync(promotion);
+        var errors = preflight.Errors.Where(e => e.Field != "emergencyJustification").ToList();
+        if (errors.Count > 0)
+            throw new ArgumentException(string.Join("; ", errors.Select(e => e.Message)));
+
+        var (_, artifactIssue) = await CheckArtifactAsync(source);
+        if (artifactIssue != null)
+            throw new InvalidOperationException(artifactIssue.Message);
+
+        var deployment = await _orchestrator.CreateDeploymentAsync(promotion);
+        deployment.ApplicationVersion = source.ApplicationVersion;
+        deployment.Metadata["PromotedFromId"] = source.Id.ToString();
+
+        // The folder could still change before the deployment runs, perhaps after approval, so it checks again then
+        if (source.Metadata.TryGetValue("ContentHash", out var sourceHash))
+            deployment.Metadata["ExpectedContentHash"] = sourceHash;
+        await _deploymentRepo.UpdateAsync(deployment);
+
+        await _logger.LogAsync(deployment.Id, LogLevel.Information,
+            $"Promoted from {source.Environment} ({source.Name}, {source.DomainName}) by {_currentUser.UserName}", null);
+
+        await _auditService.LogEventAsync(
+            AuditEventType.DeploymentPromoted,
+            _currentUser.UserName,
+            "Promote",
+            deployment.Id.ToString(),
+            new Dictionary<string, object>
+            {
+                ["SourceDeploymentId"] = source.Id.ToString(),
+                ["From"] = source.Environment.ToString(),
+                ["To"] = deployment.Environment.ToString(),
+                ["ApplicationPath"] = deployment.ApplicationPath,
+                ["DomainName"] = deployment.DomainName
+            });
+
+        if (deployment.Status != DeploymentStatus.PendingApproval)
+        {
+            await _queue.EnqueueAsync(new QueuedDeployment
+            {
+                DeploymentId = deployment.Id,
+                Request = promotion,
+                SiteName = deployment.SiteName ?? string.Empty
+            }, cancellationToken);
+        }
+
+        return deployment;
+    }
+
+    /// <summary>
+    /// The request that deploys the source's artifact and profile to the next environment, and what to look out for
+    /// </summary>
+    private async Task<(Deployment Source, DeploymentRequest Promotion, List<string> Warnings)> BuildPromotionAsync(
+        Guid deploymentId,
+        PromotionRequest request)
+    {
+        var source = await _deploymentRepo.GetByIdAsync(deploymentId);
+        if (source == null || source.IsDeleted)
+            throw new KeyNotFoundException($"Deployment not found: {deploymentId}");
+
+        if (source.Status != DeploymentStatus.Success)
+            throw new InvalidOperationException($"Only successful deployments can be promoted; this one is {source.Status}");
+
+        var environment = NextEnvironment(source.Environment) ?? throw new InvalidOperationException(
+            source.Environment == DeploymentEnvironment.Production
+                ? "Production is the last environment of the pipeline"
+                : $"{source.Environment} deployments are not part of the promotion pipeline");
+
+        var profile = source.ProfileId.HasValue ? await _profileRepo.GetByIdAsync(source.ProfileId.Value) : null;
+        var options = _environments.GetValueOrDefault(environment);
+        var warnings = new List<string>();
+
+        var domainName = string.IsNullOrWhiteSpace(request.DomainName)
+            ? ProposeDomainName(source, profile, options, environment)
+            : request.DomainName.Trim();
+
+        var database = Clone(source.DatabaseConfig);
+        if (database != null)
+        {
+            database.DatabaseName = string.IsNullOrWhiteSpace(request.DatabaseName)
+                ? ProposeDatabaseName(database.DatabaseName, source.Environment, environment)
+                : request.DatabaseName.Trim();
+            database.ConnectionString = WithDatabaseName(database.ConnectionString, database.DatabaseName);
+            database.BackupPath = null;
+
+            if (database.SeedTestData && environment is DeploymentEnvironment.Staging or DeploymentEnvironment.Production)
+            {
+                database.SeedTestData = false;
+                warnings.Add($"Test data is not seeded in {environment}");
+            }
+        }
+        else if (!string.IsNullOrWhiteSpace(request.DatabaseName))
+        {
+            warnings.Add("The deployment has no database, so the database name is not used");
+        }
+
+        var ssl = Clone(source.SslConfig);
+        if (ssl != null)
+        {
+            // The certificate is issued for the new domain when the promoted deployment runs
+            ssl.Thumbprint = null;
+            ssl.ExpiryDate = null;
+
+            var certificateType = request.CertificateType ?? options?.CertificateType ?? ssl.CertificateType;
+            if (request.CertificateType == null && certificateType == CertificateType.LetsEncrypt &&
+                domainName.EndsWith(".local", StringComparison.OrdinalIgnoreCase))
+            {
+                warnings.Add($"Let's Encrypt cannot issue certificates for .local domains; keeping {ssl.CertificateType}");
+                certificateType = ssl.CertificateType;
+            }
+            ssl.CertificateType = certificateType;
+        }
+        else if (request.CertificateType != null)
+        {
+            warnings.Add("The deployment does not use HTTPS, so the certificate type is not used");
+        }
+
+        if (source.CloudConfig != null)
+            warnings.Add($"Cloud settings are copied from {source.Environment}; check they point at {environment}");
+
+        if (!source.Metadata.ContainsKey("ContentHash"))
+            warnings.Add($"No content hash was recorded for this deployment, so {source.ApplicationPath} cannot be checked for a different build");
+
+        var promotion = DeploymentRequest.From(source) with
+        {
+            Environment = environment,
+            DomainName = domainName,
+            DatabaseConfig = database,
+            SslConfig = ssl,
+            CloudConfig = Clone(source.CloudConfig),
+            ContainerConfig = Clone(source.ContainerConfig),
+            EmergencyJustification = string.IsNullOrWhiteSpace(request.EmergencyJustification)
+                ? null
+                : request.EmergencyJustification.Trim()
+        };
+
+        return (source, promotion, warnings);
+    }
+
+    /// <summary>
+    /// The application folder's content hash now, and why it cannot be promoted when it no longer holds the
+    /// files the source deployment copied
+    /// </summary>
+    private static async Task<(string? ContentHash, PreflightIssue? Issue)> CheckArtifactAsync(Deployment source)
+    {
+        // A missing folder is reported by the pre-flight check
+        if (!Directory.Exists(source.ApplicationPath))
+            return (null, null);
+
+        var contentHash = await ApplicationContentHash.ComputeAsync(source.ApplicationPath);
+        if (!source.Metadata.TryGetValue("ContentHash", out var deployedHash) || deployedHash == contentHash)
+            return (contentHash, null);
+
+        return (contentHash, new PreflightIssue("applicationPath",
+            $"The files in {source.ApplicationPath} have changed since this deployment, so promoting it would deploy a " +
+            $"different build. Deploy the current build to {source.Environment} first, then promote that."));
+    }
+
+    private static DeploymentEnvironment? NextEnvironment(DeploymentEnvironment environment)
+    {
+        var index = Array.IndexOf(Pipeline, environment);
+        return index >= 0 && index < Pipeline.Length - 1 ? Pipeline[index + 1] : null;
+    }
+
+    /// <summary>
+    /// The configured or profile DomainPattern when it names the environment; otherwise the source domain
+    /// with its environment label swapped, e.g. shop.staging.local to shop.local for Production
+    /// </summary>
+    private static string ProposeDomainName(
+        Deployment source,
+        DeploymentProfile? profile,
+        PromotionEnvironmentOptions? options,
+        DeploymentEnvironment environment)
+    {
+        if (!string.IsNullOrWhiteSpace(options?.DomainPattern))
+            return options.DomainPattern;
+
+        if (profile?.DomainPattern.Contains("{env}", StringComparison.OrdinalIgnoreCase) == true)
+            return profile.DomainPattern;
+
+        var labels = source.DomainName.Split('.').ToList();
+        var index = labels.FindIndex(label => label.Equals(source.Environment.ToString(), StringComparison.OrdinalIgnoreCase));
+        var environmentLabel = environment == DeploymentEnvironment.Production ? null : environment.ToString().ToLowerInvariant();
+
+        if (index >= 0 && environmentLabel == null)
+            labels.RemoveAt(index);
+        else if (index >= 0)
+            labels[index] = environmentLabel!;
+        else if (environmentLabel != null)
+            labels.Insert(Math.Min(1, labels.Count), environmentLabel);
+
+        return string.Join('.', labels);
+    }
+
+    /// <summary>
+    /// "shop_Staging" to "shop_Production"; a name without the environment in it gets it appended
+    /// </summary>
+    private static string? ProposeDatabaseName(string? databaseName, DeploymentEnvironment from, DeploymentEnvironment to)
+    {
+        if (string.IsNullOrEmpty(databaseName))
+            return databaseName;
+
+        var renamed = Regex.Replace(databaseName, $@"(?<=^|[_.-]){from}(?=$|[_.-])", to.ToString(), RegexOptions.IgnoreCase);
+        return renamed != databaseName ? renamed : $"{databaseName}_{to}";
+    }
+
+    /// <summary>
+    /// The connection string pointing at the renamed database, otherwise written as it was
+    /// </summary>
+    private static string? WithDatabaseName(string? connectionString, string? databaseName)
+    {
+        if (string.IsNullOrEmpty(connectionString) || string.IsNullOrEmpty(databaseName))
+            return connectionString;
+
+        return Regex.Replace(connectionString, @"(?<=(^|;)\s*(Database|Initial Catalog)\s*=\s*)[^\s;][^;]*?(?=\s*(;|$))", databaseName,
+            RegexOptions.IgnoreCase);
+    }
+
+    /// <summary>
+    /// Settings are copied so the promoted deployment never shares them with the source
+    /// </summary>
+    private static T? Clone<T>(T? value) where T : class =>
+        value == null ? null : JsonSerializer.Deserialize<T>(JsonSerializer.Serialize(value));
+
+    /// <summary>
+    /// Last folder of the application path, as {appname} in domain patterns
+    /// </summary>
+    private static string GetApplicationName(string applicationPath) =>
+        applicationPath
+            .Split(new[] { '\\', '/' }, StringSplitOptions.RemoveEmptyEntries)
+            .LastOrDefault() ?? "app";
+}
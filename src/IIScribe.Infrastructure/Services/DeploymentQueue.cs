@@ -0,0 +1,84 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Interfaces;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// In-process deployment queue consumed by the background deployment worker. Each site has its own
+/// line: deployments of different sites can run side by side, while those of one site run in order.
+/// </summary>
+public class DeploymentQueue : IDeploymentQueue
+{
+    private readonly List<(QueuedDeployment Item, DateTime QueuedAt)> _waiting = new();
+    private readonly HashSet<string> _busySites = new(StringComparer.OrdinalIgnoreCase);
+    private readonly object _lock = new();
+
+    // Released on every enqueue and completion so a waiting reader looks again
+    private readonly SemaphoreSlim _changed = new(0);
+
+    public ValueTask EnqueueAsync(QueuedDeployment item, CancellationToken cancellationToken = default)
+    {
+        lock (_lock)
+        {
+            _waiting.Add((item, DateTime.UtcNow));
+        }
+        _changed.Release();
+
+        return ValueTask.CompletedTask;
+    }
+
+    public async ValueTask<QueuedDeployment> DequeueAsync(CancellationToken cancellationToken)
+    {
+        while (true)
+        {
+            lock (_lock)
+            {
+                var next = _waiting.FindIndex(w => !_busySites.Contains(SiteOf(w.Item)));
+                if (next >= 0)
+                {
+                    var item = _waiting[next].Item;
+                    _waiting.RemoveAt(next);
+                    _busySites.Add(SiteOf(item));
+                    return item;
+                }
+            }
+
+            await _changed.WaitAsync(cancellationToken);
+        }
+    }
+
+    public void Complete(QueuedDeployment item)
+    {
+        lock (_lock)
+        {
+            _busySites.Remove(SiteOf(item));
+        }
+        _changed.Release();
+    }
+
+    public IReadOnlyList<QueuePosition> GetWaiting()
+    {
+        lock (_lock)
+        {
+            return _waiting
+                .GroupBy(w => SiteOf(w.Item), StringComparer.OrdinalIgnoreCase)
+                .SelectMany(site => site.Select((w, index) => new QueuePosition
+                {
+                    DeploymentId = w.Item.DeploymentId,
+                    SiteName = w.Item.SiteName,
+                    Position = index + 1,
+                    Ahead = index + (_busySites.Contains(site.Key) ? 1 : 0),
+                    QueuedAt = w.QueuedAt
+                }))
+                .OrderBy(p => p.QueuedAt)
+                .ToList();
+        }
+    }
+
+    public QueuePosition? GetPosition(Guid deploymentId) =>
+        GetWaiting().FirstOrDefault(p => p.DeploymentId == deploymentId);
+
+    // Items queued without a site name only wait for themselves
+    private static string SiteOf(QueuedDeployment item) =>
+        string.IsNullOrEmpty(item.SiteName) ? item.DeploymentId.ToString() : item.SiteName;
+}
@@ -0,0 +1,358 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.Extensions.Logging;
+using LogLevel = IIScribe.Core.Enums.LogLevel;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// Starts deployments at a scheduled time, once or on a daily, weekday or weekly repeat.
+/// Repeats keep their local time of day in the configured time zone across daylight saving changes.
+/// Each run starts only while whoever scheduled it is still active and allowed to deploy to its environment.
+/// Moving or cancelling a schedule takes the same rights as creating it, and someone else's needs a team lead.
+/// </summary>
+public class DeploymentScheduler : IDeploymentScheduler
+{
+    // Enough for a month of daily runs in the calendar
+    private const int MaxRunsPerSchedule = 62;
+
+    // Besides whoever created it, these roles may move or cancel a schedule
+    private static readonly UserRole[] ScheduleManagerRoles = { UserRole.Administrator, UserRole.TeamLead };
+
+    private readonly TimeZoneInfo _timeZone;
+    private readonly IRepository<ScheduledDeployment> _scheduleRepo;
+    private readonly IRepository<Deployment> _deploymentRepo;
+    private readonly IDeploymentOrchestrator _orchestrator;
+    private readonly IDeploymentQueue _queue;
+    private readonly IDeploymentApprovalService _approvalService;
+    private readonly IDeploymentLogger _deploymentLogger;
+    private readonly IAuditService _auditService;
+    private readonly ICurrentUserService _currentUser;
+    private readonly IUserService _userService;
+    private readonly ILogger<DeploymentScheduler> _logger;
+
+    public DeploymentScheduler(
+        TimeZoneInfo timeZone,
+        IRepository<ScheduledDeployment> scheduleRepo,
+        IRepository<Deployment> deploymentRepo,
+        IDeploymentOrchestrator orchestrator,
+        IDeploymentQueue queue,
+        IDeploymentApprovalService approvalService,
+        IDeploymentLogger deploymentLogger,
+        IAuditService auditService,
+        ICurrentUserService currentUser,
+        IUserService userService,
+        ILogger<DeploymentScheduler> logger)
+    {
+        _timeZone = timeZone;
+        _scheduleRepo = scheduleRepo;
+        _deploymentRepo = deploymentRepo;
+        _orchestrator = orchestrator;
+        _queue = queue;
+        _approvalService = approvalService;
+        _deploymentLogger = deploymentLogger;
+        _auditService = auditService;
+        _currentUser = currentUser;
+        _userService = userService;
+        _logger = logger;
+    }
+
+    public async Task<IEnumerable<ScheduledDeployment>> GetSchedulesAsync()
+    {
+        var schedules = await _scheduleRepo.FindAsync(s => s.IsActive && !s.IsDeleted);
+        return schedules.OrderBy(s => s.NextRunAt).ToList();
+    }
+
+    public async Task<IEnumerable<ScheduledRun>> GetRunsAsync(DateTime from, DateTime to)
+    {
+        from = AsUtc(from);
+        to = AsUtc(to);
+
+        var runs = new List<ScheduledRun>();
+        foreach (var schedule in await GetSchedulesAsync())
+        {
+            var runAt = schedule.NextRunAt;
+            for (var count = 0; runAt.HasValue && runAt <= to && count < MaxRunsPerSchedule; count++)
+            {
+                if (runAt >= from)
+                {
+                    runs.Add(new ScheduledRun
+                    {
+                        ScheduleId = schedule.Id,
+                        RunAt = runAt.Value,
+                        SiteName = schedule.SiteName,
+                        Environment = schedule.Environment,
+                        Recurrence = schedule.Recurrence,
+                        CreatedBy = schedule.CreatedBy
+                    });
+                }
+                runAt = NextRunAfter(schedule, runAt.Value);
+            }
+        }
+
+        return runs.OrderBy(r => r.RunAt).ToList();
+    }
+
+    public async Task<ScheduledDeployment> ScheduleAsync(ScheduleDeploymentRequest request)
+    {
+        var runAt = AsUtc(request.RunAt);
+        if (runAt <= DateTime.UtcNow)
+            throw new ArgumentException("Choose a time in the future");
+
+        // The change window is checked for the scheduled time below, not for now
+        var preflight = await _orchestrator.AnalyzeAsync(request.Request);
+        if (preflight.Environment == DeploymentEnvironment.Production && !_currentUser.HasPermission(Permission.DeployProduction))
+            throw new UnauthorizedAccessException($"{_currentUser.UserName} is not allowed to deploy to Production");
+
+        var errors = preflight.Errors.Where(e => e.Field != "emergencyJustification").ToList();
+        if (errors.Count > 0)
+            throw new ArgumentException(string.Join("; ", errors.Select(e => e.Message)));
+
+        var overridesWindow = EnsureInsideChangeWindow(preflight.Environment, runAt, request.Request.EmergencyJustification);
+
+        var schedule = await _scheduleRepo.AddAsync(new ScheduledDeployment
+        {
+            Request = _orchestrator.ProtectSecrets(request.Request),
+            SiteName = preflight.SiteName,
+            Environment = preflight.Environment,
+            Recurrence = request.Recurrence,
+            FirstRunAt = runAt,
+            NextRunAt = runAt
+        });
+
+        await AuditAsync(AuditEventType.DeploymentScheduled, "Schedule", schedule);
+        if (overridesWindow)
+            await AuditOverrideAsync(schedule);
+        return schedule;
+    }
+
+    public async Task<ScheduledDeployment> RescheduleAsync(Guid id, RescheduleRequest request)
+    {
+        var schedule = await GetActiveAsync(id);
+        EnsureMayChange(schedule);
+
+        var runAt = AsUtc(request.RunAt);
+        if (runAt <= DateTime.UtcNow)
+            throw new ArgumentException("Choose a time in the future");
+
+        // A justification covers the time it was given for, so moving the run needs a new one
+        var justification = string.IsNullOrWhiteSpace(request.EmergencyJustification) ? null : request.EmergencyJustification.Trim();
+        var overridesWindow = EnsureInsideChangeWindow(schedule.Environment, runAt, justification);
+
+        schedule.Request = schedule.Request with { EmergencyJustification = justification };
+        schedule.Recurrence = request.Recurrence;
+        schedule.FirstRunAt = runAt;
+        schedule.NextRunAt = runAt;
+        schedule.LastError = null;
+        await _scheduleRepo.UpdateAsync(schedule);
+
+        await AuditAsync(AuditEventType.DeploymentScheduled, "Reschedule", schedule);
+        if (overridesWindow)
+            await AuditOverrideAsync(schedule);
+        return schedule;
+    }
+
+    public async Task CancelAsync(Guid id)
+    {
+        var schedule = await GetActiveAsync(id);
+        EnsureMayChange(schedule);
+
+        schedule.IsActive = false;
+        schedule.NextRunAt = null;
+        await _scheduleRepo.UpdateAsync(schedule);
+
+        await AuditAsync(AuditEventType.DeploymentScheduleCancelled, "CancelSchedule", schedule);
+    }
+
+    public async Task RunDueAsync(DateTime utcNow, CancellationToken cancellationToken = default)
+    {
+        var due = await _scheduleRepo.FindAsync(s => s.IsActive && !s.IsDeleted && s.NextRunAt <= utcNow);
+
+        foreach (var schedule in due.OrderBy(s => s.NextRunAt))
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            // Runs start in the background as the system, so they are only as allowed as whoever scheduled them is now
+            var refusal = await CheckCreatorAsync(schedule);
+            if (refusal != null)
+            {
+                _logger.LogWarning("Scheduled deployment {ScheduleId} for {Site} cancelled: {Reason}", schedule.Id, schedule.SiteName, refusal);
+                schedule.IsActive = false;
+                schedule.NextRunAt = null;
+                schedule.LastError = refusal;
+                await _scheduleRepo.UpdateAsync(schedule);
+
+                await AuditAsync(AuditEventType.DeploymentScheduleCancelled, "CancelSchedule", schedule, refusal);
+                continue;
+            }
+
+            try
+            {
+                var deployment = await _orchestrator.CreateDeploymentAsync(schedule.Request);
+
+                // Runs belong to whoever scheduled them, so they cannot approve them either
+                deployment.CreatedBy = schedule.CreatedBy;
+                deployment.Metadata["ScheduleId"] = schedule.Id.ToString();
+                await _deploymentRepo.UpdateAsync(deployment);
+
+                await _deploymentLogger.LogAsync(deployment.Id, LogLevel.Information,
+                    $"Started by the {schedule.Recurrence.ToString().ToLowerInvariant()} schedule of {schedule.CreatedBy}", null);
+
+                if (deployment.Status != DeploymentStatus.PendingApproval)
+                {
+                    await _queue.EnqueueAsync(new QueuedDeployment
+                    {
+                        DeploymentId = deployment.Id,
+                        Request = schedule.Request,
+                        SiteName = deployment.SiteName ?? schedule.SiteName
+                    }, cancellationToken);
+                }
+
+                schedule.LastDeploymentId = deployment.Id;
+                schedule.LastError = null;
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogWarning(ex, "Scheduled deployment {ScheduleId} for {Site} did not start", schedule.Id, schedule.SiteName);
+                schedule.LastError = ex.Message;
+
+                // Nobody is watching when a run starts, so the failure goes on the record
+                await AuditAsync(AuditEventType.DeploymentScheduleFailed, "RunSchedule", schedule, ex.Message);
+            }
+
+            // Runs missed while the service was down are not made up
+            schedule.LastRunAt = utcNow;
+            schedule.NextRunAt = schedule.Recurrence == DeploymentRecurrence.Once ? null : NextRunAfter(schedule, utcNow);
+            schedule.IsActive = schedule.NextRunAt.HasValue;
+            await _scheduleRepo.UpdateAsync(schedule);
+        }
+    }
+
+    private async Task<ScheduledDeployment> GetActiveAsync(Guid id)
+    {
+        var schedule = await _scheduleRepo.GetByIdAsync(id);
+        if (schedule == null || schedule.IsDeleted)
+            throw new KeyNotFoundException($"Schedule not found: {id}");
+
+        if (!schedule.IsActive)
+            throw new InvalidOperationException("The schedule has already run or was cancelled");
+
+        return schedule;
+    }
+
+    private void EnsureMayChange(ScheduledDeployment schedule)
+    {
+        if (schedule.Environment == DeploymentEnvironment.Production && !_currentUser.HasPermission(Permission.DeployProduction))
+            throw new UnauthorizedAccessException($"{_currentUser.UserName} is not allowed to deploy to Production, so cannot change this schedule");
+
+        if (_currentUser.IsAuthenticated &&
+            !string.Equals(schedule.CreatedBy, _currentUser.UserName, StringComparison.OrdinalIgnoreCase) &&
+            !(_currentUser.Role is { } role && ScheduleManagerRoles.Contains(role)))
+        {
+            throw new UnauthorizedAccessException($"Only {schedule.CreatedBy}, who scheduled it, or a team lead can change this schedule");
+        }
+    }
+
+    private async Task<string?> CheckCreatorAsync(ScheduledDeployment schedule)
+    {
+        var creator = await _userService.GetUserAsync(schedule.CreatedBy);
+        if (creator == null || !creator.IsActive)
+            return $"{schedule.CreatedBy}, who scheduled it, is no longer an active user";
+        if (!RolePermissions.Has(creator.Role, Permission.Deploy))
+            return $"{creator.Username}, who scheduled it, is no longer allowed to deploy";
+        if (schedule.Environment == DeploymentEnvironment.Production && !RolePermissions.Has(creator.Role, Permission.DeployProduction))
+            return $"{creator.Username}, who scheduled it, is no longer allowed to deploy to Production";
+
+        return null;
+    }
+
+    // True when the time is outside the change window and the emergency justification lets it through
+    private bool EnsureInsideChangeWindow(DeploymentEnvironment environment, DateTime runAt, string? emergencyJustification)
+    {
+        if (_approvalService.GetChangeWindowStatus(environment, runAt).IsOpen)
+            return false;
+
+        if (string.IsNullOrWhiteSpace(emergencyJustification))
+        {
+            throw new UnauthorizedAccessException(
+                $"{TimeZoneInfo.ConvertTimeFromUtc(runAt, _timeZone):ddd yyyy-MM-dd HH:mm} ({_timeZone.Id}) is outside " +
+                $"the {environment} change window. Choose a time inside it or give an emergency justification.");
+        }
+
+        return true;
+    }
+
+    private DateTime? NextRunAfter(ScheduledDeployment schedule, DateTime afterUtc)
+    {
+        if (schedule.Recurrence == DeploymentRecurrence.Once)
+            return null;
+
+        var first = TimeZoneInfo.ConvertTimeFromUtc(schedule.FirstRunAt, _timeZone);
+        var after = TimeZoneInfo.ConvertTimeFromUtc(afterUtc, _timeZone);
+
+        for (var day = after.Date; day <= after.Date.AddDays(8); day = day.AddDays(1))
+        {
+            var runsOnDay = schedule.Recurrence switch
+            {
+                DeploymentRecurrence.Weekdays => day.DayOfWeek is not (DayOfWeek.Saturday or DayOfWeek.Sunday),
+                DeploymentRecurrence.Weekly => day.DayOfWeek == first.DayOfWeek,
+                _ => true
+            };
+
+            var runAt = ToUtc(day + first.TimeOfDay);
+            if (runsOnDay && runAt > afterUtc)
+                return runAt;
+        }
+
+        return null;
+    }
+
+    private async Task AuditAsync(AuditEventType eventType, string action, ScheduledDeployment schedule, string? reason = null)
+    {
+        var details = new Dictionary<string, object>
+        {
+            ["Site"] = schedule.SiteName,
+            ["Environment"] = schedule.Environment.ToString(),
+            ["RunAt"] = schedule.FirstRunAt,
+            ["Recurrence"] = schedule.Recurrence.ToString()
+        };
+        if (reason != null)
+            details["Reason"] = reason;
+
+        await _auditService.LogEventAsync(eventType, _currentUser.UserName, action, schedule.Id.ToString(), details);
+    }
+
+    private Task AuditOverrideAsync(ScheduledDeployment schedule)
+    {
+        return _auditService.LogEventAsync(
+            AuditEventType.ChangeWindowOverridden,
+            _currentUser.UserName,
+            "EmergencyOverride",
+            schedule.Id.ToString(),
+            new Dictionary<string, object>
+            {
+                ["Environment"] = schedule.Environment.ToString(),
+                ["RunAt"] = schedule.FirstRunAt,
+                ["Justification"] = schedule.Request.EmergencyJustification ?? string.Empty
+            });
+    }
+
+    // Times without a zone are taken as UTC, as the API documents
+    private static DateTime AsUtc(DateTime value) => value.Kind switch
+    {
+        DateTimeKind.Local => value.ToUniversalTime(),
+        _ => DateTime.SpecifyKind(value, DateTimeKind.Utc)
+    };
+
+    // A local time skipped by a daylight saving change is moved past the gap
+    private DateTime ToUtc(DateTime local)
+    {
+        local = DateTime.SpecifyKind(local, DateTimeKind.Unspecified);
+        if (_timeZone.IsInvalidTime(local))
+            local = local.AddHours(1);
+
+        return TimeZoneInfo.ConvertTimeToUtc(local, _timeZone);
+    }
+}
@@ -0,0 +1,395 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.Extensions.Logging;
+using System.Diagnostics;
+using LogLevel = IIScribe.Core.Enums.LogLevel;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// Probes sites with their user-defined health monitors. A monitor whose probes fail FailureThreshold times
+/// in a row turns the site Unhealthy, which raises an alert once; a monitor with AutoRollback also rolls the
+/// site back to its previous successful deployment, if its latest deployment completed within the rollback window
+/// and the user who turned AutoRollback on is still active and allowed to roll that deployment back.
+/// Redirects are not followed, so ExpectedStatusCode is compared with the site's own response.
+/// </summary>
+public class HealthMonitorService : IHealthMonitorService
+{
+    private const int MinIntervalSeconds = 10;
+    private const int MaxTimeoutSeconds = 120;
+    private const int MaxFailureThreshold = 20;
+
+    private readonly HttpClient _httpClient;
+    private readonly HealthMonitoringOptions _options;
+    private readonly IRepository<HealthMonitor> _monitorRepo;
+    private readonly IRepository<HealthCheck> _checkRepo;
+    private readonly IRepository<Deployment> _deploymentRepo;
+    private readonly IIISDeploymentService _iisService;
+    private readonly IDeploymentOrchestrator _orchestrator;
+    private readonly IDeploymentQueue _deploymentQueue;
+    private readonly INotificationService _notificationService;
+    private readonly IAuditService _auditService;
+    private readonly IDeploymentLogger _deploymentLogger;
+    private readonly ICurrentUserService _currentUser;
+    private readonly IUserService _userService;
+    private readonly ILogger<HealthMonitorService> _logger;
+
+    public HealthMonitorService(
+        HttpClient httpClient,
+        HealthMonitoringOptions options,
+        IRepository<HealthMonitor> monitorRepo,
+        IRepository<HealthCheck> checkRepo,
+        IRepository<Deployment> deploymentRepo,
+        IIISDeploymentService iisService,
+        IDeploymentOrchestrator orchestrator,
+        IDeploymentQueue deploymentQueue,
+        INotificationService notificationService,
+        IAuditService auditService,
+        IDeploymentLogger deploymentLogger,
+        ICurrentUserService currentUser,
+        IUserService userService,
+        ILogger<HealthMonitorService> logger)
+    {
+        _httpClient = httpClient;
+        _options = options;
+        _monitorRepo = monitorRepo;
+        _checkRepo = checkRepo;
+        _deploymentRepo = deploymentRepo;
+        _iisService = iisService;
+        _orchestrator = orchestrator;
+        _deploymentQueue = deploymentQueue;
+        _notificationService = notificationService;
+        _auditService = auditService;
+        _deploymentLogger = deploymentLogger;
+        _currentUser = currentUser;
+        _userService = userService;
+        _logger = logger;
+    }
+
+    public async Task<IEnumerable<HealthMonitorInfo>> GetMonitorsAsync(string? siteName = null)
+    {
+        var monitors = string.IsNullOrEmpty(siteName)
+            ? await _monitorRepo.GetAllAsync()
+            : await _monitorRepo.FindAsync(m => m.SiteName.ToLower() == siteName.ToLower());
+        var checks = (await _checkRepo.FindAsync(c => c.MonitorId != null))
+            .ToLookup(c => c.MonitorId!.Value);
+
+        return monitors
+            .OrderBy(m => m.SiteName, StringComparer.OrdinalIgnoreCase)
+            .ThenBy(m => m.Name, StringComparer.OrdinalIgnoreCase)
+            .Select(m => HealthMonitorInfo.From(m, checks[m.Id]))
+            .ToList();
+    }
+
+    public async Task<HealthMonitor> CreateMonitorAsync(SaveHealthMonitorRequest request)
+    {
+        var monitor = new HealthMonitor();
+        await ApplyAsync(monitor, request);
+        return await _monitorRepo.AddAsync(monitor);
+    }
+
+    public async Task<HealthMonitor> UpdateMonitorAsync(Guid id, SaveHealthMonitorRequest request)
+    {
+        var monitor = await GetMonitorAsync(id);
+        await ApplyAsync(monitor, request);
+        await _monitorRepo.UpdateAsync(monitor);
+        return monitor;
+    }
+
+    public async Task DeleteMonitorAsync(Guid id)
+    {
+        await GetMonitorAsync(id);
+        await _monitorRepo.DeleteAsync(id);
+
+        foreach (var check in await _checkRepo.FindAsync(c => c.MonitorId == id))
+            await _checkRepo.DeleteAsync(check.Id);
+    }
+
+    public async Task<HealthMonitorInfo> CheckNowAsync(Guid id, CancellationToken cancellationToken = default)
+    {
+        var monitor = await GetMonitorAsync(id);
+        await RecordAsync(monitor, await ProbeAsync(monitor, cancellationToken), cancellationToken);
+
+        return HealthMonitorInfo.From(monitor, await _checkRepo.FindAsync(c => c.MonitorId == id));
+    }
+
+    public async Task RunDueAsync(DateTime utcNow, CancellationToken cancellationToken = default)
+    {
+        if (!_options.Enabled)
+            return;
+
+        var due = (await _monitorRepo.FindAsync(m => m.Enabled))
+            .Where(m => m.LastCheckedAt == null || m.LastCheckedAt.Value.AddSeconds(m.IntervalSeconds) <= utcNow)
+            .ToList();
+
+        // Probes run side by side so one slow site doesn't hold up the others; their outcomes are recorded in turn
+        var results = await Task.WhenAll(due.Select(m => ProbeAsync(m, cancellationToken)));
+        for (var i = 0; i < due.Count; i++)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+            await RecordAsync(due[i], results[i], cancellationToken);
+        }
+
+        var cutoff = utcNow.AddHours(-_options.HistoryHours);
+        foreach (var check in await _checkRepo.FindAsync(c => c.MonitorId != null && c.CheckedAt < cutoff))
+            await _checkRepo.DeleteAsync(check.Id);
+    }
+
+    private async Task<HealthCheckResult> ProbeAsync(HealthMonitor monitor, CancellationToken cancellationToken)
+    {
+        using var timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        timeout.CancelAfter(TimeSpan.FromSeconds(monitor.TimeoutSeconds));
+        var stopwatch = Stopwatch.StartNew();
+
+        try
+        {
+            using var response = await _httpClient.GetAsync(monitor.Url, timeout.Token);
+            var statusCode = (int)response.StatusCode;
+            if (statusCode != monitor.ExpectedStatusCode)
+            {
+                return Result(monitor, HealthCheckStatus.Unhealthy, stopwatch,
+                    $"Expected {monitor.ExpectedStatusCode} but got {statusCode} {response.ReasonPhrase}");
+            }
+
+            if (!string.IsNullOrEmpty(monitor.ExpectedBodyContains))
+            {
+                var body = await response.Content.ReadAsStringAsync(timeout.Token);
+                if (!body.Contains(monitor.ExpectedBodyContains, StringComparison.Ordinal))
+                {
+                    return Result(monitor, HealthCheckStatus.Unhealthy, stopwatch,
+                        $"The response did not contain \"{monitor.ExpectedBodyContains}\"");
+                }
+            }
+
+            var elapsedMs = stopwatch.ElapsedMilliseconds;
+            return monitor.DegradedAfterMs is { } slowMs && elapsedMs > slowMs
+                ? Result(monitor, HealthCheckStatus.Degraded, stopwatch, $"{statusCode} in {elapsedMs} ms, slower than {slowMs} ms")
+                : Result(monitor, HealthCheckStatus.Healthy, stopwatch, $"{statusCode} in {elapsedMs} ms");
+        }
+        catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+        {
+            return Result(monitor, HealthCheckStatus.Unhealthy, stopwatch, $"No response within {monitor.TimeoutSeconds} seconds");
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            return Result(monitor, HealthCheckStatus.Unhealthy, stopwatch,
+                ex.InnerException == null || ex.Message.Contains(ex.InnerException.Message)
+                    ? ex.Message
+                    : $"{ex.Message} {ex.InnerException.Message}");
+        }
+    }
+
+    private static HealthCheckResult Result(HealthMonitor monitor, HealthCheckStatus status, Stopwatch stopwatch, string message) => new()
+    {
+        CheckName = monitor.Name,
+        Status = status,
+        Message = message,
+        ResponseTimeMs = (int)stopwatch.ElapsedMilliseconds
+    };
+
+    /// <summary>
+    /// Keep the probe and move the monitor's status on. Failures below the threshold show as Degraded,
+    /// so a single dropped request neither alerts nor rolls back.
+    /// </summary>
+    private async Task RecordAsync(HealthMonitor monitor, HealthCheckResult result, CancellationToken cancellationToken)
+    {
+        var deployment = await GetLatestDeploymentAsync(monitor.SiteName);
+        await _checkRepo.AddAsync(new HealthCheck
+        {
+            DeploymentId = deployment?.Id ?? Guid.Empty,
+            MonitorId = monitor.Id,
+            CheckName = result.CheckName,
+            Status = result.Status,
+            Message = result.Message,
+            ResponseTimeMs = result.ResponseTimeMs,
+            CheckedAt = result.CheckedAt
+        });
+
+        var previous = monitor.Status;
+        monitor.ConsecutiveFailures = result.Status == HealthCheckStatus.Unhealthy ? monitor.ConsecutiveFailures + 1 : 0;
+        monitor.Status = result.Status != HealthCheckStatus.Unhealthy
+            ? result.Status
+            : monitor.ConsecutiveFailures >= monitor.FailureThreshold ? HealthCheckStatus.Unhealthy : HealthCheckStatus.Degraded;
+        monitor.LastMessage = result.Message;
+        monitor.LastCheckedAt = result.CheckedAt;
+
+        var turnedUnhealthy = monitor.Status == HealthCheckStatus.Unhealthy && previous != HealthCheckStatus.Unhealthy;
+        var recovered = previous == HealthCheckStatus.Unhealthy && monitor.Status != HealthCheckStatus.Unhealthy;
+        if (turnedUnhealthy)
+            monitor.UnhealthySince = result.CheckedAt;
+        else if (recovered)
+            monitor.UnhealthySince = null;
+        await _monitorRepo.UpdateAsync(monitor);
+
+        if (turnedUnhealthy)
+            await RaiseAlertAsync(monitor, deployment, result.CheckedAt, cancellationToken);
+        else if (recovered)
+            await RaiseRecoveryAsync(monitor, deployment);
+    }
+
+    private async Task RaiseAlertAsync(HealthMonitor monitor, Deployment? deployment, DateTime utcNow, CancellationToken cancellationToken)
+    {
+        var message = $"{monitor.SiteName} is unhealthy: {monitor.Name} failed {monitor.ConsecutiveFailures} check(s) in a row ({monitor.LastMessage})";
+        if (monitor.AutoRollback)
+            message += $". {await TryRollbackAsync(monitor, deployment, utcNow, cancellationToken)}";
+
+        _logger.LogWarning("Health alert for {Site}: {Message}", monitor.SiteName, message);
+        if (deployment != null)
+            await _deploymentLogger.LogAsync(deployment.Id, LogLevel.Error, message, null);
+
+        await _auditService.LogEventAsync(
+            AuditEventType.SiteUnhealthy,
+            _currentUser.UserName,
+            "HealthAlert",
+            monitor.SiteName,
+            new Dictionary<string, object>
+            {
+                ["Monitor"] = monitor.Name,
+                ["Url"] = monitor.Url,
+                ["Failures"] = monitor.ConsecutiveFailures,
+                ["Message"] = monitor.LastMessage ?? string.Empty,
+                ["DeploymentId"] = deployment?.Id.ToString() ?? string.Empty
+            });
+
+        await NotifyAsync(NotificationEvent.SiteUnhealthy, message, deployment);
+    }
+
+    private async Task RaiseRecoveryAsync(HealthMonitor monitor, Deployment? deployment)
+    {
+        var message = $"{monitor.SiteName} has recovered: {monitor.Name} passed ({monitor.LastMessage})";
+        if (deployment != null)
+            await _deploymentLogger.LogAsync(deployment.Id, LogLevel.Information, message, null);
+
+        await NotifyAsync(NotificationEvent.SiteRecovered, message, deployment);
+    }
+
+    /// <summary>
+    /// Queue a rollback of the site's latest deployment to the one before it, and say what was done
+    /// </summary>
+    private async Task<string> TryRollbackAsync(HealthMonitor monitor, Deployment? deployment, DateTime utcNow, CancellationToken cancellationToken)
+    {
+        if (deployment == null)
+            return "Not rolling back: IIScribe has not deployed this site";
+        if (deployment.Status != DeploymentStatus.Success)
+            return $"Not rolling back: its latest deployment is {deployment.Status}";
+        if (deployment.CompletedAt < utcNow.AddMinutes(-_options.RollbackWindowMinutes))
+            return $"Not rolling back: its latest deployment completed more than {_options.RollbackWindowMinutes} minutes ago";
+
+        // The rollback runs in the background as the system, so it is only as allowed as whoever turned it on
+        var owner = monitor.AutoRollbackEnabledBy == null ? null : await _userService.GetUserAsync(monitor.AutoRollbackEnabledBy);
+        if (owner == null || !owner.IsActive)
+            return $"Not rolling back: automatic rollback was turned on by {monitor.AutoRollbackEnabledBy ?? "an unknown user"}, who is no longer an active user";
+        if (!RolePermissions.Has(owner.Role, Permission.Rollback))
+            return $"Not rolling back: {owner.Username}, who turned automatic rollback on, is no longer allowed to roll back";
+        if (deployment.Environment == DeploymentEnvironment.Production && !RolePermissions.Has(owner.Role, Permission.DeployProduction))
+            return $"Not rolling back: {owner.Username}, who turned automatic rollback on, is not allowed to change Production";
+
+        var plan = await _orchestrator.GetRollbackPlanAsync(deployment.Id);
+        var target = plan.Candidates.FirstOrDefault();
+        if (target == null)
+            return "Not rolling back: there is no earlier successful deployment to return to";
+
+        // Marked running before queueing, as for a rollback requested through the API
+        deployment.Status = DeploymentStatus.InProgress;
+        deployment.CompletedAt = null;
+        deployment.Metadata["RollbackRequestedBy"] = owner.Username;
+        deployment.Metadata["RollbackReason"] = $"Health monitor '{monitor.Name}' failed";
+        await _deploymentRepo.UpdateAsync(deployment);
+
+        await _deploymentQueue.EnqueueAsync(new QueuedDeployment
+        {
+            DeploymentId = deployment.Id,
+            SiteName = deployment.SiteName ?? monitor.SiteName,
+            IsRollback = true,
+            RollbackTargetId = target.DeploymentId
+        }, cancellationToken);
+
+        return $"Rolling back to {target.Name} ({target.DeploymentId})";
+    }
+
+    // An alert that cannot be queued must not stop the remaining monitors
+    private async Task NotifyAsync(NotificationEvent notificationEvent, string message, Deployment? deployment)
+    {
+        try
+        {
+            await _notificationService.NotifyHealthAsync(notificationEvent, message, deployment);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Could not queue {Event} notifications", notificationEvent);
+        }
+    }
+
+    private async Task<Deployment?> GetLatestDeploymentAsync(string siteName)
+    {
+        var deployments = await _deploymentRepo.FindAsync(d => d.SiteName != null && d.SiteName.ToLower() == siteName.ToLower());
+        return deployments.OrderByDescending(d => d.CreatedAt).FirstOrDefault();
+    }
+
+    private async Task<HealthMonitor> GetMonitorAsync(Guid id)
+    {
+        return await _monitorRepo.GetByIdAsync(id)
+            ?? throw new KeyNotFoundException($"Health monitor not found: {id}");
+    }
+
+    private async Task ApplyAsync(HealthMonitor monitor, SaveHealthMonitorRequest request)
+    {
+        var site = (await _iisService.GetAllSitesAsync())
+            .FirstOrDefault(s => string.Equals(s.SiteName, request.SiteName?.Trim(), StringComparison.OrdinalIgnoreCase))
+            ?? throw new ArgumentException($"Site not found: {request.SiteName}");
+
+        var name = request.Name?.Trim();
+        if (string.IsNullOrEmpty(name))
+            throw new ArgumentException("Give the monitor a name");
+        if (!Uri.TryCreate(request.Url?.Trim(), UriKind.Absolute, out var uri) || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+            throw new ArgumentException("URL must be an http or https URL");
+        if (request.ExpectedStatusCode is < 100 or > 599)
+            throw new ArgumentException("Expected status must be an HTTP status code between 100 and 599");
+        if (request.TimeoutSeconds is < 1 or > MaxTimeoutSeconds)
+            throw new ArgumentException($"Timeout must be between 1 and {MaxTimeoutSeconds} seconds");
+        if (request.IntervalSeconds < Math.Max(MinIntervalSeconds, request.TimeoutSeconds))
+            throw new ArgumentException($"Interval must be at least {MinIntervalSeconds} seconds and no shorter than the timeout");
+        if (request.FailureThreshold is < 1 or > MaxFailureThreshold)
+            throw new ArgumentException($"Failures before Unhealthy must be between 1 and {MaxFailureThreshold}");
+        if (request.DegradedAfterMs is { } slowMs && (slowMs < 1 || slowMs >= request.TimeoutSeconds * 1000))
+            throw new ArgumentException("Degraded after must be a positive number of milliseconds within the timeout");
+
+        var duplicate = await _monitorRepo.FindAsync(m =>
+            m.Id != monitor.Id && m.SiteName.ToLower() == site.SiteName.ToLower() && m.Name.ToLower() == name.ToLower());
+        if (duplicate.Any())
+            throw new InvalidOperationException($"{site.SiteName} already has a monitor named '{name}'");
+
+        // Whoever saves a monitor that rolls back answers for its rollbacks, so they must be allowed to do one
+        if (request.AutoRollback)
+        {
+            if (!_currentUser.HasPermission(Permission.Rollback))
+                throw new UnauthorizedAccessException($"{_currentUser.UserName} is not allowed to roll back, so cannot turn on automatic rollback");
+            if ((await GetLatestDeploymentAsync(site.SiteName))?.Environment == DeploymentEnvironment.Production &&
+                !_currentUser.HasPermission(Permission.DeployProduction))
+                throw new UnauthorizedAccessException($"{_currentUser.UserName} is not allowed to change Production, so cannot turn on automatic rollback for {site.SiteName}");
+        }
+
+        monitor.SiteName = site.SiteName;
+        monitor.Name = name;
+        monitor.Url = uri.ToString();
+        monitor.Enabled = request.Enabled;
+        monitor.ExpectedStatusCode = request.ExpectedStatusCode;
+        monitor.ExpectedBodyContains = string.IsNullOrEmpty(request.ExpectedBodyContains) ? null : request.ExpectedBodyContains;
+        monitor.DegradedAfterMs = request.DegradedAfterMs;
+        monitor.TimeoutSeconds = request.TimeoutSeconds;
+        monitor.IntervalSeconds = request.IntervalSeconds;
+        monitor.FailureThreshold = request.FailureThreshold;
+        monitor.AutoRollback = request.AutoRollback;
+        monitor.AutoRollbackEnabledBy = request.AutoRollback ? _currentUser.UserName : null;
+
+        // A paused monitor says nothing about the site, and starts afresh when enabled again
+        if (!monitor.Enabled)
+        {
+            monitor.Status = HealthCheckStatus.Unknown;
+            monitor.ConsecutiveFailures = 0;
+            monitor.UnhealthySince = null;
+        }
+    }
+}
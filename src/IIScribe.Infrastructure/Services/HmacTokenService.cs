@@ -0,0 +1,82 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Interfaces;
+using System.Security.Claims;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// Self-contained bearer tokens: a base64url JSON payload (user, role, expiry) and its HMAC-SHA256 signature.
+/// Tokens stay valid until they expire, so keep the lifetime short; changing the signing key signs everyone out.
+/// </summary>
+public class HmacTokenService : ITokenService
+{
+    private readonly byte[] _signingKey;
+    private readonly TimeSpan _lifetime;
+
+    private record TokenPayload(string Sub, string Role, long Exp);
+
+    public HmacTokenService(byte[] signingKey, TimeSpan lifetime)
+    {
+        if (signingKey.Length < 32)
+            throw new ArgumentException("The signing key must be at least 256 bits", nameof(signingKey));
+
+        _signingKey = signingKey;
+        _lifetime = lifetime;
+    }
+
+    public AuthToken IssueToken(User user)
+    {
+        var expiresAt = DateTime.UtcNow.Add(_lifetime);
+        var payload = JsonSerializer.SerializeToUtf8Bytes(
+            new TokenPayload(user.Username, user.Role.ToString(), new DateTimeOffset(expiresAt).ToUnixTimeSeconds()));
+
+        return new AuthToken
+        {
+            Token = $"{Base64UrlEncode(payload)}.{Base64UrlEncode(Sign(payload))}",
+            ExpiresAt = expiresAt
+        };
+    }
+
+    public ClaimsPrincipal? ValidateToken(string token)
+    {
+        var parts = token.Split('.');
+        if (parts.Length != 2)
+            return null;
+
+        try
+        {
+            var payload = Base64UrlDecode(parts[0]);
+            if (!CryptographicOperations.FixedTimeEquals(Sign(payload), Base64UrlDecode(parts[1])))
+                return null;
+
+            var claims = JsonSerializer.Deserialize<TokenPayload>(payload);
+            if (claims == null || DateTimeOffset.FromUnixTimeSeconds(claims.Exp) <= DateTimeOffset.UtcNow)
+                return null;
+
+            return new ClaimsPrincipal(new ClaimsIdentity(new[]
+            {
+                new Claim(ClaimTypes.Name, claims.Sub),
+                new Claim(ClaimTypes.Role, claims.Role)
+            }, "Bearer"));
+        }
+        catch (Exception ex) when (ex is FormatException or JsonException)
+        {
+            return null;
+        }
+    }
+
+    private byte[] Sign(byte[] payload) => HMACSHA256.HashData(_signingKey, payload);
+
+    private static string Base64UrlEncode(byte[] bytes) =>
+        Convert.ToBase64String(bytes).TrimEnd('=').Replace('+', '-').Replace('/', '_');
+
+    private static byte[] Base64UrlDecode(string value)
+    {
+        var base64 = value.Replace('-', '+').Replace('_', '/');
+        return Convert.FromBase64String(base64.PadRight(base64.Length + (4 - base64.Length % 4) % 4, '='));
+    }
+}
@@ -237,7 +237,7 @@ public class IISDeploymentService : IIISDeploymentService
                 Message = "Backing up existing application..."
             });
 
-            var backupPath = $"{config.DestinationPath}_backup_{DateTime.Now:yyyyMMddHHmmss}";
+            var backupPath = config.BackupPath ?? $"{config.DestinationPath}_backup_{DateTime.Now:yyyyMMddHHmmss}";
             CopyDirectory(config.DestinationPath, backupPath);
         }
 
@@ -337,6 +337,31 @@ public class IISDeploymentService : IIISDeploymentService
         }
     }
 
+    public async Task RecycleAppPoolAsync(string appPoolName)
+    {
+        using var serverManager = new ServerManager();
+        var appPool = serverManager.ApplicationPools[appPoolName];
+        if (appPool == null)
+            throw new InvalidOperationException($"Application pool not found: {appPoolName}");
+
+        appPool.Recycle();
+    }
+
+    public async Task BindCertificateAsync(string siteName, string thumbprint)
+    {
+        using var serverManager = new ServerManager();
+        var site = serverManager.Sites[siteName];
+        if (site == null)
+            throw new InvalidOperationException($"Site not found: {siteName}");
+
+        var httpsBinding = site.Bindings.FirstOrDefault(b => b.Protocol == "https")
+            ?? site.Bindings.Add($"*:443:{site.Bindings.FirstOrDefault()?.Host}", "https");
+
+        httpsBinding.CertificateHash = Convert.FromHexString(thumbprint.Replace(":", ""));
+        httpsBinding.CertificateStoreName = "My";
+        serverManager.CommitChanges();
+    }
+
     public async Task<IEnumerable<SiteStatus>> GetAllSitesAsync()
     {
         using var serverManager = new ServerManager();
@@ -353,10 +378,17 @@ public class IISDeploymentService : IIISDeploymentService
                 Url = site.Bindings.FirstOrDefault()?.Protocol == "https"
                     ? $"https://{site.Bindings.First().Host}"
                     : $"http://{site.Bindings.First().Host}",
+                Bindings = site.Bindings
+                    .Select(b => $"{b.Protocol}://{b.Host}:{b.EndPoint?.Port}")
+                    .ToList(),
                 IsRunning = site.State == ObjectState.Started,
                 State = site.State.ToString(),
                 AppPoolName = appPoolName,
-                AppPoolRunning = appPool?.State == ObjectState.Started
+                AppPoolRunning = appPool?.State == ObjectState.Started,
+                CertificateThumbprint = site.Bindings
+                    .FirstOrDefault(b => b.Protocol == "https" && b.CertificateHash != null)?.CertificateHash is { } hash
+                        ? Convert.ToHexString(hash)
+                        : null
             };
 
             statuses.Add(status);
@@ -0,0 +1,224 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.Extensions.Logging;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// Stand-in for IIS on machines without it (Linux, macOS, CI).
+/// Sites and app pools are kept in memory so deployments and the sites page work end to end.
+/// </summary>
+public class LocalIISDeploymentService : IIISDeploymentService
+{
+    private readonly Dictionary<string, LocalSite> _sites = new(StringComparer.OrdinalIgnoreCase);
+    private readonly object _lock = new();
+    private readonly Random _random = new();
+    private readonly ILogger<LocalIISDeploymentService> _logger;
+
+    private class LocalSite
+    {
+        public WebsiteConfiguration Config { get; set; } = new();
+        public bool IsRunning { get; set; }
+        public bool AppPoolRunning { get; set; }
+        public DateTime StartedAt { get; set; } = DateTime.UtcNow;
+    }
+
+    public LocalIISDeploymentService(ILogger<LocalIISDeploymentService> logger)
+    {
+        _logger = logger;
+    }
+
+    public Task<bool> IsIISInstalledAsync() => Task.FromResult(true);
+
+    public Task InstallIISAsync(IProgress<ProgressInfo>? progress = null) => Task.CompletedTask;
+
+    public Task<string> CreateApplicationPoolAsync(AppPoolConfiguration config)
+    {
+        _logger.LogInformation("(local) Creating app pool: {AppPool}", config.Name);
+        return Task.FromResult(config.Name);
+    }
+
+    public Task<string> CreateWebsiteAsync(WebsiteConfiguration config)
+    {
+        _logger.LogInformation("(local) Creating website: {Site}", config.Name);
+
+        lock (_lock)
+        {
+            _sites[config.Name] = new LocalSite
+            {
+                Config = config,
+                IsRunning = true,
+                AppPoolRunning = true
+            };
+        }
+
+        return Task.FromResult(config.Name);
+    }
+
+    public async Task DeployApplicationAsync(ApplicationDeploymentConfig config, IProgress<ProgressInfo>? progress = null)
+    {
+        _logger.LogInformation("(local) Deploying {Source} to {Site}", config.SourcePath, config.SiteName);
+
+        progress?.Report(new ProgressInfo
+        {
+            Stage = "Copying Files",
+            PercentComplete = 50,
+            Message = "Deploying application files (local stand-in, nothing is copied)..."
+        });
+        await Task.Delay(500);
+
+        lock (_lock)
+        {
+            // A rollback can redeploy a site that was removed
+            if (!_sites.TryGetValue(config.SiteName, out var site))
+            {
+                site = new LocalSite
+                {
+                    Config = new WebsiteConfiguration
+                    {
+                        Name = config.SiteName,
+                        PhysicalPath = config.DestinationPath,
+                        AppPoolName = $"{config.SiteName}_Pool",
+                        EnableHttps = false
+                    }
+                };
+                _sites[config.SiteName] = site;
+            }
+
+            site.IsRunning = true;
+            site.AppPoolRunning = true;
+            site.StartedAt = DateTime.UtcNow;
+        }
+
+        progress?.Report(new ProgressInfo
+        {
+            Stage = "Complete",
+            PercentComplete = 100,
+            Message = "Deployment completed successfully"
+        });
+    }
+
+    public Task StartSiteAsync(string siteName)
+    {
+        _logger.LogInformation("(local) Starting site: {Site}", siteName);
+
+        lock (_lock)
+        {
+            var site = FindSite(siteName);
+            if (!site.IsRunning)
+            {
+                site.IsRunning = true;
+                site.AppPoolRunning = true;
+                site.StartedAt = DateTime.UtcNow;
+            }
+        }
+
+        return Task.CompletedTask;
+    }
+
+    public Task StopSiteAsync(string siteName)
+    {
+        _logger.LogInformation("(local) Stopping site: {Site}", siteName);
+
+        lock (_lock)
+        {
+            FindSite(siteName).IsRunning = false;
+        }
+
+        return Task.CompletedTask;
+    }
+
+    public Task RemoveSiteAsync(string siteName)
+    {
+        _logger.LogInformation("(local) Removing site: {Site}", siteName);
+
+        lock (_lock)
+        {
+            _sites.Remove(siteName);
+        }
+
+        return Task.CompletedTask;
+    }
+
+    public Task RecycleAppPoolAsync(string appPoolName)
+    {
+        _logger.LogInformation("(local) Recycling app pool: {AppPool}", appPoolName);
+
+        lock (_lock)
+        {
+            var sites = _sites.Values
+                .Where(s => string.Equals(s.Config.AppPoolName, appPoolName, StringComparison.OrdinalIgnoreCase))
+                .ToList();
+
+            if (sites.Count == 0)
+                throw new InvalidOperationException($"Application pool not found: {appPoolName}");
+
+            foreach (var site in sites)
+            {
+                site.AppPoolRunning = true;
+                site.StartedAt = DateTime.UtcNow;
+            }
+        }
+
+        return Task.CompletedTask;
+    }
+
+    public Task BindCertificateAsync(string siteName, string thumbprint)
+    {
+        _logger.LogInformation("(local) Binding certificate {Thumbprint} to site: {Site}", thumbprint, siteName);
+
+        lock (_lock)
+        {
+            var site = FindSite(siteName);
+            site.Config = site.Config with { EnableHttps = true, CertificateThumbprint = thumbprint };
+        }
+
+        return Task.CompletedTask;
+    }
+
+    public Task<IEnumerable<SiteStatus>> GetAllSitesAsync()
+    {
+        lock (_lock)
+        {
+            var statuses = _sites.Values.Select(site =>
+            {
+                var config = site.Config;
+                var uptime = DateTime.UtcNow - site.StartedAt;
+                var protocol = config.EnableHttps ? "https" : "http";
+                var port = config.EnableHttps ? config.HttpsPort : config.HttpPort;
+                var host = string.IsNullOrEmpty(config.DomainName) ? "localhost" : config.DomainName;
+
+                // Simulated resource usage so the sites page has something to show
+                return new SiteStatus
+                {
+                    SiteName = config.Name,
+                    Url = $"{protocol}://{host}:{port}",
+                    Bindings = config.EnableHttps
+                        ? new List<string> { $"http://{config.DomainName}:{config.HttpPort}", $"https://{config.DomainName}:{config.HttpsPort}" }
+                        : new List<string> { $"http://{config.DomainName}:{config.HttpPort}" },
+                    IsRunning = site.IsRunning,
+                    State = site.IsRunning ? "Started" : "Stopped",
+                    AppPoolName = config.AppPoolName,
+                    AppPoolRunning = site.AppPoolRunning,
+                    WorkingSetMemoryMB = site.IsRunning ? 80 + _random.Next(120) : 0,
+                    CpuUsagePercent = site.IsRunning ? Math.Round(_random.NextDouble() * 15, 1) : 0,
+                    ActiveConnections = site.IsRunning ? _random.Next(25) : 0,
+                    TotalRequests = site.IsRunning ? (int)uptime.TotalSeconds * 3 : 0,
+                    CertificateThumbprint = config.CertificateThumbprint,
+                    Health = site.IsRunning ? HealthCheckStatus.Healthy : HealthCheckStatus.Unhealthy
+                };
+            }).ToList();
+
+            return Task.FromResult<IEnumerable<SiteStatus>>(statuses);
+        }
+    }
+
+    private LocalSite FindSite(string siteName)
+    {
+        return _sites.TryGetValue(siteName, out var site)
+            ? site
+            : throw new InvalidOperationException($"Site not found: {siteName}");
+    }
+}
@@ -0,0 +1,134 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using System.Security.Cryptography;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// User accounts kept in the user repository, with PBKDF2-SHA256 password hashes
+/// stored as "pbkdf2$iterations$salt$hash"
+/// </summary>
+public class LocalUserService : IUserService
+{
+    private const int Iterations = 100_000;
+    private const int SaltSize = 16;
+    private const int HashSize = 32;
+    private const int MinPasswordLength = 8;
+
+    private readonly IRepository<User> _userRepo;
+
+    public LocalUserService(IRepository<User> userRepo)
+    {
+        _userRepo = userRepo;
+    }
+
+    public async Task<User?> AuthenticateAsync(string username, string password)
+    {
+        var user = await GetUserAsync(username);
+        if (user == null || !user.IsActive || !VerifyPassword(password, user.PasswordHash))
+            return null;
+
+        user.LastLoginAt = DateTime.UtcNow;
+        await _userRepo.UpdateAsync(user);
+        return user;
+    }
+
+    public async Task<User?> GetUserAsync(string username)
+    {
+        var users = await _userRepo.FindAsync(u =>
+            !u.IsDeleted && u.Username.ToLower() == username.ToLower());
+        return users.FirstOrDefault();
+    }
+
+    public async Task<IEnumerable<User>> GetUsersAsync()
+    {
+        var users = await _userRepo.FindAsync(u => !u.IsDeleted);
+        return users.OrderBy(u => u.Username).ToList();
+    }
+
+    public async Task<User> CreateUserAsync(SaveUserRequest request)
+    {
+        if (string.IsNullOrWhiteSpace(request.Username))
+            throw new ArgumentException("Username is required");
+        if (await GetUserAsync(request.Username) != null)
+            throw new InvalidOperationException($"User already exists: {request.Username}");
+
+        var user = new User
+        {
+            Username = request.Username.Trim(),
+            FullName = request.FullName,
+            Email = request.Email,
+            Role = request.Role,
+            TeamName = request.TeamName,
+            IsActive = request.IsActive,
+            PasswordHash = HashPassword(request.Password ?? string.Empty)
+        };
+
+        return await _userRepo.AddAsync(user);
+    }
+
+    /// <summary>
+    /// Update profile, role and status; the password only changes when one is given
+    /// </summary>
+    public async Task<User> UpdateUserAsync(string username, SaveUserRequest request)
+    {
+        var user = await GetUserAsync(username)
+            ?? throw new InvalidOperationException($"User not found: {username}");
+
+        // Demoting or disabling the last active administrator would lock everyone out of user management
+        var removesAdmin = user.IsActive && user.Role == UserRole.Administrator &&
+                           (!request.IsActive || request.Role != UserRole.Administrator);
+        if (removesAdmin)
+        {
+            var admins = await _userRepo.FindAsync(u =>
+                !u.IsDeleted && u.IsActive && u.Role == UserRole.Administrator && u.Id != user.Id);
+            if (!admins.Any())
+                throw new InvalidOperationException($"{user.Username} is the only active administrator");
+        }
+
+        if (!string.IsNullOrEmpty(request.Password))
+            user.PasswordHash = HashPassword(request.Password);
+
+        user.FullName = request.FullName;
+        user.Email = request.Email;
+        user.Role = request.Role;
+        user.TeamName = request.TeamName;
+        user.IsActive = request.IsActive;
+
+        await _userRepo.UpdateAsync(user);
+        return user;
+    }
+
+    public async Task SetPasswordAsync(string username, string password)
+    {
+        var user = await GetUserAsync(username)
+            ?? throw new InvalidOperationException($"User not found: {username}");
+
+        user.PasswordHash = HashPassword(password);
+        await _userRepo.UpdateAsync(user);
+    }
+
+    private static string HashPassword(string password)
+    {
+        if (string.IsNullOrEmpty(password) || password.Length < MinPasswordLength)
+            throw new ArgumentException($"Passwords must be at least {MinPasswordLength} characters");
+
+        var salt = RandomNumberGenerator.GetBytes(SaltSize);
+        var hash = Rfc2898DeriveBytes.Pbkdf2(password, salt, Iterations, HashAlgorithmName.SHA256, HashSize);
+        return $"pbkdf2${Iterations}${Convert.ToBase64String(salt)}${Convert.ToBase64String(hash)}";
+    }
+
+    private static bool VerifyPassword(string password, string stored)
+    {
+        var parts = stored.Split('$');
+        if (parts.Length != 4 || parts[0] != "pbkdf2" || !int.TryParse(parts[1], out var iterations))
+            return false;
+
+        var salt = Convert.FromBase64String(parts[2]);
+        var expected = Convert.FromBase64String(parts[3]);
+        var actual = Rfc2898DeriveBytes.Pbkdf2(password, salt, iterations, HashAlgorithmName.SHA256, expected.Length);
+        return CryptographicOperations.FixedTimeEquals(actual, expected);
+    }
+}
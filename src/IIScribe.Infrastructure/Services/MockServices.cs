@@ -2,6 +2,11 @@ using IIScribe.Core.DTOs;
 using IIScribe.Core.Entities;
 using IIScribe.Core.Enums;
 using IIScribe.Core.Interfaces;
+using System.Collections.Concurrent;
+using System.Runtime.CompilerServices;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Threading.Channels;
 using LogLevel = IIScribe.Core.Enums.LogLevel;
 
 namespace IIScribe.Infrastructure.Services;
@@ -35,11 +40,15 @@ public class MockApplicationDiscoveryService : IApplicationDiscoveryService
 
 public class MockDatabaseDeploymentService : IDatabaseDeploymentService
 {
+    // Databases "created" since startup, so redeployments back them up first
+    private static readonly ConcurrentDictionary<string, bool> CreatedDatabases = new(StringComparer.OrdinalIgnoreCase);
+
     public Task<bool> DatabaseExistsAsync(DatabaseConfiguration config) => 
-        Task.FromResult(false);
+        Task.FromResult(CreatedDatabases.ContainsKey($"{config.ServerName}|{config.DatabaseName}"));
 
     public Task CreateDatabaseAsync(DatabaseConfiguration config, IProgress<ProgressInfo>? progress = null)
     {
+        CreatedDatabases[$"{config.ServerName}|{config.DatabaseName}"] = true;
         progress?.Report(new ProgressInfo
         {
             Stage = "Creating Database",
@@ -49,14 +58,25 @@ public class MockDatabaseDeploymentService : IDatabaseDeploymentService
         return Task.CompletedTask;
     }
 
-    public Task<BackupResult> BackupDatabaseAsync(DatabaseConfiguration config, string backupPath)
+    // Writes a small stand-in file, so backups can be verified, restored and pruned like real ones
+    public async Task<BackupResult> BackupDatabaseAsync(DatabaseConfiguration config, string backupPath)
     {
-        return Task.FromResult(new BackupResult
+        try
+        {
+            Directory.CreateDirectory(Path.GetDirectoryName(Path.GetFullPath(backupPath))!);
+            await File.WriteAllTextAsync(backupPath, $"-- Mock backup of {config.DatabaseName} taken {DateTime.UtcNow:O}\n");
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+        {
+            return new BackupResult { Success = false, BackupPath = backupPath, ErrorMessage = ex.Message };
+        }
+
+        return new BackupResult
         {
             Success = true,
             BackupPath = backupPath,
-            FileSizeBytes = 1024 * 1024
-        });
+            FileSizeBytes = new FileInfo(backupPath).Length
+        };
     }
 
     public Task RestoreDatabaseAsync(DatabaseConfiguration config, string backupPath) => 
@@ -132,11 +152,22 @@ public class MockCertificateService : ICertificateService
     public Task InstallCertificateToIISAsync(string siteName, string thumbprint) => 
         Task.CompletedTask;
 
+    public Task<IEnumerable<CertificateInfo>> GetCertificatesAsync() => 
+        Task.FromResult(Enumerable.Empty<CertificateInfo>());
+
     public Task<IEnumerable<CertificateInfo>> GetExpiringCertificatesAsync(int daysThreshold) => 
         Task.FromResult(Enumerable.Empty<CertificateInfo>());
 
-    public Task RenewCertificateAsync(string thumbprint) => 
-        Task.CompletedTask;
+    public Task<CertificateResult> RenewCertificateAsync(string thumbprint)
+    {
+        return Task.FromResult(new CertificateResult
+        {
+            Success = true,
+            Thumbprint = thumbprint,
+            Type = CertificateType.SelfSigned,
+            ExpiryDate = DateTime.UtcNow.AddYears(1)
+        });
+    }
 }
 
 public class MockHealthCheckService : IHealthCheckService
@@ -239,78 +270,176 @@ public class MockCloudDeploymentService : ICloudDeploymentService
         Task.FromResult("203.0.113.42");
 }
 
-public class MockNotificationService : INotificationService
-{
-    public Task SendDeploymentStartedAsync(Deployment deployment, NotificationConfiguration config) => 
-        Task.CompletedTask;
-
-    public Task SendDeploymentSuccessAsync(Deployment deployment, NotificationConfiguration config) => 
-        Task.CompletedTask;
-
-    public Task SendDeploymentFailedAsync(Deployment deployment, NotificationConfiguration config) => 
-        Task.CompletedTask;
-
-    public Task SendDeploymentRolledBackAsync(Deployment deployment, NotificationConfiguration config) => 
-        Task.CompletedTask;
-}
-
 public class InMemoryRepository<T> : IRepository<T> where T : BaseEntity
 {
+    // Deployments are updated by the background worker while API requests read them
     private readonly List<T> _data = new();
+    private readonly object _lock = new();
+    private readonly ICurrentUserService _currentUser;
 
-    public Task<T?> GetByIdAsync(Guid id) => 
-        Task.FromResult(_data.FirstOrDefault(x => x.Id == id));
+    public InMemoryRepository(ICurrentUserService currentUser)
+    {
+        _currentUser = currentUser;
+    }
+
+    public Task<T?> GetByIdAsync(Guid id)
+    {
+        lock (_lock)
+        {
+            return Task.FromResult(_data.FirstOrDefault(x => x.Id == id));
+        }
+    }
 
-    public Task<IEnumerable<T>> GetAllAsync() => 
-        Task.FromResult(_data.AsEnumerable());
+    public Task<IEnumerable<T>> GetAllAsync()
+    {
+        lock (_lock)
+        {
+            return Task.FromResult<IEnumerable<T>>(_data.ToList());
+        }
+    }
 
-    public Task<IEnumerable<T>> FindAsync(System.Linq.Expressions.Expression<Func<T, bool>> predicate) => 
-        Task.FromResult(_data.AsQueryable().Where(predicate).AsEnumerable());
+    public Task<IEnumerable<T>> FindAsync(System.Linq.Expressions.Expression<Func<T, bool>> predicate)
+    {
+        lock (_lock)
+        {
+            return Task.FromResult<IEnumerable<T>>(_data.AsQueryable().Where(predicate).ToList());
+        }
+    }
 
     public Task<T> AddAsync(T entity)
     {
-        _data.Add(entity);
+        if (string.IsNullOrEmpty(entity.CreatedBy))
+            entity.CreatedBy = _currentUser.UserName;
+
+        lock (_lock)
+        {
+            _data.Add(entity);
+        }
         return Task.FromResult(entity);
     }
 
     public Task UpdateAsync(T entity)
     {
-        var existing = _data.FirstOrDefault(x => x.Id == entity.Id);
-        if (existing != null)
+        // Background updates (worker progress, status changes) keep the last user who touched the entity
+        if (_currentUser.IsAuthenticated)
         {
-            var index = _data.IndexOf(existing);
-            _data[index] = entity;
+            entity.UpdatedBy = _currentUser.UserName;
+            entity.UpdatedAt = DateTime.UtcNow;
+        }
+
+        lock (_lock)
+        {
+            var existing = _data.FirstOrDefault(x => x.Id == entity.Id);
+            if (existing != null)
+            {
+                var index = _data.IndexOf(existing);
+                _data[index] = entity;
+            }
         }
         return Task.CompletedTask;
     }
 
     public Task DeleteAsync(Guid id)
     {
-        var entity = _data.FirstOrDefault(x => x.Id == id);
-        if (entity != null)
+        lock (_lock)
         {
-            _data.Remove(entity);
+            var entity = _data.FirstOrDefault(x => x.Id == id);
+            if (entity != null)
+            {
+                _data.Remove(entity);
+            }
         }
         return Task.CompletedTask;
     }
 
-    public Task<int> CountAsync() => 
-        Task.FromResult(_data.Count);
+    public Task<int> CountAsync()
+    {
+        lock (_lock)
+        {
+            return Task.FromResult(_data.Count);
+        }
+    }
 }
 
 public class MockAuditService : IAuditService
 {
+    private readonly List<AuditLog> _events = new();
+    private readonly object _lock = new();
+
     public Task LogEventAsync(AuditEventType eventType, string userId, string action, string resourceId, Dictionary<string, object>? data = null)
     {
         Console.WriteLine($"[AUDIT] {eventType} by {userId}: {action} on {resourceId}");
+
+        lock (_lock)
+        {
+            _events.Add(new AuditLog
+            {
+                EventType = eventType,
+                UserId = userId,
+                UserName = userId,
+                CreatedBy = userId,
+                Action = action,
+                ResourceId = resourceId,
+                Success = eventType != AuditEventType.DeploymentFailed,
+                AdditionalData = data ?? new Dictionary<string, object>()
+            });
+        }
+        return Task.CompletedTask;
+    }
+
+    public Task LogChangeAsync(AuditEventType eventType, string userId, string action, string resourceType, string resourceId, object? before, object? after)
+    {
+        Console.WriteLine($"[AUDIT] {eventType} by {userId}: {action} on {resourceType} {resourceId}");
+
+        lock (_lock)
+        {
+            _events.Add(new AuditLog
+            {
+                EventType = eventType,
+                UserId = userId,
+                UserName = userId,
+                CreatedBy = userId,
+                Action = action,
+                ResourceType = resourceType,
+                ResourceId = resourceId,
+                BeforeValue = before == null ? null : JsonSerializer.Serialize(before),
+                AfterValue = after == null ? null : JsonSerializer.Serialize(after),
+                Success = true
+            });
+        }
         return Task.CompletedTask;
     }
 
-    public Task<IEnumerable<AuditLog>> GetAuditTrailAsync(string resourceId) => 
-        Task.FromResult(Enumerable.Empty<AuditLog>());
+    public Task<IEnumerable<AuditLog>> GetAuditTrailAsync(string resourceId)
+    {
+        lock (_lock)
+        {
+            return Task.FromResult<IEnumerable<AuditLog>>(
+                _events.Where(e => e.ResourceId == resourceId).ToList());
+        }
+    }
 
-    public Task<IEnumerable<AuditLog>> GetUserActivityAsync(string userId, DateTime from, DateTime to) => 
-        Task.FromResult(Enumerable.Empty<AuditLog>());
+    public Task<IEnumerable<AuditLog>> GetUserActivityAsync(string userId, DateTime from, DateTime to)
+    {
+        lock (_lock)
+        {
+            return Task.FromResult<IEnumerable<AuditLog>>(
+                _events.Where(e => e.UserId == userId && e.CreatedAt >= from && e.CreatedAt <= to).ToList());
+        }
+    }
+
+    // Mock records are neither chained nor signed, so there is nothing to verify
+    public Task<AuditVerificationResult> VerifyAsync()
+    {
+        lock (_lock)
+        {
+            return Task.FromResult(new AuditVerificationResult
+            {
+                IsValid = true,
+                RecordCount = _events.Count
+            });
+        }
+    }
 }
 
 public class MockProfileService : IProfileService
@@ -334,25 +463,142 @@ public class MockProfileService : IProfileService
     public async Task<IEnumerable<DeploymentProfile>> SearchProfilesAsync(string searchTerm)
     {
         var all = await _repository.GetAllAsync();
-        return all.Where(p => p.Name.Contains(searchTerm, StringComparison.OrdinalIgnoreCase));
+        return all.Where(p =>
+            p.Name.Contains(searchTerm, StringComparison.OrdinalIgnoreCase) ||
+            p.Description.Contains(searchTerm, StringComparison.OrdinalIgnoreCase));
     }
 
     public async Task<string> ExportProfileAsync(Guid profileId)
     {
-        var profile = await _repository.GetByIdAsync(profileId);
-        return System.Text.Json.JsonSerializer.Serialize(profile);
+        var profile = await _repository.GetByIdAsync(profileId)
+            ?? throw new InvalidOperationException($"Profile not found: {profileId}");
+        return JsonSerializer.Serialize(profile, ExportJsonOptions);
+    }
+
+    public async Task<ProfileImportPreview> PreviewImportAsync(string json)
+    {
+        DeploymentProfile? profile;
+        try
+        {
+            profile = JsonSerializer.Deserialize<DeploymentProfile>(json, ImportJsonOptions);
+        }
+        catch (JsonException ex)
+        {
+            return new ProfileImportPreview
+            {
+                Errors = new[] { $"Not a valid profile document: {ex.Message}" }
+            };
+        }
+
+        if (profile == null)
+        {
+            return new ProfileImportPreview { Errors = new[] { "Document is empty" } };
+        }
+
+        var errors = new List<string>();
+        var warnings = new List<string>();
+
+        if (string.IsNullOrWhiteSpace(profile.Name))
+            errors.Add("Name is required");
+
+        if (profile.HttpPort is < 1 or > 65535)
+            errors.Add($"HttpPort {profile.HttpPort} is out of range");
+
+        if (profile.HttpsPort is < 1 or > 65535)
+            errors.Add($"HttpsPort {profile.HttpsPort} is out of range");
+
+        if (string.IsNullOrWhiteSpace(profile.DomainPattern))
+            warnings.Add("No domain pattern; deployments must supply a domain name");
+
+        var secretFields = GetSecretFields(profile);
+        if (secretFields.Count > 0)
+            warnings.Add("The document contains secrets; they are left out unless you choose to import them");
+
+        var existing = await _repository.FindAsync(p =>
+            string.Equals(p.Name, profile.Name, StringComparison.OrdinalIgnoreCase));
+
+        return new ProfileImportPreview
+        {
+            IsValid = errors.Count == 0,
+            Profile = profile,
+            Errors = errors,
+            Warnings = warnings,
+            SecretFields = secretFields,
+            NameConflict = existing.Any()
+        };
     }
 
-    public async Task<DeploymentProfile> ImportProfileAsync(string json)
+    public async Task<DeploymentProfile> ImportProfileAsync(string json, bool includeSecrets = false)
     {
-        var profile = System.Text.Json.JsonSerializer.Deserialize<DeploymentProfile>(json)!;
+        var preview = await PreviewImportAsync(json);
+        if (!preview.IsValid)
+            throw new InvalidOperationException(string.Join("; ", preview.Errors));
+
+        var profile = preview.Profile!;
+        if (!includeSecrets)
+        {
+            if (profile.DatabaseTemplate != null) profile.DatabaseTemplate.PasswordEncrypted = null;
+            if (profile.SslTemplate != null) profile.SslTemplate.CertificatePassword = null;
+            if (profile.CloudTemplate != null)
+            {
+                profile.CloudTemplate.AwsSecretKeyEncrypted = null;
+                profile.CloudTemplate.GcpServiceAccountKeyEncrypted = null;
+                profile.CloudTemplate.RemotePasswordEncrypted = null;
+            }
+        }
+
+        // Imported profiles start fresh rather than carrying another install's identity and usage
         profile.Id = Guid.NewGuid();
+        profile.CreatedAt = DateTime.UtcNow;
+        profile.UpdatedAt = null;
+        profile.DeploymentCount = 0;
+        profile.LastUsedAt = null;
+        profile.Deployments = new List<Deployment>();
+
         return await _repository.AddAsync(profile);
     }
+
+    private static readonly JsonSerializerOptions ExportJsonOptions = new()
+    {
+        WriteIndented = true,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        ReferenceHandler = ReferenceHandler.IgnoreCycles,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    private static readonly JsonSerializerOptions ImportJsonOptions = new()
+    {
+        PropertyNameCaseInsensitive = true,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    private static List<string> GetSecretFields(DeploymentProfile profile)
+    {
+        var fields = new List<string>();
+
+        if (!string.IsNullOrEmpty(profile.DatabaseTemplate?.PasswordEncrypted))
+            fields.Add("DatabaseTemplate.PasswordEncrypted");
+
+        if (!string.IsNullOrEmpty(profile.SslTemplate?.CertificatePassword))
+            fields.Add("SslTemplate.CertificatePassword");
+
+        if (!string.IsNullOrEmpty(profile.CloudTemplate?.AwsSecretKeyEncrypted))
+            fields.Add("CloudTemplate.AwsSecretKeyEncrypted");
+
+        if (!string.IsNullOrEmpty(profile.CloudTemplate?.GcpServiceAccountKeyEncrypted))
+            fields.Add("CloudTemplate.GcpServiceAccountKeyEncrypted");
+
+        if (!string.IsNullOrEmpty(profile.CloudTemplate?.RemotePasswordEncrypted))
+            fields.Add("CloudTemplate.RemotePasswordEncrypted");
+
+        return fields;
+    }
 }
 
 public class MockHostsFileService : IHostsFileService
 {
+    public string HostsFilePath => "(mock)";
+
     public Task AddEntryAsync(string ipAddress, string hostname)
     {
         Console.WriteLine($"[HOSTS] Added: {ipAddress} {hostname}");
@@ -373,26 +619,29 @@ public class MockHostsFileService : IHostsFileService
 
     public Task RestoreAsync() => 
         Task.CompletedTask;
-}
 
-public class MockEncryptionService : IEncryptionService
-{
-    public string Encrypt(string plainText) => 
-        Convert.ToBase64String(System.Text.Encoding.UTF8.GetBytes(plainText));
+    public Task<IEnumerable<HostsEntry>> GetEntriesAsync() => 
+        Task.FromResult(Enumerable.Empty<HostsEntry>());
 
-    public string Decrypt(string cipherText) => 
-        System.Text.Encoding.UTF8.GetString(Convert.FromBase64String(cipherText));
+    public Task<IEnumerable<HostsFileBackup>> GetBackupsAsync() => 
+        Task.FromResult(Enumerable.Empty<HostsFileBackup>());
 
-    public string HashPassword(string password) => 
-        Convert.ToBase64String(System.Security.Cryptography.SHA256.HashData(System.Text.Encoding.UTF8.GetBytes(password)));
+    public Task<HostsFileChange> PreviewAsync(HostsFileEdit edit) => 
+        Task.FromResult(new HostsFileChange());
 
-    public bool VerifyPassword(string password, string hash) => 
-        HashPassword(password) == hash;
+    public Task<HostsFileChange> ApplyAsync(HostsFileEdit edit)
+    {
+        Console.WriteLine($"[HOSTS] Added {edit.Add.Count}, removed {edit.Remove.Count}");
+        return Task.FromResult(new HostsFileChange());
+    }
 }
 
 public class MockDeploymentLogger : IDeploymentLogger
 {
     private readonly List<DeploymentLog> _logs = new();
+    private readonly Dictionary<Guid, int> _sequences = new();
+    private readonly Dictionary<Guid, List<Channel<DeploymentLog>>> _subscribers = new();
+    private readonly object _lock = new();
 
     public Task LogAsync(Guid deploymentId, LogLevel level, string message, Exception? exception = null)
     {
@@ -404,13 +653,85 @@ public class MockDeploymentLogger : IDeploymentLogger
             Exception = exception?.Message,
             StackTrace = exception?.StackTrace
         };
-        _logs.Add(log);
+
+        if (exception != null)
+        {
+            log.Properties["ExceptionType"] = exception.GetType().FullName ?? exception.GetType().Name;
+        }
+
+        lock (_lock)
+        {
+            log.Sequence = _sequences[deploymentId] = _sequences.GetValueOrDefault(deploymentId) + 1;
+            _logs.Add(log);
+
+            if (_subscribers.TryGetValue(deploymentId, out var channels))
+            {
+                foreach (var channel in channels)
+                {
+                    channel.Writer.TryWrite(log);
+                }
+            }
+        }
         
         Console.WriteLine($"[{level}] {message}");
         
         return Task.CompletedTask;
     }
 
-    public Task<IEnumerable<DeploymentLog>> GetLogsAsync(Guid deploymentId) => 
-        Task.FromResult(_logs.Where(l => l.DeploymentId == deploymentId));
+    public Task<IEnumerable<DeploymentLog>> GetLogsAsync(Guid deploymentId)
+    {
+        lock (_lock)
+        {
+            return Task.FromResult<IEnumerable<DeploymentLog>>(
+                _logs.Where(l => l.DeploymentId == deploymentId).ToList());
+        }
+    }
+
+    public async IAsyncEnumerable<DeploymentLog> StreamLogsAsync(
+        Guid deploymentId,
+        int afterSequence = 0,
+        [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        var channel = Channel.CreateUnbounded<DeploymentLog>();
+        List<DeploymentLog> backlog;
+
+        // Subscribe and snapshot under the same lock so no entry is missed or sent twice
+        lock (_lock)
+        {
+            if (!_subscribers.TryGetValue(deploymentId, out var channels))
+            {
+                channels = _subscribers[deploymentId] = new List<Channel<DeploymentLog>>();
+            }
+            channels.Add(channel);
+
+            backlog = _logs
+                .Where(l => l.DeploymentId == deploymentId && l.Sequence > afterSequence)
+                .ToList();
+        }
+
+        try
+        {
+            foreach (var log in backlog)
+            {
+                yield return log;
+            }
+
+            await foreach (var log in channel.Reader.ReadAllAsync(cancellationToken))
+            {
+                yield return log;
+            }
+        }
+        finally
+        {
+            lock (_lock)
+            {
+                var channels = _subscribers[deploymentId];
+                channels.Remove(channel);
+                if (channels.Count == 0)
+                {
+                    _subscribers.Remove(deploymentId);
+                }
+            }
+        }
+    }
 }
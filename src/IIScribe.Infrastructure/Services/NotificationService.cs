@@ -0,0 +1,439 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.Extensions.Logging;
+using System.Diagnostics;
+using System.Globalization;
+using System.Net.Mail;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using LogLevel = IIScribe.Core.Enums.LogLevel;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// Sends deployment notifications and site health alerts to email, Slack, Teams and generic webhook channels.
+/// Notifications are queued as deliveries and sent by DeliverDueAsync, which retries failures with exponential backoff.
+/// Webhook bodies are signed: X-IIScribe-Signature is "sha256=" followed by the hex HMAC-SHA256 of
+/// "{X-IIScribe-Timestamp}.{body}" keyed with the channel's secret.
+/// </summary>
+public class NotificationService : INotificationService
+{
+    public const string EventHeader = "X-IIScribe-Event";
+    public const string DeliveryHeader = "X-IIScribe-Delivery";
+    public const string TimestampHeader = "X-IIScribe-Timestamp";
+    public const string SignatureHeader = "X-IIScribe-Signature";
+
+    private const int MinSecretLength = 16;
+
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web)
+    {
+        Converters = { new JsonStringEnumConverter() },
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull
+    };
+
+    private readonly HttpClient _httpClient;
+    private readonly NotificationOptions _options;
+    private readonly IRepository<NotificationConfiguration> _channelRepo;
+    private readonly IRepository<NotificationDelivery> _deliveryRepo;
+    private readonly IEncryptionService _encryptionService;
+    private readonly IDeploymentLogger _deploymentLogger;
+    private readonly ICurrentUserService _currentUser;
+    private readonly ILogger<NotificationService> _logger;
+
+    public NotificationService(
+        HttpClient httpClient,
+        NotificationOptions options,
+        IRepository<NotificationConfiguration> channelRepo,
+        IRepository<NotificationDelivery> deliveryRepo,
+        IEncryptionService encryptionService,
+        IDeploymentLogger deploymentLogger,
+        ICurrentUserService currentUser,
+        ILogger<NotificationService> logger)
+    {
+        _httpClient = httpClient;
+        _options = options;
+        _channelRepo = channelRepo;
+        _deliveryRepo = deliveryRepo;
+        _encryptionService = encryptionService;
+        _deploymentLogger = deploymentLogger;
+        _currentUser = currentUser;
+        _logger = logger;
+    }
+
+    public async Task<IEnumerable<NotificationConfiguration>> GetChannelsAsync()
+    {
+        var channels = await _channelRepo.FindAsync(c => !c.IsDeleted);
+        return channels.OrderBy(c => c.Name, StringComparer.OrdinalIgnoreCase).ToList();
+    }
+
+    public async Task<NotificationConfiguration> CreateChannelAsync(SaveNotificationChannelRequest request)
+    {
+        var channel = new NotificationConfiguration();
+        await ApplyAsync(channel, request);
+        return await _channelRepo.AddAsync(channel);
+    }
+
+    public async Task<NotificationConfiguration> UpdateChannelAsync(Guid id, SaveNotificationChannelRequest request)
+    {
+        var channel = await GetChannelAsync(id);
+        await ApplyAsync(channel, request);
+        await _channelRepo.UpdateAsync(channel);
+        return channel;
+    }
+
+    public async Task DeleteChannelAsync(Guid id)
+    {
+        await GetChannelAsync(id);
+        await _channelRepo.DeleteAsync(id);
+    }
+
+    public async Task<NotificationDelivery> SendTestAsync(Guid channelId, CancellationToken cancellationToken = default)
+    {
+        var channel = await GetChannelAsync(channelId);
+        var delivery = await _deliveryRepo.AddAsync(CreateDelivery(channel, NotificationEvent.Test, null,
+            $"Test notification from IIScribe, sent by {_currentUser.UserName}"));
+
+        var (attempt, _) = await AttemptAsync(delivery, channel, cancellationToken);
+        delivery.Attempts.Add(attempt);
+        delivery.Status = attempt.Succeeded ? NotificationDeliveryStatus.Delivered : NotificationDeliveryStatus.Failed;
+        delivery.DeliveredAt = attempt.Succeeded ? attempt.AttemptedAt : null;
+        await _deliveryRepo.UpdateAsync(delivery);
+
+        return delivery;
+    }
+
+    public Task NotifyAsync(Deployment deployment, NotificationEvent notificationEvent) =>
+        QueueAsync(notificationEvent, Describe(deployment, notificationEvent), deployment);
+
+    public Task NotifyHealthAsync(NotificationEvent notificationEvent, string message, Deployment? deployment) =>
+        QueueAsync(notificationEvent, message, deployment);
+
+    public async Task<IEnumerable<NotificationDelivery>> GetDeliveriesAsync(Guid deploymentId)
+    {
+        var deliveries = await _deliveryRepo.FindAsync(d => d.DeploymentId == deploymentId);
+        return deliveries.OrderBy(d => d.CreatedAt).ToList();
+    }
+
+    public async Task DeliverDueAsync(DateTime utcNow, CancellationToken cancellationToken = default)
+    {
+        var due = await _deliveryRepo.FindAsync(d =>
+            d.Status == NotificationDeliveryStatus.Pending && d.NextAttemptAt <= utcNow);
+
+        foreach (var delivery in due.OrderBy(d => d.NextAttemptAt))
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            var channel = await _channelRepo.GetByIdAsync(delivery.ChannelId);
+            var (attempt, retryable) = channel == null || channel.IsDeleted
+                ? (new NotificationAttempt { Error = "The channel was deleted" }, false)
+                : await AttemptAsync(delivery, channel, cancellationToken);
+            delivery.Attempts.Add(attempt);
+
+            if (attempt.Succeeded)
+            {
+                delivery.Status = NotificationDeliveryStatus.Delivered;
+                delivery.DeliveredAt = attempt.AttemptedAt;
+                delivery.NextAttemptAt = null;
+            }
+            else if (retryable && delivery.Attempts.Count < _options.MaxAttempts)
+            {
+                // 15s, 30s, 1m, 2m... with the default base
+                delivery.NextAttemptAt = utcNow.AddSeconds(_options.RetryBaseSeconds * Math.Pow(2, delivery.Attempts.Count - 1));
+            }
+            else
+            {
+                delivery.Status = NotificationDeliveryStatus.Failed;
+                delivery.NextAttemptAt = null;
+
+                if (delivery.DeploymentId.HasValue)
+                {
+                    await _deploymentLogger.LogAsync(delivery.DeploymentId.Value, LogLevel.Warning,
+                        $"Notification to {delivery.ChannelName} failed after {delivery.Attempts.Count} attempt(s): {attempt.Error}", null);
+                }
+            }
+
+            await _deliveryRepo.UpdateAsync(delivery);
+        }
+    }
+
+    private async Task<NotificationConfiguration> GetChannelAsync(Guid id)
+    {
+        var channel = await _channelRepo.GetByIdAsync(id);
+        if (channel == null || channel.IsDeleted)
+            throw new KeyNotFoundException($"Notification channel not found: {id}");
+
+        return channel;
+    }
+
+    private async Task ApplyAsync(NotificationConfiguration channel, SaveNotificationChannelRequest request)
+    {
+        var name = request.Name?.Trim();
+        if (string.IsNullOrEmpty(name))
+            throw new ArgumentException("Give the channel a name");
+
+        var duplicate = await _channelRepo.FindAsync(c =>
+            !c.IsDeleted && c.Id != channel.Id && c.Name.ToLower() == name.ToLower());
+        if (duplicate.Any())
+            throw new InvalidOperationException($"A notification channel named '{name}' already exists");
+
+        var secret = string.IsNullOrEmpty(request.WebhookSecret) ? null : request.WebhookSecret;
+        switch (request.Channel)
+        {
+            case NotificationChannel.Email:
+                if (string.IsNullOrWhiteSpace(request.SmtpServer))
+                    throw new ArgumentException("Enter the SMTP server");
+                if (request.SmtpPort is < 1 or > 65535)
+                    throw new ArgumentException("SMTP port must be between 1 and 65535");
+                if (!IsEmailAddress(request.EmailFrom))
+                    throw new ArgumentException("Enter a valid sender address");
+                var recipients = SplitRecipients(request.EmailTo);
+                if (recipients.Count == 0 || !recipients.All(IsEmailAddress))
+                    throw new ArgumentException("Enter one or more recipient addresses, separated by commas");
+                break;
+
+            case NotificationChannel.Slack:
+                EnsureWebhookUrl(request.SlackWebhookUrl, "Slack webhook URL");
+                break;
+
+            case NotificationChannel.MicrosoftTeams:
+                EnsureWebhookUrl(request.TeamsWebhookUrl, "Teams webhook URL");
+                break;
+
+            case NotificationChannel.Webhook:
+                EnsureWebhookUrl(request.WebhookUrl, "Webhook URL");
+                if (secret == null && string.IsNullOrEmpty(channel.WebhookSecret))
+                    throw new ArgumentException("Webhook channels need a signing secret");
+                if (secret != null && secret.Length < MinSecretLength)
+                    throw new ArgumentException($"The signing secret must be at least {MinSecretLength} characters");
+                if (request.WebhookHeaders?.Keys.Any(h => h.StartsWith("X-IIScribe-", StringComparison.OrdinalIgnoreCase)) == true)
+                    throw new ArgumentException("X-IIScribe- headers are set by IIScribe and cannot be configured");
+                break;
+
+            default:
+                throw new ArgumentException("Choose Email, Slack, MicrosoftTeams or Webhook");
+        }
+
+        channel.Name = name;
+        channel.Channel = request.Channel;
+        channel.Enabled = request.Enabled;
+        channel.NotifyOnStart = request.NotifyOnStart;
+        channel.NotifyOnSuccess = request.NotifyOnSuccess;
+        channel.NotifyOnFailure = request.NotifyOnFailure;
+        channel.NotifyOnRollback = request.NotifyOnRollback;
+        channel.NotifyOnHealthAlert = request.NotifyOnHealthAlert;
+        channel.EmailTo = request.EmailTo?.Trim();
+        channel.EmailFrom = request.EmailFrom?.Trim();
+        channel.SmtpServer = request.SmtpServer?.Trim();
+        channel.SmtpPort = request.SmtpPort;
+        channel.SlackWebhookUrl = request.SlackWebhookUrl?.Trim();
+        channel.SlackChannel = string.IsNullOrWhiteSpace(request.SlackChannel) ? null : request.SlackChannel.Trim();
+        channel.TeamsWebhookUrl = request.TeamsWebhookUrl?.Trim();
+        channel.WebhookUrl = request.WebhookUrl?.Trim();
+        channel.WebhookHeaders = request.WebhookHeaders ?? new Dictionary<string, string>();
+
+        if (secret != null)
+            channel.WebhookSecret = _encryptionService.Encrypt(secret);
+    }
+
+    private async Task QueueAsync(NotificationEvent notificationEvent, string message, Deployment? deployment)
+    {
+        if (!_options.Enabled)
+            return;
+
+        var channels = (await GetChannelsAsync()).Where(c => c.Enabled && Wants(c, notificationEvent));
+        foreach (var channel in channels)
+        {
+            var delivery = CreateDelivery(channel, notificationEvent, deployment, message);
+            delivery.NextAttemptAt = DateTime.UtcNow;
+            await _deliveryRepo.AddAsync(delivery);
+        }
+    }
+
+    private NotificationDelivery CreateDelivery(
+        NotificationConfiguration channel,
+        NotificationEvent notificationEvent,
+        Deployment? deployment,
+        string message)
+    {
+        var delivery = new NotificationDelivery
+        {
+            ChannelId = channel.Id,
+            ChannelName = channel.Name,
+            Channel = channel.Channel,
+            Target = DescribeTarget(channel),
+            Event = notificationEvent,
+            DeploymentId = deployment?.Id,
+            Message = message,
+            Status = NotificationDeliveryStatus.Pending
+        };
+
+        delivery.Payload = JsonSerializer.Serialize(new NotificationPayload
+        {
+            Event = notificationEvent,
+            DeliveryId = delivery.Id,
+            RaisedAt = delivery.CreatedAt,
+            Message = message,
+            Deployment = deployment == null ? null : NotificationDeploymentInfo.From(deployment)
+        }, JsonOptions);
+
+        return delivery;
+    }
+
+    // Only 408, 429 and server errors are worth retrying; any other HTTP error will fail the same way again
+    private async Task<(NotificationAttempt Attempt, bool Retryable)> AttemptAsync(
+        NotificationDelivery delivery,
+        NotificationConfiguration channel,
+        CancellationToken cancellationToken)
+    {
+        var attempt = new NotificationAttempt();
+        var retryable = true;
+        var stopwatch = Stopwatch.StartNew();
+
+        try
+        {
+            if (channel.Channel == NotificationChannel.Email)
+            {
+                await SendEmailAsync(delivery, channel, cancellationToken);
+                attempt.Succeeded = true;
+            }
+            else
+            {
+                using var request = CreateRequest(delivery, channel);
+                using var response = await _httpClient.SendAsync(request, cancellationToken);
+                attempt.StatusCode = (int)response.StatusCode;
+                attempt.Succeeded = response.IsSuccessStatusCode;
+
+                if (!attempt.Succeeded)
+                {
+                    attempt.Error = $"{attempt.StatusCode} {response.ReasonPhrase}";
+                    retryable = attempt.StatusCode is 408 or 429 or >= 500;
+                }
+            }
+        }
+        catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+        {
+            attempt.Error = $"No response within {_options.TimeoutSeconds} seconds";
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            attempt.Error = ex.InnerException == null || ex.Message.Contains(ex.InnerException.Message)
+                ? ex.Message
+                : $"{ex.Message} {ex.InnerException.Message}";
+        }
+
+        attempt.DurationMs = stopwatch.ElapsedMilliseconds;
+        if (!attempt.Succeeded)
+            _logger.LogWarning("Notification {DeliveryId} to {Channel} failed: {Error}", delivery.Id, channel.Name, attempt.Error);
+
+        return (attempt, retryable);
+    }
+
+    private HttpRequestMessage CreateRequest(NotificationDelivery delivery, NotificationConfiguration channel)
+    {
+        var (url, body) = channel.Channel switch
+        {
+            NotificationChannel.Slack => (channel.SlackWebhookUrl!,
+                JsonSerializer.Serialize(new { text = delivery.Message, channel = channel.SlackChannel }, JsonOptions)),
+            NotificationChannel.MicrosoftTeams => (channel.TeamsWebhookUrl!,
+                JsonSerializer.Serialize(new { title = "IIScribe", text = delivery.Message }, JsonOptions)),
+            NotificationChannel.Webhook => (channel.WebhookUrl!, delivery.Payload),
+            _ => throw new InvalidOperationException($"{channel.Channel} channels cannot send notifications")
+        };
+
+        var request = new HttpRequestMessage(HttpMethod.Post, url)
+        {
+            Content = new StringContent(body, Encoding.UTF8, "application/json")
+        };
+
+        if (channel.Channel == NotificationChannel.Webhook)
+        {
+            foreach (var (name, value) in channel.WebhookHeaders)
+                request.Headers.TryAddWithoutValidation(name, value);
+
+            // Signed per attempt, so receivers can reject old timestamps as replays
+            var timestamp = DateTimeOffset.UtcNow.ToUnixTimeSeconds().ToString(CultureInfo.InvariantCulture);
+            var secret = _encryptionService.Decrypt(channel.WebhookSecret!);
+            var signature = HMACSHA256.HashData(Encoding.UTF8.GetBytes(secret), Encoding.UTF8.GetBytes($"{timestamp}.{body}"));
+
+            request.Headers.Add(EventHeader, delivery.Event.ToString());
+            request.Headers.Add(DeliveryHeader, delivery.Id.ToString());
+            request.Headers.Add(TimestampHeader, timestamp);
+            request.Headers.Add(SignatureHeader, $"sha256={Convert.ToHexString(signature).ToLowerInvariant()}");
+        }
+
+        return request;
+    }
+
+    private async Task SendEmailAsync(NotificationDelivery delivery, NotificationConfiguration channel, CancellationToken cancellationToken)
+    {
+        using var client = new SmtpClient(channel.SmtpServer, channel.SmtpPort ?? 25)
+        {
+            Timeout = _options.TimeoutSeconds * 1000
+        };
+        using var message = new MailMessage
+        {
+            From = new MailAddress(channel.EmailFrom!),
+            Subject = $"[IIScribe] {delivery.Message.Split('\n')[0]}",
+            Body = $"{delivery.Message}\n\n{delivery.Payload}"
+        };
+
+        foreach (var recipient in SplitRecipients(channel.EmailTo))
+            message.To.Add(recipient);
+
+        await client.SendMailAsync(message, cancellationToken);
+    }
+
+    private static bool Wants(NotificationConfiguration channel, NotificationEvent notificationEvent) => notificationEvent switch
+    {
+        NotificationEvent.DeploymentStarted => channel.NotifyOnStart,
+        NotificationEvent.DeploymentSucceeded => channel.NotifyOnSuccess,
+        NotificationEvent.DeploymentFailed => channel.NotifyOnFailure,
+        NotificationEvent.DeploymentRolledBack => channel.NotifyOnRollback,
+        NotificationEvent.SiteUnhealthy or NotificationEvent.SiteRecovered => channel.NotifyOnHealthAlert,
+        _ => false
+    };
+
+    private static string Describe(Deployment deployment, NotificationEvent notificationEvent)
+    {
+        var subject = $"{deployment.SiteName ?? deployment.Name} to {deployment.Environment}";
+        return notificationEvent switch
+        {
+            NotificationEvent.DeploymentStarted => $"Deployment of {subject} started, requested by {deployment.CreatedBy}",
+            NotificationEvent.DeploymentSucceeded => $"Deployment of {subject} succeeded in {deployment.DurationSeconds}s: {deployment.TargetUrl}",
+            NotificationEvent.DeploymentFailed => $"Deployment of {subject} failed: {deployment.ErrorMessage}",
+            NotificationEvent.DeploymentRolledBack => $"Deployment of {subject} was rolled back",
+            _ => $"Deployment of {subject}: {deployment.Status}"
+        };
+    }
+
+    // Slack and Teams URLs are credentials in themselves, so the log only shows where they point
+    private static string DescribeTarget(NotificationConfiguration channel) => channel.Channel switch
+    {
+        NotificationChannel.Email => channel.EmailTo ?? string.Empty,
+        NotificationChannel.Slack => channel.SlackChannel ?? HostOf(channel.SlackWebhookUrl),
+        NotificationChannel.MicrosoftTeams => HostOf(channel.TeamsWebhookUrl),
+        NotificationChannel.Webhook => HostOf(channel.WebhookUrl),
+        _ => string.Empty
+    };
+
+    private static string HostOf(string? url) =>
+        Uri.TryCreate(url, UriKind.Absolute, out var uri) ? uri.Authority : string.Empty;
+
+    private static void EnsureWebhookUrl(string? url, string field)
+    {
+        if (!Uri.TryCreate(url?.Trim(), UriKind.Absolute, out var uri) || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+            throw new ArgumentException($"{field} must be an http or https URL");
+    }
+
+    private static List<string> SplitRecipients(string? emailTo) =>
+        (emailTo ?? string.Empty)
+            .Split(new[] { ',', ';' }, StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            .ToList();
+
+    private static bool IsEmailAddress(string? value) =>
+        !string.IsNullOrWhiteSpace(value) && MailAddress.TryCreate(value.Trim(), out _);
+}
@@ -0,0 +1,342 @@
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.Extensions.Logging;
+using System.Data.Common;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using System.Xml.Linq;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// REAL application discovery - inspects the files at the application path
+/// </summary>
+public class RealApplicationDiscoveryService : IApplicationDiscoveryService
+{
+    // Build output and tooling folders say nothing about the application itself
+    private static readonly string[] IgnoredFolders = { "bin", "obj", "node_modules", ".git", ".vs" };
+    private static readonly string[] DatabaseFolderNames = { "Database", "Db", "Sql", "Scripts", "DatabaseScripts" };
+    private static readonly string[] PasswordKeys = { "Password", "Pwd" };
+
+    private readonly ILogger<RealApplicationDiscoveryService> _logger;
+
+    public RealApplicationDiscoveryService(ILogger<RealApplicationDiscoveryService> logger)
+    {
+        _logger = logger;
+    }
+
+    public async Task<ApplicationDiscovery> DiscoverAsync(string path)
+    {
+        var discovery = new ApplicationDiscovery { Path = path, DetectedType = ApplicationType.Unknown };
+
+        if (string.IsNullOrWhiteSpace(path) || !Directory.Exists(path))
+        {
+            discovery.Warnings.Add($"Application path not found: {path}");
+            return discovery;
+        }
+
+        _logger.LogInformation("Discovering application at: {Path}", path);
+
+        var files = EnumerateFiles(path).ToList();
+        discovery.FileCount = files.Count;
+        discovery.TotalSizeBytes = files.Sum(f => f.Length);
+
+        discovery.SolutionFilePath = files.FirstOrDefault(f => f.Extension == ".sln")?.FullName;
+        discovery.ProjectFilePath = files
+            .Where(f => f.Extension == ".csproj")
+            .OrderBy(f => f.FullName.Length)
+            .FirstOrDefault()?.FullName;
+
+        discovery.ConfigFiles = files
+            .Where(f => IsConfigFile(f.Name))
+            .Select(f => Path.GetRelativePath(path, f.FullName))
+            .ToList();
+
+        if (discovery.ProjectFilePath != null)
+        {
+            ReadProjectFile(discovery, discovery.ProjectFilePath);
+        }
+
+        discovery.DetectedType = DetectType(path, files, discovery);
+        if (string.IsNullOrEmpty(discovery.FrameworkVersion))
+        {
+            discovery.FrameworkVersion = await ReadRuntimeFrameworkAsync(files) ?? string.Empty;
+        }
+
+        discovery.ConnectionStrings = (await FindConnectionStringsAsync(path)).ToList();
+        discovery.SqlScripts = (await FindDatabaseScriptsAsync(path)).ToList();
+        discovery.DatabaseScriptsFolder = discovery.SqlScripts
+            .Select(Path.GetDirectoryName)
+            .GroupBy(folder => folder)
+            .OrderByDescending(group => group.Count())
+            .FirstOrDefault()?.Key;
+        discovery.MigrationsFolder = Directory
+            .EnumerateDirectories(path, "Migrations", SearchOption.AllDirectories)
+            .FirstOrDefault(dir => !IsIgnored(path, dir));
+
+        AddRecommendations(discovery, files);
+
+        _logger.LogInformation("Detected {Type} ({FileCount} files) at {Path}", discovery.DetectedType, discovery.FileCount, path);
+        return discovery;
+    }
+
+    public Task<ApplicationType> DetectTypeAsync(string path)
+    {
+        if (!Directory.Exists(path))
+            return Task.FromResult(ApplicationType.Unknown);
+
+        var discovery = new ApplicationDiscovery { Path = path };
+        var files = EnumerateFiles(path).ToList();
+        var projectFile = files.FirstOrDefault(f => f.Extension == ".csproj");
+        if (projectFile != null)
+        {
+            ReadProjectFile(discovery, projectFile.FullName);
+        }
+
+        return Task.FromResult(DetectType(path, files, discovery));
+    }
+
+    public Task<IEnumerable<string>> FindDatabaseScriptsAsync(string path)
+    {
+        if (!Directory.Exists(path))
+            return Task.FromResult(Enumerable.Empty<string>());
+
+        // Scripts in database-looking folders, in the order they would be run
+        var scripts = EnumerateFiles(path)
+            .Where(f => f.Extension.Equals(".sql", StringComparison.OrdinalIgnoreCase))
+            .Where(f => Path.GetRelativePath(path, f.FullName)
+                .Split(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar)
+                .Any(part => DatabaseFolderNames.Contains(part, StringComparer.OrdinalIgnoreCase)))
+            .Select(f => f.FullName)
+            .OrderBy(f => f, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+
+        return Task.FromResult<IEnumerable<string>>(scripts);
+    }
+
+    public async Task<IEnumerable<string>> FindConnectionStringsAsync(string path)
+    {
+        if (!Directory.Exists(path))
+            return Enumerable.Empty<string>();
+
+        var connectionStrings = new List<string>();
+
+        foreach (var file in EnumerateFiles(path).Where(f => IsConfigFile(f.Name)))
+        {
+            try
+            {
+                if (file.Extension.Equals(".json", StringComparison.OrdinalIgnoreCase))
+                {
+                    using var stream = file.OpenRead();
+                    using var document = await JsonDocument.ParseAsync(stream, new JsonDocumentOptions
+                    {
+                        CommentHandling = JsonCommentHandling.Skip,
+                        AllowTrailingCommas = true
+                    });
+
+                    if (document.RootElement.ValueKind == JsonValueKind.Object &&
+                        document.RootElement.TryGetProperty("ConnectionStrings", out var section) &&
+                        section.ValueKind == JsonValueKind.Object)
+                    {
+                        connectionStrings.AddRange(section.EnumerateObject()
+                            .Where(p => p.Value.ValueKind == JsonValueKind.String)
+                            .Select(p => MaskPassword(p.Value.GetString()!)));
+                    }
+                }
+                else
+                {
+                    var config = XDocument.Load(file.FullName);
+                    connectionStrings.AddRange(config.Descendants("connectionStrings")
+                        .Elements("add")
+                        .Select(e => e.Attribute("connectionString")?.Value)
+                        .Where(value => !string.IsNullOrEmpty(value))
+                        .Select(value => MaskPassword(value!)));
+                }
+            }
+            catch (Exception ex) when (ex is JsonException or System.Xml.XmlException or IOException)
+            {
+                _logger.LogWarning(ex, "Could not read {File}", file.FullName);
+            }
+        }
+
+        return connectionStrings.Distinct().ToList();
+    }
+
+    /// <summary>
+    /// Replace the password in a connection string so it can be shown and logged
+    /// </summary>
+    private static string MaskPassword(string connectionString)
+    {
+        try
+        {
+            var builder = new DbConnectionStringBuilder { ConnectionString = connectionString };
+            foreach (var key in PasswordKeys.Where(builder.ContainsKey))
+            {
+                builder[key] = "********";
+            }
+            return builder.ConnectionString;
+        }
+        catch (ArgumentException)
+        {
+            return Regex.Replace(connectionString, @"(Password|Pwd)\s*=[^;]*", "$1=********", RegexOptions.IgnoreCase);
+        }
+    }
+
+    private static void ReadProjectFile(ApplicationDiscovery discovery, string projectFilePath)
+    {
+        try
+        {
+            var project = XDocument.Load(projectFilePath);
+            var sdk = project.Root?.Attribute("Sdk")?.Value ?? string.Empty;
+
+            discovery.FrameworkVersion =
+                project.Descendants("TargetFramework").FirstOrDefault()?.Value ??
+                project.Descendants("TargetFrameworks").FirstOrDefault()?.Value.Split(';').First() ??
+                project.Descendants("TargetFrameworkVersion").FirstOrDefault()?.Value ??
+                string.Empty;
+
+            discovery.NuGetPackages = project.Descendants("PackageReference")
+                .Select(p => p.Attribute("Include")?.Value)
+                .Where(name => !string.IsNullOrEmpty(name))
+                .Select(name => name!)
+                .ToList();
+
+            if (sdk.Equals("Microsoft.NET.Sdk.BlazorWebAssembly", StringComparison.OrdinalIgnoreCase))
+            {
+                discovery.NuGetPackages.Add("Microsoft.AspNetCore.Components.WebAssembly");
+            }
+            else if (sdk.Equals("Microsoft.NET.Sdk.Web", StringComparison.OrdinalIgnoreCase))
+            {
+                discovery.RequiredFeatures.Add("ASP.NET Core Hosting Bundle");
+            }
+        }
+        catch (Exception ex) when (ex is System.Xml.XmlException or IOException)
+        {
+            discovery.Warnings.Add($"Could not read project file {Path.GetFileName(projectFilePath)}: {ex.Message}");
+        }
+    }
+
+    private static ApplicationType DetectType(string path, List<FileInfo> files, ApplicationDiscovery discovery)
+    {
+        bool HasFolder(string name) => Directory.Exists(Path.Combine(path, name));
+        bool HasFile(string pattern) => files.Any(f => Regex.IsMatch(f.Name, pattern, RegexOptions.IgnoreCase));
+
+        if (discovery.NuGetPackages.Any(p => p.StartsWith("Microsoft.AspNetCore.Components.WebAssembly", StringComparison.OrdinalIgnoreCase)))
+            return ApplicationType.AspNetCoreBlazorWasm;
+
+        // Source project or published ASP.NET Core output (runtimeconfig + web.config with the ASP.NET Core module)
+        var isAspNetCore = discovery.RequiredFeatures.Contains("ASP.NET Core Hosting Bundle") ||
+                           (HasFile(@"\.runtimeconfig\.json$") && HasFile(@"^web\.config$") &&
+                            files.Where(f => f.Name.Equals("web.config", StringComparison.OrdinalIgnoreCase))
+                                .Any(f => File.ReadAllText(f.FullName).Contains("AspNetCoreModule", StringComparison.OrdinalIgnoreCase)));
+
+        if (isAspNetCore)
+        {
+            if (HasFile(@"^_Host\.cshtml$") || HasFile(@"^App\.razor$"))
+                return ApplicationType.AspNetCoreBlazorServer;
+            if (HasFolder("Views"))
+                return ApplicationType.AspNetCoreMvc;
+            if (HasFolder("Pages"))
+                return ApplicationType.AspNetCoreRazor;
+            return ApplicationType.AspNetCoreWebApi;
+        }
+
+        if (HasFile(@"\.aspx$"))
+            return ApplicationType.AspNetFrameworkWebForms;
+
+        if (HasFile(@"^Global\.asax$") || discovery.FrameworkVersion.StartsWith("v4", StringComparison.OrdinalIgnoreCase))
+            return ApplicationType.AspNetFrameworkMvc;
+
+        if (File.Exists(Path.Combine(path, "package.json")) && !File.Exists(Path.Combine(path, "index.html")))
+            return ApplicationType.NodeJs;
+
+        if (HasFile(@"^index\.html?$"))
+            return ApplicationType.StaticWebsite;
+
+        return ApplicationType.Unknown;
+    }
+
+    // Published output has no project file; the runtimeconfig names the framework instead
+    private static async Task<string?> ReadRuntimeFrameworkAsync(List<FileInfo> files)
+    {
+        var runtimeConfig = files.FirstOrDefault(f => f.Name.EndsWith(".runtimeconfig.json", StringComparison.OrdinalIgnoreCase));
+        if (runtimeConfig == null)
+            return null;
+
+        try
+        {
+            using var stream = runtimeConfig.OpenRead();
+            using var document = await JsonDocument.ParseAsync(stream);
+            return document.RootElement.TryGetProperty("runtimeOptions", out var options) &&
+                   options.TryGetProperty("tfm", out var tfm)
+                ? tfm.GetString()
+                : null;
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+
+    private static void AddRecommendations(ApplicationDiscovery discovery, List<FileInfo> files)
+    {
+        discovery.RecommendedType = discovery.DetectedType;
+        discovery.RecommendedTarget = DeploymentTarget.LocalIIS;
+
+        switch (discovery.DetectedType)
+        {
+            case ApplicationType.Unknown:
+                discovery.Warnings.Add("Could not tell what kind of application this is. Check the path points at the project or its publish output.");
+                break;
+            case ApplicationType.AspNetFrameworkMvc:
+            case ApplicationType.AspNetFrameworkWebForms:
+                discovery.RequiredFeatures.Add("ASP.NET 4.8 (IIS-ASPNET45)");
+                discovery.Recommendations.Add("Use the v4.0 .NET CLR version for the application pool");
+                break;
+            case ApplicationType.NodeJs:
+                discovery.RequiredFeatures.Add("iisnode");
+                discovery.Warnings.Add("Node.js applications need iisnode installed on the server");
+                break;
+            case ApplicationType.StaticWebsite:
+                discovery.Recommendations.Add("Static sites can use an application pool with No Managed Code");
+                break;
+            default:
+                discovery.Recommendations.Add("Use No Managed Code for the application pool; ASP.NET Core runs out of process");
+                break;
+        }
+
+        if (discovery.ProjectFilePath != null && !files.Any(f => f.Name.EndsWith(".runtimeconfig.json", StringComparison.OrdinalIgnoreCase)))
+        {
+            discovery.Recommendations.Add("This is a source folder; publish it (dotnet publish -c Release) and deploy the output");
+        }
+
+        if (discovery.NuGetPackages.Any(p => p.Contains("SignalR", StringComparison.OrdinalIgnoreCase)))
+        {
+            discovery.RequiredFeatures.Add("WebSocket Protocol (IIS-WebSockets)");
+        }
+
+        if (discovery.ConnectionStrings.Any(cs => cs.Contains("(localdb)", StringComparison.OrdinalIgnoreCase)))
+        {
+            discovery.Warnings.Add("A connection string uses LocalDB, which IIS application pools cannot reach by default");
+        }
+
+        if (discovery.SqlScripts.Count > 0 || discovery.MigrationsFolder != null)
+        {
+            discovery.Recommendations.Add("Database scripts were found; enable database deployment");
+        }
+    }
+
+    private static bool IsConfigFile(string name) =>
+        Regex.IsMatch(name, @"^(appsettings(\.[\w-]+)?\.json|web\.config)$", RegexOptions.IgnoreCase);
+
+    private static bool IsIgnored(string root, string fullPath) =>
+        Path.GetRelativePath(root, fullPath)
+            .Split(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar)
+            .Any(part => IgnoredFolders.Contains(part, StringComparer.OrdinalIgnoreCase));
+
+    private static IEnumerable<FileInfo> EnumerateFiles(string path) =>
+        new DirectoryInfo(path)
+            .EnumerateFiles("*", new EnumerationOptions { RecurseSubdirectories = true, IgnoreInaccessible = true })
+            .Where(f => !IsIgnored(path, f.FullName));
+}
@@ -0,0 +1,256 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.Extensions.Logging;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using System.Text.Json.Serialization;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// REAL tamper-evident audit trail - records are numbered, hash-chained and HMAC-signed as they are written,
+/// so editing a record breaks its hash and deleting one leaves a gap in the sequence.
+/// The latest sequence and hash are held apart from the records to detect entries removed from the end.
+/// </summary>
+public class RealAuditService : IAuditService
+{
+    private const string Masked = "••••••";
+
+    private static readonly string[] SecretNames =
+    {
+        "password", "secret", "connectionstring", "apikey", "privatekey", "serviceaccountkey", "encrypted", "token"
+    };
+
+    private static readonly JsonSerializerOptions SnapshotOptions = new(JsonSerializerDefaults.Web)
+    {
+        ReferenceHandler = ReferenceHandler.IgnoreCycles,
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    private readonly IRepository<AuditLog> _repository;
+    private readonly byte[]? _signingKey;
+    private readonly ILogger<RealAuditService> _logger;
+    private readonly SemaphoreSlim _appendLock = new(1, 1);
+
+    private long _lastSequence;
+    private string? _lastHash;
+
+    /// <param name="signingKey">HMAC key for record signatures; null records hashes only</param>
+    public RealAuditService(IRepository<AuditLog> repository, byte[]? signingKey, ILogger<RealAuditService> logger)
+    {
+        _repository = repository;
+        _signingKey = signingKey;
+        _logger = logger;
+    }
+
+    public Task LogEventAsync(AuditEventType eventType, string userId, string action, string resourceId, Dictionary<string, object>? data = null)
+    {
+        return AppendAsync(new AuditLog
+        {
+            EventType = eventType,
+            UserId = userId,
+            UserName = userId,
+            CreatedBy = userId,
+            Action = action,
+            ResourceId = resourceId,
+            Success = eventType != AuditEventType.DeploymentFailed && eventType != AuditEventType.SecurityAlert,
+            AdditionalData = data ?? new Dictionary<string, object>()
+        });
+    }
+
+    public Task LogChangeAsync(AuditEventType eventType, string userId, string action, string resourceType, string resourceId, object? before, object? after)
+    {
+        return AppendAsync(new AuditLog
+        {
+            EventType = eventType,
+            UserId = userId,
+            UserName = userId,
+            CreatedBy = userId,
+            Action = action,
+            ResourceType = resourceType,
+            ResourceId = resourceId,
+            BeforeValue = Snapshot(before),
+            AfterValue = Snapshot(after),
+            Success = true
+        });
+    }
+
+    public async Task<IEnumerable<AuditLog>> GetAuditTrailAsync(string resourceId)
+    {
+        var records = await _repository.FindAsync(e => e.ResourceId == resourceId);
+        return records.OrderBy(e => e.Sequence).ToList();
+    }
+
+    public async Task<IEnumerable<AuditLog>> GetUserActivityAsync(string userId, DateTime from, DateTime to)
+    {
+        var records = await _repository.FindAsync(e => e.UserId == userId && e.CreatedAt >= from && e.CreatedAt <= to);
+        return records.OrderBy(e => e.Sequence).ToList();
+    }
+
+    public async Task<AuditVerificationResult> VerifyAsync()
+    {
+        // Hold the append lock so the chain head doesn't move while it is walked
+        await _appendLock.WaitAsync();
+        try
+        {
+            var records = (await _repository.GetAllAsync()).OrderBy(e => e.Sequence).ToList();
+            var issues = new List<AuditVerificationIssue>();
+
+            long expectedSequence = 1;
+            string? previousHash = null;
+
+            foreach (var record in records)
+            {
+                if (record.Sequence > expectedSequence)
+                {
+                    issues.Add(new(expectedSequence, record.Sequence - expectedSequence == 1
+                        ? $"Record {expectedSequence} is missing"
+                        : $"Records {expectedSequence}-{record.Sequence - 1} are missing"));
+                }
+                else if (record.Sequence < expectedSequence)
+                {
+                    issues.Add(new(record.Sequence, "Duplicate or out-of-order sequence number"));
+                }
+                else if (record.PreviousHash != previousHash)
+                {
+                    issues.Add(new(record.Sequence, "Does not link to the previous record"));
+                }
+
+                if (record.Hash != ComputeHash(record))
+                {
+                    issues.Add(new(record.Sequence, "Content does not match its hash; the record was edited"));
+                }
+                else if (_signingKey != null && !IsSignatureValid(record))
+                {
+                    issues.Add(new(record.Sequence, "Signature is missing or invalid"));
+                }
+
+                expectedSequence = Math.Max(expectedSequence, record.Sequence + 1);
+                previousHash = record.Hash;
+            }
+
+            if (_lastSequence >= expectedSequence)
+            {
+                issues.Add(new(expectedSequence, _lastSequence == expectedSequence
+                    ? $"Record {expectedSequence} at the end of the trail is missing"
+                    : $"Records {expectedSequence}-{_lastSequence} at the end of the trail are missing"));
+            }
+            else if (previousHash != _lastHash)
+            {
+                issues.Add(new(_lastSequence, "The last record is not the one most recently written"));
+            }
+
+            return new AuditVerificationResult
+            {
+                IsValid = issues.Count == 0,
+                RecordCount = records.Count,
+                LastSequence = _lastSequence,
+                SignaturesChecked = _signingKey != null,
+                Issues = issues
+            };
+        }
+        finally
+        {
+            _appendLock.Release();
+        }
+    }
+
+    private async Task AppendAsync(AuditLog record)
+    {
+        _logger.LogInformation("[AUDIT] {EventType} by {User}: {Action} on {ResourceId}",
+            record.EventType, record.UserId, record.Action, record.ResourceId);
+
+        await _appendLock.WaitAsync();
+        try
+        {
+            record.Sequence = _lastSequence + 1;
+            record.PreviousHash = _lastHash;
+            record.Hash = ComputeHash(record);
+            record.Signature = _signingKey == null ? null : Sign(record.Hash);
+
+            await _repository.AddAsync(record);
+
+            _lastSequence = record.Sequence;
+            _lastHash = record.Hash;
+        }
+        finally
+        {
+            _appendLock.Release();
+        }
+    }
+
+    // Everything that describes the event is hashed in a fixed order; Id and the signature are not
+    private static string ComputeHash(AuditLog record)
+    {
+        var canonical = JsonSerializer.Serialize(new object?[]
+        {
+            record.Sequence,
+            record.CreatedAt.ToUniversalTime().ToString("O"),
+            record.EventType.ToString(),
+            record.UserId,
+            record.UserName,
+            record.IpAddress,
+            record.UserAgent,
+            record.ResourceType,
+            record.ResourceId,
+            record.Action,
+            record.BeforeValue,
+            record.AfterValue,
+            record.Success,
+            record.ErrorMessage,
+            JsonSerializer.Serialize(record.AdditionalData.OrderBy(kv => kv.Key, StringComparer.Ordinal)),
+            record.PreviousHash
+        });
+
+        return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(canonical)));
+    }
+
+    private string Sign(string hash) =>
+        Convert.ToBase64String(HMACSHA256.HashData(_signingKey!, Encoding.UTF8.GetBytes(hash)));
+
+    private bool IsSignatureValid(AuditLog record)
+    {
+        if (record.Signature == null || record.Hash == null)
+            return false;
+
+        return CryptographicOperations.FixedTimeEquals(
+            Encoding.UTF8.GetBytes(Sign(record.Hash)),
+            Encoding.UTF8.GetBytes(record.Signature));
+    }
+
+    // Snapshots are stored as JSON with secrets masked; the audit trail outlives any password it could leak
+    private static string? Snapshot(object? value)
+    {
+        if (value == null)
+            return null;
+
+        var node = JsonSerializer.SerializeToNode(value, SnapshotOptions);
+        MaskSecrets(node);
+        return node?.ToJsonString();
+    }
+
+    // Everything inside a "secrets" object is masked, whatever its name, so new kinds of secret are covered too
+    private static void MaskSecrets(JsonNode? node, bool maskAll = false)
+    {
+        switch (node)
+        {
+            case JsonObject obj:
+                foreach (var (name, child) in obj.ToList())
+                {
+                    if (child is JsonValue && (maskAll || SecretNames.Any(s => name.Contains(s, StringComparison.OrdinalIgnoreCase))))
+                        obj[name] = Masked;
+                    else
+                        MaskSecrets(child, maskAll || name.Equals("secrets", StringComparison.OrdinalIgnoreCase));
+                }
+                break;
+            case JsonArray array:
+                foreach (var child in array)
+                    MaskSecrets(child, maskAll);
+                break;
+        }
+    }
+}
@@ -0,0 +1,222 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.Extensions.Logging;
+using System.Security.Cryptography;
+using System.Security.Cryptography.X509Certificates;
+
+namespace IIScribe.Infrastructure.Services;
+
+/// <summary>
+/// REAL certificate service - issues, imports and lists certificates in the machine's personal (My) store.
+/// IIS reads LocalMachine\My on Windows; elsewhere the current user's store stands in for it.
+/// </summary>
+public class RealCertificateService : ICertificateService
+{
+    private readonly IIISDeploymentService _iisService;
+    private readonly ILogger<RealCertificateService> _logger;
+
+    public RealCertificateService(IIISDeploymentService iisService, ILogger<RealCertificateService> logger)
+    {
+        _iisService = iisService;
+        _logger = logger;
+    }
+
+    private static StoreLocation StoreLocation =>
+        OperatingSystem.IsWindows() ? StoreLocation.LocalMachine : StoreLocation.CurrentUser;
+
+    private static X509KeyStorageFlags StorageFlags =>
+        OperatingSystem.IsWindows()
+            ? X509KeyStorageFlags.MachineKeySet | X509KeyStorageFlags.PersistKeySet | X509KeyStorageFlags.Exportable
+            : X509KeyStorageFlags.PersistKeySet | X509KeyStorageFlags.Exportable;
+
+    public Task<CertificateResult> GenerateSelfSignedAsync(string domainName, int validityDays)
+    {
+        _logger.LogInformation("Generating self-signed certificate for {Domain} ({Days} days)", domainName, validityDays);
+
+        var certificate = CreateSelfSigned($"CN={domainName}", domainName, validityDays);
+        AddToStore(certificate);
+
+        _logger.LogInformation("Certificate created: {Thumbprint}", certificate.Thumbprint);
+        return Task.FromResult(ToResult(certificate, CertificateType.SelfSigned));
+    }
+
+    public Task<CertificateResult> RequestLetsEncryptAsync(string domainName, string email)
+    {
+        return Task.FromResult(new CertificateResult
+        {
+            Success = false,
+            Type = CertificateType.LetsEncrypt,
+            ErrorMessage = $"Let's Encrypt issuance is not configured on this server; install a certificate for {domainName} from the Certificates page"
+        });
+    }
+
+    public Task<CertificateResult> InstallCertificateAsync(string certificatePath, string password)
+    {
+        _logger.LogInformation("Importing certificate: {File}", Path.GetFileName(certificatePath));
+
+        if (!File.Exists(certificatePath))
+        {
+            throw new FileNotFoundException($"Certificate file not found: {certificatePath}");
+        }
+
+        var certificate = new X509Certificate2(certificatePath, password, StorageFlags);
+        if (!certificate.HasPrivateKey)
+        {
+            throw new InvalidOperationException("The certificate has no private key; export it as a PFX including the key");
+        }
+
+        AddToStore(certificate);
+
+        _logger.LogInformation("Certificate imported: {Thumbprint} ({Subject})", certificate.Thumbprint, certificate.Subject);
+        return Task.FromResult(ToResult(certificate, CertificateType.CustomCertificate));
+    }
+
+    public Task<CertificateResult> GetFromKeyVaultAsync(string keyVaultUrl, string certificateName)
+    {
+        return Task.FromResult(new CertificateResult
+        {
+            Success = false,
+            Type = CertificateType.AzureKeyVault,
+            ErrorMessage = $"Azure Key Vault access is not configured on this server; export '{certificateName}' as a PFX and install it from the Certificates page"
+        });
+    }
+
+    public async Task InstallCertificateToIISAsync(string siteName, string thumbprint)
+    {
+        if (FindCertificate(thumbprint) == null)
+        {
+            throw new InvalidOperationException($"Certificate not found in the {StoreLocation}\\My store: {thumbprint}");
+        }
+
+        await _iisService.BindCertificateAsync(siteName, Normalize(thumbprint));
+    }
+
+    public async Task<IEnumerable<CertificateInfo>> GetCertificatesAsync()
+    {
+        var sites = await _iisService.GetAllSitesAsync();
+        var boundSites = sites
+            .Where(s => !string.IsNullOrEmpty(s.CertificateThumbprint))
+            .GroupBy(s => Normalize(s.CertificateThumbprint!))
+            .ToDictionary(g => g.Key, g => g.Select(s => s.SiteName).ToList());
+
+        using var store = OpenStore(OpenFlags.ReadOnly);
+        return store.Certificates
+            .Select(c => new CertificateInfo
+            {
+                Thumbprint = c.Thumbprint,
+                SubjectName = c.Subject,
+                IssuerName = c.Issuer,
+                NotBefore = c.NotBefore.ToUniversalTime(),
+                NotAfter = c.NotAfter.ToUniversalTime(),
+                DaysUntilExpiry = (int)Math.Floor((c.NotAfter.ToUniversalTime() - DateTime.UtcNow).TotalDays),
+                IsSelfSigned = c.SubjectName.RawData.SequenceEqual(c.IssuerName.RawData),
+                BoundSites = boundSites.GetValueOrDefault(c.Thumbprint) ?? new List<string>()
+            })
+            .OrderBy(c => c.NotAfter)
+            .ToList();
+    }
+
+    public async Task<IEnumerable<CertificateInfo>> GetExpiringCertificatesAsync(int daysThreshold)
+    {
+        var certificates = await GetCertificatesAsync();
+        return certificates.Where(c => c.DaysUntilExpiry <= daysThreshold).ToList();
+    }
+
+    /// <summary>
+    /// Self-signed certificates are reissued with the same subject and lifetime, and every site bound to
+    /// the old one is moved to the new one. CA-issued certificates have to be renewed by their issuer.
+    /// </summary>
+    public async Task<CertificateResult> RenewCertificateAsync(string thumbprint)
+    {
+        var existing = FindCertificate(thumbprint)
+            ?? throw new InvalidOperationException($"Certificate not found: {thumbprint}");
+
+        if (!existing.SubjectName.RawData.SequenceEqual(existing.IssuerName.RawData))
+        {
+            return new CertificateResult
+            {
+                Success = false,
+                Thumbprint = existing.Thumbprint,
+                Type = CertificateType.CustomCertificate,
+                ExpiryDate = existing.NotAfter.ToUniversalTime(),
+                ErrorMessage = $"Issued by {existing.Issuer}; renew it with the issuer and install the new PFX"
+            };
+        }
+
+        _logger.LogInformation("Renewing certificate: {Subject}", existing.Subject);
+
+        var validityDays = Math.Max(1, (int)Math.Round((existing.NotAfter - existing.NotBefore).TotalDays));
+        var dnsName = existing.GetNameInfo(X509NameType.DnsName, false);
+        var renewed = CreateSelfSigned(existing.Subject, dnsName, validityDays);
+        AddToStore(renewed);
+
+        var sites = await _iisService.GetAllSitesAsync();
+        foreach (var site in sites.Where(s => s.CertificateThumbprint != null &&
+                                              Normalize(s.CertificateThumbprint) == existing.Thumbprint))
+        {
+            await _iisService.BindCertificateAsync(site.SiteName, renewed.Thumbprint);
+            _logger.LogInformation("Rebound site {Site} to certificate {Thumbprint}", site.SiteName, renewed.Thumbprint);
+        }
+
+        using (var store = OpenStore(OpenFlags.ReadWrite))
+        {
+            store.Remove(existing);
+        }
+
+        _logger.LogInformation("Certificate renewed: {Thumbprint}, expires {Expires:yyyy-MM-dd}", renewed.Thumbprint, renewed.NotAfter);
+        return ToResult(renewed, CertificateType.SelfSigned);
+    }
+
+    private static X509Certificate2 CreateSelfSigned(string subject, string dnsName, int validityDays)
+    {
+        using var rsa = RSA.Create(2048);
+        var request = new CertificateRequest(subject, rsa, HashAlgorithmName.SHA256, RSASignaturePadding.Pkcs1);
+
+        var san = new SubjectAlternativeNameBuilder();
+        san.AddDnsName(dnsName);
+        request.CertificateExtensions.Add(san.Build());
+        request.CertificateExtensions.Add(new X509KeyUsageExtension(
+            X509KeyUsageFlags.DigitalSignature | X509KeyUsageFlags.KeyEncipherment, critical: true));
+        request.CertificateExtensions.Add(new X509EnhancedKeyUsageExtension(
+            new OidCollection { new Oid("1.3.6.1.5.5.7.3.1") }, critical: false)); // Server authentication
+
+        using var certificate = request.CreateSelfSigned(DateTimeOffset.UtcNow, DateTimeOffset.UtcNow.AddDays(validityDays));
+
+        // Round-trip through PFX so the private key is persisted with the certificate
+        return new X509Certificate2(certificate.Export(X509ContentType.Pfx), (string?)null, StorageFlags);
+    }
+
+    private static void AddToStore(X509Certificate2 certificate)
+    {
+        using var store = OpenStore(OpenFlags.ReadWrite);
+        store.Add(certificate);
+    }
+
+    private static X509Certificate2? FindCertificate(string thumbprint)
+    {
+        using var store = OpenStore(OpenFlags.ReadOnly);
+        return store.Certificates
+            .Find(X509FindType.FindByThumbprint, Normalize(thumbprint), validOnly: false)
+            .FirstOrDefault();
+    }
+
+    private static X509Store OpenStore(OpenFlags flags)
+    {
+        var store = new X509Store(StoreName.My, StoreLocation);
+        store.Open(flags);
+        return store;
+    }
+
+    private static CertificateResult ToResult(X509Certificate2 certificate, CertificateType type) => new()
+    {
+        Success = true,
+        Thumbprint = certificate.Thumbprint,
+        Type = type,
+        ExpiryDate = certificate.NotAfter.ToUniversalTime()
+    };
+
+    // IIS and the UI show thumbprints with colons or spaces; the store uses bare upper-case hex
+    private static string Normalize(string thumbprint) =>
+        thumbprint.Replace(":", "").Replace(" ", "").ToUpperInvariant();
+}
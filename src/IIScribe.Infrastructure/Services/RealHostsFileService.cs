@@ -1,5 +1,13 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Enums;
 using IIScribe.Core.Interfaces;
+using Microsoft.Extensions.Logging;
+using System.Globalization;
+using System.Net;
 using System.Runtime.InteropServices;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.RegularExpressions;
 
 namespace IIScribe.Infrastructure.Services;
 
@@ -9,11 +17,25 @@ namespace IIScribe.Infrastructure.Services;
 public class RealHostsFileService : IHostsFileService
 {
     private readonly string _hostsFilePath;
+    private readonly ILogger<RealHostsFileService> _logger;
     private const string IISCRIBE_MARKER = "# IIScribe";
+    private const string BackupTimestampFormat = "yyyyMMddHHmmss";
 
-    public RealHostsFileService()
+    // Diffs of files longer than this after trimming the unchanged ends fall back to remove-all, add-all
+    private const int MaxDiffLines = 2000;
+
+    // Edits read, back up and write the file; one at a time across requests
+    private static readonly SemaphoreSlim EditLock = new(1, 1);
+
+    public RealHostsFileService(ILogger<RealHostsFileService> logger, string? hostsFilePath = null)
     {
-        if (RuntimeInformation.IsOSPlatform(OSPlatform.Windows))
+        _logger = logger;
+
+        if (!string.IsNullOrWhiteSpace(hostsFilePath))
+        {
+            _hostsFilePath = hostsFilePath;
+        }
+        else if (RuntimeInformation.IsOSPlatform(OSPlatform.Windows))
         {
             _hostsFilePath = Path.Combine(
                 Environment.GetFolderPath(Environment.SpecialFolder.System),
@@ -25,6 +47,10 @@ public class RealHostsFileService : IHostsFileService
         }
     }
 
+    public string HostsFilePath => _hostsFilePath;
+
+    private string BackupPrefix => $"{Path.GetFileName(_hostsFilePath)}.backup_";
+
     public async Task AddEntryAsync(string ipAddress, string hostname)
     {
         try
@@ -32,7 +58,7 @@ public class RealHostsFileService : IHostsFileService
             // Check if entry already exists
             if (await EntryExistsAsync(hostname))
             {
-                Console.WriteLine($"   Hosts entry already exists: {hostname}");
+                _logger.LogInformation("Hosts entry already exists: {Host}", hostname);
                 return;
             }
 
@@ -44,21 +70,20 @@ public class RealHostsFileService : IHostsFileService
             }
 
             // Add new entry
-            var newEntry = $"{ipAddress,-20} {hostname,-30} {IISCRIBE_MARKER}";
-            lines.Add(newEntry);
+            lines.Add(FormatEntry(ipAddress, hostname));
 
             // Write back
             await File.WriteAllLinesAsync(_hostsFilePath, lines);
-            Console.WriteLine($"   ✓ Added to hosts file: {ipAddress} → {hostname}");
+            _logger.LogInformation("Added to hosts file: {Address} {Host}", ipAddress, hostname);
         }
         catch (UnauthorizedAccessException)
         {
-            Console.WriteLine($"   ⚠️  Access denied to hosts file. Run as Administrator!");
-            Console.WriteLine($"   ⚠️  You'll need to manually add: {ipAddress} {hostname}");
+            _logger.LogWarning("Access denied to hosts file {Path}. Run as Administrator, or add manually: {Address} {Host}",
+                _hostsFilePath, ipAddress, hostname);
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"   ⚠️  Could not update hosts file: {ex.Message}");
+            _logger.LogWarning(ex, "Could not update hosts file {Path}", _hostsFilePath);
         }
     }
 
@@ -72,19 +97,17 @@ public class RealHostsFileService : IHostsFileService
             }
 
             var lines = await File.ReadAllLinesAsync(_hostsFilePath);
-            var newLines = lines.Where(line =>
-                !line.Contains(hostname, StringComparison.OrdinalIgnoreCase) ||
-                !line.Contains(IISCRIBE_MARKER)).ToList();
+            var newLines = RemoveManaged(lines, new HashSet<string>(new[] { hostname }, StringComparer.OrdinalIgnoreCase));
 
-            if (newLines.Count != lines.Length)
+            if (!newLines.SequenceEqual(lines))
             {
                 await File.WriteAllLinesAsync(_hostsFilePath, newLines);
-                Console.WriteLine($"   ✓ Removed from hosts file: {hostname}");
+                _logger.LogInformation("Removed from hosts file: {Host}", hostname);
             }
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"   ⚠️  Could not remove from hosts file: {ex.Message}");
+            _logger.LogWarning(ex, "Could not remove {Host} from hosts file {Path}", hostname, _hostsFilePath);
         }
     }
 
@@ -98,9 +121,8 @@ public class RealHostsFileService : IHostsFileService
             }
 
             var lines = await File.ReadAllLinesAsync(_hostsFilePath);
-            return lines.Any(line =>
-                line.Contains(hostname, StringComparison.OrdinalIgnoreCase) &&
-                !line.TrimStart().StartsWith("#"));
+            return lines.Any(line => ParseLine(line)?.HostNames
+                .Contains(hostname, StringComparer.OrdinalIgnoreCase) == true);
         }
         catch
         {
@@ -108,46 +130,362 @@ public class RealHostsFileService : IHostsFileService
         }
     }
 
-    public async Task BackupAsync()
+    public Task BackupAsync()
     {
         try
         {
-            if (!File.Exists(_hostsFilePath))
+            var backupName = CreateBackup();
+            if (backupName != null)
             {
-                return;
+                _logger.LogInformation("Hosts file backed up to: {Backup}", backupName);
             }
-
-            var backupPath = $"{_hostsFilePath}.backup_{DateTime.Now:yyyyMMddHHmmss}";
-            File.Copy(_hostsFilePath, backupPath, true);
-            Console.WriteLine($"   ✓ Hosts file backed up to: {backupPath}");
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"   ⚠️  Could not backup hosts file: {ex.Message}");
+            _logger.LogWarning(ex, "Could not back up hosts file {Path}", _hostsFilePath);
         }
+
+        return Task.CompletedTask;
     }
 
-    public async Task RestoreAsync()
+    public Task RestoreAsync()
     {
         try
         {
             var backupFiles = Directory.GetFiles(
                 Path.GetDirectoryName(_hostsFilePath)!,
-                "hosts.backup_*");
+                BackupPrefix + "*");
 
             if (backupFiles.Length == 0)
             {
-                Console.WriteLine("   No backup files found");
-                return;
+                _logger.LogWarning("No backups of hosts file {Path} found", _hostsFilePath);
+                return Task.CompletedTask;
             }
 
             var latestBackup = backupFiles.OrderByDescending(f => f).First();
             File.Copy(latestBackup, _hostsFilePath, true);
-            Console.WriteLine($"   ✓ Hosts file restored from: {latestBackup}");
+            _logger.LogInformation("Hosts file restored from: {Backup}", latestBackup);
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"   ⚠️  Could not restore hosts file: {ex.Message}");
+            _logger.LogWarning(ex, "Could not restore hosts file {Path}", _hostsFilePath);
+        }
+
+        return Task.CompletedTask;
+    }
+
+    public async Task<IEnumerable<HostsEntry>> GetEntriesAsync()
+    {
+        var (lines, _) = await ReadAsync();
+
+        return lines
+            .Select((line, index) => (Line: ParseLine(line), Number: index + 1))
+            .Where(parsed => parsed.Line != null)
+            .SelectMany(parsed => parsed.Line!.Value.HostNames.Select(hostName => new HostsEntry
+            {
+                LineNumber = parsed.Number,
+                IpAddress = parsed.Line.Value.IpAddress,
+                HostName = hostName,
+                IsManaged = parsed.Line.Value.IsManaged
+            }))
+            .ToList();
+    }
+
+    public Task<IEnumerable<HostsFileBackup>> GetBackupsAsync()
+    {
+        var directory = Path.GetDirectoryName(_hostsFilePath)!;
+        if (!Directory.Exists(directory))
+            return Task.FromResult(Enumerable.Empty<HostsFileBackup>());
+
+        var backups = Directory
+            .EnumerateFiles(directory, BackupPrefix + "*")
+            .Select(path => new FileInfo(path))
+            .Select(file => (File: file, CreatedAt: ParseBackupTime(file.Name)))
+            .Where(backup => backup.CreatedAt != null)
+            .OrderByDescending(backup => backup.CreatedAt)
+            .ThenByDescending(backup => backup.File.Name.Length)
+            .ThenByDescending(backup => backup.File.Name, StringComparer.Ordinal)
+            .Select(backup => new HostsFileBackup
+            {
+                Name = backup.File.Name,
+                CreatedAt = backup.CreatedAt!.Value,
+                SizeBytes = backup.File.Length
+            })
+            .ToList();
+
+        return Task.FromResult<IEnumerable<HostsFileBackup>>(backups);
+    }
+
+    public async Task<HostsFileChange> PreviewAsync(HostsFileEdit edit)
+    {
+        var (lines, hash) = await ReadAsync();
+        var (newLines, notes) = await BuildEditAsync(lines, edit);
+
+        return CreateChange(lines, newLines, hash, notes);
+    }
+
+    public async Task<HostsFileChange> ApplyAsync(HostsFileEdit edit)
+    {
+        if (string.IsNullOrEmpty(edit.BaseHash))
+            throw new ArgumentException("Preview the change first and apply it with the preview's BaseHash");
+
+        await EditLock.WaitAsync();
+        try
+        {
+            var (lines, hash) = await ReadAsync();
+            if (!string.Equals(hash, edit.BaseHash, StringComparison.OrdinalIgnoreCase))
+                throw new InvalidOperationException("The hosts file has changed since the preview; preview the change again");
+
+            var (newLines, notes) = await BuildEditAsync(lines, edit);
+            var change = CreateChange(lines, newLines, hash, notes);
+            if (!change.HasChanges)
+                throw new ArgumentException("The edit does not change the hosts file");
+
+            try
+            {
+                var backupName = CreateBackup();
+                await File.WriteAllLinesAsync(_hostsFilePath, newLines);
+                _logger.LogInformation("Hosts file updated: {Added} line(s) added, {Removed} removed", change.Added, change.Removed);
+
+                return change with { BackupName = backupName };
+            }
+            catch (UnauthorizedAccessException)
+            {
+                throw new UnauthorizedAccessException($"Access to {_hostsFilePath} was denied. Run IIScribe as Administrator to change it.");
+            }
+        }
+        finally
+        {
+            EditLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// The file's lines and the SHA-256 of its content; a missing file is empty
+    /// </summary>
+    private async Task<(List<string> Lines, string Hash)> ReadAsync()
+    {
+        var content = File.Exists(_hostsFilePath)
+            ? await File.ReadAllTextAsync(_hostsFilePath)
+            : string.Empty;
+
+        var lines = content.Split('\n').Select(line => line.TrimEnd('\r')).ToList();
+        if (lines[^1].Length == 0)
+            lines.RemoveAt(lines.Count - 1);
+
+        return (lines, Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(content))));
+    }
+
+    private async Task<(List<string> Lines, List<string> Notes)> BuildEditAsync(List<string> lines, HostsFileEdit edit)
+    {
+        var notes = new List<string>();
+
+        if (!string.IsNullOrEmpty(edit.RestoreBackup))
+        {
+            if (edit.Add.Count > 0 || edit.Remove.Count > 0)
+                throw new ArgumentException("Restore a backup on its own, without adding or removing entries");
+
+            if (ParseBackupTime(edit.RestoreBackup) == null)
+                throw new ArgumentException($"'{edit.RestoreBackup}' is not a hosts file backup");
+
+            var backupPath = Path.Combine(Path.GetDirectoryName(_hostsFilePath)!, edit.RestoreBackup);
+            if (!File.Exists(backupPath))
+                throw new KeyNotFoundException($"Backup not found: {edit.RestoreBackup}");
+
+            return ((await File.ReadAllLinesAsync(backupPath)).ToList(), notes);
+        }
+
+        // Removals first, so a host can be moved to another address in one edit
+        var remove = new HashSet<string>(edit.Remove.Select(host => host.Trim()), StringComparer.OrdinalIgnoreCase);
+        foreach (var hostName in remove)
+        {
+            var lineNumber = lines.FindIndex(line => ParseLine(line)?.HostNames.Contains(hostName, StringComparer.OrdinalIgnoreCase) == true) + 1;
+            var managed = lines.Any(line => ParseLine(line) is { IsManaged: true } parsed &&
+                                            parsed.HostNames.Contains(hostName, StringComparer.OrdinalIgnoreCase));
+            if (lineNumber == 0)
+                notes.Add($"{hostName} is not in the hosts file");
+            else if (!managed)
+                notes.Add($"{hostName} (line {lineNumber}) was not added by IIScribe; edit it by hand");
+        }
+        var newLines = RemoveManaged(lines, remove);
+
+        foreach (var entry in edit.Add)
+        {
+            var hostName = entry.HostName.Trim();
+            if (!IPAddress.TryParse(entry.IpAddress.Trim(), out var ipAddress))
+                throw new ArgumentException($"'{entry.IpAddress}' is not an IP address");
+            if (!IsValidHostName(hostName))
+                throw new ArgumentException($"'{hostName}' is not a valid host name");
+
+            var lineNumber = newLines.FindIndex(line => ParseLine(line)?.HostNames.Contains(hostName, StringComparer.OrdinalIgnoreCase) == true) + 1;
+            if (lineNumber > 0)
+            {
+                notes.Add($"{hostName} is already in the hosts file (line {lineNumber})");
+                continue;
+            }
+
+            newLines.Add(FormatEntry(ipAddress.ToString(), hostName));
+        }
+
+        return (newLines, notes);
+    }
+
+    private static HostsFileChange CreateChange(List<string> lines, List<string> newLines, string hash, List<string> notes)
+    {
+        var diff = Diff(lines, newLines);
+
+        return new HostsFileChange
+        {
+            BaseHash = hash,
+            Lines = diff,
+            Added = diff.Count(line => line.Kind == DiffLineKind.Added),
+            Removed = diff.Count(line => line.Kind == DiffLineKind.Removed),
+            Notes = notes
+        };
+    }
+
+    /// <summary>
+    /// Drop the host names from IIScribe's lines, and lines left with no host name; other lines are kept as they are
+    /// </summary>
+    private static List<string> RemoveManaged(IEnumerable<string> lines, ISet<string> hostNames)
+    {
+        var result = new List<string>();
+        foreach (var line in lines)
+        {
+            var parsed = ParseLine(line);
+            if (parsed is not { IsManaged: true } || !parsed.Value.HostNames.Any(hostNames.Contains))
+            {
+                result.Add(line);
+                continue;
+            }
+
+            var remaining = parsed.Value.HostNames.Where(host => !hostNames.Contains(host)).ToList();
+            if (remaining.Count > 0)
+                result.Add(FormatEntry(parsed.Value.IpAddress, string.Join(' ', remaining)));
+        }
+        return result;
+    }
+
+    private static string FormatEntry(string ipAddress, string hostNames) =>
+        $"{ipAddress,-20} {hostNames,-30} {IISCRIBE_MARKER}";
+
+    /// <summary>
+    /// "address name [name...] [# comment]"; null for blank and comment-only lines
+    /// </summary>
+    private static (string IpAddress, string[] HostNames, bool IsManaged)? ParseLine(string line)
+    {
+        var commentStart = line.IndexOf('#');
+        var fields = (commentStart < 0 ? line : line[..commentStart])
+            .Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries);
+        if (fields.Length < 2)
+            return null;
+
+        var isManaged = commentStart >= 0 && line[commentStart..].StartsWith(IISCRIBE_MARKER, StringComparison.Ordinal);
+        return (fields[0], fields[1..], isManaged);
+    }
+
+    private static bool IsValidHostName(string hostName) =>
+        hostName.Length <= 253 &&
+        Regex.IsMatch(hostName, @"^(?!-)[A-Za-z0-9-]{1,63}(?<!-)(\.(?!-)[A-Za-z0-9-]{1,63}(?<!-))*$");
+
+    /// <summary>
+    /// Copy the hosts file next to itself; null when there is no file. A second backup
+    /// within the same second gets a "_2" suffix rather than overwriting the first.
+    /// </summary>
+    private string? CreateBackup()
+    {
+        if (!File.Exists(_hostsFilePath))
+            return null;
+
+        var directory = Path.GetDirectoryName(_hostsFilePath)!;
+        var timestamp = BackupPrefix + DateTime.Now.ToString(BackupTimestampFormat, CultureInfo.InvariantCulture);
+        var backupName = timestamp;
+        for (var copy = 2; File.Exists(Path.Combine(directory, backupName)); copy++)
+            backupName = $"{timestamp}_{copy}";
+
+        File.Copy(_hostsFilePath, Path.Combine(directory, backupName));
+        return backupName;
+    }
+
+    /// <summary>
+    /// Backups are named after the local time they were taken
+    /// </summary>
+    private DateTime? ParseBackupTime(string fileName)
+    {
+        var match = Regex.Match(fileName, $@"^{Regex.Escape(BackupPrefix)}(?<timestamp>\d{{14}})(_\d+)?$");
+        return match.Success &&
+               DateTime.TryParseExact(match.Groups["timestamp"].Value, BackupTimestampFormat,
+                   CultureInfo.InvariantCulture, DateTimeStyles.AssumeLocal | DateTimeStyles.AdjustToUniversal, out var createdAt)
+            ? createdAt
+            : null;
+    }
+
+    /// <summary>
+    /// Line diff by longest common subsequence, after setting aside the unchanged start and end
+    /// </summary>
+    private static List<HostsDiffLine> Diff(List<string> before, List<string> after)
+    {
+        var prefix = 0;
+        while (prefix < before.Count && prefix < after.Count && before[prefix] == after[prefix])
+            prefix++;
+
+        var suffix = 0;
+        while (suffix < before.Count - prefix && suffix < after.Count - prefix &&
+               before[before.Count - 1 - suffix] == after[after.Count - 1 - suffix])
+            suffix++;
+
+        var lines = new List<HostsDiffLine>();
+        for (var i = 0; i < prefix; i++)
+            lines.Add(new(DiffLineKind.Unchanged, before[i], i + 1, i + 1));
+
+        var oldMiddle = before.GetRange(prefix, before.Count - prefix - suffix);
+        var newMiddle = after.GetRange(prefix, after.Count - prefix - suffix);
+        int x = 0, y = 0;
+
+        if (oldMiddle.Count > MaxDiffLines || newMiddle.Count > MaxDiffLines)
+        {
+            lines.AddRange(oldMiddle.Select((line, i) => new HostsDiffLine(DiffLineKind.Removed, line, prefix + i + 1, null)));
+            lines.AddRange(newMiddle.Select((line, i) => new HostsDiffLine(DiffLineKind.Added, line, null, prefix + i + 1)));
+            x = oldMiddle.Count;
+            y = newMiddle.Count;
+        }
+        else
+        {
+            // lcs[i, j] is the longest common subsequence of oldMiddle[i..] and newMiddle[j..]
+            var lcs = new int[oldMiddle.Count + 1, newMiddle.Count + 1];
+            for (var i = oldMiddle.Count - 1; i >= 0; i--)
+                for (var j = newMiddle.Count - 1; j >= 0; j--)
+                    lcs[i, j] = oldMiddle[i] == newMiddle[j]
+                        ? lcs[i + 1, j + 1] + 1
+                        : Math.Max(lcs[i + 1, j], lcs[i, j + 1]);
+
+            while (x < oldMiddle.Count || y < newMiddle.Count)
+            {
+                if (x < oldMiddle.Count && y < newMiddle.Count && oldMiddle[x] == newMiddle[y])
+                {
+                    lines.Add(new(DiffLineKind.Unchanged, oldMiddle[x], prefix + x + 1, prefix + y + 1));
+                    x++;
+                    y++;
+                }
+                else if (x < oldMiddle.Count && (y == newMiddle.Count || lcs[x + 1, y] >= lcs[x, y + 1]))
+                {
+                    lines.Add(new(DiffLineKind.Removed, oldMiddle[x], prefix + x + 1, null));
+                    x++;
+                }
+                else
+                {
+                    lines.Add(new(DiffLineKind.Added, newMiddle[y], null, prefix + y + 1));
+                    y++;
+                }
+            }
         }
+
+        for (var i = 0; i < suffix; i++)
+        {
+            var oldIndex = prefix + x + i;
+            lines.Add(new(DiffLineKind.Unchanged, before[oldIndex], oldIndex + 1, prefix + y + i + 1));
+        }
+
+        return lines;
     }
 }
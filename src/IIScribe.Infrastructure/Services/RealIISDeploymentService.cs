@@ -2,6 +2,7 @@ using IIScribe.Core.DTOs;
 using IIScribe.Core.Entities;
 using IIScribe.Core.Enums;
 using IIScribe.Core.Interfaces;
+using Microsoft.Extensions.Logging;
 using Microsoft.Web.Administration;
 using System.Diagnostics;
 using System.Security.AccessControl;
@@ -16,22 +17,25 @@ namespace IIScribe.Infrastructure.Services;
 /// </summary>
 public class RealIISDeploymentService : IIISDeploymentService
 {
-    private readonly IDeploymentLogger _logger;
+    private readonly IDeploymentLogger _deploymentLogger;
     private readonly IHostsFileService _hostsFileService;
+    private readonly ILogger<RealIISDeploymentService> _logger;
 
     public RealIISDeploymentService(
-        IDeploymentLogger logger,
-        IHostsFileService hostsFileService)
+        IDeploymentLogger deploymentLogger,
+        IHostsFileService hostsFileService,
+        ILogger<RealIISDeploymentService> logger)
     {
-        _logger = logger;
+        _deploymentLogger = deploymentLogger;
         _hostsFileService = hostsFileService;
+        _logger = logger;
     }
 
     public async Task<bool> IsIISInstalledAsync()
     {
         if (!RuntimeInformation.IsOSPlatform(OSPlatform.Windows))
         {
-            Console.WriteLine("⚠️  WARNING: Not running on Windows - IIS features disabled");
+            _logger.LogWarning("Not running on Windows - IIS features disabled");
             return false;
         }
 
@@ -42,14 +46,14 @@ public class RealIISDeploymentService : IIISDeploymentService
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"⚠️  IIS not detected: {ex.Message}");
+            _logger.LogWarning(ex, "IIS not detected");
             return false;
         }
     }
 
     public async Task InstallIISAsync(IProgress<ProgressInfo>? progress = null)
     {
-        Console.WriteLine("📦 Installing IIS...");
+        _logger.LogInformation("Installing IIS...");
         progress?.Report(new ProgressInfo
         {
             Stage = "Installing IIS",
@@ -101,10 +105,10 @@ public class RealIISDeploymentService : IIISDeploymentService
         var error = await process.StandardError.ReadToEndAsync();
         await process.WaitForExitAsync();
 
-        Console.WriteLine($"IIS Installation output: {output}");
+        _logger.LogInformation("IIS installation output: {Output}", output);
         if (!string.IsNullOrEmpty(error))
         {
-            Console.WriteLine($"Errors: {error}");
+            _logger.LogWarning("IIS installation errors: {Errors}", error);
         }
 
         if (process.ExitCode != 0)
@@ -122,7 +126,7 @@ public class RealIISDeploymentService : IIISDeploymentService
 
     public async Task<string> CreateApplicationPoolAsync(AppPoolConfiguration config)
     {
-        Console.WriteLine($"🔧 Creating app pool: {config.Name}");
+        _logger.LogInformation("Creating app pool: {AppPool}", config.Name);
         
         using var serverManager = new ServerManager();
 
@@ -130,7 +134,7 @@ public class RealIISDeploymentService : IIISDeploymentService
         var existingPool = serverManager.ApplicationPools[config.Name];
         if (existingPool != null)
         {
-            Console.WriteLine($"   Removing existing app pool: {config.Name}");
+            _logger.LogInformation("Removing existing app pool: {AppPool}", config.Name);
             serverManager.ApplicationPools.Remove(existingPool);
             serverManager.CommitChanges();
         }
@@ -163,14 +167,14 @@ public class RealIISDeploymentService : IIISDeploymentService
         }
 
         serverManager.CommitChanges();
-        Console.WriteLine($"   ✓ App pool created: {config.Name}");
+        _logger.LogInformation("App pool created: {AppPool}", config.Name);
         
         return config.Name;
     }
 
     public async Task<string> CreateWebsiteAsync(WebsiteConfiguration config)
     {
-        Console.WriteLine($"🌐 Creating website: {config.Name}");
+        _logger.LogInformation("Creating website: {Site}", config.Name);
         
         using var serverManager = new ServerManager();
 
@@ -178,7 +182,7 @@ public class RealIISDeploymentService : IIISDeploymentService
         var existingSite = serverManager.Sites[config.Name];
         if (existingSite != null)
         {
-            Console.WriteLine($"   Removing existing site: {config.Name}");
+            _logger.LogInformation("Removing existing site: {Site}", config.Name);
             serverManager.Sites.Remove(existingSite);
             serverManager.CommitChanges();
         }
@@ -186,7 +190,7 @@ public class RealIISDeploymentService : IIISDeploymentService
         // Create physical directory if it doesn't exist
         if (!Directory.Exists(config.PhysicalPath))
         {
-            Console.WriteLine($"   Creating directory: {config.PhysicalPath}");
+            _logger.LogInformation("Creating directory: {Path}", config.PhysicalPath);
             Directory.CreateDirectory(config.PhysicalPath);
         }
 
@@ -198,13 +202,13 @@ public class RealIISDeploymentService : IIISDeploymentService
         site.Bindings.Clear();
 
         // Add HTTP binding
-        Console.WriteLine($"   Adding HTTP binding: *:{config.HttpPort}:{config.DomainName}");
+        _logger.LogInformation("Adding HTTP binding: *:{Port}:{Host}", config.HttpPort, config.DomainName);
         site.Bindings.Add($"*:{config.HttpPort}:{config.DomainName}", "http");
 
         // Add HTTPS binding if enabled and certificate is available
         if (config.EnableHttps && !string.IsNullOrEmpty(config.CertificateThumbprint))
         {
-            Console.WriteLine($"   Adding HTTPS binding: *:{config.HttpsPort}:{config.DomainName}");
+            _logger.LogInformation("Adding HTTPS binding: *:{Port}:{Host}", config.HttpsPort, config.DomainName);
             var httpsBinding = site.Bindings.Add($"*:{config.HttpsPort}:{config.DomainName}", "https");
             
             try
@@ -215,16 +219,16 @@ public class RealIISDeploymentService : IIISDeploymentService
             }
             catch (Exception ex)
             {
-                Console.WriteLine($"   ⚠️  Could not bind certificate: {ex.Message}");
+                _logger.LogWarning(ex, "Could not bind certificate to {Site}", config.Name);
             }
         }
 
         serverManager.CommitChanges();
-        Console.WriteLine($"   ✓ Website created: {config.Name}");
+        _logger.LogInformation("Website created: {Site}", config.Name);
 
         // Add to hosts file
         await _hostsFileService.AddEntryAsync("127.0.0.1", config.DomainName);
-        Console.WriteLine($"   ✓ Added to hosts file: {config.DomainName}");
+        _logger.LogInformation("Added to hosts file: {Host}", config.DomainName);
 
         return config.Name;
     }
@@ -233,7 +237,7 @@ public class RealIISDeploymentService : IIISDeploymentService
         ApplicationDeploymentConfig config,
         IProgress<ProgressInfo>? progress = null)
     {
-        Console.WriteLine($"📦 Deploying application to: {config.DestinationPath}");
+        _logger.LogInformation("Deploying application to: {Path}", config.DestinationPath);
         
         progress?.Report(new ProgressInfo
         {
@@ -264,7 +268,7 @@ public class RealIISDeploymentService : IIISDeploymentService
             }
             catch (Exception ex)
             {
-                Console.WriteLine($"   ⚠️  Could not stop site: {ex.Message}");
+                _logger.LogWarning(ex, "Could not stop site {Site}", config.SiteName);
             }
         }
 
@@ -278,17 +282,17 @@ public class RealIISDeploymentService : IIISDeploymentService
                 Message = "Backing up existing files..."
             });
 
-            var backupPath = $"{config.DestinationPath}_backup_{DateTime.Now:yyyyMMddHHmmss}";
-            Console.WriteLine($"   Creating backup: {backupPath}");
+            var backupPath = config.BackupPath ?? $"{config.DestinationPath}_backup_{DateTime.Now:yyyyMMddHHmmss}";
+            _logger.LogInformation("Creating backup: {Path}", backupPath);
             
             try
             {
                 CopyDirectory(config.DestinationPath, backupPath);
-                Console.WriteLine($"   ✓ Backup created");
+                _logger.LogInformation("Backup created: {Path}", backupPath);
             }
             catch (Exception ex)
             {
-                Console.WriteLine($"   ⚠️  Backup failed: {ex.Message}");
+                _logger.LogWarning(ex, "Backup to {Path} failed", backupPath);
             }
         }
 
@@ -307,7 +311,7 @@ public class RealIISDeploymentService : IIISDeploymentService
         }
 
         // Clear destination (keep backup safe)
-        Console.WriteLine($"   Clearing destination: {config.DestinationPath}");
+        _logger.LogInformation("Clearing destination: {Path}", config.DestinationPath);
         foreach (var file in Directory.GetFiles(config.DestinationPath))
         {
             try { File.Delete(file); } catch { }
@@ -318,11 +322,11 @@ public class RealIISDeploymentService : IIISDeploymentService
         }
 
         // Copy files
-        Console.WriteLine($"   Copying files from: {config.SourcePath}");
+        _logger.LogInformation("Copying files from: {Path}", config.SourcePath);
         CopyDirectory(config.SourcePath, config.DestinationPath, config.ExcludePatterns);
         
         var fileCount = Directory.GetFiles(config.DestinationPath, "*", SearchOption.AllDirectories).Length;
-        Console.WriteLine($"   ✓ Copied {fileCount} files");
+        _logger.LogInformation("Copied {FileCount} files", fileCount);
 
         // Set permissions
         progress?.Report(new ProgressInfo
@@ -332,9 +336,9 @@ public class RealIISDeploymentService : IIISDeploymentService
             Message = "Configuring folder permissions..."
         });
 
-        Console.WriteLine($"   Setting permissions on: {config.DestinationPath}");
+        _logger.LogInformation("Setting permissions on: {Path}", config.DestinationPath);
         SetFolderPermissions(config.DestinationPath);
-        Console.WriteLine($"   ✓ Permissions set");
+        _logger.LogInformation("Permissions set on: {Path}", config.DestinationPath);
 
         // Start site
         progress?.Report(new ProgressInfo
@@ -353,12 +357,12 @@ public class RealIISDeploymentService : IIISDeploymentService
             Message = "✓ Deployment completed successfully"
         });
 
-        Console.WriteLine($"✓ Deployment complete!");
+        _logger.LogInformation("Deployment to {Path} complete", config.DestinationPath);
     }
 
     public async Task StartSiteAsync(string siteName)
     {
-        Console.WriteLine($"▶️  Starting site: {siteName}");
+        _logger.LogInformation("Starting site: {Site}", siteName);
         
         using var serverManager = new ServerManager();
         var site = serverManager.Sites[siteName];
@@ -371,17 +375,17 @@ public class RealIISDeploymentService : IIISDeploymentService
         if (site.State != ObjectState.Started && site.State != ObjectState.Starting)
         {
             site.Start();
-            Console.WriteLine($"   ✓ Site started");
+            _logger.LogInformation("Site started: {Site}", siteName);
         }
         else
         {
-            Console.WriteLine($"   Site already running");
+            _logger.LogInformation("Site already running: {Site}", siteName);
         }
     }
 
     public async Task StopSiteAsync(string siteName)
     {
-        Console.WriteLine($"⏸️  Stopping site: {siteName}");
+        _logger.LogInformation("Stopping site: {Site}", siteName);
         
         using var serverManager = new ServerManager();
         var site = serverManager.Sites[siteName];
@@ -394,17 +398,17 @@ public class RealIISDeploymentService : IIISDeploymentService
         if (site.State != ObjectState.Stopped && site.State != ObjectState.Stopping)
         {
             site.Stop();
-            Console.WriteLine($"   ✓ Site stopped");
+            _logger.LogInformation("Site stopped: {Site}", siteName);
         }
         else
         {
-            Console.WriteLine($"   Site already stopped");
+            _logger.LogInformation("Site already stopped: {Site}", siteName);
         }
     }
 
     public async Task RemoveSiteAsync(string siteName)
     {
-        Console.WriteLine($"🗑️  Removing site: {siteName}");
+        _logger.LogInformation("Removing site: {Site}", siteName);
         
         using var serverManager = new ServerManager();
         var site = serverManager.Sites[siteName];
@@ -414,7 +418,7 @@ public class RealIISDeploymentService : IIISDeploymentService
             var appPoolName = site.Applications[0].ApplicationPoolName;
             serverManager.Sites.Remove(site);
             serverManager.CommitChanges();
-            Console.WriteLine($"   ✓ Site removed");
+            _logger.LogInformation("Site removed: {Site}", siteName);
 
             // Remove app pool if not used by other sites
             var appPool = serverManager.ApplicationPools[appPoolName];
@@ -427,12 +431,56 @@ public class RealIISDeploymentService : IIISDeploymentService
                 {
                     serverManager.ApplicationPools.Remove(appPool);
                     serverManager.CommitChanges();
-                    Console.WriteLine($"   ✓ App pool removed: {appPoolName}");
+                    _logger.LogInformation("App pool removed: {AppPool}", appPoolName);
                 }
             }
         }
     }
 
+    public async Task RecycleAppPoolAsync(string appPoolName)
+    {
+        _logger.LogInformation("Recycling app pool: {AppPool}", appPoolName);
+        
+        using var serverManager = new ServerManager();
+        var appPool = serverManager.ApplicationPools[appPoolName];
+        
+        if (appPool == null)
+        {
+            throw new InvalidOperationException($"Application pool not found: {appPoolName}");
+        }
+
+        appPool.Recycle();
+        _logger.LogInformation("App pool recycled: {AppPool}", appPoolName);
+    }
+
+    public async Task BindCertificateAsync(string siteName, string thumbprint)
+    {
+        _logger.LogInformation("Binding certificate {Thumbprint} to site: {Site}", thumbprint, siteName);
+
+        using var serverManager = new ServerManager();
+        var site = serverManager.Sites[siteName];
+
+        if (site == null)
+        {
+            throw new InvalidOperationException($"Site not found: {siteName}");
+        }
+
+        // Reuse the site's HTTPS binding, or add one on 443 for the host the site already answers to
+        var httpsBinding = site.Bindings.FirstOrDefault(b => b.Protocol == "https");
+        if (httpsBinding == null)
+        {
+            var host = site.Bindings.FirstOrDefault()?.Host ?? string.Empty;
+            _logger.LogInformation("Adding HTTPS binding: *:443:{Host}", host);
+            httpsBinding = site.Bindings.Add($"*:443:{host}", "https");
+        }
+
+        httpsBinding.CertificateHash = Convert.FromHexString(thumbprint.Replace(":", "").Replace(" ", ""));
+        httpsBinding.CertificateStoreName = "My";
+
+        serverManager.CommitChanges();
+        _logger.LogInformation("Certificate {Thumbprint} bound to site: {Site}", thumbprint, siteName);
+    }
+
     public async Task<IEnumerable<SiteStatus>> GetAllSitesAsync()
     {
         var statuses = new List<SiteStatus>();
@@ -456,27 +504,71 @@ public class RealIISDeploymentService : IIISDeploymentService
                 var host = binding?.Host ?? "localhost";
                 var port = binding?.EndPoint?.Port ?? 80;
 
+                var certificateHash = site.Bindings
+                    .FirstOrDefault(b => b.Protocol == "https" && b.CertificateHash != null)?.CertificateHash;
+
                 var status = new SiteStatus
                 {
                     SiteName = site.Name,
                     Url = $"{protocol}://{host}:{port}",
+                    Bindings = site.Bindings
+                        .Select(b => $"{b.Protocol}://{b.Host}:{b.EndPoint?.Port}")
+                        .ToList(),
                     IsRunning = site.State == ObjectState.Started,
                     State = site.State.ToString(),
                     AppPoolName = appPoolName,
-                    AppPoolRunning = appPool?.State == ObjectState.Started
+                    AppPoolRunning = appPool?.State == ObjectState.Started,
+                    CertificateThumbprint = certificateHash != null ? Convert.ToHexString(certificateHash) : null
                 };
 
+                PopulateResourceUsage(status, appPool);
                 statuses.Add(status);
             }
             catch (Exception ex)
             {
-                Console.WriteLine($"⚠️  Error reading site {site.Name}: {ex.Message}");
+                _logger.LogWarning(ex, "Error reading site {Site}", site.Name);
             }
         }
 
         return statuses;
     }
 
+    /// <summary>
+    /// Sum resource usage over the app pool's worker processes.
+    /// CPU is averaged over each process's lifetime; connections are the in-flight requests.
+    /// </summary>
+    private void PopulateResourceUsage(SiteStatus status, ApplicationPool? appPool)
+    {
+        if (appPool == null)
+        {
+            return;
+        }
+
+        foreach (var worker in appPool.WorkerProcesses)
+        {
+            try
+            {
+                using var process = Process.GetProcessById(worker.ProcessId);
+                status.WorkingSetMemoryMB += process.WorkingSet64 / (1024 * 1024);
+
+                var lifetime = DateTime.Now - process.StartTime;
+                if (lifetime.TotalMilliseconds > 0)
+                {
+                    status.CpuUsagePercent += process.TotalProcessorTime.TotalMilliseconds
+                        / lifetime.TotalMilliseconds / Environment.ProcessorCount * 100;
+                }
+
+                status.ActiveConnections += worker.GetRequests(0).Count;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Could not read worker process {ProcessId}", worker.ProcessId);
+            }
+        }
+
+        status.CpuUsagePercent = Math.Round(status.CpuUsagePercent, 1);
+    }
+
     private void CopyDirectory(string sourceDir, string destDir, IEnumerable<string>? excludePatterns = null)
     {
         var dir = new DirectoryInfo(sourceDir);
@@ -531,7 +623,7 @@ public class RealIISDeploymentService : IIISDeploymentService
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"⚠️  Could not set permissions: {ex.Message}");
+            _logger.LogWarning(ex, "Could not set permissions on {Path}", path);
         }
     }
 }
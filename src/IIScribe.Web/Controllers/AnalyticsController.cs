@@ -0,0 +1,266 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System.Text.RegularExpressions;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// Deployment analytics for the dashboard (Story 9.1: Executive Dashboard)
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class AnalyticsController : ControllerBase
+{
+    private const int MaxRangeDays = 366;
+    private const int TopCount = 5;
+
+    private static readonly DeploymentStatus[] FailedStatuses =
+    {
+        DeploymentStatus.Failed,
+        DeploymentStatus.ValidationFailed,
+        DeploymentStatus.RolledBack
+    };
+
+    // Parts of an error message that vary between otherwise identical failures
+    private static readonly (Regex Pattern, string Replacement)[] ErrorNoise =
+    {
+        (new Regex(@"\b[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}\b", RegexOptions.Compiled), "{id}"),
+        (new Regex(@"'[^']*'|""[^""]*""", RegexOptions.Compiled), "'…'"),
+        (new Regex(@"([A-Za-z]:)?[\\/][^\s:;,]+", RegexOptions.Compiled), "{path}"),
+        (new Regex(@"\d+", RegexOptions.Compiled), "N")
+    };
+
+    private readonly IRepository<Deployment> _deploymentRepo;
+    private readonly IRepository<DeploymentProfile> _profileRepo;
+    private readonly ILogger<AnalyticsController> _logger;
+
+    public AnalyticsController(
+        IRepository<Deployment> deploymentRepo,
+        IRepository<DeploymentProfile> profileRepo,
+        ILogger<AnalyticsController> logger)
+    {
+        _deploymentRepo = deploymentRepo;
+        _profileRepo = profileRepo;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Deployments per day by status, success rate and median duration per environment and target,
+    /// top failing sites, common errors, mean time to recovery and per-team metrics
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(DeploymentAnalytics), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    public async Task<ActionResult<DeploymentAnalytics>> GetAnalytics([FromQuery] AnalyticsQuery query)
+    {
+        var to = (query.To ?? DateTime.UtcNow).Date;
+        var from = (query.From ?? to.AddDays(-29)).Date;
+
+        if (from > to || (to - from).TotalDays >= MaxRangeDays)
+        {
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Invalid Date Range",
+                Detail = $"'from' must be on or before 'to' and the range at most {MaxRangeDays} days",
+                Status = 400
+            });
+        }
+
+        var teamsByProfile = (await _profileRepo.GetAllAsync())
+            .Where(p => !string.IsNullOrWhiteSpace(p.TeamName))
+            .ToDictionary(p => p.Id, p => p.TeamName!);
+
+        string? TeamOf(Deployment d) =>
+            d.ProfileId.HasValue ? teamsByProfile.GetValueOrDefault(d.ProfileId.Value) : null;
+
+        // The upper bound is a whole day
+        var inRange = (await _deploymentRepo.GetAllAsync())
+            .Where(d => !d.IsDeleted && d.CreatedAt >= from && d.CreatedAt < to.AddDays(1))
+            .ToList();
+
+        var deployments = string.IsNullOrWhiteSpace(query.Team)
+            ? inRange
+            : inRange.Where(d => string.Equals(TeamOf(d), query.Team, StringComparison.OrdinalIgnoreCase)).ToList();
+
+        _logger.LogInformation("Analytics for {From:d} to {To:d} ({Team}): {Count} deployments",
+            from, to, query.Team ?? "all teams", deployments.Count);
+
+        var (mttr, recoveries) = MeanTimeToRecovery(deployments);
+
+        return Ok(new DeploymentAnalytics
+        {
+            From = from,
+            To = to,
+            Team = query.Team,
+            Teams = inRange.Select(TeamOf).OfType<string>().Distinct(StringComparer.OrdinalIgnoreCase).Order().ToList(),
+            Daily = Enumerable.Range(0, (int)(to - from).TotalDays + 1)
+                .Select(offset =>
+                {
+                    var day = from.AddDays(offset);
+                    var onDay = deployments.Where(d => d.CreatedAt.Date == day).ToList();
+                    return new DailyDeploymentCount
+                    {
+                        Date = day,
+                        Total = onDay.Count,
+                        ByStatus = onDay.GroupBy(d => d.Status.ToString()).ToDictionary(g => g.Key, g => g.Count())
+                    };
+                })
+                .ToList(),
+            ByEnvironment = Segment(deployments, d => d.Environment.ToString()),
+            ByTarget = Segment(deployments, d => d.Target.ToString()),
+            FailingSites = deployments
+                .GroupBy(d => d.SiteName ?? d.DomainName, StringComparer.OrdinalIgnoreCase)
+                .Select(g => new
+                {
+                    Site = g.Key,
+                    All = g.Count(),
+                    Failures = g.Where(IsFailure).ToList()
+                })
+                .Where(s => s.Failures.Count > 0)
+                .OrderByDescending(s => s.Failures.Count)
+                .ThenByDescending(s => s.Failures.Max(d => d.CreatedAt))
+                .Take(TopCount)
+                .Select(s => new SiteFailureStats
+                {
+                    SiteName = s.Site,
+                    Failures = s.Failures.Count,
+                    Total = s.All,
+                    LastFailureAt = s.Failures.Max(d => d.CompletedAt ?? d.CreatedAt)
+                })
+                .ToList(),
+            CommonErrors = deployments
+                .Where(d => IsFailure(d) && !string.IsNullOrWhiteSpace(d.ErrorMessage))
+                .GroupBy(d => NormalizeError(d.ErrorMessage!))
+                .OrderByDescending(g => g.Count())
+                .Take(TopCount)
+                .Select(g =>
+                {
+                    var latest = g.OrderByDescending(d => d.CreatedAt).First();
+                    return new ErrorGroup
+                    {
+                        Message = g.Key,
+                        Count = g.Count(),
+                        LastSeenAt = latest.CompletedAt ?? latest.CreatedAt,
+                        LatestDeploymentId = latest.Id
+                    };
+                })
+                .ToList(),
+            MeanTimeToRecoveryMinutes = mttr,
+            Recoveries = recoveries,
+            TeamMetrics = deployments
+                .GroupBy(d => TeamOf(d) ?? "Unassigned")
+                .OrderBy(g => g.Key)
+                .Select(g => BuildTeamMetrics(g.Key, g.ToList()))
+                .ToList()
+        });
+    }
+
+    private static bool IsFailure(Deployment d) => FailedStatuses.Contains(d.Status);
+
+    private static bool IsFinished(Deployment d) =>
+        d.Status == DeploymentStatus.Success || d.Status == DeploymentStatus.PartialSuccess || IsFailure(d);
+
+    // Success rate and median duration only count deployments that have finished
+    private static List<SegmentStats> Segment(IEnumerable<Deployment> deployments, Func<Deployment, string> key)
+    {
+        return deployments
+            .Where(IsFinished)
+            .GroupBy(key)
+            .Select(g =>
+            {
+                var succeeded = g.Count(d => d.Status == DeploymentStatus.Success);
+                return new SegmentStats
+                {
+                    Name = g.Key,
+                    Total = g.Count(),
+                    Succeeded = succeeded,
+                    SuccessRate = (double)succeeded / g.Count() * 100,
+                    MedianDurationSeconds = Median(g.Select(d => d.DurationSeconds))
+                };
+            })
+            .OrderByDescending(s => s.Total)
+            .ToList();
+    }
+
+    private static int Median(IEnumerable<int> values)
+    {
+        var sorted = values.Order().ToList();
+        if (sorted.Count == 0)
+            return 0;
+
+        var middle = sorted.Count / 2;
+        return sorted.Count % 2 == 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /// <summary>
+    /// Per site, a run of failures starts an incident that ends with the next successful deployment
+    /// </summary>
+    private static (double? Minutes, int Recoveries) MeanTimeToRecovery(IEnumerable<Deployment> deployments)
+    {
+        var recoveries = new List<TimeSpan>();
+
+        foreach (var site in deployments.GroupBy(d => d.SiteName ?? d.DomainName, StringComparer.OrdinalIgnoreCase))
+        {
+            DateTime? failedAt = null;
+            foreach (var deployment in site.OrderBy(d => d.CreatedAt))
+            {
+                if (IsFailure(deployment))
+                {
+                    failedAt ??= deployment.CompletedAt ?? deployment.CreatedAt;
+                }
+                else if (deployment.Status == DeploymentStatus.Success && failedAt.HasValue)
+                {
+                    recoveries.Add((deployment.CompletedAt ?? deployment.CreatedAt) - failedAt.Value);
+                    failedAt = null;
+                }
+            }
+        }
+
+        return recoveries.Count == 0
+            ? (null, 0)
+            : (Math.Round(recoveries.Average(r => r.TotalMinutes), 1), recoveries.Count);
+    }
+
+    private static TeamMetrics BuildTeamMetrics(string team, List<Deployment> deployments)
+    {
+        var finished = deployments.Where(IsFinished).ToList();
+
+        return new TeamMetrics
+        {
+            TeamName = team,
+            TotalDeployments = deployments.Count,
+            SuccessRate = finished.Count > 0
+                ? (double)finished.Count(d => d.Status == DeploymentStatus.Success) / finished.Count * 100
+                : 0,
+            AverageDeploymentTimeSeconds = finished.Count > 0 ? (int)finished.Average(d => d.DurationSeconds) : 0,
+            DeploymentsByUser = deployments
+                .GroupBy(d => string.IsNullOrEmpty(d.CreatedBy) ? "Unknown" : d.CreatedBy)
+                .ToDictionary(g => g.Key, g => g.Count()),
+            DeploymentsByEnvironment = deployments
+                .GroupBy(d => d.Environment.ToString())
+                .ToDictionary(g => g.Key, g => g.Count()),
+            MostCommonErrors = deployments
+                .Where(d => IsFailure(d) && !string.IsNullOrWhiteSpace(d.ErrorMessage))
+                .GroupBy(d => NormalizeError(d.ErrorMessage!))
+                .OrderByDescending(g => g.Count())
+                .Take(3)
+                .Select(g => g.Key)
+                .ToList()
+        };
+    }
+
+    private static string NormalizeError(string message)
+    {
+        var firstLine = message.Split('\n')[0].Trim();
+        foreach (var (pattern, replacement) in ErrorNoise)
+        {
+            firstLine = pattern.Replace(firstLine, replacement);
+        }
+        return firstLine;
+    }
+}
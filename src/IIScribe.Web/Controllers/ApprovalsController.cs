@@ -0,0 +1,134 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.ModelBinding;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// Approvals inbox and the approval policies and change windows of each environment
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class ApprovalsController : ControllerBase
+{
+    private readonly IDeploymentApprovalService _approvalService;
+    private readonly IRepository<Deployment> _deploymentRepo;
+    private readonly ILogger<ApprovalsController> _logger;
+
+    public ApprovalsController(
+        IDeploymentApprovalService approvalService,
+        IRepository<Deployment> deploymentRepo,
+        ILogger<ApprovalsController> logger)
+    {
+        _approvalService = approvalService;
+        _deploymentRepo = deploymentRepo;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Deployments waiting for approval, oldest first, with whether the current user may decide on each
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(IEnumerable<PendingApprovalInfo>), 200)]
+    public async Task<ActionResult<IEnumerable<PendingApprovalInfo>>> ListPending()
+    {
+        return Ok(await _approvalService.GetPendingAsync());
+    }
+
+    /// <summary>
+    /// Approval policy and current change window of every environment that has a policy
+    /// </summary>
+    [HttpGet("policies")]
+    [ProducesResponseType(typeof(IEnumerable<EnvironmentPolicyInfo>), 200)]
+    public ActionResult<IEnumerable<EnvironmentPolicyInfo>> ListPolicies()
+    {
+        return Ok(_approvalService.GetPolicies().Select(policy => new EnvironmentPolicyInfo
+        {
+            Policy = policy,
+            ChangeWindow = _approvalService.GetChangeWindowStatus(policy.Environment, DateTime.UtcNow)
+        }));
+    }
+
+    /// <summary>
+    /// Approve a deployment; the last required approval starts it
+    /// </summary>
+    [HttpPost("{id}/approve")]
+    [ProducesResponseType(typeof(Deployment), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 403)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public Task<ActionResult<Deployment>> Approve(
+        Guid id,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] ApprovalDecisionRequest? request)
+    {
+        return DecideAsync(id, true, request?.Comment);
+    }
+
+    /// <summary>
+    /// Reject a deployment with a reason; it will not run
+    /// </summary>
+    [HttpPost("{id}/reject")]
+    [ProducesResponseType(typeof(Deployment), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 403)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public Task<ActionResult<Deployment>> Reject(Guid id, [FromBody] ApprovalDecisionRequest request)
+    {
+        return DecideAsync(id, false, request.Comment);
+    }
+
+    private async Task<ActionResult<Deployment>> DecideAsync(Guid id, bool approve, string? comment)
+    {
+        if (await _deploymentRepo.GetByIdAsync(id) == null)
+            return NotFound();
+
+        try
+        {
+            var deployment = await _approvalService.DecideAsync(id, approve, comment);
+            _logger.LogInformation("Deployment {Id} {Decision}; now {Status}",
+                id, approve ? "approved" : "rejected", deployment.Status);
+
+            return Ok(deployment);
+        }
+        catch (UnauthorizedAccessException ex)
+        {
+            return StatusCode(403, new ProblemDetails
+            {
+                Title = "Not Allowed",
+                Detail = ex.Message,
+                Status = 403
+            });
+        }
+        catch (InvalidOperationException ex)
+        {
+            return Conflict(new ProblemDetails
+            {
+                Title = "Not Waiting for Approval",
+                Detail = ex.Message,
+                Status = 409
+            });
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Reason Required",
+                Detail = ex.Message,
+                Status = 400
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Approval decision failed for deployment: {Id}", id);
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Approval Failed",
+                Detail = ex.Message,
+                Status = 500
+            });
+        }
+    }
+}
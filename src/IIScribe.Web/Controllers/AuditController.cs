@@ -0,0 +1,163 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System.Text;
+using System.Text.Json;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// Audit trail: search, CSV export and tamper verification
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize(Policy = nameof(Permission.ViewAudit))]
+public class AuditController : ControllerBase
+{
+    private static readonly string[] CsvColumns =
+    {
+        "Sequence", "Time (UTC)", "Event", "User", "Action", "Resource Type", "Resource",
+        "Success", "Error", "Before", "After", "Details", "Hash", "Previous Hash", "Signature"
+    };
+
+    private readonly IRepository<AuditLog> _auditRepo;
+    private readonly IAuditService _auditService;
+    private readonly ILogger<AuditController> _logger;
+
+    public AuditController(
+        IRepository<AuditLog> auditRepo,
+        IAuditService auditService,
+        ILogger<AuditController> logger)
+    {
+        _auditRepo = auditRepo;
+        _auditService = auditService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// List audit records a page at a time, newest first
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(PagedResult<AuditLog>), 200)]
+    public async Task<ActionResult<PagedResult<AuditLog>>> ListRecords([FromQuery] AuditListQuery query)
+    {
+        var page = Math.Max(query.Page, 1);
+        var pageSize = Math.Clamp(query.PageSize, 1, 200);
+        var matching = await FindAsync(query);
+
+        return Ok(new PagedResult<AuditLog>
+        {
+            Items = matching.Skip((page - 1) * pageSize).Take(pageSize).ToList(),
+            TotalCount = matching.Count,
+            Page = page,
+            PageSize = pageSize
+        });
+    }
+
+    /// <summary>
+    /// Download every record matching the filters as CSV, including hashes and signatures
+    /// </summary>
+    [HttpGet("export")]
+    [Produces("text/csv")]
+    public async Task<IActionResult> ExportCsv([FromQuery] AuditListQuery query)
+    {
+        var records = await FindAsync(query);
+        _logger.LogInformation("Exporting {Count} audit records", records.Count);
+
+        var csv = new StringBuilder();
+        csv.AppendLine(string.Join(",", CsvColumns.Select(CsvField)));
+
+        foreach (var record in records)
+        {
+            var fields = new[]
+            {
+                record.Sequence.ToString(),
+                record.CreatedAt.ToUniversalTime().ToString("O"),
+                record.EventType.ToString(),
+                record.UserName,
+                record.Action,
+                record.ResourceType,
+                record.ResourceId,
+                record.Success ? "true" : "false",
+                record.ErrorMessage,
+                record.BeforeValue,
+                record.AfterValue,
+                record.AdditionalData.Count > 0 ? JsonSerializer.Serialize(record.AdditionalData) : null,
+                record.Hash,
+                record.PreviousHash,
+                record.Signature
+            };
+            csv.AppendLine(string.Join(",", fields.Select(CsvField)));
+        }
+
+        // A byte order mark so Excel reads the file as UTF-8
+        var bytes = Encoding.UTF8.GetPreamble().Concat(Encoding.UTF8.GetBytes(csv.ToString())).ToArray();
+        return File(bytes, "text/csv", $"iiscribe-audit-{DateTime.UtcNow:yyyyMMdd-HHmmss}.csv");
+    }
+
+    /// <summary>
+    /// Check the hash chain and signatures of the whole trail for edited or deleted records
+    /// </summary>
+    [HttpGet("verify")]
+    [ProducesResponseType(typeof(AuditVerificationResult), 200)]
+    public async Task<ActionResult<AuditVerificationResult>> Verify()
+    {
+        var result = await _auditService.VerifyAsync();
+        if (!result.IsValid)
+        {
+            _logger.LogWarning("Audit trail verification failed with {Count} issue(s)", result.Issues.Count);
+        }
+        return Ok(result);
+    }
+
+    private async Task<List<AuditLog>> FindAsync(AuditListQuery query)
+    {
+        var records = await _auditRepo.GetAllAsync();
+
+        if (query.EventType.HasValue)
+            records = records.Where(r => r.EventType == query.EventType.Value);
+
+        if (!string.IsNullOrWhiteSpace(query.User))
+        {
+            var user = query.User.Trim();
+            records = records.Where(r =>
+                r.UserName.Contains(user, StringComparison.OrdinalIgnoreCase) ||
+                r.UserId.Contains(user, StringComparison.OrdinalIgnoreCase));
+        }
+
+        if (!string.IsNullOrWhiteSpace(query.Resource))
+        {
+            var resource = query.Resource.Trim();
+            records = records.Where(r =>
+                r.ResourceId.Contains(resource, StringComparison.OrdinalIgnoreCase) ||
+                r.ResourceType.Contains(resource, StringComparison.OrdinalIgnoreCase));
+        }
+
+        if (query.From.HasValue)
+            records = records.Where(r => r.CreatedAt >= query.From.Value);
+
+        // A date-only upper bound includes the whole day
+        if (query.To.HasValue)
+        {
+            var to = query.To.Value.TimeOfDay == TimeSpan.Zero ? query.To.Value.AddDays(1) : query.To.Value.AddTicks(1);
+            records = records.Where(r => r.CreatedAt < to);
+        }
+
+        return records.OrderByDescending(r => r.Sequence).ToList();
+    }
+
+    // Quote every field; a leading formula character is escaped so spreadsheets don't evaluate it
+    private static string CsvField(string? value)
+    {
+        if (string.IsNullOrEmpty(value))
+            return "\"\"";
+
+        if ("=+-@".Contains(value[0]))
+            value = "'" + value;
+
+        return $"\"{value.Replace("\"", "\"\"")}\"";
+    }
+}
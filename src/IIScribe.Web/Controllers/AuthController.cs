@@ -0,0 +1,136 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// Sign-in with local accounts; the returned token goes in the Authorization header of every other call
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class AuthController : ControllerBase
+{
+    private readonly IUserService _userService;
+    private readonly ITokenService _tokenService;
+    private readonly ICurrentUserService _currentUser;
+    private readonly IAuditService _auditService;
+    private readonly ILogger<AuthController> _logger;
+
+    public AuthController(
+        IUserService userService,
+        ITokenService tokenService,
+        ICurrentUserService currentUser,
+        IAuditService auditService,
+        ILogger<AuthController> logger)
+    {
+        _userService = userService;
+        _tokenService = tokenService;
+        _currentUser = currentUser;
+        _auditService = auditService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Exchange a username and password for a bearer token
+    /// </summary>
+    [HttpPost("login")]
+    [AllowAnonymous]
+    [ProducesResponseType(typeof(LoginResponse), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 401)]
+    public async Task<ActionResult<LoginResponse>> Login([FromBody] LoginRequest request)
+    {
+        var user = await _userService.AuthenticateAsync(request.Username, request.Password);
+        if (user == null)
+        {
+            _logger.LogWarning("Failed sign-in for: {User}", request.Username);
+            await _auditService.LogEventAsync(
+                AuditEventType.SecurityAlert,
+                request.Username,
+                "LoginFailed",
+                request.Username,
+                new Dictionary<string, object> { ["RemoteIp"] = RemoteIp() });
+
+            return Unauthorized(new ProblemDetails
+            {
+                Title = "Sign-in Failed",
+                Detail = "Unknown user, wrong password or the account is disabled",
+                Status = 401
+            });
+        }
+
+        user.LastLoginIp = RemoteIp();
+        var token = _tokenService.IssueToken(user);
+
+        await _auditService.LogEventAsync(
+            AuditEventType.UserLoggedIn,
+            user.Username,
+            "Login",
+            user.Username,
+            new Dictionary<string, object> { ["RemoteIp"] = user.LastLoginIp });
+
+        return Ok(new LoginResponse
+        {
+            Token = token.Token,
+            ExpiresAt = token.ExpiresAt,
+            User = UserInfo.From(user)
+        });
+    }
+
+    /// <summary>
+    /// The signed-in user and their permissions
+    /// </summary>
+    [HttpGet("me")]
+    [ProducesResponseType(typeof(UserInfo), 200)]
+    public async Task<ActionResult<UserInfo>> Me()
+    {
+        var user = await _userService.GetUserAsync(_currentUser.UserName);
+        return user == null ? Unauthorized() : Ok(UserInfo.From(user));
+    }
+
+    /// <summary>
+    /// Change the signed-in user's password
+    /// </summary>
+    [HttpPost("change-password")]
+    [ProducesResponseType(204)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    public async Task<IActionResult> ChangePassword([FromBody] ChangePasswordRequest request)
+    {
+        if (await _userService.AuthenticateAsync(_currentUser.UserName, request.CurrentPassword) == null)
+        {
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Password Not Changed",
+                Detail = "The current password is wrong",
+                Status = 400
+            });
+        }
+
+        try
+        {
+            await _userService.SetPasswordAsync(_currentUser.UserName, request.NewPassword);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Password Not Changed",
+                Detail = ex.Message,
+                Status = 400
+            });
+        }
+
+        await _auditService.LogEventAsync(
+            AuditEventType.ConfigurationChanged,
+            _currentUser.UserName,
+            "ChangePassword",
+            _currentUser.UserName);
+
+        return NoContent();
+    }
+
+    private string RemoteIp() => HttpContext.Connection.RemoteIpAddress?.ToString() ?? "unknown";
+}
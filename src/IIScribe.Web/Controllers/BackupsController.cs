@@ -0,0 +1,153 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// Database backups: taken before deployments or on demand, verified against their checksums, restored outside a
+/// full rollback, and pruned in the background according to each database's retention policy
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class BackupsController : ControllerBase
+{
+    private readonly IDatabaseBackupService _backupService;
+    private readonly IAuditService _auditService;
+    private readonly ICurrentUserService _currentUser;
+    private readonly ILogger<BackupsController> _logger;
+
+    public BackupsController(
+        IDatabaseBackupService backupService,
+        IAuditService auditService,
+        ICurrentUserService currentUser,
+        ILogger<BackupsController> logger)
+    {
+        _backupService = backupService;
+        _auditService = auditService;
+        _currentUser = currentUser;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Every database that deployments use, with its backups newest first
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(IEnumerable<DatabaseBackups>), 200)]
+    public async Task<ActionResult<IEnumerable<DatabaseBackups>>> ListDatabases()
+    {
+        return Ok(await _backupService.GetDatabasesAsync());
+    }
+
+    /// <summary>
+    /// Back up a database now, into the backup folder of its latest deployment
+    /// </summary>
+    [HttpPost]
+    [Authorize(Policy = nameof(Permission.Deploy))]
+    [ProducesResponseType(typeof(BackupInfo), 201)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<ActionResult<BackupInfo>> BackupNow([FromBody] BackupDatabaseRequest request)
+    {
+        try
+        {
+            var backup = await _backupService.BackupNowAsync(request);
+            _logger.LogInformation("Database {Database} backed up to {Path}", backup.DatabaseName, backup.FilePath);
+
+            await AuditAsync(AuditEventType.BackupCreated, "BackupDatabase", backup);
+            return CreatedAtAction(nameof(ListDatabases), null, backup);
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Backup Failed");
+        }
+    }
+
+    /// <summary>
+    /// Check that a backup file still matches the checksum recorded when it was taken
+    /// </summary>
+    [HttpPost("{id}/verify")]
+    [Authorize(Policy = nameof(Permission.Deploy))]
+    [ProducesResponseType(typeof(BackupInfo), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    public async Task<ActionResult<BackupInfo>> Verify(Guid id)
+    {
+        try
+        {
+            return Ok(await _backupService.VerifyAsync(id));
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Verification Failed");
+        }
+    }
+
+    /// <summary>
+    /// Restore a backup over its database. The file is verified against its checksum first, and nothing
+    /// is restored while a deployment is using the database.
+    /// </summary>
+    [HttpPost("{id}/restore")]
+    [Authorize(Policy = nameof(Permission.Rollback))]
+    [ProducesResponseType(typeof(BackupInfo), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 403)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<ActionResult<BackupInfo>> Restore(Guid id)
+    {
+        try
+        {
+            var backup = await _backupService.RestoreAsync(id);
+            _logger.LogWarning("Database {Database} restored from {Path} by {User}",
+                backup.DatabaseName, backup.FilePath, _currentUser.UserName);
+
+            await AuditAsync(AuditEventType.BackupRestored, "RestoreBackup", backup);
+            return Ok(backup);
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Restore Failed");
+        }
+    }
+
+    private Task AuditAsync(AuditEventType eventType, string action, BackupInfo backup)
+    {
+        return _auditService.LogEventAsync(
+            eventType,
+            _currentUser.UserName,
+            action,
+            backup.Id.ToString(),
+            new Dictionary<string, object>
+            {
+                ["Database"] = backup.DatabaseName,
+                ["Server"] = backup.ServerName ?? string.Empty,
+                ["FilePath"] = backup.FilePath,
+                ["Checksum"] = backup.Checksum ?? string.Empty
+            });
+    }
+
+    private ObjectResult ToProblem(Exception ex, string title)
+    {
+        var (status, problemTitle) = ex switch
+        {
+            KeyNotFoundException => (404, "Not Found"),
+            UnauthorizedAccessException => (403, "Not Allowed"),
+            InvalidOperationException => (409, title),
+            ArgumentException => (400, "Invalid Backup Request"),
+            _ => (500, title)
+        };
+
+        if (status == 500)
+            _logger.LogError(ex, "{Title}", title);
+
+        return StatusCode(status == 500 ? 400 : status, new ProblemDetails
+        {
+            Title = problemTitle,
+            Detail = ex.Message,
+            Status = status
+        });
+    }
+}
@@ -0,0 +1,214 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// Certificate inventory: expiry tracking, renewal and installing PFX files onto sites
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class CertificatesController : ControllerBase
+{
+    private readonly ICertificateService _certificateService;
+    private readonly IAuditService _auditService;
+    private readonly ICurrentUserService _currentUser;
+    private readonly ILogger<CertificatesController> _logger;
+
+    public CertificatesController(
+        ICertificateService certificateService,
+        IAuditService auditService,
+        ICurrentUserService currentUser,
+        ILogger<CertificatesController> logger)
+    {
+        _certificateService = certificateService;
+        _auditService = auditService;
+        _currentUser = currentUser;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// List certificates with the sites bound to each, soonest expiry first.
+    /// Pass expiringWithinDays to only return certificates expiring within that many days.
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(IEnumerable<CertificateInfo>), 200)]
+    public async Task<ActionResult<IEnumerable<CertificateInfo>>> ListCertificates([FromQuery] int? expiringWithinDays)
+    {
+        try
+        {
+            var certificates = expiringWithinDays.HasValue
+                ? await _certificateService.GetExpiringCertificatesAsync(expiringWithinDays.Value)
+                : await _certificateService.GetCertificatesAsync();
+
+            return Ok(certificates);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error listing certificates");
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Certificates Unavailable",
+                Detail = ex.Message,
+                Status = 500
+            });
+        }
+    }
+
+    /// <summary>
+    /// Renew a certificate; sites bound to it are moved to the renewed certificate
+    /// </summary>
+    [HttpPost("{thumbprint}/renew")]
+    [Authorize(Policy = nameof(Permission.ManageCertificates))]
+    [ProducesResponseType(typeof(CertificateResult), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    public async Task<ActionResult<CertificateResult>> RenewCertificate(string thumbprint)
+    {
+        try
+        {
+            _logger.LogInformation("Renewal requested for certificate: {Thumbprint}", thumbprint);
+
+            var result = await _certificateService.RenewCertificateAsync(thumbprint);
+            if (!result.Success)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Renewal Not Possible",
+                    Detail = result.ErrorMessage,
+                    Status = 400
+                });
+            }
+
+            await _auditService.LogEventAsync(
+                AuditEventType.CertificateRenewed,
+                _currentUser.UserName,
+                "RenewCertificate",
+                thumbprint,
+                new Dictionary<string, object>
+                {
+                    ["NewThumbprint"] = result.Thumbprint,
+                    ["ExpiryDate"] = result.ExpiryDate
+                });
+
+            return Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Renewal failed for certificate: {Thumbprint}", thumbprint);
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Renewal Failed",
+                Detail = ex.Message,
+                Status = 500
+            });
+        }
+    }
+
+    /// <summary>
+    /// Bind an installed certificate to a site's HTTPS binding
+    /// </summary>
+    [HttpPost("{thumbprint}/install")]
+    [Authorize(Policy = nameof(Permission.ManageCertificates))]
+    [ProducesResponseType(204)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    public async Task<IActionResult> InstallToSite(string thumbprint, [FromQuery] string siteName)
+    {
+        try
+        {
+            await InstallToSiteAsync(thumbprint, siteName);
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Binding certificate {Thumbprint} to {Site} failed", thumbprint, siteName);
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Certificate Install Failed",
+                Detail = ex.Message,
+                Status = 500
+            });
+        }
+    }
+
+    /// <summary>
+    /// Import a PFX into the certificate store, and bind it to a site when siteName is given
+    /// </summary>
+    [HttpPost("upload")]
+    [Authorize(Policy = nameof(Permission.ManageCertificates))]
+    [Consumes("multipart/form-data")]
+    [RequestSizeLimit(5 * 1024 * 1024)]
+    [ProducesResponseType(typeof(CertificateResult), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    public async Task<ActionResult<CertificateResult>> UploadCertificate(
+        IFormFile? file,
+        [FromForm] string? password,
+        [FromForm] string? siteName)
+    {
+        if (file == null || file.Length == 0)
+        {
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Invalid Certificate",
+                Detail = "Choose a .pfx or .p12 file to upload",
+                Status = 400
+            });
+        }
+
+        // The store imports from a file path; the copy is removed as soon as it has been read
+        var tempPath = Path.Combine(Path.GetTempPath(), $"iiscribe_{Guid.NewGuid():N}.pfx");
+        try
+        {
+            await using (var stream = System.IO.File.Create(tempPath))
+            {
+                await file.CopyToAsync(stream);
+            }
+
+            var result = await _certificateService.InstallCertificateAsync(tempPath, password ?? string.Empty);
+
+            await _auditService.LogEventAsync(
+                AuditEventType.CertificateInstalled,
+                _currentUser.UserName,
+                "UploadCertificate",
+                result.Thumbprint,
+                new Dictionary<string, object> { ["FileName"] = file.FileName });
+
+            if (!string.IsNullOrWhiteSpace(siteName))
+            {
+                await InstallToSiteAsync(result.Thumbprint, siteName);
+            }
+
+            return Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Certificate upload failed: {File}", file.FileName);
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Certificate Install Failed",
+                Detail = ex.Message,
+                Status = 500
+            });
+        }
+        finally
+        {
+            System.IO.File.Delete(tempPath);
+        }
+    }
+
+    private async Task InstallToSiteAsync(string thumbprint, string siteName)
+    {
+        _logger.LogInformation("Binding certificate {Thumbprint} to site: {Site}", thumbprint, siteName);
+        await _certificateService.InstallCertificateToIISAsync(siteName, thumbprint);
+
+        await _auditService.LogEventAsync(
+            AuditEventType.CertificateInstalled,
+            _currentUser.UserName,
+            "InstallCertificateToSite",
+            siteName,
+            new Dictionary<string, object> { ["Thumbprint"] = thumbprint });
+    }
+}
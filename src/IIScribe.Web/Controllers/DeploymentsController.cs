@@ -2,7 +2,11 @@ using IIScribe.Core.DTOs;
 using IIScribe.Core.Entities;
 using IIScribe.Core.Enums;
 using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.ModelBinding;
+using System.Text.Json;
+using System.Text.Json.Serialization;
 using LogLevel = IIScribe.Core.Enums.LogLevel;
 
 namespace IIScribe.Web.Controllers;
@@ -12,28 +16,52 @@ namespace IIScribe.Web.Controllers;
 /// </summary>
 [ApiController]
 [Route("api/[controller]")]
+[Authorize]
 public class DeploymentsController : ControllerBase
 {
     private readonly IDeploymentOrchestrator _orchestrator;
+    private readonly IDeploymentQueue _deploymentQueue;
+    private readonly IDeploymentLogger _deploymentLogger;
+    private readonly IAuditService _auditService;
+    private readonly ICertificateService _certificateService;
+    private readonly INotificationService _notificationService;
+    private readonly ICurrentUserService _currentUser;
     private readonly IRepository<Deployment> _deploymentRepo;
     private readonly ILogger<DeploymentsController> _logger;
 
     public DeploymentsController(
         IDeploymentOrchestrator orchestrator,
+        IDeploymentQueue deploymentQueue,
+        IDeploymentLogger deploymentLogger,
+        IAuditService auditService,
+        ICertificateService certificateService,
+        INotificationService notificationService,
+        ICurrentUserService currentUser,
         IRepository<Deployment> deploymentRepo,
         ILogger<DeploymentsController> logger)
     {
         _orchestrator = orchestrator;
+        _deploymentQueue = deploymentQueue;
+        _deploymentLogger = deploymentLogger;
+        _auditService = auditService;
+        _certificateService = certificateService;
+        _notificationService = notificationService;
+        _currentUser = currentUser;
         _deploymentRepo = deploymentRepo;
         _logger = logger;
     }
 
     /// <summary>
-    /// Deploy an application (Story 1.1: One-Click Local Deployment)
+    /// Deploy an application (Story 1.1: One-Click Local Deployment).
+    /// The deployment runs in the background; poll its status until it completes.
+    /// It waits in line behind other deployments of the same site, and deployments to environments
+    /// with an approval policy wait as PendingApproval until approved.
     /// </summary>
     [HttpPost]
-    [ProducesResponseType(typeof(DeploymentResult), 200)]
+    [Authorize(Policy = nameof(Permission.Deploy))]
+    [ProducesResponseType(typeof(DeploymentResult), 202)]
     [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 403)]
     public async Task<ActionResult<DeploymentResult>> Deploy(
         [FromBody] DeploymentRequest request,
         CancellationToken cancellationToken)
@@ -42,17 +70,41 @@ public class DeploymentsController : ControllerBase
         {
             _logger.LogInformation("Deployment requested for: {Path}", request.ApplicationPath);
 
-            var result = await _orchestrator.DeployAsync(request, cancellationToken);
-
-            if (result.Success)
+            // The queued request is kept until the deployment runs, so it carries no plain secrets
+            request = _orchestrator.ProtectSecrets(request);
+            var deployment = await _orchestrator.CreateDeploymentAsync(request);
+            if (deployment.Status != DeploymentStatus.PendingApproval)
             {
-                return Ok(result);
+                await _deploymentQueue.EnqueueAsync(new QueuedDeployment
+                {
+                    DeploymentId = deployment.Id,
+                    Request = request,
+                    SiteName = deployment.SiteName ?? string.Empty
+                }, cancellationToken);
             }
 
+            return AcceptedAtAction(nameof(GetStatus), new { id = deployment.Id }, new DeploymentResult
+            {
+                DeploymentId = deployment.Id,
+                Url = deployment.TargetUrl,
+                Status = deployment.Status
+            });
+        }
+        catch (UnauthorizedAccessException ex)
+        {
+            return StatusCode(403, new ProblemDetails
+            {
+                Title = "Not Allowed",
+                Detail = ex.Message,
+                Status = 403
+            });
+        }
+        catch (ArgumentException ex)
+        {
             return BadRequest(new ProblemDetails
             {
-                Title = "Deployment Failed",
-                Detail = result.ErrorMessage,
+                Title = "Invalid Deployment Request",
+                Detail = ex.Message,
                 Status = 400
             });
         }
@@ -79,7 +131,9 @@ public class DeploymentsController : ControllerBase
         if (deployment == null)
             return NotFound();
 
-        var logs = deployment.Logs.OrderByDescending(l => l.CreatedAt).Take(10);
+        var logs = (await GetAllLogsAsync(deployment))
+            .OrderByDescending(l => l.CreatedAt)
+            .Take(10);
 
         return Ok(new DeploymentStatusInfo
         {
@@ -88,12 +142,79 @@ public class DeploymentsController : ControllerBase
             PercentComplete = CalculateProgress(deployment.Status),
             CurrentStage = deployment.Status.ToString(),
             StartedAt = deployment.StartedAt,
-            RecentLogs = logs.Select(l => l.Message).ToArray()
+            FailedStage = deployment.Metadata.GetValueOrDefault("FailedStage"),
+            RecentLogs = logs.Select(l => l.Message).ToArray(),
+            Queue = _deploymentQueue.GetPosition(deployment.Id)
         });
     }
 
     /// <summary>
-    /// Get deployment details
+    /// Deployments and rollbacks waiting for another run of the same site to finish, in the order they were queued
+    /// </summary>
+    [HttpGet("queue")]
+    [ProducesResponseType(typeof(IEnumerable<QueuePosition>), 200)]
+    public ActionResult<IEnumerable<QueuePosition>> GetQueue()
+    {
+        return Ok(_deploymentQueue.GetWaiting());
+    }
+
+    /// <summary>
+    /// Get the outcome of a finished deployment
+    /// </summary>
+    [HttpGet("{id}/result")]
+    [ProducesResponseType(typeof(DeploymentResult), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<ActionResult<DeploymentResult>> GetResult(Guid id)
+    {
+        var deployment = await _deploymentRepo.GetByIdAsync(id);
+        if (deployment == null)
+            return NotFound();
+
+        if (deployment.CompletedAt == null)
+        {
+            return Conflict(new ProblemDetails
+            {
+                Title = "Deployment In Progress",
+                Detail = $"Deployment is still running ({deployment.Status})",
+                Status = 409
+            });
+        }
+
+        if (deployment.Status == DeploymentStatus.Success)
+        {
+            return Ok(new DeploymentResult
+            {
+                Success = true,
+                DeploymentId = deployment.Id,
+                Url = deployment.TargetUrl,
+                DurationSeconds = deployment.DurationSeconds,
+                Status = deployment.Status,
+                RollbackCommand = deployment.RollbackCommand
+            });
+        }
+
+        return BadRequest(new ProblemDetails
+        {
+            Title = deployment.Status switch
+            {
+                DeploymentStatus.RolledBack => "Deployment Rolled Back",
+                DeploymentStatus.Rejected => "Deployment Rejected",
+                _ => "Deployment Failed"
+            },
+            Detail = deployment.ErrorMessage,
+            Status = 400,
+            Extensions =
+            {
+                ["deploymentId"] = deployment.Id,
+                ["deploymentStatus"] = deployment.Status.ToString(),
+                ["rollbackCommand"] = deployment.RollbackCommand
+            }
+        });
+    }
+
+    /// <summary>
+    /// Get deployment details, including its logs, health checks and audit trail
     /// </summary>
     [HttpGet("{id}")]
     [ProducesResponseType(typeof(Deployment), 200)]
@@ -103,53 +224,244 @@ public class DeploymentsController : ControllerBase
         if (deployment == null)
             return NotFound();
 
+        // Load the Logs and AuditLogs navigations from their stores
+        deployment.Logs = (await GetAllLogsAsync(deployment))
+            .OrderBy(l => l.Sequence)
+            .ToList();
+        deployment.AuditLogs = (await _auditService.GetAuditTrailAsync(id.ToString()))
+            .OrderBy(a => a.CreatedAt)
+            .ToList();
+
         return Ok(deployment);
     }
 
     /// <summary>
-    /// List all deployments (Story 9.1: Executive Dashboard)
+    /// Earlier deployments of the same site, most recent first
     /// </summary>
-    [HttpGet]
+    [HttpGet("{id}/history")]
     [ProducesResponseType(typeof(IEnumerable<Deployment>), 200)]
-    public async Task<ActionResult<IEnumerable<Deployment>>> ListDeployments(
-        [FromQuery] int page = 1,
-        [FromQuery] int pageSize = 20,
-        [FromQuery] DeploymentStatus? status = null,
-        [FromQuery] DeploymentEnvironment? environment = null)
+    public async Task<ActionResult<IEnumerable<Deployment>>> GetSiteHistory(
+        Guid id,
+        [FromQuery] DeploymentStatus? status = null)
     {
+        var deployment = await _deploymentRepo.GetByIdAsync(id);
+        if (deployment == null)
+            return NotFound();
+
+        var history = await _deploymentRepo.FindAsync(d =>
+            d.Id != deployment.Id &&
+            d.SiteName == deployment.SiteName &&
+            d.CreatedAt < deployment.CreatedAt);
+
+        if (status.HasValue)
+            history = history.Where(d => d.Status == status.Value);
+
+        return Ok(history.OrderByDescending(d => d.CreatedAt));
+    }
+
+    /// <summary>
+    /// Pre-flight analysis of a deployment request (Story 1.1: One-Click Local Deployment).
+    /// Discovers the application and reports errors that would stop the deployment, without starting it.
+    /// </summary>
+    [HttpPost("preflight")]
+    [Authorize(Policy = nameof(Permission.Deploy))]
+    [ProducesResponseType(typeof(PreflightResult), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 403)]
+    public async Task<ActionResult<PreflightResult>> Preflight([FromBody] DeploymentRequest request)
+    {
+        try
+        {
+            return Ok(await _orchestrator.AnalyzeAsync(request));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Pre-flight analysis failed for: {Path}", request.ApplicationPath);
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Analysis Failed",
+                Detail = ex.Message,
+                Status = 500
+            });
+        }
+    }
+
+    /// <summary>
+    /// List deployments a page at a time, filtered, searched and sorted (Story 9.1: Executive Dashboard)
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(PagedResult<Deployment>), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    public async Task<ActionResult<PagedResult<Deployment>>> ListDeployments([FromQuery] DeploymentListQuery query)
+    {
+        if (!SortKeys.TryGetValue(query.Sort ?? "createdAt", out var sortKey))
+        {
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Invalid Sort",
+                Detail = $"Cannot sort by '{query.Sort}'. Use one of: {string.Join(", ", SortKeys.Keys)}",
+                Status = 400
+            });
+        }
+
+        var page = Math.Max(query.Page, 1);
+        var pageSize = Math.Clamp(query.PageSize, 1, 100);
         var deployments = await _deploymentRepo.GetAllAsync();
 
         // Filter
-        if (status.HasValue)
-            deployments = deployments.Where(d => d.Status == status.Value);
+        if (query.Status.HasValue)
+            deployments = deployments.Where(d => d.Status == query.Status.Value);
+
+        if (query.Environment.HasValue)
+            deployments = deployments.Where(d => d.Environment == query.Environment.Value);
 
-        if (environment.HasValue)
-            deployments = deployments.Where(d => d.Environment == environment.Value);
+        if (query.Target.HasValue)
+            deployments = deployments.Where(d => d.Target == query.Target.Value);
 
-        // Sort by most recent
-        deployments = deployments.OrderByDescending(d => d.CreatedAt);
+        if (query.Strategy.HasValue)
+            deployments = deployments.Where(d => d.Strategy == query.Strategy.Value);
+
+        if (query.From.HasValue)
+            deployments = deployments.Where(d => d.CreatedAt >= query.From.Value);
+
+        // A date-only upper bound includes the whole day
+        if (query.To.HasValue)
+        {
+            var to = query.To.Value.TimeOfDay == TimeSpan.Zero ? query.To.Value.AddDays(1) : query.To.Value.AddTicks(1);
+            deployments = deployments.Where(d => d.CreatedAt < to);
+        }
+
+        if (!string.IsNullOrWhiteSpace(query.Q))
+            deployments = deployments.Where(d => MatchesText(d, query.Q.Trim()));
+
+        // Sort, newest first between equal keys
+        var sorted = query.Descending
+            ? deployments.OrderByDescending(sortKey)
+            : deployments.OrderBy(sortKey);
+        var matching = sorted.ThenByDescending(d => d.CreatedAt).ToList();
 
         // Paginate
-        var paginated = deployments
-            .Skip((page - 1) * pageSize)
-            .Take(pageSize);
+        return Ok(new PagedResult<Deployment>
+        {
+            Items = matching.Skip((page - 1) * pageSize).Take(pageSize).ToList(),
+            TotalCount = matching.Count,
+            Page = page,
+            PageSize = pageSize
+        });
+    }
+
+    private static readonly Dictionary<string, Func<Deployment, object?>> SortKeys = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["createdAt"] = d => d.CreatedAt,
+        ["name"] = d => d.Name,
+        ["environment"] = d => d.Environment,
+        ["target"] = d => d.Target,
+        ["status"] = d => d.Status,
+        ["duration"] = d => d.DurationSeconds
+    };
+
+    internal static bool MatchesText(Deployment deployment, string text) =>
+        deployment.Name.Contains(text, StringComparison.OrdinalIgnoreCase) ||
+        deployment.DomainName.Contains(text, StringComparison.OrdinalIgnoreCase) ||
+        (deployment.SiteName?.Contains(text, StringComparison.OrdinalIgnoreCase) ?? false);
+
+    /// <summary>
+    /// Earlier deployments a rollback can return to, and the backups each would restore
+    /// </summary>
+    [HttpGet("{id}/rollback-plan")]
+    [ProducesResponseType(typeof(RollbackPlan), 200)]
+    public async Task<ActionResult<RollbackPlan>> GetRollbackPlan(Guid id)
+    {
+        var deployment = await _deploymentRepo.GetByIdAsync(id);
+        if (deployment == null)
+            return NotFound();
 
-        return Ok(paginated);
+        return Ok(await _orchestrator.GetRollbackPlanAsync(id));
     }
 
     /// <summary>
-    /// Rollback a deployment (Story 5.3: Auto-Rollback on Failure)
+    /// Rollback a deployment (Story 5.3: Auto-Rollback on Failure).
+    /// The rollback runs in the background; poll the deployment's status until it completes.
     /// </summary>
     [HttpPost("{id}/rollback")]
-    [ProducesResponseType(typeof(DeploymentResult), 200)]
+    [Authorize(Policy = nameof(Permission.Rollback))]
+    [ProducesResponseType(typeof(DeploymentResult), 202)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
     public async Task<ActionResult<DeploymentResult>> Rollback(
         Guid id,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] RollbackRequest? request,
         CancellationToken cancellationToken)
     {
+        request ??= new RollbackRequest();
+
+        var deployment = await _deploymentRepo.GetByIdAsync(id);
+        if (deployment == null)
+            return NotFound();
+
+        if (deployment.CompletedAt == null ||
+            deployment.Status == DeploymentStatus.RolledBack ||
+            deployment.Status == DeploymentStatus.Rejected)
+        {
+            return Conflict(new ProblemDetails
+            {
+                Title = "Rollback Not Allowed",
+                Detail = deployment.CompletedAt == null
+                    ? $"Deployment is still running ({deployment.Status})"
+                    : deployment.Status == DeploymentStatus.Rejected
+                        ? "Deployment was rejected and never ran"
+                        : "Deployment has already been rolled back",
+                Status = 409
+            });
+        }
+
         try
         {
-            var result = await _orchestrator.RollbackAsync(id, cancellationToken);
-            return Ok(result);
+            var plan = await _orchestrator.GetRollbackPlanAsync(id);
+
+            if (plan.RequiresSiteNameConfirmation &&
+                !string.Equals(request.ConfirmSiteName, deployment.SiteName, StringComparison.Ordinal))
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Confirmation Required",
+                    Detail = $"Type the site name '{deployment.SiteName}' to roll back a Production deployment",
+                    Status = 400
+                });
+            }
+
+            if (request.TargetDeploymentId.HasValue &&
+                !plan.Candidates.Any(c => c.DeploymentId == request.TargetDeploymentId))
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Invalid Rollback Target",
+                    Detail = $"Deployment {request.TargetDeploymentId} is not an earlier successful deployment of {deployment.SiteName}",
+                    Status = 400
+                });
+            }
+
+            _logger.LogInformation("Rollback requested for deployment: {Id}", id);
+
+            // Mark it running before queueing so status polls don't see the old outcome
+            deployment.Status = DeploymentStatus.InProgress;
+            deployment.CompletedAt = null;
+            deployment.Metadata["RollbackRequestedBy"] = _currentUser.UserName;
+            await _deploymentRepo.UpdateAsync(deployment);
+
+            await _deploymentQueue.EnqueueAsync(new QueuedDeployment
+            {
+                DeploymentId = id,
+                SiteName = deployment.SiteName ?? string.Empty,
+                IsRollback = true,
+                RollbackTargetId = request.TargetDeploymentId
+            }, cancellationToken);
+
+            return AcceptedAtAction(nameof(GetStatus), new { id }, new DeploymentResult
+            {
+                DeploymentId = id,
+                Url = deployment.TargetUrl,
+                Status = deployment.Status
+            });
         }
         catch (Exception ex)
         {
@@ -176,7 +488,7 @@ public class DeploymentsController : ControllerBase
         if (deployment == null)
             return NotFound();
 
-        var logs = deployment.Logs.AsEnumerable();
+        var logs = await GetAllLogsAsync(deployment);
 
         if (level.HasValue)
             logs = logs.Where(l => l.Level == level.Value);
@@ -185,13 +497,94 @@ public class DeploymentsController : ControllerBase
     }
 
     /// <summary>
-    /// Get dashboard summary (Story 9.1: Executive Dashboard)
+    /// Notifications sent about a deployment, with every delivery attempt
+    /// </summary>
+    [HttpGet("{id}/notifications")]
+    [ProducesResponseType(typeof(IEnumerable<NotificationDelivery>), 200)]
+    public async Task<ActionResult<IEnumerable<NotificationDelivery>>> GetNotifications(Guid id)
+    {
+        if (await _deploymentRepo.GetByIdAsync(id) == null)
+            return NotFound();
+
+        return Ok(await _notificationService.GetDeliveriesAsync(id));
+    }
+
+    /// <summary>
+    /// Stream deployment logs as Server-Sent Events. Each event id is the log sequence number,
+    /// so reconnecting clients resume via Last-Event-ID (or ?after=) without gaps or repeats.
+    /// An "end" event is sent once the deployment has finished.
+    /// </summary>
+    [HttpGet("{id}/logs/stream")]
+    [Produces("text/event-stream")]
+    public async Task StreamLogs(
+        Guid id,
+        [FromQuery] int? after,
+        CancellationToken cancellationToken)
+    {
+        var deployment = await _deploymentRepo.GetByIdAsync(id);
+        if (deployment == null)
+        {
+            Response.StatusCode = StatusCodes.Status404NotFound;
+            return;
+        }
+
+        var lastEventId = Request.Headers["Last-Event-ID"].FirstOrDefault();
+        var afterSequence = after ?? (int.TryParse(lastEventId, out var sequence) ? sequence : 0);
+
+        Response.Headers.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no";
+        await Response.Body.FlushAsync(cancellationToken);
+
+        using var streamCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        var completionWatch = CancelWhenCompletedAsync(id, streamCts);
+
+        try
+        {
+            await foreach (var log in _deploymentLogger.StreamLogsAsync(id, afterSequence, streamCts.Token))
+            {
+                var json = JsonSerializer.Serialize(log, _sseJsonOptions);
+                await Response.WriteAsync($"id: {log.Sequence}\nevent: log\ndata: {json}\n\n", cancellationToken);
+                await Response.Body.FlushAsync(cancellationToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Either the deployment finished or the client disconnected
+        }
+        finally
+        {
+            streamCts.Cancel();
+            await completionWatch;
+        }
+
+        if (!cancellationToken.IsCancellationRequested)
+        {
+            await Response.WriteAsync("event: end\ndata: {}\n\n", cancellationToken);
+            await Response.Body.FlushAsync(cancellationToken);
+        }
+    }
+
+    /// <summary>
+    /// Get dashboard summary (Story 9.1: Executive Dashboard).
+    /// Certificates expiring within certificateWarningDays are counted as expiring soon.
     /// </summary>
     [HttpGet("dashboard/summary")]
     [ProducesResponseType(typeof(DashboardSummary), 200)]
-    public async Task<ActionResult<DashboardSummary>> GetDashboardSummary()
+    public async Task<ActionResult<DashboardSummary>> GetDashboardSummary([FromQuery] int certificateWarningDays = 30)
     {
         var allDeployments = await _deploymentRepo.GetAllAsync();
+
+        // An unreadable certificate store shouldn't take the whole dashboard down
+        var expiringCertificates = 0;
+        try
+        {
+            expiringCertificates = (await _certificateService.GetExpiringCertificatesAsync(certificateWarningDays)).Count();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Could not read certificates for the dashboard");
+        }
         var last30Days = allDeployments.Where(d => 
             d.CreatedAt >= DateTime.UtcNow.AddDays(-30));
 
@@ -204,13 +597,48 @@ public class DeploymentsController : ControllerBase
             ActiveSites = 0, // Would come from IIS service
             SuccessRate = totalCount > 0 ? (double)successCount / totalCount * 100 : 0,
             DeploymentsLast30Days = totalCount,
-            CertificatesExpiringSoon = 0, // Would come from certificate service
+            CertificatesExpiringSoon = expiringCertificates,
             RecentDeployments = allDeployments
                 .OrderByDescending(d => d.CreatedAt)
                 .Take(5)
         });
     }
 
+    private static readonly JsonSerializerOptions _sseJsonOptions = new(JsonSerializerDefaults.Web)
+    {
+        Converters = { new JsonStringEnumConverter() },
+        ReferenceHandler = ReferenceHandler.IgnoreCycles
+    };
+
+    private async Task CancelWhenCompletedAsync(Guid id, CancellationTokenSource streamCts)
+    {
+        try
+        {
+            while (!streamCts.IsCancellationRequested)
+            {
+                await Task.Delay(TimeSpan.FromSeconds(2), streamCts.Token);
+
+                // Give trailing logs (e.g. an automatic rollback) a moment to arrive
+                var deployment = await _deploymentRepo.GetByIdAsync(id);
+                if (deployment?.CompletedAt != null &&
+                    DateTime.UtcNow - deployment.CompletedAt.Value > TimeSpan.FromSeconds(2))
+                {
+                    streamCts.Cancel();
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+        }
+    }
+
+    private async Task<IEnumerable<DeploymentLog>> GetAllLogsAsync(Deployment deployment)
+    {
+        // Logs written while the deployment runs live in the deployment logger
+        var logged = await _deploymentLogger.GetLogsAsync(deployment.Id);
+        return deployment.Logs.UnionBy(logged, l => l.Id);
+    }
+
     private int CalculateProgress(DeploymentStatus status)
     {
         return status switch
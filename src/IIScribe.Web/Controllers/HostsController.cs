@@ -0,0 +1,174 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// The hosts file behind local domains: entries IIScribe added, the sites they belong to, and its backups.
+/// Every change is previewed as a diff first and applied against that preview.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class HostsController : ControllerBase
+{
+    private readonly IHostsFileService _hostsFileService;
+    private readonly IIISDeploymentService _iisService;
+    private readonly IAuditService _auditService;
+    private readonly ICurrentUserService _currentUser;
+    private readonly ILogger<HostsController> _logger;
+
+    public HostsController(
+        IHostsFileService hostsFileService,
+        IIISDeploymentService iisService,
+        IAuditService auditService,
+        ICurrentUserService currentUser,
+        ILogger<HostsController> logger)
+    {
+        _hostsFileService = hostsFileService;
+        _iisService = iisService;
+        _auditService = auditService;
+        _currentUser = currentUser;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// List the hosts file's entries with the IIS site bound to each host name
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(HostsFileInfo), 200)]
+    public async Task<ActionResult<HostsFileInfo>> GetHostsFile()
+    {
+        try
+        {
+            var siteByHost = await GetSiteByHostAsync();
+            var entries = await _hostsFileService.GetEntriesAsync();
+
+            return Ok(new HostsFileInfo
+            {
+                Path = _hostsFileService.HostsFilePath,
+                Entries = entries
+                    .Select(e => e with { SiteName = siteByHost.GetValueOrDefault(e.HostName) })
+                    .ToList()
+            });
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Hosts File Unavailable");
+        }
+    }
+
+    /// <summary>
+    /// List hosts file backups, newest first
+    /// </summary>
+    [HttpGet("backups")]
+    [ProducesResponseType(typeof(IEnumerable<HostsFileBackup>), 200)]
+    public async Task<ActionResult<IEnumerable<HostsFileBackup>>> ListBackups()
+    {
+        try
+        {
+            return Ok(await _hostsFileService.GetBackupsAsync());
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Backups Unavailable");
+        }
+    }
+
+    /// <summary>
+    /// Show what an edit would change; nothing is written
+    /// </summary>
+    [HttpPost("preview")]
+    [ProducesResponseType(typeof(HostsFileChange), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    public async Task<ActionResult<HostsFileChange>> Preview([FromBody] HostsFileEdit edit)
+    {
+        try
+        {
+            return Ok(await _hostsFileService.PreviewAsync(edit));
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Preview Failed");
+        }
+    }
+
+    /// <summary>
+    /// Back up the hosts file and apply a previewed edit. Pass the preview's baseHash;
+    /// if the file has changed since, nothing is written and the edit must be previewed again.
+    /// </summary>
+    [HttpPost("apply")]
+    [Authorize(Policy = nameof(Permission.ManageHostsFile))]
+    [ProducesResponseType(typeof(HostsFileChange), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 403)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<ActionResult<HostsFileChange>> Apply([FromBody] HostsFileEdit edit)
+    {
+        try
+        {
+            var change = await _hostsFileService.ApplyAsync(edit);
+            _logger.LogInformation("Hosts file changed by {User}: {Added} added, {Removed} removed, backup {Backup}",
+                _currentUser.UserName, change.Added, change.Removed, change.BackupName);
+
+            await _auditService.LogChangeAsync(
+                edit.RestoreBackup != null ? AuditEventType.BackupRestored : AuditEventType.ConfigurationChanged,
+                _currentUser.UserName,
+                edit.RestoreBackup != null ? "RestoreHostsFile" : "EditHostsFile",
+                "HostsFile",
+                _hostsFileService.HostsFilePath,
+                null,
+                new { edit.Add, edit.Remove, edit.RestoreBackup, change.Added, change.Removed, change.BackupName });
+
+            return Ok(change);
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Hosts File Not Changed");
+        }
+    }
+
+    /// <summary>
+    /// Host name to site, from bindings like "http://shop.local:80"
+    /// </summary>
+    private async Task<Dictionary<string, string>> GetSiteByHostAsync()
+    {
+        var siteByHost = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+        foreach (var site in await _iisService.GetAllSitesAsync())
+        {
+            foreach (var binding in site.Bindings)
+            {
+                if (Uri.TryCreate(binding, UriKind.Absolute, out var uri) && !string.IsNullOrEmpty(uri.Host))
+                    siteByHost.TryAdd(uri.Host, site.SiteName);
+            }
+        }
+        return siteByHost;
+    }
+
+    private ObjectResult ToProblem(Exception ex, string title)
+    {
+        var (status, problemTitle) = ex switch
+        {
+            KeyNotFoundException => (404, "Backup Not Found"),
+            UnauthorizedAccessException => (403, "Not Allowed"),
+            InvalidOperationException => (409, "Hosts File Changed"),
+            ArgumentException => (400, "Invalid Hosts Entry"),
+            _ => (500, title)
+        };
+
+        if (status == 500)
+            _logger.LogError(ex, "{Title}", title);
+
+        return StatusCode(status == 500 ? 400 : status, new ProblemDetails
+        {
+            Title = problemTitle,
+            Detail = ex.Message,
+            Status = status
+        });
+    }
+}
@@ -0,0 +1,197 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// Health monitors that keep probing sites after deployment, with each monitor's recent probes for uptime and latency
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class MonitorsController : ControllerBase
+{
+    private readonly IHealthMonitorService _monitorService;
+    private readonly IAuditService _auditService;
+    private readonly ICurrentUserService _currentUser;
+    private readonly ILogger<MonitorsController> _logger;
+
+    public MonitorsController(
+        IHealthMonitorService monitorService,
+        IAuditService auditService,
+        ICurrentUserService currentUser,
+        ILogger<MonitorsController> logger)
+    {
+        _monitorService = monitorService;
+        _auditService = auditService;
+        _currentUser = currentUser;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// List health monitors, optionally for one site, with their probe history oldest first
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(IEnumerable<HealthMonitorInfo>), 200)]
+    public async Task<ActionResult<IEnumerable<HealthMonitorInfo>>> ListMonitors([FromQuery] string? siteName = null)
+    {
+        return Ok(await _monitorService.GetMonitorsAsync(siteName));
+    }
+
+    /// <summary>
+    /// Add a health monitor to a site; its first probe runs within a few seconds.
+    /// Turning on AutoRollback needs the Rollback permission, and DeployProduction for Production sites.
+    /// </summary>
+    [HttpPost]
+    [Authorize(Policy = nameof(Permission.ManageSites))]
+    [ProducesResponseType(typeof(HealthMonitorInfo), 201)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 403)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<ActionResult<HealthMonitorInfo>> CreateMonitor([FromBody] SaveHealthMonitorRequest request)
+    {
+        try
+        {
+            var monitor = HealthMonitorInfo.From(await _monitorService.CreateMonitorAsync(request), Array.Empty<HealthCheck>());
+            _logger.LogInformation("Health monitor {Name} added to {Site}: {Url}", monitor.Name, monitor.SiteName, monitor.Url);
+
+            await AuditAsync("CreateHealthMonitor", monitor.Id, null, monitor);
+            return CreatedAtAction(nameof(ListMonitors), new { siteName = monitor.SiteName }, monitor);
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Monitor Not Saved");
+        }
+    }
+
+    /// <summary>
+    /// Update a health monitor; disabling one clears its status
+    /// </summary>
+    [HttpPut("{id}")]
+    [Authorize(Policy = nameof(Permission.ManageSites))]
+    [ProducesResponseType(typeof(HealthMonitorInfo), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 403)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<ActionResult<HealthMonitorInfo>> UpdateMonitor(Guid id, [FromBody] SaveHealthMonitorRequest request)
+    {
+        try
+        {
+            // The stored monitor is updated in place, so take the snapshot first
+            var before = await FindAsync(id);
+
+            await _monitorService.UpdateMonitorAsync(id, request);
+            var monitor = await FindAsync(id);
+
+            await AuditAsync("UpdateHealthMonitor", id, before, monitor);
+            return Ok(monitor);
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Monitor Not Saved");
+        }
+    }
+
+    /// <summary>
+    /// Delete a health monitor and its probe history
+    /// </summary>
+    [HttpDelete("{id}")]
+    [Authorize(Policy = nameof(Permission.ManageSites))]
+    [ProducesResponseType(204)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    public async Task<IActionResult> DeleteMonitor(Guid id)
+    {
+        try
+        {
+            var before = await FindAsync(id);
+
+            await _monitorService.DeleteMonitorAsync(id);
+
+            await AuditAsync("DeleteHealthMonitor", id, before, null);
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Monitor Not Deleted");
+        }
+    }
+
+    /// <summary>
+    /// Probe now instead of waiting for the interval. The probe counts like any other,
+    /// so it can turn the site Unhealthy and start an automatic rollback.
+    /// </summary>
+    [HttpPost("{id}/check")]
+    [Authorize(Policy = nameof(Permission.ManageSites))]
+    [ProducesResponseType(typeof(HealthMonitorInfo), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    public async Task<ActionResult<HealthMonitorInfo>> CheckNow(Guid id, CancellationToken cancellationToken)
+    {
+        try
+        {
+            return Ok(await _monitorService.CheckNowAsync(id, cancellationToken));
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Check Failed");
+        }
+    }
+
+    private async Task<HealthMonitorInfo?> FindAsync(Guid id) =>
+        (await _monitorService.GetMonitorsAsync()).FirstOrDefault(m => m.Id == id);
+
+    // Settings only; status and history change with every probe
+    private static object AuditState(HealthMonitorInfo monitor) => new
+    {
+        monitor.SiteName,
+        monitor.Name,
+        monitor.Url,
+        monitor.Enabled,
+        monitor.ExpectedStatusCode,
+        monitor.ExpectedBodyContains,
+        monitor.DegradedAfterMs,
+        monitor.TimeoutSeconds,
+        monitor.IntervalSeconds,
+        monitor.FailureThreshold,
+        monitor.AutoRollback,
+        monitor.AutoRollbackEnabledBy
+    };
+
+    private Task AuditAsync(string action, Guid id, HealthMonitorInfo? before, HealthMonitorInfo? after)
+    {
+        return _auditService.LogChangeAsync(
+            AuditEventType.ConfigurationChanged,
+            _currentUser.UserName,
+            action,
+            "HealthMonitor",
+            id.ToString(),
+            before == null ? null : AuditState(before),
+            after == null ? null : AuditState(after));
+    }
+
+    private ObjectResult ToProblem(Exception ex, string title)
+    {
+        var (status, problemTitle) = ex switch
+        {
+            KeyNotFoundException => (404, "Monitor Not Found"),
+            UnauthorizedAccessException => (403, "Not Allowed"),
+            InvalidOperationException => (409, "Monitor Exists"),
+            ArgumentException => (400, "Invalid Monitor"),
+            _ => (500, title)
+        };
+
+        if (status == 500)
+            _logger.LogError(ex, "{Title}", title);
+
+        return StatusCode(status == 500 ? 400 : status, new ProblemDetails
+        {
+            Title = problemTitle,
+            Detail = ex.Message,
+            Status = status
+        });
+    }
+}
@@ -0,0 +1,180 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// Notification channels that hear about deployments starting, succeeding, failing and rolling back.
+/// Webhook secrets are never returned.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize(Policy = nameof(Permission.ManageNotifications))]
+public class NotificationsController : ControllerBase
+{
+    private readonly INotificationService _notificationService;
+    private readonly ICurrentUserService _currentUser;
+    private readonly IAuditService _auditService;
+    private readonly ILogger<NotificationsController> _logger;
+
+    public NotificationsController(
+        INotificationService notificationService,
+        ICurrentUserService currentUser,
+        IAuditService auditService,
+        ILogger<NotificationsController> logger)
+    {
+        _notificationService = notificationService;
+        _currentUser = currentUser;
+        _auditService = auditService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// List notification channels
+    /// </summary>
+    [HttpGet("channels")]
+    [ProducesResponseType(typeof(IEnumerable<NotificationChannelInfo>), 200)]
+    public async Task<ActionResult<IEnumerable<NotificationChannelInfo>>> ListChannels()
+    {
+        var channels = await _notificationService.GetChannelsAsync();
+        return Ok(channels.Select(NotificationChannelInfo.From));
+    }
+
+    /// <summary>
+    /// Add a notification channel
+    /// </summary>
+    [HttpPost("channels")]
+    [ProducesResponseType(typeof(NotificationChannelInfo), 201)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<ActionResult<NotificationChannelInfo>> CreateChannel([FromBody] SaveNotificationChannelRequest request)
+    {
+        try
+        {
+            var channel = NotificationChannelInfo.From(await _notificationService.CreateChannelAsync(request));
+            _logger.LogInformation("Notification channel created: {Name} ({Channel})", channel.Name, channel.Channel);
+
+            await AuditAsync("CreateNotificationChannel", channel.Id, null, channel);
+            return CreatedAtAction(nameof(ListChannels), null, channel);
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Channel Not Saved");
+        }
+    }
+
+    /// <summary>
+    /// Update a notification channel; an empty webhook secret keeps the current one
+    /// </summary>
+    [HttpPut("channels/{id}")]
+    [ProducesResponseType(typeof(NotificationChannelInfo), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<ActionResult<NotificationChannelInfo>> UpdateChannel(Guid id, [FromBody] SaveNotificationChannelRequest request)
+    {
+        try
+        {
+            // The stored channel is updated in place, so take the snapshot first
+            var before = (await _notificationService.GetChannelsAsync())
+                .Where(c => c.Id == id)
+                .Select(NotificationChannelInfo.From)
+                .FirstOrDefault();
+
+            var channel = NotificationChannelInfo.From(await _notificationService.UpdateChannelAsync(id, request));
+
+            await AuditAsync(string.IsNullOrEmpty(request.WebhookSecret) ? "UpdateNotificationChannel" : "UpdateNotificationChannelAndSecret",
+                id, before, channel);
+            return Ok(channel);
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Channel Not Saved");
+        }
+    }
+
+    /// <summary>
+    /// Delete a notification channel; notifications still waiting for it are dropped
+    /// </summary>
+    [HttpDelete("channels/{id}")]
+    [ProducesResponseType(204)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    public async Task<IActionResult> DeleteChannel(Guid id)
+    {
+        try
+        {
+            var before = (await _notificationService.GetChannelsAsync())
+                .Where(c => c.Id == id)
+                .Select(NotificationChannelInfo.From)
+                .FirstOrDefault();
+
+            await _notificationService.DeleteChannelAsync(id);
+
+            await AuditAsync("DeleteNotificationChannel", id, before, null);
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Channel Not Deleted");
+        }
+    }
+
+    /// <summary>
+    /// Send a test notification to a channel, once, and report how the delivery went.
+    /// A failed test is still a 200; the delivery's attempts say why it failed.
+    /// </summary>
+    [HttpPost("channels/{id}/test")]
+    [ProducesResponseType(typeof(NotificationDelivery), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    public async Task<ActionResult<NotificationDelivery>> TestChannel(Guid id, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var delivery = await _notificationService.SendTestAsync(id, cancellationToken);
+            _logger.LogInformation("Test notification to {Channel}: {Status}", delivery.ChannelName, delivery.Status);
+
+            return Ok(delivery);
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Test Failed");
+        }
+    }
+
+    private Task AuditAsync(string action, Guid id, NotificationChannelInfo? before, NotificationChannelInfo? after)
+    {
+        return _auditService.LogChangeAsync(
+            AuditEventType.ConfigurationChanged,
+            _currentUser.UserName,
+            action,
+            "NotificationChannel",
+            id.ToString(),
+            before,
+            after);
+    }
+
+    private ObjectResult ToProblem(Exception ex, string title)
+    {
+        var (status, problemTitle) = ex switch
+        {
+            KeyNotFoundException => (404, "Channel Not Found"),
+            InvalidOperationException => (409, "Channel Exists"),
+            ArgumentException => (400, "Invalid Channel"),
+            _ => (500, title)
+        };
+
+        if (status == 500)
+            _logger.LogError(ex, "{Title}", title);
+
+        return StatusCode(status == 500 ? 400 : status, new ProblemDetails
+        {
+            Title = problemTitle,
+            Detail = ex.Message,
+            Status = status
+        });
+    }
+}
@@ -1,7 +1,11 @@
+using IIScribe.Core.DTOs;
 using IIScribe.Core.Entities;
 using IIScribe.Core.Enums;
 using IIScribe.Core.Interfaces;
+using IIScribe.Infrastructure.Services;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using System.Text;
 
 namespace IIScribe.Web.Controllers;
 
@@ -10,19 +14,26 @@ namespace IIScribe.Web.Controllers;
 /// </summary>
 [ApiController]
 [Route("api/[controller]")]
+[Authorize]
 public class ProfilesController : ControllerBase
 {
     private readonly IProfileService _profileService;
     private readonly IRepository<DeploymentProfile> _profileRepo;
+    private readonly IAuditService _auditService;
+    private readonly ICurrentUserService _currentUser;
     private readonly ILogger<ProfilesController> _logger;
 
     public ProfilesController(
         IProfileService profileService,
         IRepository<DeploymentProfile> profileRepo,
+        IAuditService auditService,
+        ICurrentUserService currentUser,
         ILogger<ProfilesController> logger)
     {
         _profileService = profileService;
         _profileRepo = profileRepo;
+        _auditService = auditService;
+        _currentUser = currentUser;
         _logger = logger;
     }
 
@@ -30,13 +41,18 @@ public class ProfilesController : ControllerBase
     /// Create a new deployment profile
     /// </summary>
     [HttpPost]
+    [Authorize(Policy = nameof(Permission.ManageProfiles))]
     [ProducesResponseType(typeof(DeploymentProfile), 201)]
     public async Task<ActionResult<DeploymentProfile>> CreateProfile(
         [FromBody] DeploymentProfile profile)
     {
+        if (string.IsNullOrWhiteSpace(profile.Name))
+            return BadRequest(ProfileNameRequired());
+
         try
         {
             var created = await _profileService.CreateProfileAsync(profile);
+            await AuditChangeAsync("CreateProfile", created.Id, null, created);
             return CreatedAtAction(nameof(GetProfile), new { id = created.Id }, created);
         }
         catch (Exception ex)
@@ -104,6 +120,7 @@ public class ProfilesController : ControllerBase
     /// Update a profile
     /// </summary>
     [HttpPut("{id}")]
+    [Authorize(Policy = nameof(Permission.ManageProfiles))]
     [ProducesResponseType(204)]
     public async Task<IActionResult> UpdateProfile(Guid id, [FromBody] DeploymentProfile profile)
     {
@@ -111,12 +128,32 @@ public class ProfilesController : ControllerBase
         if (existing == null)
             return NotFound();
 
+        if (string.IsNullOrWhiteSpace(profile.Name))
+            return BadRequest(ProfileNameRequired());
+
         profile.Id = id;
         profile.CreatedAt = existing.CreatedAt;
         profile.CreatedBy = existing.CreatedBy;
         profile.UpdatedAt = DateTime.UtcNow;
 
+        // Usage is tracked by deployments, not edited
+        profile.DeploymentCount = existing.DeploymentCount;
+        profile.LastUsedAt = existing.LastUsedAt;
+
+        // Secrets are never sent to the browser, so one left empty keeps the stored value
+        if (profile.DatabaseTemplate != null)
+            profile.DatabaseTemplate.PasswordEncrypted ??= existing.DatabaseTemplate?.PasswordEncrypted;
+        if (profile.SslTemplate != null)
+            profile.SslTemplate.CertificatePassword ??= existing.SslTemplate?.CertificatePassword;
+        if (profile.CloudTemplate != null)
+        {
+            profile.CloudTemplate.AwsSecretKeyEncrypted ??= existing.CloudTemplate?.AwsSecretKeyEncrypted;
+            profile.CloudTemplate.GcpServiceAccountKeyEncrypted ??= existing.CloudTemplate?.GcpServiceAccountKeyEncrypted;
+            profile.CloudTemplate.RemotePasswordEncrypted ??= existing.CloudTemplate?.RemotePasswordEncrypted;
+        }
+
         await _profileRepo.UpdateAsync(profile);
+        await AuditChangeAsync("UpdateProfile", id, existing, profile);
         return NoContent();
     }
 
@@ -124,24 +161,36 @@ public class ProfilesController : ControllerBase
     /// Delete a profile
     /// </summary>
     [HttpDelete("{id}")]
+    [Authorize(Policy = nameof(Permission.ManageProfiles))]
     [ProducesResponseType(204)]
     public async Task<IActionResult> DeleteProfile(Guid id)
     {
+        var existing = await _profileRepo.GetByIdAsync(id);
+        if (existing == null)
+            return NotFound();
+
         await _profileRepo.DeleteAsync(id);
+        await AuditChangeAsync("DeleteProfile", id, existing, null);
         return NoContent();
     }
 
     /// <summary>
-    /// Export profile as JSON (Story 3.1: Team Standardization)
+    /// Export profile as a JSON file (Story 3.1: Team Standardization)
     /// </summary>
     [HttpGet("{id}/export")]
-    [ProducesResponseType(typeof(string), 200)]
-    public async Task<ActionResult<string>> ExportProfile(Guid id)
+    [Produces("application/json")]
+    [ProducesResponseType(typeof(DeploymentProfile), 200)]
+    public async Task<IActionResult> ExportProfile(Guid id)
     {
+        var profile = await _profileRepo.GetByIdAsync(id);
+        if (profile == null)
+            return NotFound();
+
         try
         {
             var json = await _profileService.ExportProfileAsync(id);
-            return Ok(json);
+            var fileName = string.Concat(profile.Name.Split(Path.GetInvalidFileNameChars())).Replace(' ', '-');
+            return File(Encoding.UTF8.GetBytes(json), "application/json", $"{fileName}.profile.json");
         }
         catch (Exception ex)
         {
@@ -155,15 +204,30 @@ public class ProfilesController : ControllerBase
     }
 
     /// <summary>
-    /// Import profile from JSON (Story 3.1: Team Standardization)
+    /// Validate a profile JSON document and show what importing it would create
+    /// </summary>
+    [HttpPost("import/preview")]
+    [ProducesResponseType(typeof(ProfileImportPreview), 200)]
+    public async Task<ActionResult<ProfileImportPreview>> PreviewImport([FromBody] string json)
+    {
+        return Ok(await _profileService.PreviewImportAsync(json));
+    }
+
+    /// <summary>
+    /// Import profile from JSON (Story 3.1: Team Standardization).
+    /// Secret fields are dropped unless includeSecrets is set.
     /// </summary>
     [HttpPost("import")]
+    [Authorize(Policy = nameof(Permission.ManageProfiles))]
     [ProducesResponseType(typeof(DeploymentProfile), 201)]
-    public async Task<ActionResult<DeploymentProfile>> ImportProfile([FromBody] string json)
+    public async Task<ActionResult<DeploymentProfile>> ImportProfile(
+        [FromBody] string json,
+        [FromQuery] bool includeSecrets = false)
     {
         try
         {
-            var profile = await _profileService.ImportProfileAsync(json);
+            var profile = await _profileService.ImportProfileAsync(json, includeSecrets);
+            await AuditChangeAsync("ImportProfile", profile.Id, null, profile);
             return CreatedAtAction(nameof(GetProfile), new { id = profile.Id }, profile);
         }
         catch (Exception ex)
@@ -185,6 +249,23 @@ public class ProfilesController : ControllerBase
     public async Task<ActionResult<IEnumerable<DeploymentProfile>>> GetTemplates()
     {
         var templates = await _profileRepo.FindAsync(p => p.IsTemplate);
-        return Ok(templates.OrderBy(t => t.Name));
+        return Ok(BuiltInProfileTemplates.All.Concat(templates.OrderBy(t => t.Name)));
     }
+
+    private Task AuditChangeAsync(string action, Guid id, DeploymentProfile? before, DeploymentProfile? after) =>
+        _auditService.LogChangeAsync(
+            AuditEventType.ConfigurationChanged,
+            _currentUser.UserName,
+            action,
+            "Profile",
+            id.ToString(),
+            before,
+            after);
+
+    private static ProblemDetails ProfileNameRequired() => new()
+    {
+        Title = "Invalid Profile",
+        Detail = "Profile name is required",
+        Status = 400
+    };
 }
@@ -0,0 +1,118 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.ModelBinding;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// Promotion pipeline: which build each environment runs, and moving a successful deployment on to the next environment
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class PromotionsController : ControllerBase
+{
+    private readonly IDeploymentPromotionService _promotionService;
+    private readonly ILogger<PromotionsController> _logger;
+
+    public PromotionsController(
+        IDeploymentPromotionService promotionService,
+        ILogger<PromotionsController> logger)
+    {
+        _promotionService = promotionService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Each application's current deployment in Development, Testing, Staging and Production
+    /// </summary>
+    [HttpGet("pipelines")]
+    [ProducesResponseType(typeof(IEnumerable<ApplicationPipeline>), 200)]
+    public async Task<ActionResult<IEnumerable<ApplicationPipeline>>> ListPipelines()
+    {
+        return Ok(await _promotionService.GetPipelinesAsync());
+    }
+
+    /// <summary>
+    /// What promoting a deployment would create, with the target environment's overrides and any changes given.
+    /// Nothing is saved.
+    /// </summary>
+    [HttpPost("{deploymentId}/plan")]
+    [ProducesResponseType(typeof(PromotionPlan), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<ActionResult<PromotionPlan>> Plan(
+        Guid deploymentId,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] PromotionRequest? request)
+    {
+        try
+        {
+            return Ok(await _promotionService.PlanAsync(deploymentId, request ?? new PromotionRequest()));
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Promotion Plan Failed");
+        }
+    }
+
+    /// <summary>
+    /// Promote a successful deployment to the next environment. Like any deployment, it waits in line behind
+    /// other runs of its site, and for approval where the environment needs it; poll its status until it completes.
+    /// </summary>
+    [HttpPost("{deploymentId}")]
+    [Authorize(Policy = nameof(Permission.Deploy))]
+    [ProducesResponseType(typeof(DeploymentResult), 202)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 403)]
+    [ProducesResponseType(typeof(ProblemDetails), 404)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<ActionResult<DeploymentResult>> Promote(
+        Guid deploymentId,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] PromotionRequest? request,
+        CancellationToken cancellationToken)
+    {
+        try
+        {
+            var deployment = await _promotionService.PromoteAsync(deploymentId, request ?? new PromotionRequest(), cancellationToken);
+            _logger.LogInformation("Deployment {Source} promoted to {Environment} as {Id}",
+                deploymentId, deployment.Environment, deployment.Id);
+
+            return AcceptedAtAction("GetStatus", "Deployments", new { id = deployment.Id }, new DeploymentResult
+            {
+                DeploymentId = deployment.Id,
+                Url = deployment.TargetUrl,
+                Status = deployment.Status
+            });
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Promotion Failed");
+        }
+    }
+
+    private ObjectResult ToProblem(Exception ex, string title)
+    {
+        var (status, problemTitle) = ex switch
+        {
+            KeyNotFoundException => (404, "Deployment Not Found"),
+            UnauthorizedAccessException => (403, "Not Allowed"),
+            InvalidOperationException => (409, "Promotion Not Allowed"),
+            ArgumentException => (400, "Invalid Promotion"),
+            _ => (500, title)
+        };
+
+        if (status == 500)
+            _logger.LogError(ex, "{Title}", title);
+
+        return StatusCode(status == 500 ? 400 : status, new ProblemDetails
+        {
+            Title = problemTitle,
+            Detail = ex.Message,
+            Status = status
+        });
+    }
+}
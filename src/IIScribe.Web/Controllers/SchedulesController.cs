@@ -0,0 +1,173 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// Deployments scheduled for a later time, once or repeating, and the calendar of their upcoming runs.
+/// Times are UTC.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class SchedulesController : ControllerBase
+{
+    private const int MaxRangeDays = 62;
+
+    private readonly IDeploymentScheduler _scheduler;
+    private readonly IRepository<ScheduledDeployment> _scheduleRepo;
+    private readonly ILogger<SchedulesController> _logger;
+
+    public SchedulesController(
+        IDeploymentScheduler scheduler,
+        IRepository<ScheduledDeployment> scheduleRepo,
+        ILogger<SchedulesController> logger)
+    {
+        _scheduler = scheduler;
+        _scheduleRepo = scheduleRepo;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Active schedules, next run first
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(IEnumerable<ScheduledDeployment>), 200)]
+    public async Task<ActionResult<IEnumerable<ScheduledDeployment>>> ListSchedules()
+    {
+        return Ok(await _scheduler.GetSchedulesAsync());
+    }
+
+    /// <summary>
+    /// Every run of the active schedules between from and to, which default to the next seven days
+    /// </summary>
+    [HttpGet("runs")]
+    [ProducesResponseType(typeof(IEnumerable<ScheduledRun>), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    public async Task<ActionResult<IEnumerable<ScheduledRun>>> ListRuns([FromQuery] DateTime? from, [FromQuery] DateTime? to)
+    {
+        var start = from ?? DateTime.UtcNow;
+        var end = to ?? start.AddDays(7);
+
+        if (start > end || (end - start).TotalDays > MaxRangeDays)
+        {
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Invalid Date Range",
+                Detail = $"'from' must be on or before 'to' and the range at most {MaxRangeDays} days",
+                Status = 400
+            });
+        }
+
+        return Ok(await _scheduler.GetRunsAsync(start, end));
+    }
+
+    /// <summary>
+    /// Get a schedule, including when it last ran and why that run did not start
+    /// </summary>
+    [HttpGet("{id}")]
+    [ProducesResponseType(typeof(ScheduledDeployment), 200)]
+    public async Task<ActionResult<ScheduledDeployment>> GetSchedule(Guid id)
+    {
+        var schedule = await _scheduleRepo.GetByIdAsync(id);
+        if (schedule == null || schedule.IsDeleted)
+            return NotFound();
+
+        return Ok(schedule);
+    }
+
+    /// <summary>
+    /// Schedule a deployment. The request must pass pre-flight now; the change window is checked
+    /// for the scheduled time, and again whenever a run starts.
+    /// </summary>
+    [HttpPost]
+    [Authorize(Policy = nameof(Permission.Deploy))]
+    [ProducesResponseType(typeof(ScheduledDeployment), 201)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 403)]
+    public async Task<ActionResult<ScheduledDeployment>> CreateSchedule([FromBody] ScheduleDeploymentRequest request)
+    {
+        try
+        {
+            var schedule = await _scheduler.ScheduleAsync(request);
+            _logger.LogInformation("Deployment of {Site} scheduled for {RunAt:u} ({Recurrence})",
+                schedule.SiteName, schedule.NextRunAt, schedule.Recurrence);
+
+            return CreatedAtAction(nameof(GetSchedule), new { id = schedule.Id }, schedule);
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Scheduling Failed");
+        }
+    }
+
+    /// <summary>
+    /// Move a schedule to another time or change how often it repeats. A time outside the change window needs an
+    /// emergency justification in this request. Production schedules need DeployProduction, and only their
+    /// creator, a team lead or an administrator may change them.
+    /// </summary>
+    [HttpPut("{id}")]
+    [Authorize(Policy = nameof(Permission.Deploy))]
+    [ProducesResponseType(typeof(ScheduledDeployment), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 403)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<ActionResult<ScheduledDeployment>> Reschedule(Guid id, [FromBody] RescheduleRequest request)
+    {
+        try
+        {
+            return Ok(await _scheduler.RescheduleAsync(id, request));
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Rescheduling Failed");
+        }
+    }
+
+    /// <summary>
+    /// Cancel a schedule; runs that already started are not affected. Who may cancel is as for rescheduling.
+    /// </summary>
+    [HttpDelete("{id}")]
+    [Authorize(Policy = nameof(Permission.Deploy))]
+    [ProducesResponseType(204)]
+    [ProducesResponseType(typeof(ProblemDetails), 403)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<IActionResult> CancelSchedule(Guid id)
+    {
+        try
+        {
+            await _scheduler.CancelAsync(id);
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            return ToProblem(ex, "Cancelling Failed");
+        }
+    }
+
+    private ObjectResult ToProblem(Exception ex, string title)
+    {
+        var (status, problemTitle) = ex switch
+        {
+            KeyNotFoundException => (404, "Schedule Not Found"),
+            UnauthorizedAccessException => (403, "Not Allowed"),
+            InvalidOperationException => (409, "Schedule Not Active"),
+            ArgumentException => (400, "Invalid Schedule"),
+            _ => (500, title)
+        };
+
+        if (status == 500)
+            _logger.LogError(ex, "{Title}", title);
+
+        return StatusCode(status == 500 ? 400 : status, new ProblemDetails
+        {
+            Title = problemTitle,
+            Detail = ex.Message,
+            Status = status
+        });
+    }
+}
@@ -0,0 +1,82 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// Global search across deployments, sites and profiles
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class SearchController : ControllerBase
+{
+    private const int MaxResultsPerKind = 5;
+
+    private readonly IRepository<Deployment> _deploymentRepo;
+    private readonly IIISDeploymentService _iisService;
+    private readonly IProfileService _profileService;
+    private readonly ILogger<SearchController> _logger;
+
+    public SearchController(
+        IRepository<Deployment> deploymentRepo,
+        IIISDeploymentService iisService,
+        IProfileService profileService,
+        ILogger<SearchController> logger)
+    {
+        _deploymentRepo = deploymentRepo;
+        _iisService = iisService;
+        _profileService = profileService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Find deployments, sites and profiles whose names match the query
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(SearchResults), 200)]
+    public async Task<ActionResult<SearchResults>> Search([FromQuery] string? q)
+    {
+        var text = q?.Trim() ?? string.Empty;
+        if (text.Length == 0)
+            return Ok(new SearchResults());
+
+        var deployments = (await _deploymentRepo.GetAllAsync())
+            .Where(d => DeploymentsController.MatchesText(d, text))
+            .OrderByDescending(d => d.CreatedAt)
+            .Take(MaxResultsPerKind)
+            .ToList();
+
+        var profiles = (await _profileService.SearchProfilesAsync(text))
+            .OrderBy(p => p.Name)
+            .Take(MaxResultsPerKind)
+            .ToList();
+
+        // IIS being unavailable shouldn't hide the other results
+        var sites = new List<SiteStatus>();
+        try
+        {
+            sites = (await _iisService.GetAllSitesAsync())
+                .Where(s => s.SiteName.Contains(text, StringComparison.OrdinalIgnoreCase) ||
+                            s.Url.Contains(text, StringComparison.OrdinalIgnoreCase))
+                .OrderBy(s => s.SiteName)
+                .Take(MaxResultsPerKind)
+                .ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Site search failed");
+        }
+
+        return Ok(new SearchResults
+        {
+            Query = text,
+            Deployments = deployments,
+            Sites = sites,
+            Profiles = profiles
+        });
+    }
+}
@@ -0,0 +1,219 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// IIS site management: status and health, start/stop, app pool recycle and removal
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class SitesController : ControllerBase
+{
+    private readonly IIISDeploymentService _iisService;
+    private readonly IRepository<Deployment> _deploymentRepo;
+    private readonly IHealthMonitorService _monitorService;
+    private readonly IAuditService _auditService;
+    private readonly ICurrentUserService _currentUser;
+    private readonly ILogger<SitesController> _logger;
+
+    public SitesController(
+        IIISDeploymentService iisService,
+        IRepository<Deployment> deploymentRepo,
+        IHealthMonitorService monitorService,
+        IAuditService auditService,
+        ICurrentUserService currentUser,
+        ILogger<SitesController> logger)
+    {
+        _iisService = iisService;
+        _deploymentRepo = deploymentRepo;
+        _monitorService = monitorService;
+        _auditService = auditService;
+        _currentUser = currentUser;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// List all sites with their state, resource usage, last deployment and health
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(IEnumerable<SiteStatus>), 200)]
+    public async Task<ActionResult<IEnumerable<SiteStatus>>> ListSites()
+    {
+        try
+        {
+            var sites = (await _iisService.GetAllSitesAsync()).ToList();
+            var deployments = await _deploymentRepo.GetAllAsync();
+            var monitors = await _monitorService.GetMonitorsAsync();
+
+            foreach (var site in sites)
+            {
+                AttachLastDeployment(site, deployments);
+                AttachHealth(site, monitors);
+            }
+
+            return Ok(sites.OrderBy(s => s.SiteName));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error listing sites");
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Sites Unavailable",
+                Detail = ex.Message,
+                Status = 500
+            });
+        }
+    }
+
+    /// <summary>
+    /// Get a single site by name
+    /// </summary>
+    [HttpGet("{name}")]
+    [ProducesResponseType(typeof(SiteStatus), 200)]
+    public async Task<ActionResult<SiteStatus>> GetSite(string name)
+    {
+        var site = await FindSiteAsync(name);
+        if (site == null)
+            return NotFound();
+
+        AttachLastDeployment(site, await _deploymentRepo.GetAllAsync());
+        AttachHealth(site, await _monitorService.GetMonitorsAsync(site.SiteName));
+        return Ok(site);
+    }
+
+    /// <summary>
+    /// Start a stopped site
+    /// </summary>
+    [HttpPost("{name}/start")]
+    [Authorize(Policy = nameof(Permission.ManageSites))]
+    [ProducesResponseType(typeof(SiteStatus), 200)]
+    public Task<ActionResult<SiteStatus>> StartSite(string name) =>
+        RunSiteActionAsync(name, "StartSite", site => _iisService.StartSiteAsync(site.SiteName));
+
+    /// <summary>
+    /// Stop a running site
+    /// </summary>
+    [HttpPost("{name}/stop")]
+    [Authorize(Policy = nameof(Permission.ManageSites))]
+    [ProducesResponseType(typeof(SiteStatus), 200)]
+    public Task<ActionResult<SiteStatus>> StopSite(string name) =>
+        RunSiteActionAsync(name, "StopSite", site => _iisService.StopSiteAsync(site.SiteName));
+
+    /// <summary>
+    /// Recycle the site's application pool
+    /// </summary>
+    [HttpPost("{name}/recycle")]
+    [Authorize(Policy = nameof(Permission.ManageSites))]
+    [ProducesResponseType(typeof(SiteStatus), 200)]
+    public Task<ActionResult<SiteStatus>> RecycleSite(string name) =>
+        RunSiteActionAsync(name, "RecycleAppPool", site => _iisService.RecycleAppPoolAsync(site.AppPoolName));
+
+    /// <summary>
+    /// Remove a site, and its app pool when no other site uses it
+    /// </summary>
+    [HttpDelete("{name}")]
+    [Authorize(Policy = nameof(Permission.ManageSites))]
+    [ProducesResponseType(204)]
+    public async Task<IActionResult> RemoveSite(string name)
+    {
+        var result = await RunSiteActionAsync(name, "RemoveSite", site => _iisService.RemoveSiteAsync(site.SiteName));
+        return result.Result is OkObjectResult ? NoContent() : result.Result!;
+    }
+
+    private async Task<ActionResult<SiteStatus>> RunSiteActionAsync(
+        string name,
+        string action,
+        Func<SiteStatus, Task> operation)
+    {
+        var site = await FindSiteAsync(name);
+        if (site == null)
+            return NotFound();
+
+        try
+        {
+            _logger.LogInformation("{Action} requested for site: {Site}", action, site.SiteName);
+            await operation(site);
+
+            var current = await FindSiteAsync(name);
+            await _auditService.LogChangeAsync(
+                AuditEventType.ConfigurationChanged,
+                _currentUser.UserName,
+                action,
+                "Site",
+                site.SiteName,
+                AuditState(site),
+                current == null ? null : AuditState(current));
+
+            var updated = current ?? site;
+            AttachLastDeployment(updated, await _deploymentRepo.GetAllAsync());
+            AttachHealth(updated, await _monitorService.GetMonitorsAsync(updated.SiteName));
+            return Ok(updated);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "{Action} failed for site: {Site}", action, site.SiteName);
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Site Action Failed",
+                Detail = ex.Message,
+                Status = 500
+            });
+        }
+    }
+
+    // The parts of a site an action can change; usage counters would only add noise to the diff
+    private static object AuditState(SiteStatus site) => new
+    {
+        site.State,
+        site.AppPoolName,
+        site.AppPoolRunning,
+        site.Bindings,
+        site.CertificateThumbprint
+    };
+
+    private async Task<SiteStatus?> FindSiteAsync(string name)
+    {
+        var sites = await _iisService.GetAllSitesAsync();
+        return sites.FirstOrDefault(s => string.Equals(s.SiteName, name, StringComparison.OrdinalIgnoreCase));
+    }
+
+    private static void AttachLastDeployment(SiteStatus site, IEnumerable<Deployment> deployments)
+    {
+        var last = deployments
+            .Where(d => string.Equals(d.SiteName, site.SiteName, StringComparison.OrdinalIgnoreCase))
+            .OrderByDescending(d => d.CreatedAt)
+            .FirstOrDefault();
+
+        if (last == null)
+            return;
+
+        site.LastDeploymentId = last.Id;
+        site.LastDeployedAt = last.CompletedAt ?? last.CreatedAt;
+        site.LastDeployedBy = last.CreatedBy;
+        site.AdditionalInfo["Environment"] = last.Environment.ToString();
+        site.AdditionalInfo["LastDeploymentStatus"] = last.Status.ToString();
+    }
+
+    // With monitors, the site is as healthy as its least healthy enabled monitor that has been probed
+    private static void AttachHealth(SiteStatus site, IEnumerable<HealthMonitorInfo> monitors)
+    {
+        var probed = monitors
+            .Where(m => m.Enabled && m.LastCheckedAt != null &&
+                        string.Equals(m.SiteName, site.SiteName, StringComparison.OrdinalIgnoreCase))
+            .ToList();
+
+        if (probed.Count == 0)
+            return;
+
+        site.Health = probed.Any(m => m.Status == HealthCheckStatus.Unhealthy) ? HealthCheckStatus.Unhealthy
+            : probed.Any(m => m.Status == HealthCheckStatus.Degraded) ? HealthCheckStatus.Degraded
+            : HealthCheckStatus.Healthy;
+        site.LastHealthCheckAt = probed.Max(m => m.LastCheckedAt);
+    }
+}
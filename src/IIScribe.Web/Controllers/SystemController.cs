@@ -0,0 +1,57 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Mvc;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// Server identity, used by clients to check a connection before saving it
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class SystemController : ControllerBase
+{
+    private const string Version = "3.0";
+
+    private readonly IIISDeploymentService _iisService;
+    private readonly IWebHostEnvironment _environment;
+    private readonly ILogger<SystemController> _logger;
+
+    public SystemController(
+        IIISDeploymentService iisService,
+        IWebHostEnvironment environment,
+        ILogger<SystemController> logger)
+    {
+        _iisService = iisService;
+        _environment = environment;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Describe this server
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(ServerInfo), 200)]
+    public async Task<ActionResult<ServerInfo>> GetInfo()
+    {
+        bool iisAvailable;
+        try
+        {
+            iisAvailable = await _iisService.IsIISInstalledAsync();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Could not determine whether IIS is installed");
+            iisAvailable = false;
+        }
+
+        return Ok(new ServerInfo
+        {
+            Version = Version,
+            MachineName = System.Environment.MachineName,
+            Environment = _environment.EnvironmentName,
+            IisAvailable = iisAvailable,
+            ServerTime = DateTime.UtcNow
+        });
+    }
+}
@@ -0,0 +1,137 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace IIScribe.Web.Controllers;
+
+/// <summary>
+/// User accounts and their roles
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize(Policy = nameof(Permission.ManageUsers))]
+public class UsersController : ControllerBase
+{
+    private readonly IUserService _userService;
+    private readonly ICurrentUserService _currentUser;
+    private readonly IAuditService _auditService;
+    private readonly ILogger<UsersController> _logger;
+
+    public UsersController(
+        IUserService userService,
+        ICurrentUserService currentUser,
+        IAuditService auditService,
+        ILogger<UsersController> logger)
+    {
+        _userService = userService;
+        _currentUser = currentUser;
+        _auditService = auditService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// List users
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(IEnumerable<UserInfo>), 200)]
+    public async Task<ActionResult<IEnumerable<UserInfo>>> ListUsers()
+    {
+        var users = await _userService.GetUsersAsync();
+        return Ok(users.Select(UserInfo.From));
+    }
+
+    /// <summary>
+    /// Create a user
+    /// </summary>
+    [HttpPost]
+    [ProducesResponseType(typeof(UserInfo), 201)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    [ProducesResponseType(typeof(ProblemDetails), 409)]
+    public async Task<ActionResult<UserInfo>> CreateUser([FromBody] SaveUserRequest request)
+    {
+        if (await _userService.GetUserAsync(request.Username) != null)
+        {
+            return Conflict(new ProblemDetails
+            {
+                Title = "User Exists",
+                Detail = $"A user named '{request.Username}' already exists",
+                Status = 409
+            });
+        }
+
+        try
+        {
+            var user = await _userService.CreateUserAsync(request);
+            _logger.LogInformation("User created: {User} ({Role})", user.Username, user.Role);
+
+            await _auditService.LogChangeAsync(
+                AuditEventType.PermissionGranted,
+                _currentUser.UserName,
+                "CreateUser",
+                "User",
+                user.Username,
+                null,
+                UserInfo.From(user));
+
+            return CreatedAtAction(nameof(ListUsers), null, UserInfo.From(user));
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(new ProblemDetails
+            {
+                Title = "Invalid User",
+                Detail = ex.Message,
+                Status = 400
+            });
+        }
+    }
+
+    /// <summary>
+    /// Update a user's details, role and status, and optionally reset their password
+    /// </summary>
+    [HttpPut("{username}")]
+    [ProducesResponseType(typeof(UserInfo), 200)]
+    [ProducesResponseType(typeof(ProblemDetails), 400)]
+    public async Task<ActionResult<UserInfo>> UpdateUser(string username, [FromBody] SaveUserRequest request)
+    {
+        var existing = await _userService.GetUserAsync(username);
+        if (existing == null)
+            return NotFound();
+
+        // The stored user is updated in place, so take the snapshot first
+        var before = UserInfo.From(existing);
+
+        try
+        {
+            var user = await _userService.UpdateUserAsync(username, request);
+            var after = UserInfo.From(user);
+
+            // Role and status changes are permission events; anything else is a plain configuration change
+            var eventType = before.Role != after.Role || before.IsActive != after.IsActive
+                ? after.IsActive ? AuditEventType.PermissionGranted : AuditEventType.PermissionRevoked
+                : AuditEventType.ConfigurationChanged;
+
+            await _auditService.LogChangeAsync(
+                eventType,
+                _currentUser.UserName,
+                string.IsNullOrEmpty(request.Password) ? "UpdateUser" : "UpdateUserAndResetPassword",
+                "User",
+                user.Username,
+                before,
+                after);
+
+            return Ok(after);
+        }
+        catch (Exception ex) when (ex is ArgumentException or InvalidOperationException)
+        {
+            return BadRequest(new ProblemDetails
+            {
+                Title = "User Not Updated",
+                Detail = ex.Message,
+                Status = 400
+            });
+        }
+    }
+}
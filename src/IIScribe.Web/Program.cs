@@ -1,6 +1,13 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
 using IIScribe.Core.Interfaces;
 using IIScribe.Infrastructure.Services;
+using IIScribe.Web.Services;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.DataProtection;
 using Serilog;
+using System.Security.Cryptography;
 
 var builder = WebApplication.CreateBuilder(args);
 
@@ -15,7 +22,8 @@ Log.Logger = new LoggerConfiguration()
 builder.Host.UseSerilog();
 
 // Add services to the container
-builder.Services.AddControllers();
+builder.Services.AddControllers()
+    .AddJsonOptions(options => ApiJsonOptions.Configure(options.JsonSerializerOptions));
 builder.Services.AddEndpointsApiExplorer();
 builder.Services.AddSwaggerGen(c =>
 {
@@ -27,14 +35,39 @@ builder.Services.AddSwaggerGen(c =>
     });
 });
 
-// Add CORS
+// Authentication: bearer tokens from /api/auth/login, one authorization policy per permission
+builder.Services.AddAuthentication(TokenAuthenticationHandler.SchemeName)
+    .AddScheme<AuthenticationSchemeOptions, TokenAuthenticationHandler>(TokenAuthenticationHandler.SchemeName, null);
+builder.Services.AddAuthorization(options =>
+{
+    foreach (var permission in Enum.GetValues<Permission>())
+    {
+        options.AddPolicy(permission.ToString(), policy =>
+            policy.RequireClaim(RolePermissions.ClaimType, permission.ToString()));
+    }
+});
+builder.Services.AddHttpContextAccessor();
+
+// Stored secrets are encrypted with these keys; keep them somewhere that survives restarts and redeploys
+var dataProtection = builder.Services.AddDataProtection().SetApplicationName("IIScribe");
+var keysPath = builder.Configuration["IIScribe:DataProtection:KeysPath"];
+if (!string.IsNullOrEmpty(keysPath))
+    dataProtection.PersistKeysToFileSystem(new DirectoryInfo(keysPath));
+
+// Add CORS. Tokens are sent explicitly rather than as cookies, so any origin is safe unless narrowed in config.
+var allowedOrigins = builder.Configuration.GetSection("Cors:AllowedOrigins").Get<string[]>() ?? Array.Empty<string>();
 builder.Services.AddCors(options =>
 {
     options.AddPolicy("AllowAll",
-        builder => builder
-            .AllowAnyOrigin()
-            .AllowAnyMethod()
-            .AllowAnyHeader());
+        builder =>
+        {
+            if (allowedOrigins.Length > 0)
+                builder.WithOrigins(allowedOrigins);
+            else
+                builder.AllowAnyOrigin();
+
+            builder.AllowAnyMethod().AllowAnyHeader();
+        });
 });
 
 // Register application services
@@ -58,12 +91,15 @@ if (app.Environment.IsDevelopment())
 
 app.UseHttpsRedirection();
 app.UseCors("AllowAll");
+app.UseAuthentication();
 app.UseAuthorization();
 app.MapControllers();
 
 // Fallback to index.html for SPA routing
 app.MapFallbackToFile("index.html");
 
+await SeedAdministratorAsync(app.Services, app.Configuration);
+
 // Startup banner
 Console.WriteLine(@"
 ╔═══════════════════════════════════════════════════════════════════════════╗
@@ -82,25 +118,119 @@ app.Run();
 
 void RegisterServices(IServiceCollection services)
 {
+    var notificationOptions = builder.Configuration.GetSection("IIScribe:Notifications").Get<NotificationOptions>()
+        ?? new NotificationOptions();
+    var healthMonitoringOptions = builder.Configuration.GetSection("IIScribe:HealthMonitoring").Get<HealthMonitoringOptions>()
+        ?? new HealthMonitoringOptions();
+    var backupOptions = builder.Configuration.GetSection("IIScribe:Backups").Get<BackupOptions>()
+        ?? new BackupOptions();
+
     // Core Orchestrator
     services.AddScoped<IDeploymentOrchestrator, DeploymentOrchestrator>();
+    services.AddSingleton<IDeploymentQueue, DeploymentQueue>();
+    services.AddHostedService<DeploymentWorker>();
+    services.AddScoped<IDeploymentScheduler>(sp => ActivatorUtilities.CreateInstance<DeploymentScheduler>(sp,
+        GetTimeZone(builder.Configuration)));
+    services.AddHostedService<DeploymentSchedulerWorker>();
+    services.AddScoped<IDeploymentPromotionService>(sp => ActivatorUtilities.CreateInstance<DeploymentPromotionService>(sp,
+        builder.Configuration.GetSection("IIScribe:Promotion:Environments").Get<Dictionary<DeploymentEnvironment, PromotionEnvironmentOptions>>()
+            ?? new Dictionary<DeploymentEnvironment, PromotionEnvironmentOptions>()));
     
     // ⚡ REAL Infrastructure Services - Actually deploy to IIS!
-    services.AddScoped<IApplicationDiscoveryService, MockApplicationDiscoveryService>();
-    services.AddScoped<IIISDeploymentService, RealIISDeploymentService>(); // ← REAL IIS deployment!
+    services.AddScoped<IApplicationDiscoveryService, RealApplicationDiscoveryService>(); // ← REAL file-system discovery!
+    if (OperatingSystem.IsWindows())
+        services.AddScoped<IIISDeploymentService, RealIISDeploymentService>(); // ← REAL IIS deployment!
+    else
+        services.AddSingleton<IIISDeploymentService, LocalIISDeploymentService>(); // In-memory stand-in without IIS
     services.AddScoped<IDatabaseDeploymentService, MockDatabaseDeploymentService>();
-    services.AddScoped<ICertificateService, MockCertificateService>();
+    services.AddScoped<IDatabaseBackupService, DatabaseBackupService>();
+    services.AddSingleton(backupOptions);
+    services.AddHostedService<BackupRetentionWorker>();
+    services.AddScoped<ICertificateService, RealCertificateService>(); // ← REAL certificate store!
     services.AddScoped<ICloudDeploymentService, MockCloudDeploymentService>();
+    services.AddSingleton<IContainerManifestService, ContainerManifestService>();
     services.AddScoped<IHealthCheckService, MockHealthCheckService>();
-    services.AddScoped<INotificationService, MockNotificationService>();
-    services.AddScoped<IAuditService, MockAuditService>();
+    services.AddHttpClient<IHealthMonitorService, HealthMonitorService>(client =>
+            client.Timeout = Timeout.InfiniteTimeSpan) // Each monitor has its own timeout
+        .ConfigurePrimaryHttpMessageHandler(() => new HttpClientHandler { AllowAutoRedirect = false });
+    services.AddSingleton(healthMonitoringOptions);
+    services.AddHostedService<HealthMonitorWorker>();
+    services.AddHttpClient<INotificationService, NotificationService>(client =>
+        client.Timeout = TimeSpan.FromSeconds(notificationOptions.TimeoutSeconds)); // ← REAL email, Slack, Teams and signed webhooks!
+    services.AddSingleton(notificationOptions);
+    services.AddHostedService<NotificationDeliveryWorker>();
+    services.AddSingleton<IAuditService>(sp => new RealAuditService(
+        sp.GetRequiredService<IRepository<AuditLog>>(),
+        builder.Configuration.GetValue("IIScribe:Audit:SignLogs", true)
+            ? GetSigningKey(builder.Configuration, "IIScribe:Audit:SigningKey")
+            : null,
+        sp.GetRequiredService<ILogger<RealAuditService>>())); // ← REAL hash-chained, signed audit trail!
     services.AddScoped<IProfileService, MockProfileService>();
-    services.AddScoped<IHostsFileService, RealHostsFileService>(); // ← REAL hosts file editing!
-    services.AddScoped<IEncryptionService, MockEncryptionService>();
-    services.AddScoped<IDeploymentLogger, MockDeploymentLogger>();
+    services.AddScoped<IHostsFileService>(sp => new RealHostsFileService(
+        sp.GetRequiredService<ILogger<RealHostsFileService>>(),
+        builder.Configuration["IIScribe:HostsFile:Path"])); // ← REAL hosts file editing!
+    services.AddSingleton<IEncryptionService, DataProtectionEncryptionService>(); // ← REAL encryption of stored secrets!
+    services.AddSingleton<IDeploymentLogger, MockDeploymentLogger>(); // Shared with the background worker
+    
+    // Approval gates and change windows per environment
+    services.AddSingleton<IDeploymentApprovalService>(sp => ActivatorUtilities.CreateInstance<DeploymentApprovalService>(sp,
+        builder.Configuration.GetSection("IIScribe:Approvals:Policies").Get<List<ApprovalPolicy>>() ?? new List<ApprovalPolicy>(),
+        GetTimeZone(builder.Configuration)));
     
+    // Users and sign-in
+    services.AddSingleton<ICurrentUserService, HttpCurrentUserService>();
+    services.AddScoped<IUserService, LocalUserService>();
+    services.AddSingleton<ITokenService>(new HmacTokenService(
+        GetSigningKey(builder.Configuration, "Auth:SigningKey"),
+        TimeSpan.FromHours(builder.Configuration.GetValue("Auth:TokenLifetimeHours", 12))));
+
     // Repositories (in-memory for demo)
     services.AddSingleton(typeof(IRepository<>), typeof(InMemoryRepository<>));
     
-    Console.WriteLine("✓ Services registered - REAL IIS deployment enabled!");
+    Log.Information("Services registered - REAL IIS deployment enabled");
+}
+
+// Base64 keys from configuration; without one a random key is used until the next restart
+byte[] GetSigningKey(IConfiguration configuration, string setting)
+{
+    var configured = configuration[setting];
+    if (!string.IsNullOrEmpty(configured))
+        return Convert.FromBase64String(configured);
+
+    Log.Warning("{Setting} is not set - using a random key until the next restart", setting);
+    return RandomNumberGenerator.GetBytes(32);
+}
+
+// Change windows and repeating schedules follow IIScribe:TimeZone, or the server's own zone when it is empty
+TimeZoneInfo GetTimeZone(IConfiguration configuration)
+{
+    var configured = configuration["IIScribe:TimeZone"];
+    return string.IsNullOrEmpty(configured) ? TimeZoneInfo.Local : TimeZoneInfo.FindSystemTimeZoneById(configured);
+}
+
+// Without any users nobody could sign in, so the first start creates an administrator
+async Task SeedAdministratorAsync(IServiceProvider serviceProvider, IConfiguration configuration)
+{
+    using var scope = serviceProvider.CreateScope();
+    var userService = scope.ServiceProvider.GetRequiredService<IUserService>();
+    if ((await userService.GetUsersAsync()).Any())
+        return;
+
+    var password = configuration["Auth:AdminPassword"];
+    var generated = string.IsNullOrEmpty(password);
+    if (generated)
+        password = Convert.ToBase64String(RandomNumberGenerator.GetBytes(12));
+
+    await userService.CreateUserAsync(new SaveUserRequest
+    {
+        Username = "admin",
+        FullName = "Administrator",
+        Role = UserRole.Administrator,
+        Password = password
+    });
+
+    if (generated)
+        Log.Warning("Created user 'admin' with password: {Password} (set Auth:AdminPassword to choose one)", password);
+    else
+        Log.Information("Created user 'admin' with the password from Auth:AdminPassword");
 }
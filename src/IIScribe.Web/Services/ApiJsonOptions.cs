@@ -0,0 +1,31 @@
+using IIScribe.Core.Entities;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Text.Json.Serialization.Metadata;
+
+namespace IIScribe.Web.Services;
+
+/// <summary>
+/// JSON settings for every API response. Deployments, schedules and profiles are returned as entities, so
+/// properties marked <see cref="SecretAttribute"/> are left out here rather than on each endpoint.
+/// </summary>
+public static class ApiJsonOptions
+{
+    public static void Configure(JsonSerializerOptions options)
+    {
+        // The web UI reads and sends enum names (e.g. "Success", "Production")
+        options.Converters.Add(new JsonStringEnumConverter());
+        options.ReferenceHandler = ReferenceHandler.IgnoreCycles;
+        options.TypeInfoResolver = new DefaultJsonTypeInfoResolver { Modifiers = { HideSecrets } };
+    }
+
+    // Secrets can still be sent in; they are only never written out
+    private static void HideSecrets(JsonTypeInfo typeInfo)
+    {
+        foreach (var property in typeInfo.Properties)
+        {
+            if (property.AttributeProvider?.IsDefined(typeof(SecretAttribute), inherit: true) == true)
+                property.ShouldSerialize = (_, _) => false;
+        }
+    }
+}
@@ -0,0 +1,61 @@
+using IIScribe.Core.Interfaces;
+
+namespace IIScribe.Web.Services;
+
+/// <summary>
+/// Prunes database backups according to their retention policies every IIScribe:Backups:PollSeconds
+/// </summary>
+public class BackupRetentionWorker : BackgroundService
+{
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<BackupRetentionWorker> _logger;
+    private readonly TimeSpan _interval;
+
+    public BackupRetentionWorker(
+        IServiceScopeFactory scopeFactory,
+        IConfiguration configuration,
+        ILogger<BackupRetentionWorker> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+        _interval = TimeSpan.FromSeconds(Math.Max(1, configuration.GetValue("IIScribe:Backups:PollSeconds", 900)));
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(_interval);
+
+        do
+        {
+            try
+            {
+                using var scope = _scopeFactory.CreateScope();
+                var backupService = scope.ServiceProvider.GetRequiredService<IDatabaseBackupService>();
+                var pruned = await backupService.EnforceRetentionAsync(DateTime.UtcNow, stoppingToken);
+                if (pruned > 0)
+                    _logger.LogInformation("Pruned {Count} database backup(s) past their retention policy", pruned);
+            }
+            catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+            {
+                break;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Enforcing backup retention failed");
+            }
+        }
+        while (await WaitAsync(timer, stoppingToken));
+    }
+
+    private static async Task<bool> WaitAsync(PeriodicTimer timer, CancellationToken stoppingToken)
+    {
+        try
+        {
+            return await timer.WaitForNextTickAsync(stoppingToken);
+        }
+        catch (OperationCanceledException)
+        {
+            return false;
+        }
+    }
+}
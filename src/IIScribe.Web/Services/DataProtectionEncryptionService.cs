@@ -0,0 +1,48 @@
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.DataProtection;
+using System.Security.Cryptography;
+
+namespace IIScribe.Web.Services;
+
+/// <summary>
+/// Encrypts stored secrets (target credentials, webhook secrets) with ASP.NET Core Data Protection. Keys are kept
+/// in IIScribe:DataProtection:KeysPath when set, otherwise where Data Protection keeps them by default.
+/// Passwords are hashed with PBKDF2-SHA256 rather than encrypted.
+/// </summary>
+public class DataProtectionEncryptionService : IEncryptionService
+{
+    private const string Purpose = "IIScribe.Secrets.v1";
+    private const int SaltSize = 16;
+    private const int HashSize = 32;
+    private const int Iterations = 100_000;
+
+    private readonly IDataProtector _protector;
+
+    public DataProtectionEncryptionService(IDataProtectionProvider provider)
+    {
+        _protector = provider.CreateProtector(Purpose);
+    }
+
+    public string Encrypt(string plainText) => _protector.Protect(plainText);
+
+    public string Decrypt(string cipherText) => _protector.Unprotect(cipherText);
+
+    public string HashPassword(string password)
+    {
+        var salt = RandomNumberGenerator.GetBytes(SaltSize);
+        var hash = Rfc2898DeriveBytes.Pbkdf2(password, salt, Iterations, HashAlgorithmName.SHA256, HashSize);
+        return $"pbkdf2${Iterations}${Convert.ToBase64String(salt)}${Convert.ToBase64String(hash)}";
+    }
+
+    public bool VerifyPassword(string password, string hash)
+    {
+        var parts = hash.Split('$');
+        if (parts.Length != 4 || parts[0] != "pbkdf2" || !int.TryParse(parts[1], out var iterations))
+            return false;
+
+        var salt = Convert.FromBase64String(parts[2]);
+        var expected = Convert.FromBase64String(parts[3]);
+        var actual = Rfc2898DeriveBytes.Pbkdf2(password, salt, iterations, HashAlgorithmName.SHA256, expected.Length);
+        return CryptographicOperations.FixedTimeEquals(actual, expected);
+    }
+}
@@ -0,0 +1,59 @@
+using IIScribe.Core.Interfaces;
+
+namespace IIScribe.Web.Services;
+
+/// <summary>
+/// Starts scheduled deployments when they come due, checking every IIScribe:Scheduling:PollSeconds
+/// </summary>
+public class DeploymentSchedulerWorker : BackgroundService
+{
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<DeploymentSchedulerWorker> _logger;
+    private readonly TimeSpan _interval;
+
+    public DeploymentSchedulerWorker(
+        IServiceScopeFactory scopeFactory,
+        IConfiguration configuration,
+        ILogger<DeploymentSchedulerWorker> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+        _interval = TimeSpan.FromSeconds(Math.Max(1, configuration.GetValue("IIScribe:Scheduling:PollSeconds", 30)));
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(_interval);
+
+        do
+        {
+            try
+            {
+                using var scope = _scopeFactory.CreateScope();
+                var scheduler = scope.ServiceProvider.GetRequiredService<IDeploymentScheduler>();
+                await scheduler.RunDueAsync(DateTime.UtcNow, stoppingToken);
+            }
+            catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+            {
+                break;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Starting scheduled deployments failed");
+            }
+        }
+        while (await WaitAsync(timer, stoppingToken));
+    }
+
+    private static async Task<bool> WaitAsync(PeriodicTimer timer, CancellationToken stoppingToken)
+    {
+        try
+        {
+            return await timer.WaitForNextTickAsync(stoppingToken);
+        }
+        catch (OperationCanceledException)
+        {
+            return false;
+        }
+    }
+}
@@ -0,0 +1,101 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Interfaces;
+
+namespace IIScribe.Web.Services;
+
+/// <summary>
+/// Runs queued deployments and rollbacks in the background so the API can report progress while they execute.
+/// Up to IIScribe:Scheduling:MaxConcurrentDeployments run at once; the queue never hands out two for one site.
+/// </summary>
+public class DeploymentWorker : BackgroundService
+{
+    private readonly IDeploymentQueue _queue;
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<DeploymentWorker> _logger;
+    private readonly int _maxConcurrent;
+
+    public DeploymentWorker(
+        IDeploymentQueue queue,
+        IServiceScopeFactory scopeFactory,
+        IConfiguration configuration,
+        ILogger<DeploymentWorker> logger)
+    {
+        _queue = queue;
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+        _maxConcurrent = Math.Max(1, configuration.GetValue("IIScribe:Scheduling:MaxConcurrentDeployments", 3));
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var slots = new SemaphoreSlim(_maxConcurrent);
+        var running = new List<Task>();
+
+        while (!stoppingToken.IsCancellationRequested)
+        {
+            try
+            {
+                await slots.WaitAsync(stoppingToken);
+
+                QueuedDeployment item;
+                try
+                {
+                    item = await _queue.DequeueAsync(stoppingToken);
+                }
+                catch
+                {
+                    slots.Release();
+                    throw;
+                }
+
+                running.RemoveAll(task => task.IsCompleted);
+                running.Add(Task.Run(async () =>
+                {
+                    try
+                    {
+                        await RunAsync(item, stoppingToken);
+                    }
+                    finally
+                    {
+                        _queue.Complete(item);
+                        slots.Release();
+                    }
+                }, CancellationToken.None));
+            }
+            catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+            {
+                break;
+            }
+        }
+
+        await Task.WhenAll(running);
+    }
+
+    private async Task RunAsync(QueuedDeployment item, CancellationToken stoppingToken)
+    {
+        try
+        {
+            // Orchestrator and its services are scoped, so each run gets its own scope
+            using var scope = _scopeFactory.CreateScope();
+            var orchestrator = scope.ServiceProvider.GetRequiredService<IDeploymentOrchestrator>();
+
+            if (item.IsRollback)
+            {
+                _logger.LogInformation("Rolling back deployment {Id}", item.DeploymentId);
+                await orchestrator.RollbackAsync(item.DeploymentId, item.RollbackTargetId, stoppingToken);
+            }
+            else
+            {
+                _logger.LogInformation("Executing deployment {Id}", item.DeploymentId);
+                await orchestrator.ExecuteDeploymentAsync(item.DeploymentId, item.Request, stoppingToken);
+            }
+        }
+        catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+        {
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Background deployment failed");
+        }
+    }
+}
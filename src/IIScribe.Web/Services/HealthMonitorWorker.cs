@@ -0,0 +1,59 @@
+using IIScribe.Core.Interfaces;
+
+namespace IIScribe.Web.Services;
+
+/// <summary>
+/// Probes sites with their health monitors as each comes due, checking every IIScribe:HealthMonitoring:PollSeconds
+/// </summary>
+public class HealthMonitorWorker : BackgroundService
+{
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<HealthMonitorWorker> _logger;
+    private readonly TimeSpan _interval;
+
+    public HealthMonitorWorker(
+        IServiceScopeFactory scopeFactory,
+        IConfiguration configuration,
+        ILogger<HealthMonitorWorker> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+        _interval = TimeSpan.FromSeconds(Math.Max(1, configuration.GetValue("IIScribe:HealthMonitoring:PollSeconds", 5)));
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(_interval);
+
+        do
+        {
+            try
+            {
+                using var scope = _scopeFactory.CreateScope();
+                var monitorService = scope.ServiceProvider.GetRequiredService<IHealthMonitorService>();
+                await monitorService.RunDueAsync(DateTime.UtcNow, stoppingToken);
+            }
+            catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+            {
+                break;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Running health monitors failed");
+            }
+        }
+        while (await WaitAsync(timer, stoppingToken));
+    }
+
+    private static async Task<bool> WaitAsync(PeriodicTimer timer, CancellationToken stoppingToken)
+    {
+        try
+        {
+            return await timer.WaitForNextTickAsync(stoppingToken);
+        }
+        catch (OperationCanceledException)
+        {
+            return false;
+        }
+    }
+}
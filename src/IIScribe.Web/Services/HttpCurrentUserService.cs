@@ -0,0 +1,41 @@
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using System.Security.Claims;
+
+namespace IIScribe.Web.Services;
+
+/// <summary>
+/// The signed-in user of the current HTTP request. Outside a request (the deployment worker, startup)
+/// the caller is the system itself, which may do anything.
+/// </summary>
+public class HttpCurrentUserService : ICurrentUserService
+{
+    private const string SystemUser = "System";
+
+    private readonly IHttpContextAccessor _httpContextAccessor;
+
+    public HttpCurrentUserService(IHttpContextAccessor httpContextAccessor)
+    {
+        _httpContextAccessor = httpContextAccessor;
+    }
+
+    public string UserName =>
+        IsAuthenticated ? _httpContextAccessor.HttpContext!.User.Identity!.Name ?? SystemUser : SystemUser;
+
+    public bool IsAuthenticated =>
+        _httpContextAccessor.HttpContext?.User.Identity?.IsAuthenticated == true;
+
+    public UserRole? Role =>
+        IsAuthenticated && Enum.TryParse<UserRole>(_httpContextAccessor.HttpContext!.User.FindFirstValue(ClaimTypes.Role), out var role)
+            ? role
+            : null;
+
+    public bool HasPermission(Permission permission)
+    {
+        var context = _httpContextAccessor.HttpContext;
+        if (context == null)
+            return true;
+
+        return context.User.HasClaim(RolePermissions.ClaimType, permission.ToString());
+    }
+}
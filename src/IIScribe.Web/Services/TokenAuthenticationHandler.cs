@@ -0,0 +1,99 @@
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Options;
+using System.Security.Claims;
+using System.Text.Encodings.Web;
+using System.Text.RegularExpressions;
+
+namespace IIScribe.Web.Services;
+
+/// <summary>
+/// Authenticates requests carrying a bearer token from <see cref="ITokenService"/>. The user is reloaded on
+/// every request, so disabling an account or changing its role takes effect immediately.
+/// </summary>
+public class TokenAuthenticationHandler : AuthenticationHandler<AuthenticationSchemeOptions>
+{
+    public const string SchemeName = "Bearer";
+
+    // The only endpoint that takes the token in the query string; anywhere else it would end up in URLs and logs
+    private static readonly Regex LogStreamPath =
+        new(@"^/api/deployments/[^/]+/logs/stream/?$", RegexOptions.Compiled | RegexOptions.IgnoreCase);
+
+    private readonly ITokenService _tokenService;
+    private readonly IUserService _userService;
+
+    public TokenAuthenticationHandler(
+        IOptionsMonitor<AuthenticationSchemeOptions> options,
+        ILoggerFactory logger,
+        UrlEncoder encoder,
+        ITokenService tokenService,
+        IUserService userService)
+        : base(options, logger, encoder)
+    {
+        _tokenService = tokenService;
+        _userService = userService;
+    }
+
+    protected override async Task<AuthenticateResult> HandleAuthenticateAsync()
+    {
+        var token = GetToken();
+        if (string.IsNullOrEmpty(token))
+            return AuthenticateResult.NoResult();
+
+        var principal = _tokenService.ValidateToken(token);
+        var username = principal?.Identity?.Name;
+        if (username == null)
+            return AuthenticateResult.Fail("Invalid or expired token");
+
+        var user = await _userService.GetUserAsync(username);
+        if (user == null || !user.IsActive)
+            return AuthenticateResult.Fail($"User is not active: {username}");
+
+        var claims = new List<Claim>
+        {
+            new(ClaimTypes.Name, user.Username),
+            new(ClaimTypes.Role, user.Role.ToString())
+        };
+        claims.AddRange(RolePermissions.For(user.Role)
+            .Select(p => new Claim(RolePermissions.ClaimType, p.ToString())));
+
+        var identity = new ClaimsIdentity(claims, SchemeName);
+        return AuthenticateResult.Success(new AuthenticationTicket(new ClaimsPrincipal(identity), SchemeName));
+    }
+
+    protected override async Task HandleChallengeAsync(AuthenticationProperties properties)
+    {
+        Response.StatusCode = StatusCodes.Status401Unauthorized;
+        await Response.WriteAsJsonAsync(new ProblemDetails
+        {
+            Title = "Sign-in Required",
+            Detail = "Sign in again; your session is missing or has expired",
+            Status = 401
+        });
+    }
+
+    protected override async Task HandleForbiddenAsync(AuthenticationProperties properties)
+    {
+        Response.StatusCode = StatusCodes.Status403Forbidden;
+        await Response.WriteAsJsonAsync(new ProblemDetails
+        {
+            Title = "Not Allowed",
+            Detail = $"Your role ({Context.User.FindFirstValue(ClaimTypes.Role)}) does not allow this action",
+            Status = 403
+        });
+    }
+
+    // EventSource cannot set headers, so the log stream passes the token in the query string
+    private string? GetToken()
+    {
+        var header = Request.Headers.Authorization.ToString();
+        if (header.StartsWith("Bearer ", StringComparison.OrdinalIgnoreCase))
+            return header["Bearer ".Length..].Trim();
+
+        return HttpMethods.IsGet(Request.Method) && LogStreamPath.IsMatch(Request.Path.Value ?? string.Empty)
+            ? Request.Query["access_token"].ToString()
+            : null;
+    }
+}
@@ -1,18 +1,310 @@
 // IIScribe Web App
 class IIScribeApp {
     constructor() {
-        this.apiBase = 'http://localhost:5000/api';
+        this.settings = this.loadSettings();
+        this.apiBase = this.getApiBase();
         this.currentDeploymentId = null;
+        this.logStream = null;
+        this.logAutoScroll = true;
+        this.sitesRefreshTimer = null;
+        this.selectedProfile = null;
+        this.editingProfile = null;
+        this.preflight = null;
+        this.detectedDatabase = null;
+        this.deploymentsPage = 1;
+        this.deploymentsPageSize = 20;
+        this.deploymentsSort = { field: 'createdAt', descending: true };
+        this.auditPage = 1;
+        this.auditPageSize = 50;
+        this.auditRecords = [];
+        this.filterTimer = null;
+        this.searchTimer = null;
+        this.searchQuery = '';
+        this.previousRoute = null;
+        this.offlineMode = this.isOfflineMode();
+        this.session = null;
+        this.users = [];
+        this.notificationChannels = [];
+        this.sites = [];
+        this.siteMonitors = [];
+        this.approvalPolicies = [];
+        this.schedules = [];
+        this.scheduleWeek = this.getWeekStart(new Date());
         this.init();
     }
 
     init() {
+        this.restoreSession();
         this.setupNavigation();
+        this.showOfflineBadge();
         this.setupForms();
-        this.loadDashboard();
+        this.applyDeployDefaults();
         this.setupEventListeners();
         
-        console.log('🚀 IIScribe initialized');
+        console.log('🚀 IIScribe initialized' + (this.offlineMode ? ' (offline demo mode)' : ''));
+    }
+
+    // Offline/demo mode serves the mock data below instead of calling the API.
+    // Enable with ?demo=1 in the URL or localStorage 'iiscribe.offlineMode' = 'true'.
+    isOfflineMode() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('demo')) {
+            return params.get('demo') !== '0';
+        }
+        return localStorage.getItem('iiscribe.offlineMode') === 'true';
+    }
+
+    // Settings are stored per browser: saved server connections, deploy form defaults and display preferences
+    getDefaultSettings() {
+        return {
+            connections: [{ name: 'Local', url: 'http://localhost:5000' }],
+            activeConnection: 'http://localhost:5000',
+            defaults: {
+                environment: 'Development',
+                target: 'LocalIIS',
+                strategy: 'StopAndDeploy',
+                databaseProvider: 'SqlServerLocalDb',
+                certificateType: 'SelfSigned'
+            },
+            refreshSeconds: 10,
+            timeZone: '',
+            certificateWarningDays: 30
+        };
+    }
+
+    loadSettings() {
+        const defaults = this.getDefaultSettings();
+        try {
+            const saved = JSON.parse(localStorage.getItem('iiscribe.settings') || '{}');
+            return { ...defaults, ...saved, defaults: { ...defaults.defaults, ...saved.defaults } };
+        } catch (error) {
+            console.warn('Ignoring unreadable saved settings:', error);
+            return defaults;
+        }
+    }
+
+    persistSettings() {
+        localStorage.setItem('iiscribe.settings', JSON.stringify(this.settings));
+    }
+
+    getApiBase() {
+        return `${this.settings.activeConnection}/api`;
+    }
+
+    // Accepts "host:port", a base URL or one ending in /api, and returns the base URL
+    normalizeEndpoint(value) {
+        const text = value.trim();
+        let url;
+        try {
+            url = new URL(/^[a-z]+:\/\//i.test(text) ? text : `http://${text}`);
+        } catch {
+            throw new Error(`Not a valid URL: ${text || '(empty)'}`);
+        }
+        
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error('The API endpoint must be an http:// or https:// URL');
+        }
+        
+        return `${url.origin}${url.pathname.replace(/\/+$/, '').replace(/\/api$/i, '')}`;
+    }
+
+    // Connectivity check against GET /api/system; resolves with the server's info and round-trip time
+    async checkConnection(endpoint) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 5000);
+        const started = performance.now();
+        
+        try {
+            const response = await fetch(`${endpoint}/api/system`, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Server responded ${response.status} ${response.statusText}`);
+            }
+            
+            const info = await response.json().catch(() => null);
+            if (info?.name !== 'IIScribe') {
+                throw new Error('The endpoint answered but is not an IIScribe server');
+            }
+            
+            return { ...info, latencyMs: Math.round(performance.now() - started) };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('No response within 5 seconds');
+            }
+            if (error instanceof TypeError) {
+                throw new Error('Could not reach the server. Check the URL and that it is running.');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    applyDeployDefaults() {
+        const defaults = this.settings.defaults;
+        this.setSelectValue('environment', defaults.environment);
+        this.setSelectValue('target', defaults.target);
+        this.setSelectValue('strategy', defaults.strategy);
+        this.setSelectValue('db-provider', defaults.databaseProvider);
+        this.setSelectValue('cert-type', defaults.certificateType);
+        this.toggleTargetSettings();
+    }
+
+    showOfflineBadge() {
+        const badge = document.getElementById('offline-badge');
+        if (badge) {
+            badge.classList.toggle('hidden', !this.offlineMode);
+        }
+    }
+
+    // Sign-in tokens are kept per server connection: { [url]: { token, expiresAt, user } }.
+    // Offline demo mode signs in as a demo administrator who may do everything.
+    restoreSession() {
+        if (this.offlineMode) {
+            this.session = {
+                token: null,
+                user: {
+                    username: 'demo',
+                    fullName: 'Demo Administrator',
+                    role: 'Administrator',
+                    permissions: this.getEnumValues('permission')
+                }
+            };
+        } else {
+            const saved = this.loadSessions()[this.settings.activeConnection];
+            this.session = saved && new Date(saved.expiresAt) > new Date() ? saved : null;
+        }
+
+        this.renderUser();
+        this.applyPermissions();
+
+        if (this.session) {
+            this.refreshSession();
+            this.loadApprovalCount();
+        } else {
+            this.showLogin();
+        }
+    }
+
+    loadSessions() {
+        try {
+            return JSON.parse(localStorage.getItem('iiscribe.sessions') || '{}');
+        } catch {
+            return {};
+        }
+    }
+
+    storeSession(session) {
+        const sessions = this.loadSessions();
+        if (session) {
+            sessions[this.settings.activeConnection] = session;
+        } else {
+            delete sessions[this.settings.activeConnection];
+        }
+        localStorage.setItem('iiscribe.sessions', JSON.stringify(sessions));
+        this.session = session;
+    }
+
+    // Picks up role changes made since the token was issued; a 401 shows the sign-in form
+    async refreshSession() {
+        if (this.offlineMode) return;
+
+        try {
+            const user = await this.api('GET', '/auth/me');
+            this.storeSession({ ...this.session, user });
+            this.renderUser();
+            this.applyPermissions();
+        } catch (error) {
+            console.warn('Could not refresh the signed-in user:', error);
+        }
+    }
+
+    showLogin(message = '') {
+        const overlay = document.getElementById('login-overlay');
+        if (!overlay) return;
+
+        this.fillSelect('login-server',
+            this.settings.connections.map(c => [c.url, `${c.name} (${c.url})`]),
+            this.settings.activeConnection);
+        this.setSelectValue('login-server', this.settings.activeConnection);
+
+        const error = document.getElementById('login-error');
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+
+        overlay.classList.remove('hidden');
+        document.getElementById('login-username').focus();
+    }
+
+    async handleLogin() {
+        const server = document.getElementById('login-server').value;
+        const username = document.getElementById('login-username').value.trim();
+        const password = document.getElementById('login-password').value;
+        const submit = document.getElementById('login-submit');
+
+        if (server !== this.settings.activeConnection) {
+            this.settings.activeConnection = server;
+            this.apiBase = this.getApiBase();
+            this.persistSettings();
+        }
+
+        submit.disabled = true;
+        try {
+            const response = await this.api('POST', '/auth/login', { username, password });
+            this.storeSession({ token: response.token, expiresAt: response.expiresAt, user: response.user });
+        } catch (error) {
+            console.error('Sign-in error:', error);
+            this.showLogin(error instanceof TypeError
+                ? `Could not reach ${server}. Check that the server is running.`
+                : error.message);
+            return;
+        } finally {
+            submit.disabled = false;
+        }
+
+        document.getElementById('login-password').value = '';
+        document.getElementById('login-overlay').classList.add('hidden');
+        this.renderUser();
+        this.applyPermissions();
+        this.loadApprovalCount();
+        this.handleRoute();
+    }
+
+    signOut() {
+        this.closeLogStream();
+        this.stopSitesAutoRefresh();
+        this.storeSession(null);
+        this.renderUser();
+        this.applyPermissions();
+        this.showLogin();
+    }
+
+    renderUser() {
+        const user = this.session?.user;
+        this.setText('user-name', user ? (user.fullName || user.username) : 'Not signed in');
+        this.setText('user-role', user?.role || '');
+        this.setText('user-avatar', (user?.fullName || user?.username || '?').charAt(0).toUpperCase());
+        document.getElementById('sign-out-btn')?.classList.toggle('hidden', !user || this.offlineMode);
+    }
+
+    can(permission) {
+        return Boolean(this.session?.user.permissions.includes(permission));
+    }
+
+    // Hides actions the signed-in role may not perform; the server enforces the same rules.
+    // Static markup opts in with data-permission; rendered lists check can() themselves.
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(el =>
+            el.classList.toggle('hidden', !this.can(el.dataset.permission)));
+
+        const production = document.querySelector('#environment option[value="Production"]');
+        if (production) {
+            const allowed = this.can('DeployProduction');
+            production.disabled = !allowed;
+            production.title = allowed ? '' : 'Your role cannot deploy to Production';
+            if (!allowed && production.selected) {
+                document.getElementById('environment').value = 'Development';
+            }
+        }
     }
 
     setupNavigation() {
@@ -22,21 +314,100 @@ class IIScribeApp {
             item.addEventListener('click', (e) => {
                 e.preventDefault();
                 
-                // Update active state
-                navItems.forEach(ni => ni.classList.remove('active'));
-                item.classList.add('active');
-                
-                // Show corresponding page
-                const pageName = item.dataset.page;
-                this.showPage(pageName);
+                // Clicking the current page reloads it
+                this.navigate(item.dataset.page);
             });
         });
+
+        window.addEventListener('hashchange', () => this.handleRoute());
+        this.handleRoute();
+    }
+
+    // Routes live in the URL hash so they survive a refresh and can be shared:
+    //   #/dashboard, #/deploy, #/approvals, #/schedule, #/sites, #/settings
+    //   #/deployments?status=Failed&environment=Production&page=2
+    //   #/deployments/{id}   deployment detail
+    //   #/profiles/{id}      profile editor over the profiles list
+    //   #/audit?type=ConfigurationChanged&user=jane&page=2
+    parseRoute(hash = window.location.hash) {
+        const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+        return {
+            segments: path.split('/').filter(Boolean).map(decodeURIComponent),
+            params: new URLSearchParams(query)
+        };
+    }
+
+    buildRoute(path, params = {}) {
+        const query = new URLSearchParams(
+            Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined));
+        const search = query.toString();
+        return `#/${path}${search ? `?${search}` : ''}`;
+    }
+
+    navigate(path, params = {}, { replace = false } = {}) {
+        const hash = this.buildRoute(path, params);
+        
+        // pushState doesn't fire hashchange, so route here; back/forward come through the listener
+        if (hash !== window.location.hash) {
+            history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+        }
+        this.handleRoute();
+    }
+
+    handleRoute() {
+        const { segments, params } = this.parseRoute();
+        const [page, id] = segments;
+        
+        this.closeModal();
+        this.previousRoute = this.currentRoute;
+        this.currentRoute = window.location.hash;
+        
+        switch (page) {
+            case 'dashboard':
+                this.applyAnalyticsFilters(params);
+                this.showPage('dashboard');
+                return;
+            case 'deployments':
+                if (id) {
+                    this.showDeploymentDetail(id);
+                } else {
+                    this.applyDeploymentFilters(params);
+                    this.showPage('deployments');
+                }
+                return;
+            case 'profiles':
+                this.showPage('profiles');
+                if (id) {
+                    this.editProfile(id);
+                }
+                return;
+            case 'audit':
+                this.applyAuditFilters(params);
+                this.showPage('audit');
+                return;
+        }
+        
+        // Unknown or missing routes fall back to the dashboard without adding a history entry
+        if (!page || page === 'deployment-detail' || !document.getElementById(`${page}-page`)) {
+            this.navigate('dashboard', {}, { replace: true });
+            return;
+        }
+        
+        this.showPage(page);
     }
 
+    // Route handler: switches the visible page and loads its data. Navigate with navigate() instead.
     showPage(pageName) {
+        this.stopSitesAutoRefresh();
+        
         const pages = document.querySelectorAll('.page');
         pages.forEach(page => page.classList.remove('active'));
         
+        // Sub-pages highlight their parent nav item
+        const navPage = pageName === 'deployment-detail' ? 'deployments' : pageName;
+        document.querySelectorAll('.nav-item').forEach(item =>
+            item.classList.toggle('active', item.dataset.page === navPage));
+        
         const activePage = document.getElementById(`${pageName}-page`);
         if (activePage) {
             activePage.classList.add('active');
@@ -46,14 +417,42 @@ class IIScribeApp {
                 case 'dashboard':
                     this.loadDashboard();
                     break;
+                case 'deploy':
+                    this.loadApprovalPolicies();
+                    break;
                 case 'deployments':
                     this.loadDeployments();
                     break;
+                case 'approvals':
+                    this.loadApprovals();
+                    break;
+                case 'schedule':
+                    this.loadSchedule();
+                    break;
+                case 'pipeline':
+                    this.loadPipelines();
+                    break;
                 case 'profiles':
                     this.loadProfiles();
                     break;
                 case 'sites':
                     this.loadSites();
+                    this.startSitesAutoRefresh();
+                    break;
+                case 'hosts':
+                    this.loadHosts();
+                    break;
+                case 'backups':
+                    this.loadBackups();
+                    break;
+                case 'certificates':
+                    this.loadCertificates();
+                    break;
+                case 'audit':
+                    this.loadAudit();
+                    break;
+                case 'settings':
+                    this.renderSettings();
                     break;
             }
         }
@@ -67,6 +466,45 @@ class IIScribeApp {
                 e.preventDefault();
                 this.handleDeploy();
             });
+            
+            // Editing a field flagged by the pre-flight check clears the flag
+            deployForm.addEventListener('input', (e) => {
+                e.target.classList.remove('field-error');
+            });
+            
+            // Fields only hold their reset values once the reset event has finished
+            deployForm.addEventListener('reset', () => setTimeout(() => {
+                this.toggleTargetSettings();
+                this.toggleDatabaseMode();
+            }));
+        }
+
+        const analyze = document.getElementById('analyze-btn');
+        if (analyze) {
+            analyze.addEventListener('click', () => this.analyzeDeployment());
+        }
+
+        // Approval and change window notes follow the chosen environment
+        const environment = document.getElementById('environment');
+        if (environment) {
+            environment.addEventListener('change', () => this.renderEnvironmentPolicy());
+        }
+
+        // Each target shows its own settings
+        const target = document.getElementById('target');
+        if (target) {
+            target.addEventListener('change', (e) => this.toggleTargetSettings(e.target.value));
+        }
+
+        const containerPreview = document.getElementById('container-preview-btn');
+        if (containerPreview) {
+            containerPreview.addEventListener('click', () => this.previewContainerFiles());
+        }
+
+        // Scheduling turns Deploy Now into Schedule
+        const enableSchedule = document.getElementById('enable-schedule');
+        if (enableSchedule) {
+            enableSchedule.addEventListener('change', (e) => this.toggleSchedule(e.target.checked));
         }
 
         // Database toggle
@@ -78,6 +516,9 @@ class IIScribeApp {
             });
         }
 
+        // Migrations folder or DACPAC path, whichever the mode uses
+        document.getElementById('db-mode')?.addEventListener('change', (e) => this.toggleDatabaseMode(e.target.value));
+
         // SSL toggle
         const enableSsl = document.getElementById('enable-ssl');
         const sslConfig = document.getElementById('ssl-config');
@@ -89,116 +530,815 @@ class IIScribeApp {
     }
 
     setupEventListeners() {
-        // Filter deployments
-        const filterStatus = document.getElementById('filter-status');
-        const filterEnvironment = document.getElementById('filter-environment');
-        
-        if (filterStatus) {
-            filterStatus.addEventListener('change', () => this.loadDeployments());
+        // Filter deployments. Changes go through the route so they can be bookmarked; they start again at page 1
+        ['status', 'environment', 'target', 'strategy', 'from', 'to'].forEach(name => {
+            document.getElementById(`filter-${name}`)
+                ?.addEventListener('change', () => this.filterDeployments());
+        });
+
+        // Typing replaces the history entry rather than adding one per keystroke
+        const filterText = document.getElementById('filter-q');
+        if (filterText) {
+            filterText.addEventListener('input', () => {
+                clearTimeout(this.filterTimer);
+                this.filterTimer = setTimeout(() => this.filterDeployments({ replace: true }), 300);
+            });
         }
-        
-        if (filterEnvironment) {
-            filterEnvironment.addEventListener('change', () => this.loadDeployments());
+
+        const filterClear = document.getElementById('filter-clear');
+        if (filterClear) {
+            filterClear.addEventListener('click', () => this.clearDeploymentFilters());
+        }
+
+        document.querySelectorAll('#deployments-table th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => this.sortDeployments(th.dataset.sort));
+        });
+
+        this.setupGlobalSearch();
+
+        // Dashboard analytics filters live in the route too
+        ['from', 'to', 'team'].forEach(name => {
+            document.getElementById(`analytics-${name}`)
+                ?.addEventListener('change', () => this.filterAnalytics());
+        });
+
+        // Live log panel controls
+        const logLevelFilter = document.getElementById('log-level-filter');
+        if (logLevelFilter) {
+            logLevelFilter.addEventListener('change', () => {
+                document.querySelectorAll('#deployment-log-content .log-entry')
+                    .forEach(entry => this.applyLogFilter(entry));
+            });
+        }
+
+        const modal = document.getElementById('modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.closeModal();
+            });
+        }
+
+        const newProfile = document.getElementById('new-profile-btn');
+        if (newProfile) {
+            newProfile.addEventListener('click', () => this.newProfile());
+        }
+
+        const importProfile = document.getElementById('import-profile-btn');
+        if (importProfile) {
+            importProfile.addEventListener('click', () => this.openProfileImport());
+        }
+
+        const profileTemplates = document.getElementById('profile-templates-btn');
+        if (profileTemplates) {
+            profileTemplates.addEventListener('click', () => this.openTemplateGallery());
+        }
+
+        const saveAsProfile = document.getElementById('save-as-profile-btn');
+        if (saveAsProfile) {
+            saveAsProfile.addEventListener('click', () => this.saveFormAsProfile());
+        }
+
+        const loginForm = document.getElementById('login-form');
+        if (loginForm) {
+            loginForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleLogin();
+            });
+        }
+
+        const signOut = document.getElementById('sign-out-btn');
+        if (signOut) {
+            signOut.addEventListener('click', () => this.signOut());
+        }
+
+        const changePassword = document.getElementById('change-password-btn');
+        if (changePassword) {
+            changePassword.addEventListener('click', () => this.openChangePassword());
+        }
+
+        const addUser = document.getElementById('add-user-btn');
+        if (addUser) {
+            addUser.addEventListener('click', () => this.openUserEditor());
+        }
+
+        const addChannel = document.getElementById('add-channel-btn');
+        if (addChannel) {
+            addChannel.addEventListener('click', () => this.openChannelEditor());
+        }
+
+        const testConnection = document.getElementById('test-connection-btn');
+        if (testConnection) {
+            testConnection.addEventListener('click', () => this.testConnection());
+        }
+
+        const addConnection = document.getElementById('add-connection-btn');
+        if (addConnection) {
+            addConnection.addEventListener('click', () => this.saveConnection());
+        }
+
+        const saveSettings = document.getElementById('save-settings-btn');
+        if (saveSettings) {
+            saveSettings.addEventListener('click', () => this.saveSettings());
+        }
+
+        const resetSettings = document.getElementById('reset-settings-btn');
+        if (resetSettings) {
+            resetSettings.addEventListener('click', () => this.resetSettings());
+        }
+
+        const approvalsRefresh = document.getElementById('approvals-refresh');
+        if (approvalsRefresh) {
+            approvalsRefresh.addEventListener('click', () => this.loadApprovals());
+        }
+
+        document.getElementById('schedule-prev')?.addEventListener('click', () => this.moveScheduleWeek(-7));
+        document.getElementById('schedule-next')?.addEventListener('click', () => this.moveScheduleWeek(7));
+        document.getElementById('schedule-today')?.addEventListener('click', () => {
+            this.scheduleWeek = this.getWeekStart(new Date());
+            this.loadSchedule();
+        });
+
+        document.getElementById('pipeline-refresh')?.addEventListener('click', () => this.loadPipelines());
+
+        const sitesRefresh = document.getElementById('sites-refresh');
+        if (sitesRefresh) {
+            sitesRefresh.addEventListener('click', () => this.loadSites());
+        }
+
+        const hostsRefresh = document.getElementById('hosts-refresh');
+        if (hostsRefresh) {
+            hostsRefresh.addEventListener('click', () => this.loadHosts());
+        }
+
+        const hostsShowAll = document.getElementById('hosts-show-all');
+        if (hostsShowAll) {
+            hostsShowAll.addEventListener('change', () => this.loadHosts());
+        }
+
+        const hostsAdd = document.getElementById('hosts-add-btn');
+        if (hostsAdd) {
+            hostsAdd.addEventListener('click', () => this.openHostsAdd());
+        }
+
+        const hostsRemoveOrphaned = document.getElementById('hosts-remove-orphaned');
+        if (hostsRemoveOrphaned) {
+            hostsRemoveOrphaned.addEventListener('click', () => this.removeOrphanedHosts());
+        }
+
+        const hostsRemoveSelected = document.getElementById('hosts-remove-selected');
+        if (hostsRemoveSelected) {
+            hostsRemoveSelected.addEventListener('click', () => this.removeSelectedHosts());
+        }
+
+        document.getElementById('backups-refresh')?.addEventListener('click', () => this.loadBackups());
+        document.getElementById('backups-database')?.addEventListener('change', () => this.renderBackups());
+        document.getElementById('backups-now-btn')?.addEventListener('click', () => this.backupNow());
+
+        const certificatesRefresh = document.getElementById('certificates-refresh');
+        if (certificatesRefresh) {
+            certificatesRefresh.addEventListener('click', () => this.loadCertificates());
+        }
+
+        const certificatesExpiringOnly = document.getElementById('certificates-expiring-only');
+        if (certificatesExpiringOnly) {
+            certificatesExpiringOnly.addEventListener('change', () => this.loadCertificates());
+        }
+
+        const uploadCertificate = document.getElementById('upload-certificate-btn');
+        if (uploadCertificate) {
+            uploadCertificate.addEventListener('click', () => this.openCertificateUpload());
+        }
+
+        // Audit filters go through the route like the deployments list
+        ['type', 'from', 'to'].forEach(name => {
+            document.getElementById(`audit-filter-${name}`)
+                ?.addEventListener('change', () => this.filterAudit());
+        });
+
+        ['user', 'resource'].forEach(name => {
+            document.getElementById(`audit-filter-${name}`)?.addEventListener('input', () => {
+                clearTimeout(this.filterTimer);
+                this.filterTimer = setTimeout(() => this.filterAudit({ replace: true }), 300);
+            });
+        });
+
+        const auditClear = document.getElementById('audit-filter-clear');
+        if (auditClear) {
+            auditClear.addEventListener('click', () => this.navigate('audit'));
+        }
+
+        const auditVerify = document.getElementById('audit-verify-btn');
+        if (auditVerify) {
+            auditVerify.addEventListener('click', () => this.verifyAudit());
+        }
+
+        const auditExport = document.getElementById('audit-export-btn');
+        if (auditExport) {
+            auditExport.addEventListener('click', () => this.exportAuditCsv());
+        }
+
+        const detailBack = document.getElementById('deployment-detail-back');
+        if (detailBack) {
+            detailBack.addEventListener('click', () => {
+                // Return to the list the detail was opened from, or the unfiltered list after a deep link
+                if (this.previousRoute?.startsWith('#/deployments') && this.previousRoute !== this.currentRoute) {
+                    history.back();
+                } else {
+                    this.navigate('deployments');
+                }
+            });
+        }
+
+        const autoScrollToggle = document.getElementById('log-autoscroll-toggle');
+        if (autoScrollToggle) {
+            autoScrollToggle.addEventListener('click', () => this.toggleLogAutoScroll());
         }
     }
 
     async loadDashboard() {
+        const statIds = ['total-deployments', 'active-sites', 'success-rate', 'certs-expiring'];
+        statIds.forEach(id => this.setText(id, '…'));
+
+        const tbody = document.querySelector('#recent-deployments-table tbody');
+        this.renderTableMessage(tbody, 'Loading recent deployments...', 'loading');
+
         try {
-            // Load mock data for demo
-            const stats = this.getMockStats();
+            const stats = await this.getDashboardSummary();
             
             // Update stats
-            document.getElementById('total-deployments').textContent = stats.totalDeployments;
-            document.getElementById('active-sites').textContent = stats.activeSites;
-            document.getElementById('success-rate').textContent = stats.successRate + '%';
-            document.getElementById('certs-expiring').textContent = stats.certsExpiring;
+            this.setText('total-deployments', stats.totalDeployments);
+            this.setText('active-sites', stats.activeSites);
+            this.setText('success-rate', stats.successRate.toFixed(1) + '%');
+            this.setText('certs-expiring', stats.certsExpiring);
             
             // Load recent deployments
-            this.loadRecentDeployments();
+            this.loadRecentDeployments(stats.recentDeployments);
             
         } catch (error) {
             console.error('Error loading dashboard:', error);
-            this.showError('Failed to load dashboard data');
+            statIds.forEach(id => this.setText(id, '—'));
+            this.renderTableMessage(tbody, `Failed to load dashboard data: ${error.message}`, 'error');
         }
+        
+        this.loadAnalytics();
     }
 
-    async loadRecentDeployments() {
-        const tbody = document.querySelector('#recent-deployments-table tbody');
-        if (!tbody) return;
-        
-        const deployments = this.getMockDeployments().slice(0, 5);
+    applyAnalyticsFilters(params) {
+        ['from', 'to'].forEach(name => {
+            const input = document.getElementById(`analytics-${name}`);
+            if (input) input.value = params.get(name) || '';
+        });
         
-        tbody.innerHTML = deployments.map(dep => `
-            <tr>
-                <td>${dep.name}</td>
-                <td><span class="badge info">${dep.environment}</span></td>
-                <td><span class="badge ${this.getStatusClass(dep.status)}">${dep.status}</span></td>
-                <td>${dep.duration}s</td>
-                <td>${this.formatDate(dep.createdAt)}</td>
-                <td>
-                    <button class="btn btn-secondary" onclick="app.viewDeployment('${dep.id}')">View</button>
-                </td>
-            </tr>
-        `).join('');
+        const team = params.get('team') || '';
+        if (team) {
+            this.setSelectValue('analytics-team', team);
+        } else {
+            const select = document.getElementById('analytics-team');
+            if (select) select.value = '';
+        }
     }
 
-    async loadDeployments() {
-        const tbody = document.querySelector('#deployments-table tbody');
-        if (!tbody) return;
-        
-        const filterStatus = document.getElementById('filter-status')?.value || '';
-        const filterEnvironment = document.getElementById('filter-environment')?.value || '';
+    filterAnalytics() {
+        const value = (name) => document.getElementById(`analytics-${name}`)?.value || '';
+        this.navigate('dashboard', { from: value('from'), to: value('to'), team: value('team') });
+    }
+
+    async loadAnalytics() {
+        const sections = ['daily', 'environments', 'targets', 'failing-sites', 'errors', 'mttr', 'teams'];
+        const container = (name) => document.getElementById(`analytics-${name}`);
+        if (!container('daily')) return;
         
-        let deployments = this.getMockDeployments();
+        sections.forEach(name => {
+            container(name).innerHTML = '<p class="detail-empty">Loading...</p>';
+        });
+        this.setText('analytics-daily-axis', '');
+        this.setText('analytics-daily-legend', '');
         
-        // Apply filters
-        if (filterStatus) {
-            deployments = deployments.filter(d => d.status === filterStatus);
+        const value = (name) => document.getElementById(`analytics-${name}`).value;
+        let analytics;
+        try {
+            analytics = await this.getAnalytics({ from: value('from'), to: value('to'), team: value('team') });
+        } catch (error) {
+            console.error('Error loading analytics:', error);
+            sections.forEach(name => {
+                container(name).innerHTML = `<p class="detail-empty">${this.escapeHtml(error.problem?.detail || error.message)}</p>`;
+            });
+            return;
         }
-        if (filterEnvironment) {
-            deployments = deployments.filter(d => d.environment === filterEnvironment);
+        
+        // Show the range the server actually used and the teams it found
+        document.getElementById('analytics-from').value = analytics.from.slice(0, 10);
+        document.getElementById('analytics-to').value = analytics.to.slice(0, 10);
+        this.fillSelect('analytics-team', [['', 'All Teams'], ...analytics.teams], '');
+        if (analytics.team) {
+            this.setSelectValue('analytics-team', analytics.team);
         }
         
-        tbody.innerHTML = deployments.map(dep => `
-            <tr>
-                <td><code>${dep.id.substring(0, 8)}</code></td>
-                <td>${dep.name}</td>
-                <td><span class="badge info">${dep.environment}</span></td>
-                <td>${dep.target}</td>
+        this.renderDailyChart(analytics.daily);
+        container('environments').innerHTML = this.renderSegmentStats(analytics.byEnvironment);
+        container('targets').innerHTML = this.renderSegmentStats(analytics.byTarget);
+        container('failing-sites').innerHTML = this.renderFailingSites(analytics.failingSites, analytics);
+        container('errors').innerHTML = this.renderErrorGroups(analytics.commonErrors);
+        container('mttr').innerHTML = analytics.meanTimeToRecoveryMinutes === null
+            ? '<p class="detail-empty">No failed site has recovered in this range.</p>'
+            : `
+                <div class="mttr-value">${this.formatDuration(analytics.meanTimeToRecoveryMinutes * 60)}</div>
+                <p class="detail-empty">Average over ${analytics.recoveries} recover${analytics.recoveries === 1 ? 'y' : 'ies'}, from a site's first failure to its next successful deployment</p>
+            `;
+        container('teams').innerHTML = this.renderTeamMetrics(analytics.teamMetrics);
+    }
+
+    getStatusColor(status) {
+        const map = {
+            'Success': 'var(--success)',
+            'Failed': 'var(--danger)',
+            'ValidationFailed': 'var(--danger)',
+            'RolledBack': 'var(--warning)'
+        };
+        return map[status] || 'var(--info)';
+    }
+
+    // Stacked columns, one per day, scaled to the busiest day
+    renderDailyChart(days) {
+        const chart = document.getElementById('analytics-daily');
+        const axis = document.getElementById('analytics-daily-axis');
+        const legend = document.getElementById('analytics-daily-legend');
+        const max = Math.max(1, ...days.map(day => day.total));
+        const statuses = [...new Set(days.flatMap(day => Object.keys(day.byStatus)))];
+        const dayLabel = (day) => new Date(`${day.date.slice(0, 10)}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        
+        if (statuses.length === 0) {
+            chart.innerHTML = '<p class="detail-empty">No deployments in this range.</p>';
+            axis.innerHTML = '';
+            legend.innerHTML = '';
+            return;
+        }
+        
+        chart.innerHTML = days.map(day => {
+            const breakdown = Object.entries(day.byStatus).map(([status, count]) => `${status}: ${count}`).join(', ');
+            return `
+                <div class="daily-bar" title="${this.escapeHtml(`${dayLabel(day)} — ${day.total} deployment${day.total === 1 ? '' : 's'}${breakdown ? ` (${breakdown})` : ''}`)}">
+                    ${statuses.filter(status => day.byStatus[status]).map(status => `
+                        <span style="height: ${day.byStatus[status] / max * 100}%; background: ${this.getStatusColor(status)}"></span>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+        
+        axis.innerHTML = `<span>${dayLabel(days[0])}</span><span>${dayLabel(days[days.length - 1])}</span>`;
+        legend.innerHTML = statuses.map(status => `
+            <span style="--swatch: ${this.getStatusColor(status)}">${status}</span>
+        `).join('');
+    }
+
+    renderMeter(label, detail, percent, className = '') {
+        return `
+            <div class="meter-row">
+                <div class="meter-label">
+                    <span>${label}</span>
+                    <small>${detail}</small>
+                </div>
+                <div class="meter ${className}"><span style="width: ${Math.min(100, Math.max(0, percent))}%"></span></div>
+            </div>
+        `;
+    }
+
+    renderSegmentStats(segments) {
+        if (segments.length === 0) {
+            return '<p class="detail-empty">No finished deployments in this range.</p>';
+        }
+        
+        return segments.map(segment => {
+            const rate = segment.successRate;
+            return this.renderMeter(
+                this.escapeHtml(segment.name),
+                `${rate.toFixed(1)}% of ${segment.total} · median ${this.formatDuration(segment.medianDurationSeconds)}`,
+                rate,
+                rate >= 90 ? 'success' : rate >= 70 ? 'warning' : 'danger');
+        }).join('');
+    }
+
+    renderFailingSites(sites, { from, to }) {
+        if (sites.length === 0) {
+            return '<p class="detail-empty">No failed deployments in this range.</p>';
+        }
+        
+        const max = Math.max(...sites.map(site => site.failures));
+        return sites.map(site => {
+            const link = this.buildRoute('deployments', { q: site.siteName, status: 'Failed', from: from.slice(0, 10), to: to.slice(0, 10) });
+            return this.renderMeter(
+                `<a href="${link}">${this.escapeHtml(site.siteName)}</a>`,
+                `${site.failures} of ${site.total} failed · last ${this.formatDate(site.lastFailureAt)}`,
+                site.failures / max * 100,
+                'danger');
+        }).join('');
+    }
+
+    renderErrorGroups(groups) {
+        if (groups.length === 0) {
+            return '<p class="detail-empty">No errors in this range.</p>';
+        }
+        
+        const max = Math.max(...groups.map(group => group.count));
+        return groups.map(group => `
+            <div class="error-group">
+                ${this.renderMeter(
+                    `<code>${this.escapeHtml(group.message)}</code>`,
+                    `${group.count}× · <a href="#/deployments/${group.latestDeploymentId}">latest</a>`,
+                    group.count / max * 100,
+                    'danger')}
+            </div>
+        `).join('');
+    }
+
+    renderTeamMetrics(teams) {
+        if (teams.length === 0) {
+            return '<p class="detail-empty">No deployments in this range.</p>';
+        }
+        
+        // Largest entry of a { name: count } breakdown
+        const top = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || '—';
+        
+        return `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Team</th>
+                        <th>Deployments</th>
+                        <th>Success Rate</th>
+                        <th>Avg Duration</th>
+                        <th>Busiest Environment</th>
+                        <th>Top Deployer</th>
+                        <th>Most Common Error</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${teams.map(team => `
+                        <tr>
+                            <td>${this.escapeHtml(team.teamName)}</td>
+                            <td>${team.totalDeployments}</td>
+                            <td>${team.successRate.toFixed(1)}%</td>
+                            <td>${this.formatDuration(team.averageDeploymentTimeSeconds)}</td>
+                            <td>${this.escapeHtml(top(team.deploymentsByEnvironment))}</td>
+                            <td>${this.escapeHtml(top(team.deploymentsByUser))}</td>
+                            <td>${team.mostCommonErrors.length ? `<code>${this.escapeHtml(team.mostCommonErrors[0])}</code>` : '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    loadRecentDeployments(deployments) {
+        const tbody = document.querySelector('#recent-deployments-table tbody');
+        if (!tbody) return;
+        
+        if (deployments.length === 0) {
+            this.renderTableMessage(tbody, 'No deployments yet. Start one from the Deploy page.', 'empty');
+            return;
+        }
+        
+        tbody.innerHTML = deployments.slice(0, 5).map(dep => `
+            <tr>
+                <td>${this.escapeHtml(dep.name)}</td>
+                <td><span class="badge info">${dep.environment}</span></td>
                 <td><span class="badge ${this.getStatusClass(dep.status)}">${dep.status}</span></td>
                 <td>${dep.duration}s</td>
                 <td>${this.formatDate(dep.createdAt)}</td>
+                <td>
+                    <button class="btn btn-secondary" onclick="app.viewDeployment('${dep.id}')">View</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    readDeploymentFilters() {
+        const value = (name) => document.getElementById(`filter-${name}`)?.value || '';
+        return {
+            q: value('q'),
+            status: value('status'),
+            environment: value('environment'),
+            target: value('target'),
+            strategy: value('strategy'),
+            from: value('from'),
+            to: value('to')
+        };
+    }
+
+    // Route params for the deployments list; defaults are left out to keep links short
+    getDeploymentsRouteParams(overrides = {}) {
+        const { field, descending } = this.deploymentsSort;
+        return {
+            ...this.readDeploymentFilters(),
+            sort: field === 'createdAt' ? '' : field,
+            dir: descending ? '' : 'asc',
+            ...overrides
+        };
+    }
+
+    applyDeploymentFilters(params) {
+        ['status', 'environment', 'target', 'strategy'].forEach(name => {
+            const value = params.get(name) || '';
+            if (value) {
+                this.setSelectValue(`filter-${name}`, value);
+            } else {
+                const select = document.getElementById(`filter-${name}`);
+                if (select) select.value = '';
+            }
+        });
+        
+        // Leave the input alone when it already matches so typing keeps its caret
+        ['q', 'from', 'to'].forEach(name => {
+            const input = document.getElementById(`filter-${name}`);
+            const value = params.get(name) || '';
+            if (input && input.value.trim() !== value.trim()) input.value = value;
+        });
+        
+        this.deploymentsSort = {
+            field: params.get('sort') || 'createdAt',
+            descending: params.get('dir') !== 'asc'
+        };
+        this.deploymentsPage = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    }
+
+    filterDeployments({ replace = false } = {}) {
+        this.navigate('deployments', this.getDeploymentsRouteParams(), { replace });
+    }
+
+    sortDeployments(field) {
+        const { field: current, descending } = this.deploymentsSort;
+        
+        // Clicking the sorted column flips it; dates and durations start largest first, text A-Z
+        this.deploymentsSort = {
+            field,
+            descending: field === current ? !descending : field === 'createdAt' || field === 'duration'
+        };
+        this.filterDeployments();
+    }
+
+    clearDeploymentFilters() {
+        this.deploymentsSort = { field: 'createdAt', descending: true };
+        this.navigate('deployments');
+    }
+
+    goToDeploymentsPage(page) {
+        this.navigate('deployments', this.getDeploymentsRouteParams({ page: page > 1 ? page : '' }));
+    }
+
+    async loadDeployments() {
+        const tbody = document.querySelector('#deployments-table tbody');
+        if (!tbody) return;
+        
+        const filters = this.readDeploymentFilters();
+        const query = {
+            ...filters,
+            sort: this.deploymentsSort.field,
+            descending: this.deploymentsSort.descending,
+            page: this.deploymentsPage,
+            pageSize: this.deploymentsPageSize
+        };
+        
+        this.updateSortHeaders();
+        this.renderTableMessage(tbody, 'Loading deployments...', 'loading');
+        
+        let result, queue;
+        try {
+            [result, queue] = await Promise.all([this.getDeployments(query), this.getDeploymentQueue()]);
+        } catch (error) {
+            console.error('Error loading deployments:', error);
+            this.renderTableMessage(tbody, `Failed to load deployments: ${error.message}`, 'error');
+            document.getElementById('deployments-pager')?.classList.add('hidden');
+            return;
+        }
+        
+        this.renderDeploymentsPager(result);
+        
+        const deployments = result.items;
+        if (deployments.length === 0) {
+            this.renderTableMessage(tbody,
+                result.totalCount > 0
+                    ? 'No deployments on this page.'
+                    : Object.values(filters).some(Boolean)
+                        ? 'No deployments match the selected filters.'
+                        : 'No deployments yet.',
+                'empty');
+            return;
+        }
+        
+        tbody.innerHTML = deployments.map(dep => `
+            <tr data-deployment-id="${dep.id}">
+                <td><code>${dep.id.substring(0, 8)}</code></td>
+                <td>${this.escapeHtml(dep.name)}</td>
+                <td><span class="badge info">${dep.environment}</span></td>
+                <td>${dep.target}</td>
+                <td>
+                    <span class="badge ${this.getStatusClass(dep.status)}">${dep.status}</span>
+                    ${this.renderQueuePosition(queue.find(q => q.deploymentId === dep.id))}
+                </td>
+                <td>${this.renderApprovals(dep)}</td>
+                <td>${dep.duration}s</td>
+                <td>${this.formatDate(dep.createdAt)}</td>
                 <td>
                     <button class="btn btn-secondary" onclick="app.viewDeployment('${dep.id}')">
                         View
                     </button>
-                    ${dep.status === 'Success' ? `
-                        <button class="btn btn-danger" onclick="app.rollbackDeployment('${dep.id}')">
+                    ${dep.status === 'Success' && this.can('Rollback') ? `
+                        <button class="btn btn-danger rollback-btn" onclick="app.rollbackDeployment('${dep.id}')">
                             Rollback
                         </button>
                     ` : ''}
+                    ${dep.status === 'Success' && this.canPromoteTo(this.getNextEnvironment(dep.environment)) ? `
+                        <button class="btn btn-secondary" onclick="app.openPromotion('${dep.id}')">
+                            Promote
+                        </button>
+                    ` : ''}
                 </td>
             </tr>
         `).join('');
     }
 
+    updateSortHeaders() {
+        const { field, descending } = this.deploymentsSort;
+        
+        document.querySelectorAll('#deployments-table th[data-sort]').forEach(th => {
+            const sorted = th.dataset.sort === field;
+            th.classList.toggle('sorted', sorted);
+            th.classList.toggle('desc', sorted && descending);
+            th.setAttribute('aria-sort', sorted ? (descending ? 'descending' : 'ascending') : 'none');
+        });
+    }
+
+    renderDeploymentsPager(result) {
+        const { totalCount } = result;
+        this.setText('deployments-total', `${totalCount} deployment${totalCount === 1 ? '' : 's'}`);
+        this.renderPager('deployments-pager', result, 'goToDeploymentsPage');
+    }
+
+    // goTo names the app method that opens a page number
+    renderPager(id, { page, pageSize, totalCount, totalPages }, goTo) {
+        const pager = document.getElementById(id);
+        if (!pager) return;
+        
+        pager.classList.toggle('hidden', totalCount === 0);
+        const first = Math.min((page - 1) * pageSize + 1, totalCount);
+        const last = Math.min(page * pageSize, totalCount);
+        
+        pager.innerHTML = `
+            <span>${first}–${last} of ${totalCount}</span>
+            <button class="btn btn-secondary btn-sm" onclick="app.${goTo}(1)" ${page > 1 ? '' : 'disabled'}>« First</button>
+            <button class="btn btn-secondary btn-sm" onclick="app.${goTo}(${page - 1})" ${page > 1 ? '' : 'disabled'}>← Previous</button>
+            <span>Page ${page} of ${Math.max(totalPages, 1)}</span>
+            <button class="btn btn-secondary btn-sm" onclick="app.${goTo}(${page + 1})" ${page < totalPages ? '' : 'disabled'}>Next →</button>
+            <button class="btn btn-secondary btn-sm" onclick="app.${goTo}(${totalPages})" ${page < totalPages ? '' : 'disabled'}>Last »</button>
+        `;
+    }
+
+    // Top-bar search: matching deployments, sites and profiles as you type
+    setupGlobalSearch() {
+        const input = document.getElementById('global-search');
+        const panel = document.getElementById('search-results');
+        if (!input || !panel) return;
+        
+        input.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.runGlobalSearch(input.value), 250);
+        });
+        
+        input.addEventListener('focus', () => {
+            if (input.value.trim()) this.runGlobalSearch(input.value);
+        });
+        
+        // Enter shows every matching deployment in the list
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.hideSearchResults();
+                this.navigate('deployments', { q: input.value.trim() });
+            } else if (e.key === 'Escape') {
+                this.hideSearchResults();
+                input.blur();
+            }
+        });
+        
+        panel.addEventListener('click', (e) => {
+            if (e.target.closest('a')) this.hideSearchResults();
+        });
+        
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.search-box')) this.hideSearchResults();
+        });
+    }
+
+    async runGlobalSearch(text) {
+        const panel = document.getElementById('search-results');
+        const query = text.trim();
+        this.searchQuery = query;
+        
+        if (!query) {
+            this.hideSearchResults();
+            return;
+        }
+        
+        let html;
+        try {
+            html = this.renderSearchResults(query, await this.search(query));
+        } catch (error) {
+            console.error('Error searching:', error);
+            html = `<div class="search-empty">Search failed: ${this.escapeHtml(error.message)}</div>`;
+        }
+        
+        // Ignore responses that arrive after the user has typed something else
+        if (query !== this.searchQuery) return;
+        
+        panel.innerHTML = html;
+        panel.classList.remove('hidden');
+    }
+
+    renderSearchResults(query, { deployments, sites, profiles }) {
+        const group = (title, items, render) => items.length ? `
+            <div class="search-group">
+                <h5>${title}</h5>
+                ${items.map(render).join('')}
+            </div>
+        ` : '';
+        
+        const groups = [
+            group('Deployments', deployments, dep => `
+                <a class="search-result" href="${this.buildRoute(`deployments/${dep.id}`)}">
+                    <span>${this.escapeHtml(dep.name)}</span>
+                    <span class="badge ${this.getStatusClass(dep.status)}">${dep.status}</span>
+                </a>
+            `),
+            group('Sites', sites, site => `
+                <a class="search-result" href="${this.buildRoute('sites')}">
+                    <span>${this.escapeHtml(site.name)}</span>
+                    <small>${this.escapeHtml(site.url || '')}</small>
+                </a>
+            `),
+            group('Profiles', profiles, profile => `
+                <a class="search-result" href="${this.buildRoute(`profiles/${profile.id}`)}">
+                    <span>${this.escapeHtml(profile.name)}</span>
+                    <small>${profile.environment}</small>
+                </a>
+            `)
+        ].join('');
+        
+        return `
+            ${groups || `<div class="search-empty">Nothing matches "${this.escapeHtml(query)}"</div>`}
+            <a class="search-result search-all" href="${this.buildRoute('deployments', { q: query })}">
+                All deployments matching "${this.escapeHtml(query)}" →
+            </a>
+        `;
+    }
+
+    hideSearchResults() {
+        document.getElementById('search-results')?.classList.add('hidden');
+    }
+
     async loadProfiles() {
         const grid = document.getElementById('profiles-grid');
         if (!grid) return;
         
-        const profiles = this.getMockProfiles();
+        this.renderGridMessage(grid, 'Loading profiles...', 'loading');
+        
+        let profiles;
+        try {
+            profiles = await this.getProfiles();
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+            this.renderGridMessage(grid, `Failed to load profiles: ${error.message}`, 'error');
+            return;
+        }
+        
+        if (profiles.length === 0) {
+            this.renderGridMessage(grid, 'No profiles yet. Create one to reuse deployment settings.', 'empty');
+            return;
+        }
         
+        const canManage = this.can('ManageProfiles');
         grid.innerHTML = profiles.map(profile => `
             <div class="profile-card" onclick="app.useProfile('${profile.id}')">
                 <div class="profile-header">
-                    <div class="profile-title">${profile.name}</div>
+                    <div class="profile-title">${this.escapeHtml(profile.name)}</div>
                     <div class="profile-actions">
-                        <button class="btn btn-secondary" onclick="event.stopPropagation(); app.editProfile('${profile.id}')">
-                            Edit
+                        ${canManage ? `
+                            <button class="btn btn-secondary btn-sm" onclick="event.stopPropagation(); app.navigate('profiles/${profile.id}')">
+                                Edit
+                            </button>
+                            <button class="btn btn-secondary btn-sm" onclick="event.stopPropagation(); app.cloneProfile('${profile.id}')">
+                                Clone
+                            </button>
+                        ` : ''}
+                        <button class="btn btn-secondary btn-sm" onclick="event.stopPropagation(); app.exportProfile('${profile.id}')">
+                            Export
                         </button>
+                        ${canManage ? `
+                            <button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); app.deleteProfile('${profile.id}')">
+                                Delete
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
-                <div class="profile-description">${profile.description}</div>
+                <div class="profile-description">${this.escapeHtml(profile.description)}</div>
                 <div class="profile-meta">
                     <span class="badge info">${profile.environment}</span>
                     <span class="badge info">${profile.target}</span>
@@ -208,234 +1348,4840 @@ class IIScribeApp {
         `).join('');
     }
 
-    async loadSites() {
+    // Auto-refresh calls pass quiet so the grid isn't replaced by a loading message
+    async loadSites({ quiet = false } = {}) {
         const grid = document.getElementById('sites-grid');
         if (!grid) return;
         
-        const sites = this.getMockSites();
+        if (!quiet) {
+            this.renderGridMessage(grid, 'Loading sites...', 'loading');
+        }
+        
+        // Sites still show when their monitors can't be loaded, just without health
+        let sites;
+        let monitors;
+        try {
+            [sites, monitors] = await Promise.all([
+                this.getSites(),
+                this.getMonitors().catch(error => {
+                    console.error('Error loading health monitors:', error);
+                    return [];
+                })
+            ]);
+        } catch (error) {
+            console.error('Error loading sites:', error);
+            if (!quiet) {
+                this.renderGridMessage(grid, `Failed to load sites: ${error.message}`, 'error');
+            }
+            return;
+        }
+        
+        this.sites = sites;
+        this.siteMonitors = monitors;
+        
+        const { timeZone } = this.settings;
+        this.setText('sites-updated', `Updated ${new Date().toLocaleTimeString(undefined, timeZone ? { timeZone } : undefined)}`);
         
-        grid.innerHTML = sites.map(site => `
+        if (sites.length === 0) {
+            this.renderGridMessage(grid, 'No sites found. Deploy an application to create one.', 'empty');
+            return;
+        }
+        
+        const canManage = this.can('ManageSites');
+        grid.innerHTML = sites.map(site => {
+            const name = this.escapeHtml(site.name);
+            return `
             <div class="site-card">
                 <div class="site-header">
-                    <div class="site-name">${site.name}</div>
+                    <div class="site-name">${name}</div>
                     <div class="site-status">
                         <span class="status-dot ${site.isRunning ? 'running' : 'stopped'}"></span>
-                        <span>${site.isRunning ? 'Running' : 'Stopped'}</span>
+                        <span>${this.escapeHtml(site.state || (site.isRunning ? 'Started' : 'Stopped'))}</span>
                     </div>
                 </div>
-                <a href="${site.url}" class="site-url" target="_blank">${site.url}</a>
+                <a href="${this.escapeHtml(site.url)}" class="site-url" target="_blank">${this.escapeHtml(site.url)}</a>
                 <div class="site-meta">
-                    <div><strong>App Pool:</strong> ${site.appPoolName}</div>
-                    <div><strong>Environment:</strong> ${site.environment}</div>
-                    <div><strong>Last Deployed:</strong> ${this.formatDate(site.lastDeployed)}</div>
+                    <div>
+                        <strong>App Pool:</strong> ${this.escapeHtml(site.appPoolName)}
+                        <span class="badge ${site.appPoolRunning ? 'success' : 'danger'}">${site.appPoolRunning ? 'Running' : 'Stopped'}</span>
+                    </div>
+                    ${site.environment ? `<div><strong>Environment:</strong> ${site.environment}</div>` : ''}
+                    <div>
+                        <strong>Last Deployed:</strong>
+                        ${site.lastDeployed ? (site.lastDeploymentId
+                            ? `<a href="#/deployments/${site.lastDeploymentId}">${this.formatDate(site.lastDeployed)}</a>`
+                            : this.formatDate(site.lastDeployed)) : 'Never'}
+                        ${site.lastDeployedBy ? `by ${this.escapeHtml(site.lastDeployedBy)}` : ''}
+                    </div>
+                </div>
+                <div class="site-stats">
+                    <div><span>${site.memoryMB} MB</span><small>Memory</small></div>
+                    <div><span>${site.cpuPercent}%</span><small>CPU</small></div>
+                    <div><span>${site.activeConnections}</span><small>Connections</small></div>
                 </div>
+                ${this.renderSiteHealth(site, monitors.filter(m => m.siteName.toLowerCase() === site.name.toLowerCase()), canManage)}
                 <div class="site-actions">
-                    ${site.isRunning ? `
-                        <button class="btn btn-danger" onclick="app.stopSite('${site.name}')">Stop</button>
+                    ${!canManage ? '' : site.isRunning ? `
+                        <button class="btn btn-danger" onclick="app.stopSite('${name}')">Stop</button>
                     ` : `
-                        <button class="btn btn-success" onclick="app.startSite('${site.name}')">Start</button>
+                        <button class="btn btn-success" onclick="app.startSite('${name}')">Start</button>
                     `}
-                    <button class="btn btn-secondary" onclick="app.browseSite('${site.url}')">Browse</button>
+                    ${canManage ? `<button class="btn btn-secondary" onclick="app.recycleSite('${name}')">Recycle</button>` : ''}
+                    <button class="btn btn-secondary" onclick="app.browseSite('${this.escapeHtml(site.url)}')">Browse</button>
+                    ${canManage ? `<button class="btn btn-secondary" onclick="app.removeSite('${name}')">Remove</button>` : ''}
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
     }
 
-    async handleDeploy() {
-        const form = document.getElementById('deploy-form');
-        const progressContainer = document.getElementById('deployment-progress');
+    startSitesAutoRefresh() {
+        this.stopSitesAutoRefresh();
         
-        // Get form data
-        const deployData = {
-            applicationPath: document.getElementById('app-path').value,
-            domainName: document.getElementById('domain-name').value,
-            httpPort: parseInt(document.getElementById('http-port').value),
-            httpsPort: parseInt(document.getElementById('https-port').value),
-            environment: document.getElementById('environment').value,
-            target: document.getElementById('target').value,
-            strategy: document.getElementById('strategy').value,
-            runHealthChecks: true,
-            sendNotifications: false
-        };
+        const seconds = this.settings.refreshSeconds;
+        if (seconds > 0) {
+            this.sitesRefreshTimer = setInterval(() => this.loadSites({ quiet: true }), seconds * 1000);
+        }
+    }
 
-        // Add database config if enabled
-        if (document.getElementById('enable-database').checked) {
-            deployData.databaseConfig = {
-                provider: document.getElementById('db-provider').value,
-                databaseName: document.getElementById('db-name').value,
-                deploymentMode: 'Migrate',
-                backupBeforeDeployment: document.getElementById('db-backup').checked,
-                autoRollbackOnFailure: true
-            };
+    stopSitesAutoRefresh() {
+        if (this.sitesRefreshTimer) {
+            clearInterval(this.sitesRefreshTimer);
+            this.sitesRefreshTimer = null;
         }
+    }
 
-        // Add SSL config if enabled
-        if (document.getElementById('enable-ssl').checked) {
-            deployData.sslConfig = {
-                certificateType: document.getElementById('cert-type').value,
-                validityDays: 365,
-                autoRenew: true
-            };
+    async loadCertificates() {
+        const tbody = document.querySelector('#certificates-table tbody');
+        if (!tbody) return;
+        
+        this.renderTableMessage(tbody, 'Loading certificates...', 'loading');
+        
+        const warningDays = this.settings.certificateWarningDays;
+        const expiringOnly = document.getElementById('certificates-expiring-only')?.checked;
+        let certificates;
+        try {
+            certificates = await this.getCertificates(expiringOnly ? warningDays : null);
+        } catch (error) {
+            console.error('Error loading certificates:', error);
+            this.renderTableMessage(tbody, `Failed to load certificates: ${error.message}`, 'error');
+            return;
+        }
+        
+        if (certificates.length === 0) {
+            this.renderTableMessage(tbody, expiringOnly
+                ? `No certificates expire within ${warningDays} days.`
+                : 'No certificates installed. Upload a PFX or deploy with SSL enabled.', 'empty');
+            return;
         }
+        
+        const canManage = this.can('ManageCertificates');
+        tbody.innerHTML = certificates.map(cert => {
+            const thumbprint = this.escapeHtml(cert.thumbprint);
+            const days = cert.daysUntilExpiry;
+            const expiry = days < 0
+                ? `<span class="badge danger">Expired ${-days}d ago</span>`
+                : `<span class="badge ${days <= warningDays ? 'warning' : 'success'}">${days} days</span>`;
+            return `
+                <tr>
+                    <td>
+                        <strong>${this.escapeHtml(cert.subjectName)}</strong>
+                        <div class="cert-thumbprint">${thumbprint}</div>
+                    </td>
+                    <td>
+                        ${this.escapeHtml(cert.issuerName)}
+                        ${cert.isSelfSigned ? '<span class="badge info">Self-signed</span>' : ''}
+                    </td>
+                    <td>${this.formatDate(cert.notBefore)} – ${this.formatDate(cert.notAfter)}</td>
+                    <td>${expiry}</td>
+                    <td>${cert.boundSites.length ? cert.boundSites.map(site => this.escapeHtml(site)).join(', ') : '<span class="detail-empty">None</span>'}</td>
+                    <td class="cert-actions">
+                        ${canManage ? `
+                            <button class="btn btn-secondary btn-sm" onclick="app.renewCertificate('${thumbprint}')"
+                                ${cert.isSelfSigned ? '' : 'title="CA-issued certificates are renewed by their issuer; upload the new PFX instead"'}>Renew</button>
+                            <button class="btn btn-secondary btn-sm" onclick="app.openCertificateInstall('${thumbprint}')">Install to Site</button>
+                        ` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
 
-        // Hide form, show progress
-        form.style.display = 'none';
-        progressContainer.classList.remove('hidden');
+    async renewCertificate(thumbprint) {
+        if (!confirm('Renew this certificate? Sites bound to it will be moved to the renewed certificate.')) return;
+        
+        if (this.offlineMode) {
+            this.showSuccess('Certificate renewed');
+            return;
+        }
+        
+        try {
+            const result = await this.api('POST', `/certificates/${encodeURIComponent(thumbprint)}/renew`);
+            this.showSuccess(`Certificate renewed, valid until ${this.formatDate(result.expiryDate)}`);
+        } catch (error) {
+            console.error('Certificate renewal error:', error);
+            this.showError(error.problem?.detail || error.message);
+        }
+        
+        this.loadCertificates();
+    }
 
+    // Site picker shared by the install and upload dialogs
+    async renderCertificateSiteSelect(id, optional) {
+        let sites = [];
         try {
-            // Simulate deployment process
-            await this.simulateDeployment(deployData);
-            
-            this.showSuccess('Deployment completed successfully!');
-            
-            // Reset after 3 seconds
-            setTimeout(() => {
-                form.style.display = 'block';
-                progressContainer.classList.add('hidden');
-                form.reset();
-                this.resetProgress();
-            }, 3000);
-            
+            sites = await this.getSites();
         } catch (error) {
-            console.error('Deployment error:', error);
-            this.showError('Deployment failed: ' + error.message);
-            
-            form.style.display = 'block';
-            progressContainer.classList.add('hidden');
+            console.error('Error loading sites:', error);
+        }
+        
+        const options = sites.map(site => [site.name, site.name]);
+        if (optional) {
+            options.unshift(['', 'Don\'t bind to a site']);
+        }
+        
+        this.fillSelect(id, options, optional ? '' : options[0]?.[0]);
+        if (!optional && options.length === 0) {
+            document.getElementById(id).innerHTML = '<option value="">No sites available</option>';
         }
     }
 
-    async simulateDeployment(data) {
-        const steps = [
-            { step: 1, name: 'Discovery', message: 'Analyzing application...', duration: 1000 },
-            { step: 2, name: 'Database', message: 'Running migrations...', duration: 2000 },
-            { step: 3, name: 'SSL', message: 'Generating certificate...', duration: 1000 },
-            { step: 4, name: 'Deploy', message: 'Deploying to IIS...', duration: 2000 },
-            { step: 5, name: 'Health Check', message: 'Running health checks...', duration: 1000 }
-        ];
+    openCertificateInstall(thumbprint) {
+        this.openModal(`
+            <div class="modal-header">
+                <h3>Install Certificate to Site</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                <p class="cert-thumbprint">${this.escapeHtml(thumbprint)}</p>
+                <div class="form-group">
+                    <label for="cert-install-site">Site</label>
+                    <select id="cert-install-site"><option>Loading sites...</option></select>
+                    <small>The site's HTTPS binding is created on port 443 if it doesn't have one</small>
+                </div>
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-primary" onclick="app.installCertificate('${this.escapeHtml(thumbprint)}')">Install</button>
+            </div>
+        `);
+        this.renderCertificateSiteSelect('cert-install-site', false);
+    }
 
-        for (const step of steps) {
-            this.updateProgress(step.step, step.message, 'active');
-            this.addLog(step.message, 'info');
-            
-            await this.delay(step.duration);
-            
-            this.updateProgress(step.step, 'Completed ✓', 'completed');
-            this.addLog(`${step.name} completed successfully`, 'success');
+    async installCertificate(thumbprint) {
+        const siteName = document.getElementById('cert-install-site').value;
+        if (!siteName) {
+            this.showError('Choose a site to install the certificate on');
+            return;
+        }
+        
+        if (!this.offlineMode) {
+            try {
+                const query = new URLSearchParams({ siteName });
+                await this.api('POST', `/certificates/${encodeURIComponent(thumbprint)}/install?${query}`);
+            } catch (error) {
+                console.error('Certificate install error:', error);
+                this.showError(error.problem?.detail || error.message);
+                return;
+            }
+        }
+        
+        this.closeModal();
+        this.showSuccess(`Certificate installed on ${siteName}`);
+        this.loadCertificates();
+    }
+
+    openCertificateUpload() {
+        this.openModal(`
+            <div class="modal-header">
+                <h3>Upload Certificate</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="form-group">
+                    <label for="cert-upload-file">PFX File</label>
+                    <input type="file" id="cert-upload-file" accept=".pfx,.p12">
+                </div>
+                ${this.renderInput('cert-upload-password', 'Password', '', { type: 'password' })}
+                <div class="form-group">
+                    <label for="cert-upload-site">Install to Site</label>
+                    <select id="cert-upload-site"><option>Loading sites...</option></select>
+                </div>
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-primary" id="cert-upload-submit" onclick="app.uploadCertificate()">Upload</button>
+            </div>
+        `);
+        this.renderCertificateSiteSelect('cert-upload-site', true);
+    }
+
+    async uploadCertificate() {
+        const file = document.getElementById('cert-upload-file').files[0];
+        const siteName = document.getElementById('cert-upload-site').value;
+        if (!file) {
+            this.showError('Choose a .pfx or .p12 file to upload');
+            return;
+        }
+        
+        if (!this.offlineMode) {
+            const form = new FormData();
+            form.append('file', file);
+            form.append('password', document.getElementById('cert-upload-password').value);
+            if (siteName) {
+                form.append('siteName', siteName);
+            }
+            
+            const submit = document.getElementById('cert-upload-submit');
+            submit.disabled = true;
+            try {
+                await this.api('POST', '/certificates/upload', form);
+            } catch (error) {
+                console.error('Certificate upload error:', error);
+                this.showError(error.problem?.detail || error.message);
+                submit.disabled = false;
+                return;
+            }
+        }
+        
+        this.closeModal();
+        this.showSuccess(siteName ? `Certificate installed on ${siteName}` : 'Certificate imported');
+        this.loadCertificates();
+    }
+
+    async loadPipelines() {
+        const tbody = document.querySelector('#pipeline-table tbody');
+        if (!tbody) return;
+        
+        this.renderTableMessage(tbody, 'Loading pipelines...', 'loading');
+        
+        let pipelines;
+        try {
+            pipelines = await this.getPipelines();
+        } catch (error) {
+            console.error('Error loading pipelines:', error);
+            this.renderTableMessage(tbody, `Failed to load pipelines: ${error.message}`, 'error');
+            return;
+        }
+        
+        if (pipelines.length === 0) {
+            this.renderTableMessage(tbody, 'No deployments to Development, Testing, Staging or Production yet.', 'empty');
+            return;
+        }
+        
+        tbody.innerHTML = pipelines.map(pipeline => `
+            <tr>
+                <td><strong>${this.escapeHtml(pipeline.applicationName)}</strong></td>
+                ${pipeline.stages.map(stage => `<td>${this.renderPipelineStage(stage)}</td>`).join('')}
+            </tr>
+        `).join('');
+    }
+
+    renderPipelineStage(stage) {
+        const { current, latest } = stage;
+        const version = dep => dep.applicationVersion || dep.applicationPath;
+        
+        return `
+            <div class="pipeline-stage">
+                ${current ? `
+                    <a class="pipeline-version" onclick="app.viewDeployment('${current.id}')" title="${this.escapeHtml(current.applicationPath)}">${this.escapeHtml(version(current))}</a>
+                    <small>${this.escapeHtml(current.domainName)}</small>
+                    <small>${this.formatDate(current.completedAt)}${current.promotedFromId ? ' · promoted' : ''}</small>
+                ` : '<span class="detail-empty">Nothing deployed</span>'}
+                ${latest ? `
+                    <small>
+                        <span class="badge ${this.getStatusClass(latest.status)}">${latest.status}</span>
+                        <a onclick="app.viewDeployment('${latest.id}')">${this.escapeHtml(version(latest))}</a>
+                    </small>
+                ` : ''}
+                ${current && stage.promotesTo && this.canPromoteTo(stage.promotesTo) ? `
+                    <button class="btn btn-secondary btn-sm" onclick="app.openPromotion('${current.id}')">Promote → ${stage.promotesTo}</button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    getNextEnvironment(environment) {
+        const pipeline = ['Development', 'Testing', 'Staging', 'Production'];
+        const index = pipeline.indexOf(environment);
+        return index >= 0 ? pipeline[index + 1] || null : null;
+    }
+
+    canPromoteTo(environment) {
+        return Boolean(environment) && this.can('Deploy') && (environment !== 'Production' || this.can('DeployProduction'));
+    }
+
+    async openPromotion(deploymentId) {
+        this.promotion = { deploymentId, request: {} };
+        await this.refreshPromotionPlan();
+    }
+
+    // Re-plans with the overrides typed into the dialog, or none when it first opens
+    async refreshPromotionPlan() {
+        const promotion = this.promotion;
+        if (!promotion) return;
+        
+        if (document.getElementById('promotion-domain')) {
+            const value = id => document.getElementById(id)?.value.trim() || null;
+            promotion.request = {
+                domainName: value('promotion-domain'),
+                databaseName: value('promotion-database'),
+                certificateType: value('promotion-certificate'),
+                emergencyJustification: value('promotion-justification')
+            };
+        }
+        
+        let plan;
+        try {
+            plan = await this.getPromotionPlan(promotion.deploymentId, promotion.request);
+        } catch (error) {
+            console.error('Promotion plan error:', error);
+            this.showError(error.problem?.detail || error.message);
+            return;
+        }
+        
+        this.openModal(this.renderPromotion(plan, promotion.request));
+    }
+
+    renderPromotion(plan, request) {
+        const { source, target } = plan;
+        const list = (items, className) => items.length ? `
+            <ul class="preflight-list ${className}">
+                ${items.map(item => `<li>${this.escapeHtml(item.message ?? item)}</li>`).join('')}
+            </ul>
+        ` : '';
+        // Outside the change window is settled by the justification field here, not by fixing the request
+        const blocking = plan.errors.filter(e => e.field !== 'emergencyJustification');
+        
+        return `
+            <div class="modal-header">
+                <h3>Promote to ${target.environment}</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                <p class="preflight-note">
+                    <code>${this.escapeHtml(source.applicationPath)}</code> from ${source.environment}
+                    (${this.escapeHtml(source.name)}), with the same profile and ${target.environment}'s settings
+                </p>
+                ${this.renderInput('promotion-domain', 'Domain', target.domainName)}
+                ${target.databaseConfig ? this.renderInput('promotion-database', 'Database Name', target.databaseConfig.databaseName || '') : ''}
+                ${target.sslConfig ? this.renderSelect('promotion-certificate', 'Certificate Type', this.getEnumValues('certificateType'), target.sslConfig.certificateType) : ''}
+                ${this.renderInput('promotion-justification', 'Emergency Justification', request.emergencyJustification || '',
+                    { hint: 'Only needed outside the change window' })}
+                <button class="btn btn-secondary btn-sm" onclick="app.refreshPromotionPlan()">Update Preview</button>
+                
+                ${list(plan.errors, 'error')}
+                ${list(plan.warnings, 'warning')}
+                ${target.requiredApprovals > 0 ? `<p class="preflight-note">Waits for ${target.requiredApprovals} approval(s) before it runs.</p>` : ''}
+                
+                <div class="detail-section">
+                    ${this.renderValueDiff(
+                        this.flattenDeploymentConfig(source),
+                        this.flattenDeploymentConfig(target),
+                        [source.environment, target.environment])}
+                </div>
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-primary" id="promotion-submit" onclick="app.promoteDeployment()" ${blocking.length ? 'disabled' : ''}>
+                    Promote to ${target.environment}
+                </button>
+            </div>
+        `;
+    }
+
+    async promoteDeployment() {
+        const promotion = this.promotion;
+        if (!promotion) return;
+        
+        // Promote what the dialog shows, including edits not yet previewed
+        const value = id => document.getElementById(id)?.value.trim() || null;
+        const request = {
+            domainName: value('promotion-domain'),
+            databaseName: value('promotion-database'),
+            certificateType: value('promotion-certificate'),
+            emergencyJustification: value('promotion-justification')
+        };
+        
+        let result;
+        if (this.offlineMode) {
+            result = { deploymentId: crypto.randomUUID?.() || String(Date.now()), status: 'Pending' };
+        } else {
+            const submit = document.getElementById('promotion-submit');
+            submit.disabled = true;
+            try {
+                result = await this.api('POST', `/promotions/${promotion.deploymentId}`, request);
+            } catch (error) {
+                console.error('Promotion error:', error);
+                this.showError(error.problem?.detail || error.message);
+                submit.disabled = false;
+                return;
+            }
+        }
+        
+        this.promotion = null;
+        this.closeModal();
+        this.showSuccess(result.status === 'PendingApproval'
+            ? 'Promoted; the deployment is waiting for approval'
+            : 'Promoted; the deployment is queued');
+        
+        if (document.getElementById('pipeline-page')?.classList.contains('active')) {
+            this.loadPipelines();
+        } else if (!this.offlineMode) {
+            this.viewDeployment(result.deploymentId);
+        }
+    }
+
+    async loadHosts() {
+        const tbody = document.querySelector('#hosts-table tbody');
+        if (!tbody) return;
+        
+        this.renderTableMessage(tbody, 'Loading hosts file...', 'loading');
+        this.loadHostsBackups();
+        
+        let hostsFile;
+        try {
+            hostsFile = await this.getHostsFile();
+        } catch (error) {
+            console.error('Error loading hosts file:', error);
+            this.renderTableMessage(tbody, `Failed to load the hosts file: ${error.message}`, 'error');
+            return;
+        }
+        
+        this.hostsEntries = hostsFile.entries;
+        this.setText('hosts-path', hostsFile.path);
+        
+        const orphaned = hostsFile.entries.filter(entry => entry.isOrphaned).length;
+        this.setText('hosts-remove-orphaned', orphaned ? `Remove Orphaned (${orphaned})` : 'Remove Orphaned');
+        
+        const showAll = document.getElementById('hosts-show-all')?.checked;
+        const entries = showAll ? hostsFile.entries : hostsFile.entries.filter(entry => entry.isManaged);
+        if (entries.length === 0) {
+            this.renderTableMessage(tbody, showAll
+                ? 'The hosts file has no entries.'
+                : 'No entries added by IIScribe. Deploy a *.local domain or add entries here.', 'empty');
+            return;
+        }
+        
+        const canManage = this.can('ManageHostsFile');
+        tbody.innerHTML = entries.map(entry => {
+            const status = entry.isOrphaned
+                ? '<span class="badge warning" title="No IIS site is bound to this host name">Orphaned</span>'
+                : entry.isManaged
+                    ? '<span class="badge success">Managed</span>'
+                    : '<span class="badge info" title="Not added by IIScribe; edit it by hand">Not managed</span>';
+            return `
+                <tr>
+                    <td>
+                        ${canManage && entry.isManaged
+                            ? `<input type="checkbox" name="hosts-select" value="${this.escapeHtml(entry.hostName)}">`
+                            : ''}
+                    </td>
+                    <td><strong>${this.escapeHtml(entry.hostName)}</strong></td>
+                    <td><code>${this.escapeHtml(entry.ipAddress)}</code></td>
+                    <td>${entry.siteName ? this.escapeHtml(entry.siteName) : '<span class="detail-empty">None</span>'}</td>
+                    <td>${entry.lineNumber}</td>
+                    <td>${status}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async loadHostsBackups() {
+        const tbody = document.querySelector('#hosts-backups-table tbody');
+        if (!tbody) return;
+        
+        let backups;
+        try {
+            backups = await this.getHostsBackups();
+        } catch (error) {
+            console.error('Error loading hosts file backups:', error);
+            this.renderTableMessage(tbody, `Failed to load backups: ${error.message}`, 'error');
+            return;
+        }
+        
+        if (backups.length === 0) {
+            this.renderTableMessage(tbody, 'No backups yet. One is taken before every change.', 'empty');
+            return;
+        }
+        
+        const canManage = this.can('ManageHostsFile');
+        tbody.innerHTML = backups.map(backup => `
+            <tr>
+                <td><code>${this.escapeHtml(backup.name)}</code></td>
+                <td>${this.formatDate(backup.createdAt)}</td>
+                <td>${(backup.sizeBytes / 1024).toFixed(1)} KB</td>
+                <td>
+                    ${canManage ? `<button class="btn btn-secondary btn-sm" onclick="app.restoreHostsBackup('${this.escapeHtml(backup.name)}')">Restore</button>` : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    openHostsAdd() {
+        this.openModal(`
+            <div class="modal-header">
+                <h3>Add Hosts Entries</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                ${this.renderTextarea('hosts-add-entries', 'Entries', '',
+                    'One per line: "192.168.1.20 api.local", or just a host name to map it to 127.0.0.1')}
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-primary" onclick="app.previewHostsAdd()">Preview</button>
+            </div>
+        `);
+    }
+
+    previewHostsAdd() {
+        const add = document.getElementById('hosts-add-entries').value
+            .split('\n')
+            .map(line => line.trim().split(/\s+/).filter(Boolean))
+            .filter(fields => fields.length > 0)
+            .flatMap(fields => fields.length === 1
+                ? [{ ipAddress: '127.0.0.1', hostName: fields[0] }]
+                : fields.slice(1).map(hostName => ({ ipAddress: fields[0], hostName })));
+        
+        if (add.length === 0) {
+            this.showError('Enter at least one host name');
+            return;
+        }
+        
+        this.previewHostsEdit({ add });
+    }
+
+    removeOrphanedHosts() {
+        const remove = (this.hostsEntries || []).filter(entry => entry.isOrphaned).map(entry => entry.hostName);
+        if (remove.length === 0) {
+            this.showSuccess('No orphaned entries: every IIScribe entry belongs to a site');
+            return;
+        }
+        
+        this.previewHostsEdit({ remove });
+    }
+
+    removeSelectedHosts() {
+        const remove = [...document.querySelectorAll('#hosts-table input[name="hosts-select"]:checked')]
+            .map(checkbox => checkbox.value);
+        if (remove.length === 0) {
+            this.showError('Select the entries to remove');
+            return;
+        }
+        
+        this.previewHostsEdit({ remove });
+    }
+
+    restoreHostsBackup(name) {
+        this.previewHostsEdit({ restoreBackup: name });
+    }
+
+    // Every change is shown as a diff first; applying sends the preview's baseHash back
+    async previewHostsEdit(edit) {
+        let change;
+        try {
+            change = await this.getHostsChange(edit);
+        } catch (error) {
+            console.error('Hosts file preview error:', error);
+            this.showError(error.problem?.detail || error.message);
+            return;
+        }
+        
+        this.pendingHostsEdit = { ...edit, baseHash: change.baseHash };
+        const title = edit.restoreBackup ? `Restore ${this.escapeHtml(edit.restoreBackup)}` : 'Review Hosts File Change';
+        
+        this.openModal(`
+            <div class="modal-header">
+                <h3>${title}</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                <p class="diff-summary">
+                    ${change.hasChanges
+                        ? `${change.added} line(s) added, ${change.removed} removed. The current file is backed up first.`
+                        : 'Nothing to change.'}
+                </p>
+                ${change.notes.length ? `
+                    <ul class="hosts-notes">
+                        ${change.notes.map(note => `<li>${this.escapeHtml(note)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                ${change.hasChanges ? this.renderHostsDiff(change.lines) : ''}
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-primary" id="hosts-apply-btn" onclick="app.applyHostsEdit()" ${change.hasChanges ? '' : 'disabled'}>Apply</button>
+            </div>
+        `);
+    }
+
+    // Changed lines with a little unchanged context around them
+    renderHostsDiff(lines, context = 2) {
+        const near = lines.map((line, i) => lines
+            .slice(Math.max(0, i - context), i + context + 1)
+            .some(other => other.kind !== 'Unchanged'));
+        const marks = { Added: '+', Removed: '-', Unchanged: ' ' };
+        
+        const rows = [];
+        lines.forEach((line, i) => {
+            if (!near[i]) {
+                if (i === 0 || near[i - 1]) rows.push('<div class="diff-line gap">…</div>');
+                return;
+            }
+            rows.push(`<div class="diff-line ${line.kind.toLowerCase()}"><span class="diff-number">${line.newLineNumber ?? line.oldLineNumber}</span>${marks[line.kind]} ${this.escapeHtml(line.text)}</div>`);
+        });
+        
+        return `<pre class="hosts-diff">${rows.join('')}</pre>`;
+    }
+
+    async applyHostsEdit() {
+        const edit = this.pendingHostsEdit;
+        if (!edit) return;
+        
+        let change;
+        if (this.offlineMode) {
+            change = { ...await this.getHostsChange(edit), backupName: 'hosts.backup_offline' };
+        } else {
+            const submit = document.getElementById('hosts-apply-btn');
+            submit.disabled = true;
+            try {
+                change = await this.api('POST', '/hosts/apply', edit);
+            } catch (error) {
+                console.error('Hosts file apply error:', error);
+                this.showError(error.problem?.detail || error.message);
+                if (error.status === 409) {
+                    // Changed since the preview: show the diff against the file as it is now
+                    const { baseHash, ...retry } = edit;
+                    this.previewHostsEdit(retry);
+                } else {
+                    submit.disabled = false;
+                }
+                return;
+            }
+        }
+        
+        this.pendingHostsEdit = null;
+        this.closeModal();
+        this.showSuccess(`Hosts file updated; the previous version is saved as ${change.backupName}`);
+        this.loadHosts();
+    }
+
+    async loadApprovalPolicies() {
+        try {
+            this.approvalPolicies = await this.getApprovalPolicies();
+        } catch (error) {
+            console.warn('Could not load approval policies:', error);
+            this.approvalPolicies = [];
+        }
+        this.renderEnvironmentPolicy();
+    }
+
+    getEnvironmentPolicy(environment) {
+        return this.approvalPolicies.find(info => info.policy.environment === environment);
+    }
+
+    // Approval and change window notes for the environment chosen on the deploy form
+    renderEnvironmentPolicy() {
+        const info = this.getEnvironmentPolicy(document.getElementById('environment')?.value);
+        const closed = info ? !info.changeWindow.isOpen : false;
+        
+        this.setText('environment-policy', info ? this.describePolicy(info) : '');
+        document.getElementById('emergency-override')?.classList.toggle('hidden', !closed);
+    }
+
+    describePolicy({ policy, changeWindow }) {
+        const notes = [];
+        if (policy.requiredApprovals > 0) {
+            const roles = policy.approverRoles.length ? policy.approverRoles.join(' or ') : 'Administrator';
+            notes.push(`Needs ${policy.requiredApprovals} approval${policy.requiredApprovals === 1 ? '' : 's'} from ${roles}.`);
+        }
+        if (policy.changeWindows.length > 0) {
+            const windows = policy.changeWindows
+                .map(w => `${w.days.map(day => day.slice(0, 3)).join(', ')} ${w.start.slice(0, 5)}–${w.end.slice(0, 5)}`)
+                .join('; ');
+            notes.push(`Change windows: ${windows} (${changeWindow.timeZone}).`);
+            notes.push(changeWindow.isOpen
+                ? `Open until ${this.formatDate(changeWindow.closesAt)}.`
+                : `Closed${changeWindow.nextOpensAt ? ` until ${this.formatDate(changeWindow.nextOpensAt)}` : ''}.`);
+        }
+        return notes.join(' ');
+    }
+
+    async loadApprovalCount() {
+        try {
+            this.setApprovalCount((await this.getPendingApprovals()).filter(item => item.canApprove).length);
+        } catch (error) {
+            console.warn('Could not count pending approvals:', error);
+        }
+    }
+
+    // The nav badge counts deployments the signed-in user can decide on
+    setApprovalCount(count) {
+        const badge = document.getElementById('approvals-count');
+        if (!badge) return;
+        
+        badge.textContent = count;
+        badge.classList.toggle('hidden', count === 0);
+    }
+
+    async loadApprovals() {
+        const tbody = document.querySelector('#approvals-table tbody');
+        if (!tbody) return;
+        
+        this.renderTableMessage(tbody, 'Loading approvals...', 'loading');
+        
+        let pending;
+        try {
+            [pending] = await Promise.all([this.getPendingApprovals(), this.loadApprovalPolicies()]);
+        } catch (error) {
+            console.error('Error loading approvals:', error);
+            this.renderTableMessage(tbody, `Failed to load approvals: ${error.message}`, 'error');
+            return;
+        }
+        
+        const policies = document.getElementById('approval-policies');
+        if (policies) {
+            policies.innerHTML = this.approvalPolicies.map(info => `
+                <div class="approval-policy">
+                    <span class="badge info">${info.policy.environment}</span>
+                    <span>${this.escapeHtml(this.describePolicy(info) || 'No approval needed at any time.')}</span>
+                </div>
+            `).join('');
+        }
+        
+        this.setApprovalCount(pending.filter(item => item.canApprove).length);
+        if (pending.length === 0) {
+            this.renderTableMessage(tbody, 'Nothing is waiting for approval.', 'empty');
+            return;
+        }
+        
+        tbody.innerHTML = pending.map(({ deployment: dep, canApprove, cannotApproveReason, changeWindow }) => `
+            <tr>
+                <td>${this.formatDate(dep.createdAt)}</td>
+                <td>
+                    <a href="#/deployments/${dep.id}">${this.escapeHtml(dep.siteName || dep.name)}</a>
+                    <div class="cert-thumbprint">${this.escapeHtml(dep.applicationPath)}</div>
+                    ${dep.emergencyJustification ? `
+                        <div class="approval-emergency">⚠ Emergency: ${this.escapeHtml(dep.emergencyJustification)}</div>
+                    ` : ''}
+                </td>
+                <td><span class="badge info">${dep.environment}</span></td>
+                <td>${this.escapeHtml(dep.createdBy)}</td>
+                <td>${this.renderApprovals(dep)}</td>
+                <td>
+                    ${changeWindow.isOpen
+                        ? '<span class="badge success">Open</span>'
+                        : `<span class="badge warning">Closed</span>${changeWindow.nextOpensAt ? `<div class="cert-thumbprint">until ${this.formatDate(changeWindow.nextOpensAt)}</div>` : ''}`}
+                </td>
+                <td>
+                    ${canApprove ? `
+                        <button class="btn btn-primary btn-sm" onclick="app.openApprovalDecision('${dep.id}', true)">Approve</button>
+                        <button class="btn btn-danger btn-sm" onclick="app.openApprovalDecision('${dep.id}', false)">Reject</button>
+                    ` : `<span class="cert-thumbprint">${this.escapeHtml(cannotApproveReason)}</span>`}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Pending deployments wait behind earlier deployments of the same site
+    renderQueuePosition(position) {
+        if (!position) return '';
+        
+        return `<small class="queue-position" title="Queued ${this.formatDate(position.queuedAt)}">` +
+            `#${position.position} in queue · ${this.describeQueuePosition(position)}</small>`;
+    }
+
+    describeQueuePosition(position) {
+        return position.ahead === 0
+            ? 'next to run'
+            : `waiting for ${position.ahead} deployment${position.ahead === 1 ? '' : 's'} of ${position.siteName}`;
+    }
+
+    // Who approved or rejected a deployment and when, and how many approvals are still needed
+    renderApprovals(dep) {
+        const approvals = dep.approvals || [];
+        if (!dep.requiredApprovals && approvals.length === 0) return '—';
+        
+        const approved = approvals.filter(a => a.approved).length;
+        return `
+            ${approvals.map(a => `
+                <div class="approval-entry ${a.approved ? 'approved' : 'rejected'}" title="${this.escapeHtml(a.comment || '')}">
+                    ${a.approved ? '✓' : '✗'} ${this.escapeHtml(a.userName)}
+                    <small>${this.formatDate(a.decidedAt)}</small>
+                </div>
+            `).join('')}
+            ${dep.status === 'PendingApproval' ? `<small>${approved} of ${dep.requiredApprovals} approved</small>` : ''}
+        `;
+    }
+
+    openApprovalDecision(id, approve) {
+        this.openModal(`
+            <div class="modal-header">
+                <h3>${approve ? 'Approve' : 'Reject'} Deployment</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                ${this.renderTextarea('approval-comment', approve ? 'Comment (optional)' : 'Reason', '',
+                    approve ? 'Kept with your approval' : 'Shown on the deployment and kept in the audit log')}
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn ${approve ? 'btn-primary' : 'btn-danger'}" onclick="app.decideApproval('${id}', ${approve})">
+                    ${approve ? 'Approve' : 'Reject'}
+                </button>
+            </div>
+        `);
+    }
+
+    async decideApproval(id, approve) {
+        const comment = document.getElementById('approval-comment').value.trim();
+        if (!approve && !comment) {
+            this.showError('Give a reason for rejecting the deployment');
+            return;
+        }
+        
+        try {
+            const deployment = this.offlineMode
+                ? { status: approve ? 'Pending' : 'Rejected' }
+                : await this.api('POST', `/approvals/${id}/${approve ? 'approve' : 'reject'}`, { comment });
+            this.closeModal();
+            this.showSuccess(!approve
+                ? 'Deployment rejected'
+                : deployment.status === 'PendingApproval'
+                    ? 'Approved; more approvals are needed'
+                    : 'Approved; the deployment is starting');
+        } catch (error) {
+            console.error('Approval error:', error);
+            this.showError(`${approve ? 'Approval' : 'Rejection'} failed: ${error.problem?.detail || error.message}`);
+        }
+        
+        this.loadApprovals();
+    }
+
+    getWeekStart(date) {
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        return start;
+    }
+
+    moveScheduleWeek(days) {
+        const week = new Date(this.scheduleWeek);
+        week.setDate(week.getDate() + days);
+        this.scheduleWeek = week;
+        this.loadSchedule();
+    }
+
+    getRecurrenceLabel(recurrence) {
+        const labels = {
+            'Once': 'Once',
+            'Daily': 'Every day',
+            'Weekdays': 'Every weekday',
+            'Weekly': 'Every week'
+        };
+        return labels[recurrence] || recurrence;
+    }
+
+    // Calendar day of a date in the display time zone, as YYYY-MM-DD
+    getDayKey(date) {
+        const { timeZone } = this.settings;
+        return new Date(date).toLocaleDateString('en-CA', timeZone ? { timeZone } : undefined);
+    }
+
+    toDateTimeInputValue(date) {
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 16);
+    }
+
+    async loadSchedule() {
+        const calendar = document.getElementById('schedule-calendar');
+        const tbody = document.querySelector('#schedules-table tbody');
+        if (!calendar || !tbody) return;
+        
+        const days = Array.from({ length: 7 }, (_, offset) => {
+            const day = new Date(this.scheduleWeek);
+            day.setDate(day.getDate() + offset);
+            return day;
+        });
+        const end = new Date(days[6]);
+        end.setDate(end.getDate() + 1);
+        
+        this.setText('schedule-range', `${days[0].toLocaleDateString()} – ${days[6].toLocaleDateString()}`);
+        this.renderGridMessage(calendar, 'Loading schedule...', 'loading');
+        this.renderTableMessage(tbody, 'Loading schedules...', 'loading');
+        
+        let runs;
+        try {
+            [runs, this.schedules] = await Promise.all([
+                this.getScheduledRuns(days[0], end),
+                this.getSchedules()
+            ]);
+        } catch (error) {
+            console.error('Error loading schedule:', error);
+            this.renderGridMessage(calendar, `Failed to load the schedule: ${error.message}`, 'error');
+            this.renderTableMessage(tbody, `Failed to load schedules: ${error.message}`, 'error');
+            return;
+        }
+        
+        const { timeZone } = this.settings;
+        const today = this.getDayKey(new Date());
+        calendar.innerHTML = days.map(day => {
+            const key = this.getDayKey(day);
+            const dayRuns = runs.filter(run => this.getDayKey(run.runAt) === key);
+            return `
+                <div class="schedule-day ${key === today ? 'today' : ''}">
+                    <div class="schedule-day-header">
+                        ${day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}
+                    </div>
+                    ${dayRuns.map(run => `
+                        <button type="button" class="schedule-run ${run.environment === 'Production' ? 'production' : ''}"
+                                onclick="app.openReschedule('${run.scheduleId}')"
+                                title="${this.escapeHtml(`${run.siteName} (${run.environment}) · ${this.getRecurrenceLabel(run.recurrence)} · by ${run.createdBy}`)}">
+                            <strong>${new Date(run.runAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', ...(timeZone ? { timeZone } : {}) })}</strong>
+                            ${this.escapeHtml(run.siteName)}
+                        </button>
+                    `).join('') || '<span class="schedule-empty">Nothing scheduled</span>'}
+                </div>
+            `;
+        }).join('');
+        
+        if (this.schedules.length === 0) {
+            this.renderTableMessage(tbody, 'No deployments are scheduled. Tick "Schedule for later" on the Deploy page to add one.', 'empty');
+            return;
+        }
+        
+        tbody.innerHTML = this.schedules.map(schedule => `
+            <tr>
+                <td>${this.formatDate(schedule.nextRunAt)}</td>
+                <td>
+                    ${this.escapeHtml(schedule.siteName)}
+                    <div class="cert-thumbprint">${this.escapeHtml(schedule.request.applicationPath)}</div>
+                </td>
+                <td><span class="badge info">${schedule.environment}</span></td>
+                <td>${this.getRecurrenceLabel(schedule.recurrence)}</td>
+                <td>${this.escapeHtml(schedule.createdBy)}</td>
+                <td>
+                    ${schedule.lastRunAt ? this.formatDate(schedule.lastRunAt) : '—'}
+                    ${schedule.lastDeploymentId ? `
+                        <div><a href="#/deployments/${schedule.lastDeploymentId}">View deployment</a></div>
+                    ` : ''}
+                    ${schedule.lastError ? `<div class="schedule-error">${this.escapeHtml(schedule.lastError)}</div>` : ''}
+                </td>
+                <td>
+                    ${this.canChangeSchedule(schedule) ? `
+                        <button class="btn btn-secondary btn-sm" onclick="app.openReschedule('${schedule.id}')">Reschedule</button>
+                        <button class="btn btn-danger btn-sm" onclick="app.cancelSchedule('${schedule.id}')">Cancel</button>
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Mirrors the server: Production needs DeployProduction, and someone else's schedule a team lead
+    canChangeSchedule(schedule) {
+        const user = this.session?.user;
+        if (!this.can('Deploy') || (schedule.environment === 'Production' && !this.can('DeployProduction'))) return false;
+        return schedule.createdBy?.toLowerCase() === user?.username?.toLowerCase() ||
+            ['Administrator', 'TeamLead'].includes(user?.role);
+    }
+
+    openReschedule(id) {
+        const schedule = this.schedules.find(s => s.id === id);
+        if (!schedule) return;
+        
+        const options = ['Once', 'Daily', 'Weekdays', 'Weekly']
+            .map(value => `<option value="${value}" ${value === schedule.recurrence ? 'selected' : ''}>${this.getRecurrenceLabel(value)}</option>`)
+            .join('');
+        
+        this.openModal(`
+            <div class="modal-header">
+                <h3>Reschedule ${this.escapeHtml(schedule.siteName)}</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="form-group">
+                    <label for="reschedule-run-at">Run At</label>
+                    <input type="datetime-local" id="reschedule-run-at" value="${this.toDateTimeInputValue(new Date(schedule.nextRunAt))}">
+                    <small>In your local time. Repeats keep this time of day.</small>
+                </div>
+                <div class="form-group">
+                    <label for="reschedule-recurrence">Repeat</label>
+                    <select id="reschedule-recurrence">${options}</select>
+                </div>
+                ${this.renderInput('reschedule-justification', 'Emergency Justification', '',
+                    { hint: 'Only needed outside the change window; an earlier justification does not carry over' })}
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Close</button>
+                ${this.canChangeSchedule(schedule) ? `
+                    <button class="btn btn-primary" onclick="app.saveReschedule('${id}')">Save</button>
+                ` : ''}
+            </div>
+        `);
+    }
+
+    async saveReschedule(id) {
+        const value = document.getElementById('reschedule-run-at').value;
+        const runAt = value ? new Date(value) : null;
+        if (!runAt || runAt <= new Date()) {
+            this.showError('Choose a time in the future');
+            return;
+        }
+        
+        try {
+            if (!this.offlineMode) {
+                await this.api('PUT', `/schedules/${id}`, {
+                    runAt: runAt.toISOString(),
+                    recurrence: document.getElementById('reschedule-recurrence').value,
+                    emergencyJustification: document.getElementById('reschedule-justification').value.trim() || null
+                });
+            }
+            this.closeModal();
+            this.showSuccess(`Rescheduled for ${this.formatDate(runAt)}`);
+            this.loadSchedule();
+        } catch (error) {
+            console.error('Reschedule error:', error);
+            this.showError(`Rescheduling failed: ${error.problem?.detail || error.message}`);
+        }
+    }
+
+    async cancelSchedule(id) {
+        const schedule = this.schedules.find(s => s.id === id);
+        if (!confirm(`Cancel the scheduled deployment of ${schedule?.siteName || id}? Runs that already started are not affected.`)) return;
+        
+        try {
+            if (!this.offlineMode) {
+                await this.api('DELETE', `/schedules/${id}`);
+            }
+            this.showSuccess('Schedule cancelled');
+            this.loadSchedule();
+        } catch (error) {
+            console.error('Cancel schedule error:', error);
+            this.showError(`Cancelling failed: ${error.problem?.detail || error.message}`);
+        }
+    }
+
+    readAuditFilters() {
+        const value = (name) => document.getElementById(`audit-filter-${name}`)?.value.trim() || '';
+        return {
+            type: value('type'),
+            user: value('user'),
+            resource: value('resource'),
+            from: value('from'),
+            to: value('to')
+        };
+    }
+
+    applyAuditFilters(params) {
+        const type = params.get('type') || '';
+        if (type) {
+            this.setSelectValue('audit-filter-type', type);
+        } else {
+            const select = document.getElementById('audit-filter-type');
+            if (select) select.value = '';
+        }
+        
+        ['user', 'resource', 'from', 'to'].forEach(name => {
+            const input = document.getElementById(`audit-filter-${name}`);
+            const value = params.get(name) || '';
+            if (input && input.value.trim() !== value.trim()) input.value = value;
+        });
+        
+        this.auditPage = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    }
+
+    filterAudit({ replace = false } = {}) {
+        this.navigate('audit', this.readAuditFilters(), { replace });
+    }
+
+    goToAuditPage(page) {
+        this.navigate('audit', { ...this.readAuditFilters(), page: page > 1 ? page : '' });
+    }
+
+    async loadAudit() {
+        const tbody = document.querySelector('#audit-table tbody');
+        if (!tbody) return;
+        
+        const filters = this.readAuditFilters();
+        this.renderTableMessage(tbody, 'Loading audit log...', 'loading');
+        
+        let result;
+        try {
+            result = await this.getAuditRecords({ ...filters, page: this.auditPage, pageSize: this.auditPageSize });
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            this.renderTableMessage(tbody, `Failed to load audit log: ${error.message}`, 'error');
+            document.getElementById('audit-pager')?.classList.add('hidden');
+            return;
+        }
+        
+        const { totalCount } = result;
+        this.setText('audit-total', `${totalCount} record${totalCount === 1 ? '' : 's'}`);
+        this.renderPager('audit-pager', result, 'goToAuditPage');
+        
+        this.auditRecords = result.items;
+        if (result.items.length === 0) {
+            this.renderTableMessage(tbody,
+                totalCount > 0
+                    ? 'No records on this page.'
+                    : Object.values(filters).some(Boolean)
+                        ? 'No audit records match the selected filters.'
+                        : 'Nothing has been audited yet.',
+                'empty');
+            return;
+        }
+        
+        tbody.innerHTML = result.items.map(record => `
+            <tr>
+                <td><code>${record.sequence}</code></td>
+                <td>${this.formatDate(record.createdAt)}</td>
+                <td><span class="badge ${this.getAuditEventClass(record.eventType)}">${this.escapeHtml(record.eventType)}</span></td>
+                <td>${this.escapeHtml(record.userName || record.userId)}</td>
+                <td>${this.escapeHtml(record.action)}</td>
+                <td>
+                    ${record.resourceType ? `<span class="cert-thumbprint">${this.escapeHtml(record.resourceType)}</span> ` : ''}
+                    ${this.escapeHtml(record.resourceId)}
+                </td>
+                <td><span class="badge ${record.success ? 'success' : 'danger'}">${record.success ? 'OK' : 'Failed'}</span></td>
+                <td>
+                    <button class="btn btn-secondary btn-sm" onclick="app.showAuditRecord(${record.sequence})">
+                        ${record.beforeValue || record.afterValue ? 'Changes' : 'Details'}
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    getAuditEventClass(eventType) {
+        if (eventType === 'SecurityAlert' || eventType === 'DeploymentFailed') return 'danger';
+        if (eventType === 'ConfigurationChanged' || eventType.startsWith('Permission')) return 'warning';
+        if (eventType === 'DeploymentCompleted') return 'success';
+        return 'info';
+    }
+
+    showAuditRecord(sequence) {
+        const record = this.auditRecords.find(r => r.sequence === sequence);
+        if (!record) return;
+        
+        const details = Object.entries(record.additionalData || {})
+            .map(([key, value]) => [key, typeof value === 'object' ? JSON.stringify(value) : value]);
+        
+        this.openModal(`
+            <div class="modal-header">
+                <h3>Audit Record #${record.sequence}</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                ${this.renderKeyValues([
+                    ['Time', this.formatDate(record.createdAt)],
+                    ['Event', record.eventType],
+                    ['User', record.userName || record.userId],
+                    ['Action', record.action],
+                    ['Resource', [record.resourceType, record.resourceId].filter(Boolean).join(' ')],
+                    ['Result', record.success ? 'Succeeded' : `Failed: ${record.errorMessage || 'no reason recorded'}`],
+                    ...details
+                ])}
+                ${record.beforeValue || record.afterValue
+                    ? this.renderDetailSection('Changes', this.renderValueDiff(
+                        this.parseAuditValue(record.beforeValue),
+                        this.parseAuditValue(record.afterValue),
+                        ['Before', 'After']))
+                    : ''}
+                ${this.renderDetailSection('Integrity', this.renderKeyValues([
+                    ['Hash', record.hash ? `<code>${this.escapeHtml(record.hash)}</code>` : '', true],
+                    ['Previous hash', record.previousHash ? `<code>${this.escapeHtml(record.previousHash)}</code>` : '', true],
+                    ['Signature', record.signature ? `<code>${this.escapeHtml(record.signature)}</code>` : 'Not signed', !!record.signature]
+                ]))}
+            </div>
+        `, 'modal-wide');
+    }
+
+    // Before and after values are JSON snapshots; anything else is shown as a single value
+    parseAuditValue(text) {
+        if (!text) return {};
+        
+        try {
+            const value = JSON.parse(text);
+            return value && typeof value === 'object' ? this.flattenValues(value) : { value: String(value) };
+        } catch {
+            return { value: text };
+        }
+    }
+
+    async verifyAudit() {
+        const button = document.getElementById('audit-verify-btn');
+        if (button) button.disabled = true;
+        
+        try {
+            this.renderAuditVerification(await this.verifyAuditTrail());
+        } catch (error) {
+            this.showError(`Verification failed: ${error.message}`);
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    renderAuditVerification(result) {
+        const banner = document.getElementById('audit-verification');
+        if (!banner) return;
+        
+        banner.className = `audit-verification ${result.isValid ? 'valid' : 'invalid'}`;
+        banner.innerHTML = `
+            <strong>${result.isValid ? '✓ Audit trail intact' : '⚠ Audit trail has been tampered with'}</strong>
+            <span>
+                ${result.recordCount} record(s) checked up to #${result.lastSequence},
+                ${result.signaturesChecked ? 'signatures verified' : 'signatures not checked (no signing key)'},
+                ${this.formatDate(result.verifiedAt)}
+            </span>
+            ${result.issues.length > 0 ? `
+                <ul>
+                    ${result.issues.map(issue => `<li><code>#${issue.sequence}</code> ${this.escapeHtml(issue.problem)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    async exportAuditCsv() {
+        try {
+            const blob = await this.exportAudit(this.readAuditFilters());
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+            this.downloadBlob(blob, `iiscribe-audit-${stamp}.csv`);
+        } catch (error) {
+            this.showError(`Export failed: ${error.message}`);
+        }
+    }
+
+    renderSettings() {
+        const { defaults, refreshSeconds, timeZone } = this.settings;
+        const active = this.settings.connections.find(c => c.url === this.settings.activeConnection);
+        
+        this.fillSelect('default-environment', this.getEnumValues('environment'), defaults.environment);
+        this.fillSelect('default-target', this.getEnumValues('target'), defaults.target);
+        this.fillSelect('default-strategy', this.getEnumValues('strategy'), defaults.strategy);
+        this.fillSelect('default-db-provider', this.getEnumValues('databaseProvider'), defaults.databaseProvider);
+        this.fillSelect('default-cert-type', this.getEnumValues('certificateType'), defaults.certificateType);
+        
+        const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [browserZone];
+        this.fillSelect('time-zone', [
+            ['', `Browser default (${browserZone})`],
+            'UTC',
+            ...zones.filter(zone => zone !== 'UTC')
+        ], timeZone);
+        this.setSelectValue('refresh-interval', String(refreshSeconds));
+        document.getElementById('cert-warning-days').value = this.settings.certificateWarningDays;
+        
+        document.getElementById('connection-name').value = active?.name || '';
+        document.getElementById('api-endpoint').value = this.settings.activeConnection;
+        document.getElementById('connection-status')?.classList.add('hidden');
+        this.renderConnections();
+        this.renderAccount();
+        if (this.can('ManageUsers')) {
+            this.loadUsers();
+        }
+        if (this.can('ManageNotifications')) {
+            this.loadNotificationChannels();
+        }
+    }
+
+    renderConnections() {
+        const list = document.getElementById('connection-list');
+        if (!list) return;
+        
+        const { connections, activeConnection } = this.settings;
+        list.innerHTML = connections.map((connection, index) => {
+            const isActive = connection.url === activeConnection;
+            return `
+                <div class="connection-item ${isActive ? 'active' : ''}">
+                    <div class="connection-info">
+                        <strong>${this.escapeHtml(connection.name)}</strong>
+                        <small>${this.escapeHtml(connection.url)}</small>
+                    </div>
+                    <div class="profile-actions">
+                        ${isActive
+                            ? '<span class="badge success">Active</span>'
+                            : `<button class="btn btn-primary btn-sm" onclick="app.useConnection(${index})">Use</button>`}
+                        <button class="btn btn-secondary btn-sm" onclick="app.editConnection(${index})">Edit</button>
+                        ${isActive ? '' : `<button class="btn btn-danger btn-sm" onclick="app.removeConnection(${index})">Remove</button>`}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    showConnectionStatus(message, state) {
+        const status = document.getElementById('connection-status');
+        if (!status) return;
+        
+        status.className = `connection-status ${state}`;
+        status.textContent = message;
+    }
+
+    describeServer(info) {
+        return `Connected to ${info.machineName} (IIScribe v${info.version}, ${info.environment}, ${info.latencyMs} ms)` +
+            (info.iisAvailable ? '' : ' · IIS not available on this server');
+    }
+
+    async testConnection() {
+        let endpoint;
+        try {
+            endpoint = this.normalizeEndpoint(document.getElementById('api-endpoint').value);
+        } catch (error) {
+            this.showConnectionStatus(error.message, 'error');
+            return;
+        }
+        
+        this.showConnectionStatus(`Checking ${endpoint}...`, 'loading');
+        try {
+            this.showConnectionStatus(this.describeServer(await this.checkConnection(endpoint)), 'success');
+        } catch (error) {
+            this.showConnectionStatus(error.message, 'error');
+        }
+    }
+
+    // Add or update the connection in the form and switch to it
+    async saveConnection() {
+        let endpoint;
+        try {
+            endpoint = this.normalizeEndpoint(document.getElementById('api-endpoint').value);
+        } catch (error) {
+            this.showConnectionStatus(error.message, 'error');
+            return;
+        }
+        
+        const name = document.getElementById('connection-name').value.trim() || new URL(endpoint).host;
+        if (!await this.confirmConnection(endpoint)) return;
+        
+        const connections = this.settings.connections.filter(c => c.url !== endpoint);
+        connections.push({ name, url: endpoint });
+        this.settings.connections = connections;
+        this.activateConnection(endpoint);
+        this.showSuccess(`Connection "${name}" saved and active`);
+    }
+
+    async useConnection(index) {
+        const connection = this.settings.connections[index];
+        if (!connection || !await this.confirmConnection(connection.url)) return;
+        
+        this.activateConnection(connection.url);
+        this.showSuccess(`Now using ${connection.name}`);
+    }
+
+    // Switching to a server that doesn't answer is allowed, but only after saying so
+    async confirmConnection(endpoint) {
+        this.showConnectionStatus(`Checking ${endpoint}...`, 'loading');
+        try {
+            this.showConnectionStatus(this.describeServer(await this.checkConnection(endpoint)), 'success');
+            return true;
+        } catch (error) {
+            this.showConnectionStatus(error.message, 'error');
+            return confirm(`${endpoint} did not respond: ${error.message}\n\nUse it anyway?`);
+        }
+    }
+
+    // Each server has its own sign-in, so switching may ask for credentials
+    activateConnection(endpoint) {
+        this.settings.activeConnection = endpoint;
+        this.apiBase = this.getApiBase();
+        this.persistSettings();
+        this.restoreSession();
+        
+        const status = document.getElementById('connection-status');
+        this.renderSettings();
+        status?.classList.remove('hidden');
+    }
+
+    editConnection(index) {
+        const connection = this.settings.connections[index];
+        if (!connection) return;
+        
+        document.getElementById('connection-name').value = connection.name;
+        document.getElementById('api-endpoint').value = connection.url;
+        document.getElementById('connection-status')?.classList.add('hidden');
+    }
+
+    removeConnection(index) {
+        const connection = this.settings.connections[index];
+        if (!connection || connection.url === this.settings.activeConnection) return;
+        if (!confirm(`Remove the saved connection "${connection.name}"?`)) return;
+        
+        this.settings.connections.splice(index, 1);
+        this.persistSettings();
+        this.renderConnections();
+    }
+
+    saveSettings() {
+        const value = (id) => document.getElementById(id).value;
+        
+        this.settings.defaults = {
+            environment: value('default-environment'),
+            target: value('default-target'),
+            strategy: value('default-strategy'),
+            databaseProvider: value('default-db-provider'),
+            certificateType: value('default-cert-type')
+        };
+        this.settings.refreshSeconds = parseInt(value('refresh-interval'), 10) || 0;
+        this.settings.timeZone = value('time-zone');
+        this.settings.certificateWarningDays = Math.min(365, Math.max(1, parseInt(value('cert-warning-days'), 10) || 30));
+        this.persistSettings();
+        
+        // A profile already loaded into the deploy form takes precedence over the defaults
+        if (!this.selectedProfile) {
+            this.applyDeployDefaults();
+        }
+        this.showSuccess('Settings saved');
+    }
+
+    // Restores defaults and display preferences; saved connections are kept
+    resetSettings() {
+        if (!confirm('Reset default configuration and display settings?')) return;
+        
+        const { connections, activeConnection } = this.settings;
+        this.settings = { ...this.getDefaultSettings(), connections, activeConnection };
+        this.persistSettings();
+        this.renderSettings();
+        if (!this.selectedProfile) {
+            this.applyDeployDefaults();
+        }
+        this.showSuccess('Settings reset');
+    }
+
+    renderAccount() {
+        const summary = document.getElementById('account-summary');
+        const user = this.session?.user;
+        if (!summary || !user) return;
+
+        summary.innerHTML = `
+            Signed in to ${this.escapeHtml(this.settings.activeConnection)} as
+            <strong>${this.escapeHtml(user.fullName || user.username)}</strong> (${this.escapeHtml(user.role)}).
+            ${user.permissions.length
+                ? `You may: ${user.permissions.map(p => this.escapeHtml(p)).join(', ')}.`
+                : 'Your role is read-only.'}
+        `;
+        document.getElementById('change-password-btn').disabled = this.offlineMode;
+    }
+
+    openChangePassword() {
+        this.openModal(`
+            <div class="modal-header">
+                <h3>Change Password</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                ${this.renderInput('cp-current', 'Current Password', '', { type: 'password' })}
+                ${this.renderInput('cp-new', 'New Password', '', { type: 'password', hint: 'At least 8 characters' })}
+                ${this.renderInput('cp-confirm', 'Confirm New Password', '', { type: 'password' })}
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-primary" onclick="app.changePassword()">Change Password</button>
+            </div>
+        `);
+        document.getElementById('cp-current').focus();
+    }
+
+    async changePassword() {
+        const currentPassword = document.getElementById('cp-current').value;
+        const newPassword = document.getElementById('cp-new').value;
+        if (newPassword !== document.getElementById('cp-confirm').value) {
+            this.showError('The new passwords do not match');
+            return;
+        }
+
+        try {
+            await this.api('POST', '/auth/change-password', { currentPassword, newPassword });
+        } catch (error) {
+            console.error('Change password error:', error);
+            this.showError(error.problem?.detail || error.message);
+            return;
+        }
+
+        this.closeModal();
+        this.showSuccess('Password changed');
+    }
+
+    async loadUsers() {
+        const tbody = document.querySelector('#users-table tbody');
+        if (!tbody) return;
+
+        this.renderTableMessage(tbody, 'Loading users...', 'loading');
+
+        let users;
+        try {
+            users = await this.getUsers();
+        } catch (error) {
+            console.error('Error loading users:', error);
+            this.renderTableMessage(tbody, `Failed to load users: ${error.message}`, 'error');
+            return;
+        }
+
+        this.users = users;
+        tbody.innerHTML = users.map(user => `
+            <tr>
+                <td>
+                    <strong>${this.escapeHtml(user.username)}</strong>
+                    ${user.fullName ? `<div class="cert-thumbprint">${this.escapeHtml(user.fullName)}</div>` : ''}
+                </td>
+                <td>${this.escapeHtml(user.role)}</td>
+                <td>${this.escapeHtml(user.teamName || '')}</td>
+                <td>${user.lastLoginAt ? this.formatDate(user.lastLoginAt) : 'Never'}</td>
+                <td><span class="badge ${user.isActive ? 'success' : 'danger'}">${user.isActive ? 'Active' : 'Disabled'}</span></td>
+                <td><button class="btn btn-secondary btn-sm" onclick="app.openUserEditor('${this.escapeHtml(user.username)}')">Edit</button></td>
+            </tr>
+        `).join('');
+    }
+
+    openUserEditor(username = null) {
+        const user = username ? this.users.find(u => u.username === username) : null;
+        const isNew = !user;
+
+        this.openModal(`
+            <div class="modal-header">
+                <h3>${isNew ? 'Add User' : `Edit ${this.escapeHtml(user.username)}`}</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                ${isNew ? this.renderInput('ue-username', 'Username', '') : ''}
+                <div class="form-row">
+                    ${this.renderInput('ue-fullname', 'Full Name', user?.fullName || '')}
+                    ${this.renderInput('ue-email', 'Email', user?.email || '', { type: 'email' })}
+                </div>
+                <div class="form-row">
+                    ${this.renderSelect('ue-role', 'Role', this.getEnumValues('userRole'), user?.role || 'Viewer')}
+                    ${this.renderInput('ue-team', 'Team', user?.teamName || '')}
+                </div>
+                ${this.renderInput('ue-password', isNew ? 'Password' : 'New Password', '', {
+                    type: 'password',
+                    hint: isNew ? 'At least 8 characters' : 'Leave blank to keep the current password'
+                })}
+                ${this.renderCheckbox('ue-active', 'Account is active', user?.isActive ?? true)}
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-primary" onclick="app.saveUser(${isNew ? 'null' : `'${this.escapeHtml(user.username)}'`})">Save User</button>
+            </div>
+        `);
+    }
+
+    async saveUser(username) {
+        const value = (id) => document.getElementById(id).value.trim();
+        const user = {
+            username: username || value('ue-username'),
+            fullName: value('ue-fullname') || null,
+            email: value('ue-email'),
+            role: value('ue-role'),
+            teamName: value('ue-team') || null,
+            isActive: document.getElementById('ue-active').checked,
+            password: document.getElementById('ue-password').value || null
+        };
+
+        if (!user.username) {
+            this.showError('Username is required');
+            return;
+        }
+
+        if (this.offlineMode) {
+            this.closeModal();
+            this.showSuccess(`User ${user.username} saved (offline demo mode, not persisted)`);
+            return;
+        }
+
+        try {
+            if (username) {
+                await this.api('PUT', `/users/${encodeURIComponent(username)}`, user);
+            } else {
+                await this.api('POST', '/users', user);
+            }
+        } catch (error) {
+            console.error('Error saving user:', error);
+            this.showError('Could not save user: ' + (error.problem?.detail || error.message));
+            return;
+        }
+
+        this.closeModal();
+        this.showSuccess(`User ${user.username} saved`);
+        this.loadUsers();
+
+        // Editing yourself can change what you may do
+        if (username === this.session?.user.username) {
+            this.refreshSession();
+        }
+    }
+
+    async loadNotificationChannels() {
+        const tbody = document.querySelector('#notification-channels-table tbody');
+        if (!tbody) return;
+
+        this.renderTableMessage(tbody, 'Loading notification channels...', 'loading');
+
+        let channels;
+        try {
+            channels = await this.getNotificationChannels();
+        } catch (error) {
+            console.error('Error loading notification channels:', error);
+            this.renderTableMessage(tbody, `Failed to load notification channels: ${error.message}`, 'error');
+            return;
+        }
+
+        this.notificationChannels = channels;
+        if (channels.length === 0) {
+            this.renderTableMessage(tbody, 'No notification channels yet. Add one to hear about deployments.', 'empty');
+            return;
+        }
+
+        tbody.innerHTML = channels.map(channel => `
+            <tr>
+                <td><strong>${this.escapeHtml(channel.name)}</strong></td>
+                <td>${this.getChannelLabel(channel.channel)}</td>
+                <td><span class="cert-thumbprint">${this.escapeHtml(this.describeChannelTarget(channel))}</span></td>
+                <td>${this.describeChannelEvents(channel)}</td>
+                <td><span class="badge ${channel.enabled ? 'success' : 'danger'}">${channel.enabled ? 'Enabled' : 'Disabled'}</span></td>
+                <td>
+                    <div class="profile-actions">
+                        <button class="btn btn-secondary btn-sm" onclick="app.testNotificationChannel('${channel.id}')">Send Test</button>
+                        <button class="btn btn-secondary btn-sm" onclick="app.openChannelEditor('${channel.id}')">Edit</button>
+                        <button class="btn btn-danger btn-sm" onclick="app.deleteNotificationChannel('${channel.id}')">Delete</button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    getChannelLabel(channel) {
+        const map = {
+            'Email': 'Email',
+            'Slack': 'Slack',
+            'MicrosoftTeams': 'Microsoft Teams',
+            'Webhook': 'Webhook'
+        };
+        return map[channel] || channel;
+    }
+
+    // Slack and Teams webhook URLs are secrets, so only their host is shown
+    describeChannelTarget(channel) {
+        const host = (url) => {
+            try {
+                return new URL(url).host;
+            } catch {
+                return url || '';
+            }
+        };
+
+        switch (channel.channel) {
+            case 'Email': return channel.emailTo || '';
+            case 'Slack': return channel.slackChannel || host(channel.slackWebhookUrl);
+            case 'MicrosoftTeams': return host(channel.teamsWebhookUrl);
+            case 'Webhook': return channel.webhookUrl || '';
+            default: return '';
+        }
+    }
+
+    describeChannelEvents(channel) {
+        const events = [
+            [channel.notifyOnStart, 'Start'],
+            [channel.notifyOnSuccess, 'Success'],
+            [channel.notifyOnFailure, 'Failure'],
+            [channel.notifyOnRollback, 'Rollback'],
+            [channel.notifyOnHealthAlert, 'Health']
+        ].filter(([enabled]) => enabled).map(([, label]) => label);
+
+        return events.length ? events.join(', ') : 'None';
+    }
+
+    openChannelEditor(id = null) {
+        const channel = id ? this.notificationChannels.find(c => c.id === id) : null;
+        const isNew = !channel;
+
+        this.openModal(`
+            <div class="modal-header">
+                <h3>${isNew ? 'Add Notification Channel' : `Edit ${this.escapeHtml(channel.name)}`}</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="form-row">
+                    ${this.renderInput('nc-name', 'Name', channel?.name || '', { placeholder: 'Ops webhook' })}
+                    ${this.renderSelect('nc-channel', 'Type', this.getEnumValues('notificationChannel'), channel?.channel || 'Webhook')}
+                </div>
+                <div class="channel-fields" data-channel="Email">
+                    <div class="form-row">
+                        ${this.renderInput('nc-smtp-server', 'SMTP Server', channel?.smtpServer || '', { placeholder: 'localhost' })}
+                        ${this.renderInput('nc-smtp-port', 'SMTP Port', channel?.smtpPort ?? '', { type: 'number', placeholder: '25' })}
+                    </div>
+                    <div class="form-row">
+                        ${this.renderInput('nc-email-from', 'From', channel?.emailFrom || '', { type: 'email', placeholder: 'iiscribe@example.com' })}
+                        ${this.renderInput('nc-email-to', 'To', channel?.emailTo || '', { hint: 'Separate addresses with commas' })}
+                    </div>
+                </div>
+                <div class="channel-fields" data-channel="Slack">
+                    ${this.renderInput('nc-slack-url', 'Incoming Webhook URL', channel?.slackWebhookUrl || '', { placeholder: 'https://hooks.slack.com/services/...' })}
+                    ${this.renderInput('nc-slack-channel', 'Channel', channel?.slackChannel || '', {
+                        placeholder: '#deployments',
+                        hint: 'Leave blank to post to the webhook\'s own channel'
+                    })}
+                </div>
+                <div class="channel-fields" data-channel="MicrosoftTeams">
+                    ${this.renderInput('nc-teams-url', 'Incoming Webhook URL', channel?.teamsWebhookUrl || '')}
+                </div>
+                <div class="channel-fields" data-channel="Webhook">
+                    ${this.renderInput('nc-webhook-url', 'URL', channel?.webhookUrl || '', { placeholder: 'https://example.com/hooks/iiscribe' })}
+                    ${this.renderInput('nc-webhook-secret', 'Signing Secret', '', {
+                        type: 'password',
+                        hint: channel?.hasWebhookSecret
+                            ? 'Leave blank to keep the current secret'
+                            : 'At least 16 characters. Requests carry X-IIScribe-Signature: sha256= the HMAC-SHA256 of "{X-IIScribe-Timestamp}.{body}".'
+                    })}
+                    ${this.renderTextarea('nc-webhook-headers', 'Extra Headers', this.formatKeyValues(channel?.webhookHeaders), 'One Name=value per line')}
+                </div>
+                <h4>Notify On</h4>
+                <div class="form-row">
+                    ${this.renderCheckbox('nc-on-start', 'Deployment started', channel?.notifyOnStart ?? true)}
+                    ${this.renderCheckbox('nc-on-success', 'Deployment succeeded', channel?.notifyOnSuccess ?? true)}
+                </div>
+                <div class="form-row">
+                    ${this.renderCheckbox('nc-on-failure', 'Deployment failed', channel?.notifyOnFailure ?? true)}
+                    ${this.renderCheckbox('nc-on-rollback', 'Deployment rolled back', channel?.notifyOnRollback ?? true)}
+                </div>
+                ${this.renderCheckbox('nc-on-health', 'Site turned unhealthy or recovered', channel?.notifyOnHealthAlert ?? true)}
+                ${this.renderCheckbox('nc-enabled', 'Channel is enabled', channel?.enabled ?? true)}
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-primary" onclick="app.saveNotificationChannel(${isNew ? 'null' : `'${channel.id}'`})">Save Channel</button>
+            </div>
+        `);
+
+        document.getElementById('nc-channel')?.addEventListener('change', () => this.toggleChannelFields());
+        this.toggleChannelFields();
+    }
+
+    toggleChannelFields() {
+        const type = document.getElementById('nc-channel')?.value;
+        document.querySelectorAll('.channel-fields').forEach(group => {
+            group.classList.toggle('hidden', group.dataset.channel !== type);
+        });
+    }
+
+    async saveNotificationChannel(id) {
+        const value = (elementId) => document.getElementById(elementId).value.trim();
+        const checked = (elementId) => document.getElementById(elementId).checked;
+        const port = value('nc-smtp-port');
+        const channel = {
+            name: value('nc-name'),
+            channel: value('nc-channel'),
+            enabled: checked('nc-enabled'),
+            notifyOnStart: checked('nc-on-start'),
+            notifyOnSuccess: checked('nc-on-success'),
+            notifyOnFailure: checked('nc-on-failure'),
+            notifyOnRollback: checked('nc-on-rollback'),
+            notifyOnHealthAlert: checked('nc-on-health'),
+            emailTo: value('nc-email-to') || null,
+            emailFrom: value('nc-email-from') || null,
+            smtpServer: value('nc-smtp-server') || null,
+            smtpPort: port ? parseInt(port, 10) : null,
+            slackWebhookUrl: value('nc-slack-url') || null,
+            slackChannel: value('nc-slack-channel') || null,
+            teamsWebhookUrl: value('nc-teams-url') || null,
+            webhookUrl: value('nc-webhook-url') || null,
+            webhookHeaders: this.parseKeyValues(document.getElementById('nc-webhook-headers').value),
+            webhookSecret: document.getElementById('nc-webhook-secret').value || null
+        };
+
+        if (!channel.name) {
+            this.showError('Name is required');
+            return;
+        }
+
+        if (this.offlineMode) {
+            this.closeModal();
+            this.showSuccess(`Channel ${channel.name} saved (offline demo mode, not persisted)`);
+            return;
+        }
+
+        try {
+            if (id) {
+                await this.api('PUT', `/notifications/channels/${id}`, channel);
+            } else {
+                await this.api('POST', '/notifications/channels', channel);
+            }
+        } catch (error) {
+            console.error('Error saving notification channel:', error);
+            this.showError('Could not save channel: ' + (error.problem?.detail || error.message));
+            return;
+        }
+
+        this.closeModal();
+        this.showSuccess(`Notification channel ${channel.name} saved`);
+        this.loadNotificationChannels();
+    }
+
+    async deleteNotificationChannel(id) {
+        const channel = this.notificationChannels.find(c => c.id === id);
+        if (!channel) return;
+        if (!confirm(`Delete the notification channel "${channel.name}"? Notifications still waiting to be sent to it are dropped.`)) return;
+
+        if (this.offlineMode) {
+            this.showSuccess(`Channel ${channel.name} deleted (offline demo mode, not persisted)`);
+            return;
+        }
+
+        try {
+            await this.api('DELETE', `/notifications/channels/${id}`);
+        } catch (error) {
+            console.error('Error deleting notification channel:', error);
+            this.showError('Could not delete channel: ' + (error.problem?.detail || error.message));
+            return;
+        }
+
+        this.showSuccess(`Notification channel ${channel.name} deleted`);
+        this.loadNotificationChannels();
+    }
+
+    // Tests are sent once, straight away, so the result says whether the channel works right now
+    async testNotificationChannel(id) {
+        const channel = this.notificationChannels.find(c => c.id === id);
+        if (!channel) return;
+
+        if (this.offlineMode) {
+            this.showSuccess(`Test notification to ${channel.name} sent (offline demo mode, nothing was sent)`);
+            return;
+        }
+
+        let delivery;
+        try {
+            delivery = await this.api('POST', `/notifications/channels/${id}/test`);
+        } catch (error) {
+            console.error('Error sending test notification:', error);
+            this.showError('Could not send test: ' + (error.problem?.detail || error.message));
+            return;
+        }
+
+        const attempt = delivery.attempts[delivery.attempts.length - 1];
+        if (delivery.status === 'Delivered') {
+            this.showSuccess(`Test notification delivered to ${channel.name} (${attempt.durationMs} ms)`);
+        } else {
+            this.showError(`Test notification to ${channel.name} failed: ${attempt?.error || 'no response'}`);
+        }
+    }
+
+    renderNotificationDeliveries(dep, deliveries) {
+        if (deliveries.length === 0) {
+            return `<p class="detail-empty">${dep.sendNotifications
+                ? 'No notifications were sent.'
+                : 'Notifications were turned off for this deployment.'}</p>`;
+        }
+
+        return `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Channel</th><th>Event</th><th>Status</th><th>Attempts</th><th>Raised</th></tr>
+                </thead>
+                <tbody>
+                    ${deliveries.map(delivery => `
+                        <tr>
+                            <td>
+                                ${this.escapeHtml(delivery.channelName)}
+                                <div class="cert-thumbprint">${this.getChannelLabel(delivery.channel)} · ${this.escapeHtml(delivery.target)}</div>
+                            </td>
+                            <td>${this.escapeHtml(delivery.event)}</td>
+                            <td>
+                                <span class="badge ${this.getDeliveryClass(delivery.status)}">${delivery.status}</span>
+                                ${delivery.status === 'Pending' && delivery.nextAttemptAt
+                                    ? `<span class="queue-position">Next try ${this.formatDate(delivery.nextAttemptAt)}</span>`
+                                    : ''}
+                            </td>
+                            <td>
+                                ${delivery.attempts.length ? `
+                                    <ul class="delivery-attempts">
+                                        ${delivery.attempts.map(attempt => `
+                                            <li class="${attempt.succeeded ? 'succeeded' : 'failed'}">
+                                                ${this.formatDate(attempt.attemptedAt)} · ${this.escapeHtml(this.describeAttempt(attempt))}
+                                            </li>
+                                        `).join('')}
+                                    </ul>
+                                ` : 'Not tried yet'}
+                            </td>
+                            <td>${this.formatDate(delivery.createdAt)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    describeAttempt(attempt) {
+        return attempt.succeeded
+            ? `Delivered${attempt.statusCode ? ` (${attempt.statusCode})` : ''} in ${attempt.durationMs} ms`
+            : `${attempt.error || 'Failed'} after ${attempt.durationMs} ms`;
+    }
+
+    getDeliveryClass(status) {
+        const map = {
+            'Delivered': 'success',
+            'Pending': 'warning',
+            'Failed': 'danger'
+        };
+        return map[status] || 'info';
+    }
+
+    // Build a DeploymentRequest from the deploy form, layered over the selected profile's templates
+    readDeployForm() {
+        const profile = this.selectedProfile;
+        const deployData = {
+            applicationPath: document.getElementById('app-path').value,
+            domainName: document.getElementById('domain-name').value,
+            httpPort: parseInt(document.getElementById('http-port').value),
+            httpsPort: parseInt(document.getElementById('https-port').value),
+            environment: document.getElementById('environment').value,
+            target: document.getElementById('target').value,
+            strategy: document.getElementById('strategy').value,
+            runHealthChecks: document.getElementById('run-health-checks').checked,
+            sendNotifications: document.getElementById('send-notifications').checked
+        };
+
+        if (profile?.id) {
+            deployData.profileId = profile.id;
+        }
+
+        if (!document.getElementById('emergency-override').classList.contains('hidden')) {
+            deployData.emergencyJustification = document.getElementById('emergency-justification').value.trim();
+        }
+
+        // Target settings over the profile's cloud template; secrets go as entered for the server to encrypt
+        const { cloudConfig, containerConfig, secrets } = this.readTargetSettings(deployData.target);
+        if (cloudConfig) {
+            const providers = { AzureAppService: 'Azure', AzureVM: 'Azure', AWSEC2: 'AWS', GoogleCloudVM: 'GoogleCloud' };
+            deployData.cloudConfig = {
+                ...profile?.cloudTemplate,
+                provider: providers[deployData.target] || 'None',
+                ...cloudConfig
+            };
+        }
+        if (containerConfig) {
+            deployData.containerConfig = containerConfig;
+        }
+        if (secrets) {
+            deployData.secrets = secrets;
+        }
+
+        // Add database config if enabled
+        if (document.getElementById('enable-database').checked) {
+            const deploymentMode = document.getElementById('db-mode').value;
+            deployData.databaseConfig = {
+                autoRollbackOnFailure: true,
+                ...profile?.databaseTemplate,
+                ...this.detectedDatabase,
+                provider: document.getElementById('db-provider').value,
+                databaseName: document.getElementById('db-name').value,
+                deploymentMode,
+                migrationsFolder: deploymentMode === 'DacPac' ? null : document.getElementById('db-migrations').value.trim() || null,
+                dacPacPath: deploymentMode === 'DacPac' ? document.getElementById('db-dacpac').value.trim() || null : null,
+                backupBeforeDeployment: document.getElementById('db-backup').checked
+            };
+        }
+
+        // Add SSL config if enabled
+        if (document.getElementById('enable-ssl').checked) {
+            deployData.sslConfig = {
+                validityDays: 365,
+                autoRenew: true,
+                ...profile?.sslTemplate,
+                certificateType: document.getElementById('cert-type').value
+            };
+        }
+
+        return deployData;
+    }
+
+    async handleDeploy() {
+        const form = document.getElementById('deploy-form');
+        const progressContainer = document.getElementById('deployment-progress');
+        
+        // Analyze first unless the form is unchanged since the last analysis; errors keep the form open
+        if (this.preflight?.key !== this.getPreflightKey(this.readDeployForm())) {
+            if (!await this.analyzeDeployment()) return;
+        }
+        // A closed change window only matters for when a scheduled deployment runs, which the server checks
+        const scheduling = document.getElementById('enable-schedule').checked;
+        const blocking = this.preflight.result.errors
+            .filter(error => !(scheduling && error.field === 'emergencyJustification'));
+        if (blocking.length > 0) {
+            this.showError('Resolve the pre-flight errors before deploying');
+            document.getElementById('preflight-panel')?.scrollIntoView({ behavior: 'smooth' });
+            return;
+        }
+        
+        const deployData = this.readDeployForm();
+        if (scheduling) {
+            await this.scheduleDeployment(deployData);
+            return;
+        }
+
+        // Hide form, show progress
+        form.style.display = 'none';
+        this.resetProgress();
+        progressContainer.classList.remove('hidden');
+
+        if (this.offlineMode) {
+            if (this.getEnvironmentPolicy(deployData.environment)?.policy.requiredApprovals > 0) {
+                this.showPendingApproval();
+                return;
+            }
+            await this.simulateDeployment(deployData);
+            this.finishDeployment('Deployment completed successfully!');
+            return;
+        }
+
+        let accepted;
+        try {
+            accepted = await this.api('POST', '/deployments', deployData);
+        } catch (error) {
+            console.error('Deployment error:', error);
+            this.showError('Deployment failed: ' + error.message);
+            this.closeDeploymentProgress();
+            return;
+        }
+
+        const id = accepted.deploymentId;
+        this.currentDeploymentId = id;
+        if (accepted.status === 'PendingApproval') {
+            this.showPendingApproval();
+            return;
+        }
+        this.addLog(`Deployment ${id.substring(0, 8)} queued`, 'info');
+
+        try {
+            const status = await this.trackDeployment(id);
+            
+            if (status.status === 'Success') {
+                const result = await this.api('GET', `/deployments/${id}/result`);
+                this.finishDeployment(`Deployment completed successfully! ${result.url}`);
+            } else {
+                await this.showDeploymentFailure(id);
+            }
+        } catch (error) {
+            console.error('Deployment tracking error:', error);
+            this.showDeploymentOutcome('Lost track of deployment', error.message, null, id);
+        }
+    }
+
+    // Show the settings groups that apply to the target; local targets have none
+    toggleTargetSettings(target = document.getElementById('target')?.value) {
+        const section = document.getElementById('target-settings');
+        if (!section) return;
+        
+        let shown = 0;
+        section.querySelectorAll('.target-fields').forEach(group => {
+            const applies = group.dataset.targets.split(' ').includes(target);
+            group.classList.toggle('hidden', !applies);
+            if (applies) shown++;
+        });
+        section.classList.toggle('hidden', shown === 0);
+        
+        const label = document.querySelector(`#target option[value="${target}"]`)?.textContent || target;
+        this.setText('target-settings-title', `${label} Settings`);
+        this.renderContainerPreview(null);
+    }
+
+    toggleDatabaseMode(mode = document.getElementById('db-mode')?.value) {
+        document.querySelectorAll('#database-config .db-mode-fields').forEach(group =>
+            group.classList.toggle('hidden', !group.dataset.modes.split(' ').includes(mode)));
+    }
+
+    // Fields of the target's groups, by their data-config path such as cloudConfig.vmName or secrets.remotePassword
+    readTargetSettings(target) {
+        const settings = {};
+        document.querySelectorAll('#target-settings .target-fields').forEach(group => {
+            if (!group.dataset.targets.split(' ').includes(target)) return;
+            
+            group.querySelectorAll('[data-config]').forEach(input => {
+                const [section, key] = input.dataset.config.split('.');
+                const value = input.type === 'checkbox' ? input.checked
+                    : input.type === 'number' ? parseInt(input.value, 10)
+                    : input.value.trim();
+                if (value === '' || Number.isNaN(value)) return;
+                
+                settings[section] = { ...settings[section], [key]: value };
+            });
+        });
+        return settings;
+    }
+
+    // The Dockerfile and manifest come with the pre-flight analysis
+    async previewContainerFiles() {
+        const result = await this.analyzeDeployment();
+        if (result && !result.containerPreview) {
+            this.showError('Enter an image name and a valid application path to generate the files');
+        }
+    }
+
+    renderContainerPreview(preview) {
+        const panel = document.getElementById('container-preview');
+        if (!panel) return;
+        
+        panel.classList.toggle('hidden', !preview);
+        panel.innerHTML = preview ? `
+            <h4>Dockerfile</h4>
+            <pre>${this.escapeHtml(preview.dockerfile)}</pre>
+            ${preview.runCommand ? `
+                <h4>Run ${this.escapeHtml(preview.image)}</h4>
+                <pre>${this.escapeHtml(preview.runCommand)}</pre>
+            ` : ''}
+            ${preview.kubernetesManifest ? `
+                <h4>Kubernetes Manifest</h4>
+                <pre>${this.escapeHtml(preview.kubernetesManifest)}</pre>
+            ` : ''}
+        ` : '';
+    }
+
+    toggleSchedule(enabled) {
+        document.getElementById('schedule-config').classList.toggle('hidden', !enabled);
+        this.setText('deploy-submit-label', enabled ? 'Schedule' : 'Deploy Now');
+        
+        // Start from the next full hour
+        const runAt = document.getElementById('schedule-run-at');
+        if (enabled && !runAt.value) {
+            const next = new Date();
+            next.setHours(next.getHours() + 1, 0, 0, 0);
+            runAt.value = this.toDateTimeInputValue(next);
+        }
+    }
+
+    async scheduleDeployment(deployData) {
+        const value = document.getElementById('schedule-run-at').value;
+        const runAt = value ? new Date(value) : null;
+        if (!runAt || runAt <= new Date()) {
+            this.showError('Choose a time in the future to schedule the deployment');
+            document.getElementById('schedule-run-at').classList.add('field-error');
+            return;
+        }
+        document.getElementById('schedule-run-at').classList.remove('field-error');
+        
+        const recurrence = document.getElementById('schedule-recurrence').value;
+        try {
+            const schedule = this.offlineMode
+                ? { nextRunAt: runAt }
+                : await this.api('POST', '/schedules', { request: deployData, runAt: runAt.toISOString(), recurrence });
+            
+            this.showSuccess(`Deployment scheduled for ${this.formatDate(schedule.nextRunAt)}` +
+                (recurrence === 'Once' ? '' : `, repeating ${this.getRecurrenceLabel(recurrence).toLowerCase()}`));
+            
+            document.getElementById('deploy-form').reset();
+            this.toggleSchedule(false);
+            this.clearDeployProfile();
+            this.clearPreflight();
+            this.scheduleWeek = this.getWeekStart(runAt);
+            this.navigate('schedule');
+        } catch (error) {
+            console.error('Scheduling error:', error);
+            this.showError(`Scheduling failed: ${error.problem?.detail || error.message}`);
+        }
+    }
+
+    showPendingApproval() {
+        this.showDeploymentOutcome('Waiting for approval',
+            'The deployment runs as soon as it has been approved. Follow it on the Approvals page.',
+            null, this.currentDeploymentId, 'success');
+        this.loadApprovalCount();
+    }
+
+    // Everything the pre-flight analysis looks at; any edit makes the last analysis stale
+    getPreflightKey(deployData) {
+        const { runHealthChecks, sendNotifications, ...fields } = deployData;
+        return JSON.stringify(fields);
+    }
+
+    async analyzeDeployment() {
+        const panel = document.getElementById('preflight-panel');
+        const button = document.getElementById('analyze-btn');
+        if (!panel) return null;
+        
+        this.preflight = null;
+        panel.classList.remove('hidden');
+        panel.innerHTML = '<div class="preflight-status loading">Analyzing application...</div>';
+        button.disabled = true;
+        
+        let result;
+        try {
+            const deployData = this.readDeployForm();
+            result = this.offlineMode
+                ? this.analyzeLocally(deployData)
+                : await this.api('POST', '/deployments/preflight', deployData);
+        } catch (error) {
+            console.error('Pre-flight analysis error:', error);
+            panel.innerHTML = `<div class="preflight-status error">Analysis failed: ${this.escapeHtml(error.problem?.detail || error.message)}</div>`;
+            return null;
+        } finally {
+            button.disabled = false;
+        }
+        
+        // Fill an empty database section from what was detected; otherwise offer it
+        const autoApplied = !!result.suggestedDatabase &&
+            !document.getElementById('db-name').value.trim() &&
+            !this.selectedProfile?.databaseTemplate;
+        if (autoApplied) {
+            this.applyDetectedDatabase(result.suggestedDatabase);
+        }
+        
+        this.preflight = { key: this.getPreflightKey(this.readDeployForm()), result };
+        this.markPreflightFields(result.errors);
+        panel.innerHTML = this.renderPreflight(result, autoApplied);
+        this.renderContainerPreview(result.containerPreview);
+        return result;
+    }
+
+    renderPreflight(result, autoApplied) {
+        const d = result.discovery;
+        const db = result.suggestedDatabase;
+        const list = (items, className) => items?.length ? `
+            <ul class="preflight-list ${className}">
+                ${items.map(item => `<li>${this.escapeHtml(item.message ?? item)}</li>`).join('')}
+            </ul>
+        ` : '';
+        
+        return `
+            <div class="preflight-status ${result.canDeploy ? 'success' : 'error'}">
+                ${result.canDeploy
+                    ? '✓ Ready to deploy'
+                    : `✗ ${result.errors.length} problem${result.errors.length === 1 ? '' : 's'} must be fixed before deploying`}
+            </div>
+            ${list(result.errors, 'error')}
+            ${list(result.warnings, 'warning')}
+            ${d ? this.renderKeyValues([
+                ['Detected type', d.detectedType],
+                ['Framework', d.frameworkVersion],
+                ['Files', `${d.fileCount} (${(d.totalSizeBytes / 1024 / 1024).toFixed(1)} MB)`],
+                ['Project', d.projectFilePath],
+                ['Config files', d.configFiles.join(', ')],
+                ['Connection strings', d.connectionStrings.map(cs => this.escapeHtml(cs)).join('<br>'), true],
+                ['SQL scripts', d.sqlScripts.length ? `${d.sqlScripts.length} in ${d.databaseScriptsFolder}` : ''],
+                ['Migrations', d.migrationsFolder],
+                ['Required features', d.requiredFeatures.join(', ')],
+                ['Site', result.siteName ? `${result.siteName} (${result.siteExists ? 'exists, will be redeployed' : 'new'})` : '']
+            ]) : ''}
+            ${d?.recommendations.length ? `<h4>Recommendations</h4>${list(d.recommendations, '')}` : ''}
+            ${result.containerPreview ? `
+                <p class="preflight-note">Generated files for <code>${this.escapeHtml(result.containerPreview.image)}</code> are shown under the target settings</p>
+            ` : ''}
+            ${db ? autoApplied ? `
+                <p class="preflight-note">Database section filled in from detected ${db.migrationsFolder ? 'migrations' : db.dacPacPath ? 'DACPAC' : 'scripts'}: <code>${this.escapeHtml(db.databaseName)}</code></p>
+            ` : `
+                <button type="button" class="btn btn-secondary btn-sm" onclick="app.applyDetectedDatabase()">
+                    Use detected database settings (${this.escapeHtml(db.databaseName)})
+                </button>
+            ` : ''}
+        `;
+    }
+
+    applyDetectedDatabase(db = this.preflight?.result.suggestedDatabase) {
+        if (!db) return;
+        
+        this.setChecked('enable-database', true);
+        this.setSelectValue('db-provider', db.provider);
+        document.getElementById('db-name').value = db.databaseName || '';
+        this.applyDatabaseMode(db);
+        
+        // Carried into the request by readDeployForm; the form has no fields for these
+        this.detectedDatabase = {
+            serverName: db.serverName,
+            scriptPaths: db.scriptPaths
+        };
+    }
+
+    applyDatabaseMode(db) {
+        this.setSelectValue('db-mode', db.deploymentMode || 'Migrate');
+        document.getElementById('db-migrations').value = db.migrationsFolder || '';
+        document.getElementById('db-dacpac').value = db.dacPacPath || '';
+        this.toggleDatabaseMode();
+    }
+
+    markPreflightFields(errors) {
+        const fieldIds = {
+            applicationPath: 'app-path',
+            domainName: 'domain-name',
+            httpPort: 'http-port',
+            httpsPort: 'https-port',
+            emergencyJustification: 'emergency-justification',
+            deploymentMode: 'db-mode',
+            migrationsFolder: 'db-migrations',
+            dacPacPath: 'db-dacpac'
+        };
+        
+        document.querySelectorAll('#deploy-form .field-error').forEach(el => el.classList.remove('field-error'));
+        errors.forEach(({ field }) => {
+            const input = fieldIds[field]
+                ? document.getElementById(fieldIds[field])
+                : document.querySelector(`#deploy-form [data-config="${field}"]`);
+            input?.classList.add('field-error');
+        });
+        
+        // The window may have closed since the form was opened
+        if (errors.some(({ field }) => field === 'emergencyJustification')) {
+            document.getElementById('emergency-override')?.classList.remove('hidden');
+        }
+    }
+
+    clearPreflight() {
+        this.preflight = null;
+        this.detectedDatabase = null;
+        this.markPreflightFields([]);
+        this.renderContainerPreview(null);
+        document.getElementById('preflight-panel')?.classList.add('hidden');
+    }
+
+    // Offline mode can't see the server's file system, so check the form and pretend discovery found an MVC app
+    analyzeLocally(data) {
+        const errors = [];
+        const hostName = /^(?!-)[A-Za-z0-9-]{1,63}(?<!-)(\.(?!-)[A-Za-z0-9-]{1,63}(?<!-))*$/;
+        
+        if (!data.applicationPath.trim()) {
+            errors.push({ field: 'applicationPath', message: 'Application path is required' });
+        }
+        if (!data.domainName.includes('{') && !hostName.test(data.domainName)) {
+            errors.push({ field: 'domainName', message: `'${data.domainName}' is not a valid host name` });
+        }
+        [['httpPort', data.httpPort], ['httpsPort', data.httpsPort]].forEach(([field, port]) => {
+            if (!(port >= 1 && port <= 65535)) {
+                errors.push({ field, message: `Port ${port} is outside 1-65535` });
+            }
+        });
+        if (data.sslConfig && data.httpPort === data.httpsPort) {
+            errors.push({ field: 'httpsPort', message: 'HTTP and HTTPS must use different ports' });
+        }
+        
+        // Only presence; the server also checks formats such as subscription IDs and image names
+        const vm = ['cloudConfig.vmName', 'cloudConfig.vmSize'];
+        const azure = ['cloudConfig.subscriptionId', 'cloudConfig.resourceGroup', 'cloudConfig.location'];
+        const required = {
+            AzureAppService: [...azure, 'cloudConfig.appServiceName', 'cloudConfig.appServicePlan'],
+            AzureVM: [...azure, ...vm],
+            AWSEC2: ['cloudConfig.awsRegion', 'cloudConfig.awsAccessKeyId', 'secrets.awsSecretAccessKey', ...vm],
+            GoogleCloudVM: ['cloudConfig.gcpProjectId', 'cloudConfig.gcpZone', ...vm, 'secrets.gcpServiceAccountKey'],
+            OnPremiseWindows: ['cloudConfig.remoteHost', 'cloudConfig.remoteUserName', 'secrets.remotePassword'],
+            Docker: ['containerConfig.imageName'],
+            Kubernetes: ['containerConfig.imageName']
+        }[data.target] || [];
+        required
+            .filter(field => {
+                const [section, key] = field.split('.');
+                return !data[section]?.[key];
+            })
+            .forEach(field => {
+                const input = document.querySelector(`[data-config="${field}"]`);
+                const label = input && document.querySelector(`label[for="${input.id}"]`)?.textContent;
+                errors.push({ field, message: `${label || field} is required for ${data.target} deployments` });
+            });
+        
+        const siteName = data.domainName.replace(/\./g, '_');
+        this.getMockSites()
+            .filter(site => new URL(site.url).hostname === data.domainName && site.name !== siteName)
+            .forEach(site => errors.push({ field: 'httpsPort', message: `${data.domainName} is already bound by site ${site.name}` }));
+        
+        return {
+            canDeploy: errors.length === 0,
+            errors,
+            warnings: [],
+            siteName,
+            siteExists: false,
+            discovery: data.applicationPath.trim() ? {
+                detectedType: 'AspNetCoreMvc',
+                frameworkVersion: 'net8.0',
+                fileCount: 42,
+                totalSizeBytes: 5 * 1024 * 1024,
+                configFiles: ['appsettings.json', 'web.config'],
+                connectionStrings: [],
+                sqlScripts: [],
+                requiredFeatures: ['ASP.NET Core Hosting Bundle'],
+                recommendations: ['Offline demo mode: discovery results are simulated']
+            } : null,
+            suggestedDatabase: null,
+            containerPreview: data.applicationPath.trim() && data.containerConfig?.imageName
+                ? this.getMockContainerPreview(data, siteName)
+                : null
+        };
+    }
+
+    // Poll the server until the deployment reaches a terminal status.
+    // Rollbacks pass 'RolledBack' as the status that counts as success.
+    async trackDeployment(id, afterSequence = 0, successStatus = 'Success') {
+        const terminal = ['Success', 'Failed', 'RolledBack', 'ValidationFailed', 'PartialSuccess', 'Rejected'];
+        let consecutiveErrors = 0;
+
+        this.openLogStream(id, afterSequence);
+
+        while (true) {
+            let status;
+            try {
+                status = await this.api('GET', `/deployments/${id}/status`);
+                consecutiveErrors = 0;
+            } catch (error) {
+                if (++consecutiveErrors >= 5) throw error;
+                await this.delay(2000);
+                continue;
+            }
+
+            this.applyDeploymentStatus(status, successStatus);
+
+            if (terminal.includes(status.status)) {
+                return status;
+            }
+
+            await this.delay(1000);
+        }
+    }
+
+    // Map the server's DeploymentStatus onto the five .progress-step elements
+    applyDeploymentStatus(status, successStatus = 'Success') {
+        const succeeded = status.status === successStatus;
+        const failed = !succeeded && ['Failed', 'RolledBack', 'ValidationFailed', 'Rejected'].includes(status.status);
+        
+        const currentStep = failed
+            ? this.getStageStep(status.failedStage || status.status)
+            : this.getStageStep(status.status);
+
+        for (let step = 1; step <= 5; step++) {
+            if (succeeded || step < currentStep) {
+                this.updateProgress(step, 'Completed ✓', 'completed');
+            } else if (step === currentStep) {
+                const label = status.queue ? this.describeQueuePosition(status.queue) : this.getStageLabel(status.status);
+                this.updateProgress(step, failed ? 'Failed ✗' : label, failed ? 'failed' : 'active');
+            } else {
+                this.updateProgress(step, 'Waiting...', null);
+            }
+        }
+
+        this.setProgressBar(status.percentComplete);
+    }
+
+    getStageStep(status) {
+        const map = {
+            'Pending': 1,
+            'InProgress': 1,
+            'ValidationFailed': 1,
+            'BackupInProgress': 2,
+            'DatabaseDeploying': 2,
+            'ConfiguringSSL': 3,
+            'AppDeploying': 4,
+            'RunningHealthChecks': 5
+        };
+        return map[status] || 1;
+    }
+
+    getStageLabel(status) {
+        const map = {
+            'Pending': 'Queued...',
+            'InProgress': 'Analyzing application...',
+            'BackupInProgress': 'Backing up database...',
+            'DatabaseDeploying': 'Running migrations...',
+            'ConfiguringSSL': 'Configuring certificate...',
+            'AppDeploying': 'Deploying to IIS...',
+            'RunningHealthChecks': 'Running health checks...'
+        };
+        return map[status] || status;
+    }
+
+    async showDeploymentFailure(id, title = null) {
+        let problem = null;
+        try {
+            await this.api('GET', `/deployments/${id}/result`);
+        } catch (error) {
+            problem = error.problem;
+        }
+
+        const rolledBack = problem?.deploymentStatus === 'RolledBack';
+        const detail = (problem?.detail || 'The deployment did not complete.') +
+            (rolledBack ? ' Changes were rolled back automatically.' : '');
+
+        this.addLog(detail, 'error');
+        this.showDeploymentOutcome(
+            title || problem?.title || 'Deployment Failed',
+            detail,
+            rolledBack ? null : problem?.rollbackCommand,
+            id);
+    }
+
+    showDeploymentOutcome(title, detail, rollbackCommand, id, state = 'failed') {
+        const outcome = document.getElementById('deployment-outcome');
+        if (!outcome) return;
+
+        outcome.classList.toggle('success', state === 'success');
+        this.setText('deployment-progress-title', title);
+        outcome.innerHTML = `
+            <p class="outcome-detail">${this.escapeHtml(detail)}</p>
+            ${rollbackCommand ? `
+                <div class="outcome-rollback">
+                    <span>Rollback command:</span>
+                    <code>${this.escapeHtml(rollbackCommand)}</code>
+                </div>
+            ` : ''}
+            <div class="form-actions">
+                ${rollbackCommand && this.can('Rollback') ? `
+                    <button class="btn btn-danger" onclick="app.rollbackDeployment('${id}')">Roll Back</button>
+                ` : ''}
+                <button class="btn btn-secondary" onclick="app.closeDeploymentProgress()">Back to Form</button>
+            </div>
+        `;
+        outcome.classList.remove('hidden');
+    }
+
+    finishDeployment(message) {
+        this.showSuccess(message);
+        
+        // Reset after 3 seconds
+        setTimeout(() => {
+            document.getElementById('deploy-form').reset();
+            this.clearDeployProfile();
+            this.clearPreflight();
+            this.closeDeploymentProgress();
+        }, 3000);
+    }
+
+    closeDeploymentProgress() {
+        document.getElementById('deploy-form').style.display = 'block';
+        document.getElementById('deployment-progress').classList.add('hidden');
+        this.resetProgress();
+    }
+
+    async simulateDeployment(data) {
+        const steps = [
+            { step: 1, name: 'Discovery', message: 'Analyzing application...', duration: 1000 },
+            { step: 2, name: 'Database', message: 'Running migrations...', duration: 2000 },
+            { step: 3, name: 'SSL', message: 'Generating certificate...', duration: 1000 },
+            { step: 4, name: 'Deploy', message: 'Deploying to IIS...', duration: 2000 },
+            { step: 5, name: 'Health Check', message: 'Running health checks...', duration: 1000 }
+        ];
+
+        for (const step of steps) {
+            this.updateProgress(step.step, step.message, 'active');
+            this.addLog(step.message, 'info');
+            
+            await this.delay(step.duration);
+            
+            this.updateProgress(step.step, 'Completed ✓', 'completed');
+            this.addLog(`${step.name} completed successfully`, 'success');
+        }
+
+        // Update overall progress
+        this.setProgressBar(100);
+    }
+
+    updateProgress(stepNumber, status, state) {
+        const step = document.querySelector(`.progress-step[data-step="${stepNumber}"]`);
+        if (!step) return;
+        
+        step.classList.remove('active', 'completed', 'failed');
+        if (state) {
+            step.classList.add(state);
+        }
+        
+        const statusEl = step.querySelector('.step-status');
+        if (statusEl) {
+            statusEl.textContent = status;
+        }
+        
+        // Calculate progress percentage
+        const progress = (stepNumber / 5) * 100;
+        this.setProgressBar(progress);
+    }
+
+    setProgressBar(percent) {
+        const fill = document.querySelector('.progress-fill');
+        const percentText = document.querySelector('.progress-percent');
+        
+        if (fill) fill.style.width = `${percent}%`;
+        if (percentText) percentText.textContent = `${Math.round(percent)}%`;
+    }
+
+    // Subscribe to the server's log stream; EventSource reconnects on its own and sends
+    // Last-Event-ID, and we reopen with ?after= if the browser gives up on the connection
+    openLogStream(id, afterSequence = 0) {
+        this.closeLogStream();
+
+        // EventSource can't send an Authorization header, so the token goes in the query string
+        const query = new URLSearchParams();
+        if (afterSequence) query.set('after', afterSequence);
+        if (this.session?.token) query.set('access_token', this.session.token);
+        const search = query.toString();
+        const stream = new EventSource(`${this.apiBase}/deployments/${id}/logs/stream${search ? `?${search}` : ''}`);
+        stream.lastSequence = afterSequence;
+
+        stream.addEventListener('log', (e) => {
+            const log = JSON.parse(e.data);
+            if (log.sequence <= stream.lastSequence) return;
+            stream.lastSequence = log.sequence;
+            this.renderLogEntry(log);
+        });
+
+        stream.addEventListener('end', () => this.closeLogStream());
+
+        stream.onerror = () => {
+            if (stream.readyState !== EventSource.CLOSED || this.logStream !== stream) return;
+            setTimeout(() => {
+                if (this.logStream === stream) {
+                    this.openLogStream(id, stream.lastSequence);
+                }
+            }, 3000);
+        };
+
+        this.logStream = stream;
+    }
+
+    closeLogStream() {
+        if (this.logStream) {
+            this.logStream.close();
+            this.logStream = null;
+        }
+    }
+
+    // Client-side messages share the panel with server DeploymentLog entries
+    addLog(message, type = 'info') {
+        const levels = { info: 'Information', success: 'Information', warning: 'Warning', error: 'Error' };
+        this.renderLogEntry({
+            level: levels[type] || 'Information',
+            message,
+            createdAt: new Date()
+        }, type === 'success' ? 'success' : null);
+    }
+
+    renderLogEntry(log, extraClass = null) {
+        const logContent = document.getElementById('deployment-log-content');
+        if (!logContent) return;
+        
+        const logEntry = this.createLogEntry(log, extraClass);
+        this.applyLogFilter(logEntry);
+        logContent.appendChild(logEntry);
+        
+        if (this.logAutoScroll) {
+            logContent.scrollTop = logContent.scrollHeight;
+        }
+    }
+
+    createLogEntry(log, extraClass = null) {
+        const timestamp = new Date(log.createdAt).toLocaleTimeString();
+        const logEntry = document.createElement('div');
+        logEntry.className = `log-entry ${log.level.toLowerCase()} ${extraClass || ''}`;
+        logEntry.dataset.severity = this.getLogSeverity(log.level);
+        
+        const properties = Object.entries(log.properties || {});
+        const hasDetails = log.exception || log.stackTrace || properties.length > 0;
+        
+        const line = `[${timestamp}] [${log.level}] ${log.message}`;
+        if (hasDetails) {
+            logEntry.innerHTML = `
+                <details>
+                    <summary>${this.escapeHtml(line)}</summary>
+                    ${log.exception ? `<div class="log-exception">${this.escapeHtml(log.exception)}</div>` : ''}
+                    ${properties.map(([key, value]) => `
+                        <div class="log-property"><strong>${this.escapeHtml(key)}:</strong> ${this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}</div>
+                    `).join('')}
+                    ${log.stackTrace ? `<pre class="log-stack">${this.escapeHtml(log.stackTrace)}</pre>` : ''}
+                </details>
+            `;
+        } else {
+            logEntry.textContent = line;
+        }
+        
+        return logEntry;
+    }
+
+    getLogSeverity(level) {
+        return ['Trace', 'Debug', 'Information', 'Warning', 'Error', 'Critical'].indexOf(level);
+    }
+
+    applyLogFilter(entry) {
+        const minLevel = document.getElementById('log-level-filter')?.value || 'Trace';
+        entry.classList.toggle('hidden', Number(entry.dataset.severity) < this.getLogSeverity(minLevel));
+    }
+
+    toggleLogAutoScroll() {
+        this.logAutoScroll = !this.logAutoScroll;
+        
+        const button = document.getElementById('log-autoscroll-toggle');
+        if (button) {
+            button.textContent = this.logAutoScroll ? 'Pause auto-scroll' : 'Resume auto-scroll';
+        }
+        
+        const logContent = document.getElementById('deployment-log-content');
+        if (this.logAutoScroll && logContent) {
+            logContent.scrollTop = logContent.scrollHeight;
+        }
+    }
+
+    resetProgress() {
+        const steps = document.querySelectorAll('.progress-step');
+        steps.forEach(step => {
+            step.classList.remove('active', 'completed', 'failed');
+            const status = step.querySelector('.step-status');
+            if (status) status.textContent = 'Waiting...';
+        });
+        
+        this.setProgressBar(0);
+        
+        this.closeLogStream();
+        
+        const logContent = document.getElementById('deployment-log-content');
+        if (logContent) logContent.innerHTML = '';
+        
+        const outcome = document.getElementById('deployment-outcome');
+        if (outcome) {
+            outcome.innerHTML = '';
+            outcome.classList.add('hidden');
+        }
+        this.setText('deployment-progress-title', 'Deployment in Progress');
+    }
+
+    viewDeployment(id) {
+        this.navigate(`deployments/${id}`);
+    }
+
+    async showDeploymentDetail(id) {
+        this.showPage('deployment-detail');
+        
+        const container = document.getElementById('deployment-detail');
+        if (!container) return;
+        
+        this.setText('deployment-detail-title', `Deployment ${id.substring(0, 8)}`);
+        this.renderGridMessage(container, 'Loading deployment...', 'loading');
+        
+        let deployment, history, notifications;
+        try {
+            [deployment, history, notifications] = await Promise.all([
+                this.getDeploymentDetail(id),
+                this.getSiteHistory(id),
+                this.getDeploymentNotifications(id)
+            ]);
+        } catch (error) {
+            console.error('Error loading deployment:', error);
+            this.renderGridMessage(container, `Failed to load deployment: ${error.message}`, 'error');
+            return;
+        }
+        
+        this.setText('deployment-detail-title', deployment.name);
+        container.innerHTML = this.renderDeploymentDetail(deployment, history[0] || null, notifications);
+        
+        const logContainer = container.querySelector('.detail-logs');
+        if (deployment.logs.length === 0) {
+            this.renderGridMessage(logContainer, 'No log entries recorded.', 'empty');
+        } else {
+            deployment.logs.forEach(log => logContainer.appendChild(this.createLogEntry(log)));
+        }
+    }
+
+    renderDeploymentDetail(dep, previous, notifications = []) {
+        const db = dep.databaseConfig;
+        const ssl = dep.sslConfig;
+        
+        return `
+            <div class="detail-summary">
+                <span class="badge ${this.getStatusClass(dep.status)}">${dep.status}</span>
+                <span class="badge info">${dep.environment}</span>
+                <code>${dep.id}</code>
+                ${dep.status === 'Success' && this.can('Rollback') ? `
+                    <button class="btn btn-danger btn-sm" onclick="app.rollbackDeployment('${dep.id}')">Rollback</button>
+                ` : ''}
+                ${dep.status === 'Success' && this.canPromoteTo(this.getNextEnvironment(dep.environment)) ? `
+                    <button class="btn btn-secondary btn-sm" onclick="app.openPromotion('${dep.id}')">Promote to ${this.getNextEnvironment(dep.environment)}</button>
+                ` : ''}
+            </div>
+            ${dep.errorMessage ? `<div class="detail-error">${this.escapeHtml(dep.errorMessage)}</div>` : ''}
+
+            <div class="detail-grid">
+                ${this.renderDetailSection('Target', this.renderKeyValues([
+                    ['Target', dep.target],
+                    ['Environment', dep.environment],
+                    ['Strategy', dep.strategy],
+                    ['URL', dep.targetUrl ? `<a href="${this.escapeHtml(dep.targetUrl)}" target="_blank">${this.escapeHtml(dep.targetUrl)}</a>` : null, true],
+                    ['Domain', dep.domainName],
+                    ['HTTP Port', dep.httpPort],
+                    ['HTTPS Port', dep.httpsPort],
+                    ['Application Path', dep.applicationPath],
+                    ['Application Type', dep.applicationType]
+                ]))}
+                ${this.renderDetailSection('IIS', this.renderKeyValues([
+                    ['Site Name', dep.siteName],
+                    ['App Pool', dep.appPoolName],
+                    ['Runtime', dep.runtimeVersion],
+                    ['Pipeline', dep.pipelineMode],
+                    ['Started', dep.startedAt ? this.formatDate(dep.startedAt) : null],
+                    ['Completed', dep.completedAt ? this.formatDate(dep.completedAt) : null],
+                    ['Duration', `${dep.durationSeconds}s`],
+                    ['Created By', dep.createdBy]
+                ]))}
+                ${this.renderDetailSection('Database', db ? this.renderKeyValues([
+                    ['Provider', db.provider],
+                    ['Server', db.serverName],
+                    ['Database', db.databaseName],
+                    ['Mode', db.deploymentMode],
+                    ['Authentication', db.authMode],
+                    ['Migrations Folder', db.migrationsFolder],
+                    ['DACPAC', db.dacPacPath],
+                    ['Scripts', db.scriptPaths?.length ? db.scriptPaths.join(', ') : null],
+                    ['Backup Before Deploy', db.backupBeforeDeployment ? 'Yes' : 'No'],
+                    ['Backup Path', db.backupPath],
+                    ['Retention', db.retentionPolicy],
+                    ['Auto Rollback', db.autoRollbackOnFailure ? 'Yes' : 'No']
+                ]) : '<p class="detail-empty">No database deployment.</p>')}
+                ${this.renderDetailSection('SSL', ssl ? this.renderKeyValues([
+                    ['Certificate Type', ssl.certificateType],
+                    ['Thumbprint', ssl.thumbprint],
+                    ['Expires', ssl.expiryDate ? this.formatDate(ssl.expiryDate) : null],
+                    ['Validity (days)', ssl.validityDays],
+                    ['HSTS', ssl.enableHsts ? 'Yes' : 'No'],
+                    ['Redirect HTTP', ssl.redirectHttpToHttps ? 'Yes' : 'No'],
+                    ['Auto Renew', ssl.autoRenew ? 'Yes' : 'No'],
+                    ['Key Vault', ssl.keyVaultUrl]
+                ]) : '<p class="detail-empty">No SSL certificate.</p>')}
+            </div>
+
+            ${dep.requiredApprovals || dep.approvals.length || dep.emergencyJustification ? this.renderDetailSection('Approvals', `
+                ${dep.emergencyJustification ? `
+                    <div class="detail-error">Emergency deployment outside the change window: ${this.escapeHtml(dep.emergencyJustification)}</div>
+                ` : ''}
+                ${dep.approvals.length ? `
+                    <table class="data-table">
+                        <thead>
+                            <tr><th>Approver</th><th>Role</th><th>Decision</th><th>Comment</th><th>When</th></tr>
+                        </thead>
+                        <tbody>
+                            ${dep.approvals.map(approval => `
+                                <tr>
+                                    <td>${this.escapeHtml(approval.userName)}</td>
+                                    <td>${this.escapeHtml(approval.role)}</td>
+                                    <td><span class="badge ${approval.approved ? 'success' : 'danger'}">${approval.approved ? 'Approved' : 'Rejected'}</span></td>
+                                    <td>${this.escapeHtml(approval.comment || '')}</td>
+                                    <td>${this.formatDate(approval.decidedAt)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : `<p class="detail-empty">Needs ${dep.requiredApprovals} approval(s); nobody has decided yet.</p>`}
+            `) : ''}
+
+            ${this.renderDetailSection('Health Checks', dep.healthChecks.length ? `
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Check</th><th>Status</th><th>Response Time</th><th>Message</th><th>Checked</th></tr>
+                    </thead>
+                    <tbody>
+                        ${dep.healthChecks.map(check => `
+                            <tr>
+                                <td>${this.escapeHtml(check.checkName)}</td>
+                                <td><span class="badge ${this.getHealthClass(check.status)}">${check.status}</span></td>
+                                <td>${check.responseTimeMs} ms</td>
+                                <td>${this.escapeHtml(check.message)}</td>
+                                <td>${this.formatDate(check.checkedAt)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<p class="detail-empty">No health checks were run.</p>')}
+
+            ${this.renderDetailSection('Notifications', this.renderNotificationDeliveries(dep, notifications))}
+
+            ${this.renderDetailSection('Logs', '<div class="log-content detail-logs"></div>')}
+
+            ${this.renderDetailSection('Audit Trail', dep.auditLogs.length ? `
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Time</th><th>Event</th><th>User</th><th>Action</th><th>Result</th><th>Details</th></tr>
+                    </thead>
+                    <tbody>
+                        ${dep.auditLogs.map(entry => `
+                            <tr>
+                                <td>${this.formatDate(entry.createdAt)}</td>
+                                <td>${entry.eventType}</td>
+                                <td>${this.escapeHtml(entry.userName || entry.userId)}</td>
+                                <td>${this.escapeHtml(entry.action)}</td>
+                                <td><span class="badge ${entry.success ? 'success' : 'danger'}">${entry.success ? 'OK' : 'Failed'}</span></td>
+                                <td><code>${this.escapeHtml(JSON.stringify(entry.additionalData || {}))}</code></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<p class="detail-empty">No audit events recorded.</p>')}
+
+            ${this.renderDetailSection(
+                previous
+                    ? `Configuration vs. previous deployment (${this.escapeHtml(previous.name)}, ${this.formatDate(previous.createdAt)})`
+                    : 'Configuration vs. previous deployment',
+                previous
+                    ? this.renderConfigDiff(previous, dep)
+                    : '<p class="detail-empty">This is the first deployment of this site.</p>')}
+        `;
+    }
+
+    renderDetailSection(title, body) {
+        return `
+            <div class="detail-section">
+                <h3>${title}</h3>
+                ${body}
+            </div>
+        `;
+    }
+
+    // Rows are [label, value, isHtml]; empty values are skipped
+    renderKeyValues(rows) {
+        return `
+            <dl class="detail-list">
+                ${rows
+                    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+                    .map(([label, value, isHtml]) => `
+                        <dt>${label}</dt>
+                        <dd>${isHtml ? value : this.escapeHtml(value)}</dd>
+                    `).join('')}
+            </dl>
+        `;
+    }
+
+    renderConfigDiff(previous, current) {
+        return this.renderValueDiff(
+            this.flattenDeploymentConfig(previous),
+            this.flattenDeploymentConfig(current),
+            ['Previous', 'This deployment']);
+    }
+
+    // before and after are flat "path: value" maps; the toggle needs the diff inside a .detail-section
+    renderValueDiff(before, after, [beforeLabel, afterLabel]) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        const changed = keys.filter(key => before[key] !== after[key]);
+        
+        return `
+            <p class="diff-summary">
+                ${changed.length === 0 ? 'No configuration changes.' : `${changed.length} setting(s) changed.`}
+                <label><input type="checkbox" onchange="this.closest('.detail-section').classList.toggle('diff-changes-only', this.checked)"> Show changes only</label>
+            </p>
+            <table class="data-table config-diff">
+                <thead>
+                    <tr><th>Setting</th><th>${beforeLabel}</th><th>${afterLabel}</th></tr>
+                </thead>
+                <tbody>
+                    ${keys.map(key => `
+                        <tr class="${before[key] !== after[key] ? 'changed' : 'unchanged'}">
+                            <td><code>${this.escapeHtml(key)}</code></td>
+                            <td>${this.escapeHtml(before[key] ?? '—')}</td>
+                            <td>${this.escapeHtml(after[key] ?? '—')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Flatten the configuration parts of a Deployment into "path: value" pairs for diffing
+    flattenDeploymentConfig(dep) {
+        const secretFields = ['passwordEncrypted', 'connectionString', 'certificatePassword', 'awsSecretKeyEncrypted',
+            'gcpServiceAccountKeyEncrypted', 'remotePasswordEncrypted', 'registryPasswordEncrypted'];
+        const source = {
+            applicationPath: dep.applicationPath,
+            // Hash of the files the deployment copied, so a different build shows up in comparisons
+            contentHash: dep.metadata?.ContentHash,
+            target: dep.target,
+            environment: dep.environment,
+            strategy: dep.strategy,
+            domainName: dep.domainName,
+            httpPort: dep.httpPort,
+            httpsPort: dep.httpsPort,
+            siteName: dep.siteName,
+            appPoolName: dep.appPoolName,
+            runtimeVersion: dep.runtimeVersion,
+            pipelineMode: dep.pipelineMode,
+            databaseConfig: dep.databaseConfig,
+            sslConfig: dep.sslConfig,
+            cloudConfig: dep.cloudConfig,
+            containerConfig: dep.containerConfig
+        };
+        
+        return this.flattenValues(source, secretFields);
+    }
+
+    flattenValues(source, secretFields = []) {
+        const result = {};
+        const walk = (value, path) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.entries(value).forEach(([key, child]) => walk(child, path ? `${path}.${key}` : key));
+            } else if (value !== null && value !== undefined) {
+                const field = path.split('.').pop();
+                result[path] = secretFields.includes(field) ? '••••••' : (Array.isArray(value) ? value.join(', ') : String(value));
+            }
+        };
+        walk(source, '');
+        return result;
+    }
+
+    async rollbackDeployment(id) {
+        if (this.offlineMode) {
+            if (!confirm('Are you sure you want to rollback this deployment?')) {
+                return;
+            }
+            this.markDeploymentRolledBack(id);
+            this.showSuccess('Rollback simulated for deployment ' + id.substring(0, 8));
+            return;
+        }
+        
+        let deployment, plan;
+        try {
+            [deployment, plan] = await Promise.all([
+                this.getDeploymentDetail(id),
+                this.api('GET', `/deployments/${id}/rollback-plan`)
+            ]);
+        } catch (error) {
+            console.error('Error preparing rollback:', error);
+            this.showError('Could not prepare rollback: ' + error.message);
+            return;
+        }
+        
+        this.rollbackPlan = plan;
+        this.openModal(this.renderRollbackDialog(deployment, plan));
+        this.updateRollbackSummary();
+    }
+
+    renderRollbackDialog(dep, plan) {
+        const siteName = this.escapeHtml(plan.siteName);
+        
+        return `
+            <div class="modal-header">
+                <h3>Roll back ${this.escapeHtml(dep.name)}</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                <p class="rollback-site">
+                    <code>${siteName}</code>
+                    <span class="badge info">${dep.environment}</span>
+                    <span class="badge ${this.getStatusClass(dep.status)}">${dep.status}</span>
+                </p>
+
+                <h4>Restore to</h4>
+                <div class="rollback-targets">
+                    ${plan.candidates.length ? plan.candidates.map((candidate, index) => `
+                        <label class="rollback-target">
+                            <input type="radio" name="rollback-target" value="${candidate.deploymentId}"
+                                ${index === 0 ? 'checked' : ''} onchange="app.updateRollbackSummary()">
+                            <span>
+                                <strong>${this.escapeHtml(candidate.name)}</strong>
+                                ${candidate.applicationVersion ? `v${this.escapeHtml(candidate.applicationVersion)}` : ''}
+                                <small>Completed ${candidate.completedAt ? this.formatDate(candidate.completedAt) : '—'} · <code>${candidate.deploymentId.substring(0, 8)}</code></small>
+                            </span>
+                        </label>
+                    `).join('') : `
+                        <label class="rollback-target">
+                            <input type="radio" name="rollback-target" value="" checked>
+                            <span>
+                                <strong>Undo this deployment</strong>
+                                <small>There is no earlier successful deployment of this site.</small>
+                            </span>
+                        </label>
+                    `}
+                </div>
+
+                <h4>What will be restored</h4>
+                <div id="rollback-summary"></div>
+
+                ${plan.requiresSiteNameConfirmation ? `
+                    <div class="form-group rollback-confirm">
+                        <label for="rollback-confirm-input">
+                            This is a Production deployment. Type <code>${siteName}</code> to confirm.
+                        </label>
+                        <input type="text" id="rollback-confirm-input" autocomplete="off" oninput="app.updateRollbackSummary()">
+                    </div>
+                ` : ''}
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-danger" id="rollback-submit" onclick="app.confirmRollback('${dep.id}')">Roll Back</button>
+            </div>
+        `;
+    }
+
+    getSelectedRollbackTarget() {
+        const selected = document.querySelector('input[name="rollback-target"]:checked');
+        return this.rollbackPlan?.candidates.find(c => c.deploymentId === selected?.value) || null;
+    }
+
+    updateRollbackSummary() {
+        const plan = this.rollbackPlan;
+        const summary = document.getElementById('rollback-summary');
+        if (!plan || !summary) return;
+        
+        const target = this.getSelectedRollbackTarget();
+        summary.innerHTML = target
+            ? this.renderKeyValues([
+                ['Application files', target.appBackupPath
+                    ? `Backup at ${target.appBackupPath}`
+                    : `No backup recorded; redeploy from ${target.applicationPath}`],
+                ['Database', target.databaseBackupPath || 'No database backup; database is left unchanged'],
+                ['Site', `${plan.siteName} is restarted on ${target.name}`]
+            ])
+            : this.renderKeyValues([
+                ['Database', plan.databaseBackupPath || 'No database backup; database is left unchanged'],
+                ['Site', `${plan.siteName} is stopped and removed`]
+            ]);
+        
+        const confirmInput = document.getElementById('rollback-confirm-input');
+        const submit = document.getElementById('rollback-submit');
+        if (submit) {
+            submit.disabled = plan.requiresSiteNameConfirmation && confirmInput?.value !== plan.siteName;
+        }
+    }
+
+    async confirmRollback(id) {
+        const plan = this.rollbackPlan;
+        const target = this.getSelectedRollbackTarget();
+        
+        try {
+            await this.api('POST', `/deployments/${id}/rollback`, {
+                targetDeploymentId: target?.deploymentId || null,
+                confirmSiteName: document.getElementById('rollback-confirm-input')?.value || null
+            });
+        } catch (error) {
+            console.error('Rollback error:', error);
+            this.showError('Rollback failed: ' + (error.problem?.detail || error.message));
+            return;
+        }
+        
+        this.closeModal();
+        this.rollbackPlan = null;
+        await this.trackRollback(id, plan);
+    }
+
+    // Show the rollback on the deployment progress panel, like a deploy
+    async trackRollback(id, plan) {
+        this.navigate('deploy');
+        
+        document.getElementById('deploy-form').style.display = 'none';
+        this.resetProgress();
+        document.getElementById('deployment-progress').classList.remove('hidden');
+        this.setText('deployment-progress-title', `Rolling back ${plan.siteName}`);
+        
+        this.currentDeploymentId = id;
+        this.addLog(`Rollback of ${id.substring(0, 8)} queued`, 'warning');
+        
+        try {
+            const status = await this.trackDeployment(id, plan.lastLogSequence, 'RolledBack');
+            
+            if (status.status === 'RolledBack') {
+                this.markDeploymentRolledBack(id);
+                this.addLog('Rollback completed', 'success');
+                this.showDeploymentOutcome('Rollback Complete',
+                    `${plan.siteName} has been rolled back.`, null, id, 'success');
+            } else {
+                await this.showDeploymentFailure(id, 'Rollback Failed');
+            }
+        } catch (error) {
+            console.error('Rollback tracking error:', error);
+            this.showDeploymentOutcome('Lost track of rollback', error.message, null, id);
+        }
+    }
+
+    markDeploymentRolledBack(id) {
+        const row = document.querySelector(`#deployments-table tr[data-deployment-id="${id}"]`);
+        if (!row) return;
+        
+        const badge = row.querySelector('.badge:not(.info)');
+        if (badge) {
+            badge.className = `badge ${this.getStatusClass('RolledBack')}`;
+            badge.textContent = 'RolledBack';
+        }
+        row.querySelector('.rollback-btn')?.remove();
+    }
+
+    openModal(html, size = '') {
+        const modal = document.getElementById('modal');
+        if (!modal) return;
+        
+        const dialog = modal.querySelector('.modal');
+        dialog.className = `modal ${size}`.trim();
+        dialog.innerHTML = html;
+        modal.classList.remove('hidden');
+    }
+
+    closeModal() {
+        const modal = document.getElementById('modal');
+        if (!modal) return;
+        
+        modal.classList.add('hidden');
+        modal.querySelector('.modal').innerHTML = '';
+        
+        // Closing the profile editor leaves its #/profiles/{id} route
+        const [page, id] = this.parseRoute().segments;
+        if (page === 'profiles' && id && id === this.editingProfile?.id) {
+            history.replaceState(null, '', this.buildRoute('profiles'));
+        }
+    }
+
+    async useProfile(id) {
+        let profile;
+        try {
+            profile = await this.getProfile(id);
+        } catch (error) {
+            console.error('Error loading profile:', error);
+            this.showError('Could not load profile: ' + error.message);
+            return;
+        }
+        
+        this.applyProfileToDeployForm(profile);
+        this.navigate('deploy');
+        this.showSuccess(`Profile "${profile.name}" loaded! Fill in the application path to deploy.`);
+    }
+
+    applyProfileToDeployForm(profile) {
+        this.selectedProfile = profile;
+        
+        if (profile.domainPattern) {
+            document.getElementById('domain-name').value = profile.domainPattern;
+        }
+        document.getElementById('http-port').value = profile.httpPort ?? 80;
+        document.getElementById('https-port').value = profile.httpsPort ?? 443;
+        this.setSelectValue('environment', profile.environment);
+        this.setSelectValue('target', profile.target);
+        this.setSelectValue('strategy', profile.strategy);
+        
+        // Secrets stay on the server; the profile's are used while the secret fields are left empty
+        const cloud = profile.cloudTemplate;
+        document.querySelectorAll('#target-settings [data-config^="cloudConfig."]').forEach(input => {
+            const value = cloud?.[input.dataset.config.split('.')[1]];
+            if (input.type === 'checkbox') input.checked = !!value;
+            else input.value = value ?? '';
+        });
+        this.toggleTargetSettings();
+        
+        const db = profile.databaseTemplate;
+        this.setChecked('enable-database', !!db);
+        if (db) {
+            this.setSelectValue('db-provider', db.provider);
+            document.getElementById('db-name').value = db.databaseName || '';
+            document.getElementById('db-backup').checked = db.backupBeforeDeployment !== false;
+            this.applyDatabaseMode(db);
+        }
+        
+        const ssl = profile.sslTemplate;
+        this.setChecked('enable-ssl', !!ssl);
+        if (ssl) {
+            this.setSelectValue('cert-type', ssl.certificateType);
+        }
+        
+        const banner = document.getElementById('deploy-profile-banner');
+        if (banner) {
+            banner.innerHTML = `
+                <span>Using profile <strong>${this.escapeHtml(profile.name)}</strong></span>
+                <button type="button" class="btn btn-secondary btn-sm" onclick="app.clearDeployProfile()">Clear</button>
+            `;
+            banner.classList.remove('hidden');
+        }
+    }
+
+    clearDeployProfile() {
+        this.selectedProfile = null;
+        document.getElementById('deploy-profile-banner')?.classList.add('hidden');
+    }
+
+    // Capture the deploy form as the starting point for a new profile
+    saveFormAsProfile() {
+        const { applicationPath, profileId, runHealthChecks, sendNotifications, ...data } = this.readDeployForm();
+        const base = this.selectedProfile || {};
+        
+        this.openProfileEditor({
+            applicationType: base.applicationType,
+            runtimeVersion: base.runtimeVersion,
+            pipelineMode: base.pipelineMode,
+            appPoolIdleTimeoutMinutes: base.appPoolIdleTimeoutMinutes,
+            appPoolAlwaysRunning: base.appPoolAlwaysRunning,
+            environmentVariables: base.environmentVariables,
+            customSettings: base.customSettings,
+            environment: data.environment,
+            target: data.target,
+            strategy: data.strategy,
+            domainPattern: data.domainName,
+            httpPort: data.httpPort,
+            httpsPort: data.httpsPort,
+            databaseTemplate: data.databaseConfig || null,
+            sslTemplate: data.sslConfig || null,
+            cloudTemplate: data.cloudConfig || null
+        });
+    }
+
+    newProfile() {
+        this.openProfileEditor({});
+    }
+
+    async editProfile(id) {
+        let profile;
+        try {
+            profile = await this.getProfile(id);
+        } catch (error) {
+            console.error('Error loading profile:', error);
+            this.showError('Could not load profile: ' + error.message);
+            return;
+        }
+        
+        this.openProfileEditor(profile);
+    }
+
+    async cloneProfile(id) {
+        let profile;
+        try {
+            profile = await this.getProfile(id);
+        } catch (error) {
+            console.error('Error loading profile:', error);
+            this.showError('Could not load profile: ' + error.message);
+            return;
+        }
+        
+        const { id: _, createdAt, createdBy, updatedAt, updatedBy, lastUsedAt, deployments, ...copy } = profile;
+        this.openProfileEditor({
+            ...copy,
+            name: `${profile.name} (copy)`,
+            deploymentCount: 0,
+            isTemplate: false
+        });
+    }
+
+    async deleteProfile(id) {
+        const profile = (await this.getProfiles()).find(p => p.id === id);
+        if (!confirm(`Delete profile "${profile?.name || id}"? Deployments that used it are kept.`)) {
+            return;
+        }
+        
+        if (this.offlineMode) {
+            this.showSuccess('Profile deleted (offline demo mode, not persisted)');
+            return;
+        }
+        
+        try {
+            await this.api('DELETE', `/profiles/${id}`);
+        } catch (error) {
+            console.error('Error deleting profile:', error);
+            this.showError('Could not delete profile: ' + (error.problem?.detail || error.message));
+            return;
+        }
+        
+        if (this.selectedProfile?.id === id) {
+            this.clearDeployProfile();
+        }
+        this.showSuccess('Profile deleted');
+        this.loadProfiles();
+    }
+
+    async exportProfile(id) {
+        let profile;
+        try {
+            profile = this.offlineMode
+                ? await this.getProfile(id)
+                : await this.api('GET', `/profiles/${id}/export`);
+        } catch (error) {
+            console.error('Error exporting profile:', error);
+            this.showError('Could not export profile: ' + (error.problem?.detail || error.message));
+            return;
+        }
+        
+        const slug = (profile.name || 'profile').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        this.downloadJson(profile, `${slug || 'profile'}.profile.json`);
+    }
+
+    downloadJson(data, fileName) {
+        this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), fileName);
+    }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    openProfileImport() {
+        this.importText = null;
+        this.openModal(`
+            <div class="modal-header">
+                <h3>Import Profile</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                <label class="drop-zone" id="profile-import-drop"
+                    ondragover="event.preventDefault(); this.classList.add('dragover')"
+                    ondragleave="this.classList.remove('dragover')"
+                    ondrop="event.preventDefault(); this.classList.remove('dragover'); app.readProfileImportFile(event.dataTransfer.files[0])">
+                    <span class="icon">📄</span>
+                    <span>Drop a <code>.profile.json</code> file here, or click to choose one</span>
+                    <input type="file" id="profile-import-file" accept=".json,application/json" class="hidden"
+                        onchange="app.readProfileImportFile(this.files[0])">
+                </label>
+                <div id="profile-import-preview"></div>
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-primary" id="profile-import-submit" onclick="app.confirmProfileImport()" disabled>Import</button>
+            </div>
+        `, 'modal-wide');
+    }
+
+    async readProfileImportFile(file) {
+        if (!file) return;
+        
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            this.showError('Could not read file: ' + error.message);
+            return;
+        }
+        
+        this.previewProfileImport(text, file.name);
+    }
+
+    async previewProfileImport(text, fileName) {
+        const container = document.getElementById('profile-import-preview');
+        const submit = document.getElementById('profile-import-submit');
+        if (!container) return;
+        
+        this.importText = null;
+        submit.disabled = true;
+        
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            container.innerHTML = this.renderProfileImportPreview({
+                isValid: false,
+                errors: [`Not valid JSON: ${error.message}`]
+            }, fileName);
+            return;
+        }
+        
+        container.innerHTML = '<p class="import-status">Validating...</p>';
+        
+        let preview;
+        try {
+            preview = this.offlineMode
+                ? this.previewImportLocally(parsed)
+                : await this.api('POST', '/profiles/import/preview', text);
+        } catch (error) {
+            console.error('Error validating profile:', error);
+            preview = { isValid: false, errors: [error.problem?.detail || error.message] };
+        }
+        
+        container.innerHTML = this.renderProfileImportPreview(preview, fileName);
+        if (preview.isValid) {
+            this.importText = text;
+            submit.disabled = false;
+        }
+    }
+
+    // Offline mode has no server to validate against, so apply the basic checks here
+    previewImportLocally(profile) {
+        const errors = [];
+        const warnings = [];
+        
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            errors.push('The file does not contain a profile');
+            return { isValid: false, errors, warnings };
+        }
+        
+        if (!profile.name?.trim()) errors.push('Profile name is required');
+        if (!profile.domainPattern) warnings.push('No domain pattern; deployments will need a domain entered by hand');
+        
+        const secretFields = [
+            ['DatabaseTemplate.PasswordEncrypted', profile.databaseTemplate?.passwordEncrypted],
+            ['SslTemplate.CertificatePassword', profile.sslTemplate?.certificatePassword],
+            ['CloudTemplate.AwsSecretKeyEncrypted', profile.cloudTemplate?.awsSecretKeyEncrypted],
+            ['CloudTemplate.GcpServiceAccountKeyEncrypted', profile.cloudTemplate?.gcpServiceAccountKeyEncrypted],
+            ['CloudTemplate.RemotePasswordEncrypted', profile.cloudTemplate?.remotePasswordEncrypted]
+        ].filter(([, value]) => value).map(([field]) => field);
+        
+        return {
+            isValid: errors.length === 0,
+            profile,
+            errors,
+            warnings,
+            secretFields,
+            nameConflict: this.getMockProfiles().some(p => p.name === profile.name)
+        };
+    }
+
+    renderProfileImportPreview(preview, fileName) {
+        const profile = preview.profile;
+        const errors = preview.errors || [];
+        const warnings = preview.warnings || [];
+        const secretFields = preview.secretFields || [];
+        const list = (items, className) => `
+            <ul class="import-messages ${className}">
+                ${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}
+            </ul>
+        `;
+        
+        return `
+            <h4>${this.escapeHtml(fileName)}</h4>
+            ${errors.length ? list(errors, 'error') : ''}
+            ${warnings.length ? list(warnings, 'warning') : ''}
+            ${preview.nameConflict ? list([`A profile named "${profile.name}" already exists. The import will be added alongside it.`], 'warning') : ''}
+            ${profile ? this.renderKeyValues([
+                ['Name', profile.name],
+                ['Description', profile.description],
+                ['Environment', profile.environment],
+                ['Target', profile.target],
+                ['Strategy', profile.strategy],
+                ['Domain pattern', profile.domainPattern],
+                ['Database', profile.databaseTemplate?.databaseName],
+                ['Team', profile.teamName]
+            ]) : ''}
+            ${secretFields.length ? `
+                <div class="import-secrets">
+                    <p>This file contains secret values:</p>
+                    ${list(secretFields, '')}
+                    ${this.renderCheckbox('profile-import-secrets', 'Import these secret values', false)}
+                    <small>Leave unchecked to import the profile without them and enter them again later.</small>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    async confirmProfileImport() {
+        if (!this.importText) return;
+        
+        const includeSecrets = document.getElementById('profile-import-secrets')?.checked || false;
+        
+        if (this.offlineMode) {
+            this.closeModal();
+            this.showSuccess('Profile imported (offline demo mode, not persisted)');
+            return;
+        }
+        
+        let profile;
+        try {
+            profile = await this.api('POST', `/profiles/import?includeSecrets=${includeSecrets}`, this.importText);
+        } catch (error) {
+            console.error('Error importing profile:', error);
+            this.showError('Could not import profile: ' + (error.problem?.detail || error.message));
+            return;
+        }
+        
+        this.closeModal();
+        this.importText = null;
+        this.showSuccess(`Profile "${profile.name}" imported`);
+        this.loadProfiles();
+    }
+
+    async openTemplateGallery() {
+        this.openModal(`
+            <div class="modal-header">
+                <h3>Profile Templates</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="template-gallery" id="template-gallery"></div>
+            </div>
+        `, 'modal-wide');
+        
+        const gallery = document.getElementById('template-gallery');
+        this.renderGridMessage(gallery, 'Loading templates...', 'loading');
+        
+        try {
+            this.templates = await this.getProfileTemplates();
+        } catch (error) {
+            console.error('Error loading templates:', error);
+            this.renderGridMessage(gallery, `Failed to load templates: ${error.message}`, 'error');
+            return;
+        }
+        
+        if (this.templates.length === 0) {
+            this.renderGridMessage(gallery, 'No templates available.', 'empty');
+            return;
+        }
+        
+        gallery.innerHTML = this.templates.map(template => `
+            <div class="template-card">
+                <div class="profile-title">
+                    ${this.escapeHtml(template.name)}
+                    ${template.createdBy === 'IIScribe' ? '<span class="badge info">Built-in</span>' : ''}
+                </div>
+                <div class="profile-description">${this.escapeHtml(template.description || '')}</div>
+                <div class="profile-meta">
+                    <span class="badge info">${template.environment}</span>
+                    <span class="badge info">${template.target}</span>
+                    ${template.strategy ? `<span class="badge info">${template.strategy}</span>` : ''}
+                </div>
+                <button class="btn btn-primary btn-sm" onclick="app.useTemplate('${template.id}')">Use Template</button>
+            </div>
+        `).join('');
+    }
+
+    // Start a new profile from a template; the template itself is never edited
+    useTemplate(id) {
+        const template = (this.templates || []).find(t => t.id === id);
+        if (!template) return;
+        
+        const { id: _, createdAt, createdBy, updatedAt, updatedBy, lastUsedAt, deployments, ...copy } = template;
+        this.openProfileEditor({
+            ...copy,
+            deploymentCount: 0,
+            isTemplate: false
+        });
+    }
+
+    openProfileEditor(profile) {
+        this.editingProfile = profile;
+        this.openModal(this.renderProfileEditor(profile), 'modal-wide');
+    }
+
+    renderProfileEditor(profile) {
+        const db = profile.databaseTemplate;
+        const ssl = profile.sslTemplate;
+        const toggle = (section) => `onchange="document.getElementById('${section}').classList.toggle('hidden', !this.checked)"`;
+        
+        return `
+            <div class="modal-header">
+                <h3>${profile.id ? `Edit ${this.escapeHtml(profile.name)}` : 'New Profile'}</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <form class="modal-body profile-editor" onsubmit="event.preventDefault(); app.saveProfile()">
+                <div class="form-section">
+                    <h3>General</h3>
+                    ${this.renderInput('pe-name', 'Name *', profile.name)}
+                    ${this.renderInput('pe-description', 'Description', profile.description)}
+                    <div class="form-row">
+                        ${this.renderSelect('pe-category', 'Category', this.getEnumValues('category'), profile.category || 'Active')}
+                        ${this.renderSelect('pe-application-type', 'Application Type', this.getEnumValues('applicationType'), profile.applicationType)}
+                    </div>
+                    <div class="form-row">
+                        ${this.renderInput('pe-team', 'Team', profile.teamName)}
+                        ${this.renderInput('pe-client', 'Client', profile.clientName)}
+                    </div>
+                    ${this.renderCheckbox('pe-shared', 'Shared with the team', profile.isShared)}
+                    ${this.renderCheckbox('pe-template', 'Show in the template gallery', profile.isTemplate)}
+                </div>
+
+                <div class="form-section">
+                    <h3>Deployment</h3>
+                    <div class="form-row">
+                        ${this.renderSelect('pe-environment', 'Environment', this.getEnumValues('environment'), profile.environment)}
+                        ${this.renderSelect('pe-target', 'Target', this.getEnumValues('target'), profile.target)}
+                    </div>
+                    ${this.renderSelect('pe-strategy', 'Strategy', this.getEnumValues('strategy'), profile.strategy)}
+                    ${this.renderInput('pe-domain-pattern', 'Domain Pattern', profile.domainPattern,
+                        { placeholder: '{appname}.{env}.local', hint: '{appname} and {env} are filled in at deploy time' })}
+                    <div class="form-row">
+                        ${this.renderInput('pe-http-port', 'HTTP Port', profile.httpPort ?? 80, { type: 'number' })}
+                        ${this.renderInput('pe-https-port', 'HTTPS Port', profile.httpsPort ?? 443, { type: 'number' })}
+                    </div>
+                </div>
+
+                <div class="form-section">
+                    <h3>Application Pool</h3>
+                    <div class="form-row">
+                        ${this.renderSelect('pe-runtime', 'Runtime Version', this.getEnumValues('runtimeVersion'), profile.runtimeVersion)}
+                        ${this.renderSelect('pe-pipeline', 'Pipeline Mode', this.getEnumValues('pipelineMode'), profile.pipelineMode || 'Integrated')}
+                    </div>
+                    ${this.renderInput('pe-idle-timeout', 'Idle Timeout (minutes)', profile.appPoolIdleTimeoutMinutes ?? 20, { type: 'number' })}
+                    ${this.renderCheckbox('pe-always-running', 'Always running', profile.appPoolAlwaysRunning)}
+                </div>
+
+                <div class="form-section">
+                    <h3>Database Template</h3>
+                    <div class="form-group">
+                        <label><input type="checkbox" id="pe-db-enabled" ${db ? 'checked' : ''} ${toggle('pe-db-section')}> Include a database template</label>
+                    </div>
+                    <div id="pe-db-section" class="form-subsection ${db ? '' : 'hidden'}">
+                        <div class="form-row">
+                            ${this.renderSelect('pe-db-provider', 'Provider', this.getEnumValues('databaseProvider'), db?.provider || 'SqlServerLocalDb')}
+                            ${this.renderSelect('pe-db-mode', 'Deployment Mode', this.getEnumValues('databaseDeploymentMode'), db?.deploymentMode || 'Migrate')}
+                        </div>
+                        <div class="form-row">
+                            ${this.renderInput('pe-db-server', 'Server', db?.serverName)}
+                            ${this.renderInput('pe-db-port', 'Port', db?.port ?? '', { type: 'number' })}
+                        </div>
+                        <div class="form-row">
+                            ${this.renderInput('pe-db-name', 'Database Name', db?.databaseName)}
+                            ${this.renderSelect('pe-db-auth', 'Authentication', this.getEnumValues('databaseAuthMode'), db?.authMode)}
+                        </div>
+                        ${this.renderInput('pe-db-backup-path', 'Backup Path', db?.backupPath)}
+                        ${this.renderCheckbox('pe-db-backup', 'Backup before deployment', db?.backupBeforeDeployment !== false)}
+                        ${this.renderCheckbox('pe-db-auto-rollback', 'Roll back automatically on failure', db?.autoRollbackOnFailure !== false)}
+                    </div>
+                </div>
+
+                <div class="form-section">
+                    <h3>SSL Template</h3>
+                    <div class="form-group">
+                        <label><input type="checkbox" id="pe-ssl-enabled" ${ssl ? 'checked' : ''} ${toggle('pe-ssl-section')}> Include an SSL template</label>
+                    </div>
+                    <div id="pe-ssl-section" class="form-subsection ${ssl ? '' : 'hidden'}">
+                        <div class="form-row">
+                            ${this.renderSelect('pe-ssl-type', 'Certificate Type', this.getEnumValues('certificateType'), ssl?.certificateType)}
+                            ${this.renderInput('pe-ssl-validity', 'Validity (days)', ssl?.validityDays ?? 365, { type: 'number' })}
+                        </div>
+                        ${this.renderInput('pe-ssl-email', "Let's Encrypt Email", ssl?.letsEncryptEmail)}
+                        ${this.renderInput('pe-ssl-path', 'Certificate Path', ssl?.certificatePath)}
+                        <div class="form-row">
+                            ${this.renderInput('pe-ssl-vault', 'Key Vault URL', ssl?.keyVaultUrl)}
+                            ${this.renderInput('pe-ssl-cert-name', 'Certificate Name', ssl?.certificateName)}
+                        </div>
+                        ${this.renderCheckbox('pe-ssl-auto-renew', 'Auto renew', ssl?.autoRenew !== false)}
+                        ${this.renderCheckbox('pe-ssl-hsts', 'Enable HSTS', ssl?.enableHsts !== false)}
+                        ${this.renderCheckbox('pe-ssl-redirect', 'Redirect HTTP to HTTPS', ssl?.redirectHttpToHttps !== false)}
+                    </div>
+                </div>
+
+                <div class="form-section">
+                    <h3>Settings</h3>
+                    ${this.renderTextarea('pe-env-vars', 'Environment Variables', this.formatKeyValues(profile.environmentVariables), 'One KEY=value per line')}
+                    ${this.renderTextarea('pe-custom-settings', 'Custom Settings', this.formatKeyValues(profile.customSettings), 'One key=value per line')}
+                </div>
+
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save Profile</button>
+                </div>
+            </form>
+        `;
+    }
+
+    // Read the editor back into a DeploymentProfile, keeping fields the editor doesn't show
+    readProfileEditor(original) {
+        const value = (id) => document.getElementById(id).value.trim();
+        const number = (id, fallback) => {
+            const parsed = parseInt(value(id), 10);
+            return Number.isNaN(parsed) ? fallback : parsed;
+        };
+        const checked = (id) => document.getElementById(id).checked;
+        
+        return {
+            ...original,
+            name: value('pe-name'),
+            description: value('pe-description'),
+            category: value('pe-category'),
+            applicationType: value('pe-application-type'),
+            teamName: value('pe-team') || null,
+            clientName: value('pe-client') || null,
+            isShared: checked('pe-shared'),
+            isTemplate: checked('pe-template'),
+            environment: value('pe-environment'),
+            target: value('pe-target'),
+            strategy: value('pe-strategy'),
+            domainPattern: value('pe-domain-pattern'),
+            httpPort: number('pe-http-port', 80),
+            httpsPort: number('pe-https-port', 443),
+            runtimeVersion: value('pe-runtime'),
+            pipelineMode: value('pe-pipeline'),
+            appPoolIdleTimeoutMinutes: number('pe-idle-timeout', 20),
+            appPoolAlwaysRunning: checked('pe-always-running'),
+            databaseTemplate: checked('pe-db-enabled') ? {
+                ...original.databaseTemplate,
+                provider: value('pe-db-provider'),
+                deploymentMode: value('pe-db-mode'),
+                serverName: value('pe-db-server') || null,
+                port: number('pe-db-port', null),
+                databaseName: value('pe-db-name') || null,
+                authMode: value('pe-db-auth'),
+                backupPath: value('pe-db-backup-path') || null,
+                backupBeforeDeployment: checked('pe-db-backup'),
+                autoRollbackOnFailure: checked('pe-db-auto-rollback')
+            } : null,
+            sslTemplate: checked('pe-ssl-enabled') ? {
+                ...original.sslTemplate,
+                certificateType: value('pe-ssl-type'),
+                validityDays: number('pe-ssl-validity', 365),
+                letsEncryptEmail: value('pe-ssl-email') || null,
+                certificatePath: value('pe-ssl-path') || null,
+                keyVaultUrl: value('pe-ssl-vault') || null,
+                certificateName: value('pe-ssl-cert-name') || null,
+                autoRenew: checked('pe-ssl-auto-renew'),
+                enableHsts: checked('pe-ssl-hsts'),
+                redirectHttpToHttps: checked('pe-ssl-redirect')
+            } : null,
+            environmentVariables: this.parseKeyValues(value('pe-env-vars')),
+            customSettings: this.parseKeyValues(value('pe-custom-settings'))
+        };
+    }
+
+    async saveProfile() {
+        const original = this.editingProfile || {};
+        const profile = this.readProfileEditor(original);
+        
+        if (!profile.name) {
+            this.showError('Profile name is required');
+            document.getElementById('pe-name').focus();
+            return;
+        }
+        
+        if (this.offlineMode) {
+            this.closeModal();
+            this.showSuccess(`Profile "${profile.name}" saved (offline demo mode, not persisted)`);
+            return;
+        }
+        
+        try {
+            if (original.id) {
+                await this.api('PUT', `/profiles/${original.id}`, profile);
+            } else {
+                await this.api('POST', '/profiles', profile);
+            }
+        } catch (error) {
+            console.error('Error saving profile:', error);
+            this.showError('Could not save profile: ' + (error.problem?.detail || error.message));
+            return;
+        }
+        
+        this.closeModal();
+        this.editingProfile = null;
+        this.showSuccess(`Profile "${profile.name}" saved`);
+        
+        if (document.getElementById('profiles-page')?.classList.contains('active')) {
+            this.loadProfiles();
+        }
+    }
+
+    stopSite(name) {
+        if (!confirm(`Stop site ${name}? It will stop serving requests.`)) return;
+        this.siteAction(name, 'stop', 'POST', `Site ${name} stopped`);
+    }
+
+    startSite(name) {
+        this.siteAction(name, 'start', 'POST', `Site ${name} started`);
+    }
+
+    recycleSite(name) {
+        if (!confirm(`Recycle the app pool for ${name}? In-flight requests may be dropped.`)) return;
+        this.siteAction(name, 'recycle', 'POST', `App pool for ${name} recycled`);
+    }
+
+    removeSite(name) {
+        if (!confirm(`Remove site ${name}? The IIS site is deleted, along with its app pool if no other site uses it. Files on disk are kept.`)) return;
+        this.siteAction(name, null, 'DELETE', `Site ${name} removed`);
+    }
+
+    async siteAction(name, action, method, successMessage) {
+        if (this.offlineMode) {
+            this.showSuccess(successMessage);
+            return;
+        }
+        
+        const endpoint = `/sites/${encodeURIComponent(name)}` + (action ? `/${action}` : '');
+        try {
+            await this.api(method, endpoint);
+            this.showSuccess(successMessage);
+        } catch (error) {
+            console.error(`Site ${action || 'remove'} error:`, error);
+            this.showError(`${name}: ${error.problem?.detail || error.message}`);
+        }
+        
+        this.loadSites({ quiet: true });
+    }
+
+    browseSite(url) {
+        window.open(url, '_blank');
+    }
+
+    // Each monitor's recent probes as a sparkline: bar height is latency, colour is the probe's status
+    renderSiteHealth(site, monitors, canManage) {
+        const name = this.escapeHtml(site.name);
+        if (monitors.length === 0) {
+            return canManage ? `
+                <div class="site-health empty">
+                    <span>No health monitors</span>
+                    <button class="btn btn-secondary btn-sm" onclick="app.openMonitorEditor('${name}')">Add Monitor</button>
+                </div>
+            ` : '';
+        }
+        
+        return `
+            <div class="site-health">
+                ${monitors.map(monitor => `
+                    <div class="site-monitor">
+                        <div class="site-monitor-header">
+                            <span class="badge ${monitor.enabled ? this.getHealthClass(monitor.status) : 'info'}">${monitor.enabled ? monitor.status : 'Paused'}</span>
+                            <strong title="${this.escapeHtml(monitor.url)}">${this.escapeHtml(monitor.name)}</strong>
+                            ${monitor.autoRollback ? `<span class="badge info" title="Rolls back a recent deployment when the site turns unhealthy, on behalf of ${this.escapeHtml(monitor.autoRollbackEnabledBy || 'nobody')}">Auto-rollback</span>` : ''}
+                        </div>
+                        ${this.renderSparkline(monitor.history)}
+                        <div class="site-monitor-stats">
+                            <span>${monitor.uptimePercent ?? '-'}% uptime</span>
+                            <span>${monitor.averageResponseTimeMs ?? '-'} ms avg</span>
+                            <span>${monitor.lastCheckedAt ? `Checked ${this.formatDate(monitor.lastCheckedAt)}` : 'Not checked yet'}</span>
+                        </div>
+                        ${monitor.lastMessage ? `<small class="site-monitor-message">${this.escapeHtml(monitor.lastMessage)}</small>` : ''}
+                        ${canManage ? `
+                            <div class="site-monitor-actions">
+                                <button class="btn btn-secondary btn-sm" onclick="app.checkMonitor('${monitor.id}')">Check Now</button>
+                                <button class="btn btn-secondary btn-sm" onclick="app.openMonitorEditor('${name}', '${monitor.id}')">Edit</button>
+                                <button class="btn btn-danger btn-sm" onclick="app.deleteMonitor('${monitor.id}')">Delete</button>
+                            </div>
+                        ` : ''}
+                    </div>
+                `).join('')}
+                ${canManage ? `<button class="btn btn-secondary btn-sm" onclick="app.openMonitorEditor('${name}')">Add Monitor</button>` : ''}
+            </div>
+        `;
+    }
+
+    renderSparkline(history, maxSamples = 60) {
+        const samples = (history || []).slice(-maxSamples);
+        if (samples.length === 0) {
+            return '<div class="sparkline-empty">Waiting for the first check</div>';
+        }
+        
+        const width = 240;
+        const height = 32;
+        const barWidth = width / maxSamples;
+        const slowest = Math.max(...samples.filter(sample => sample.status !== 'Unhealthy').map(sample => sample.responseTimeMs), 1);
+        const bars = samples.map((sample, index) => {
+            // Failed probes are drawn full height so they stand out whatever their latency
+            const barHeight = sample.status === 'Unhealthy'
+                ? height
+                : Math.max(2, Math.round(height * sample.responseTimeMs / slowest));
+            const x = (maxSamples - samples.length + index) * barWidth;
+            const title = `${this.formatDate(sample.checkedAt)}: ${sample.status}, ${sample.responseTimeMs} ms`;
+            return `<rect class="sparkline-bar ${this.getHealthClass(sample.status)}" x="${x.toFixed(1)}" y="${height - barHeight}" ` +
+                `width="${Math.max(1, barWidth - 1).toFixed(1)}" height="${barHeight}"><title>${this.escapeHtml(title)}</title></rect>`;
+        }).join('');
+        
+        return `<svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Recent checks">${bars}</svg>`;
+    }
+
+    openMonitorEditor(siteName, id = null) {
+        const monitor = id ? this.siteMonitors.find(m => m.id === id) : null;
+        const site = this.sites.find(s => s.name === siteName);
+        this.editingMonitorSite = siteName;
+        
+        this.openModal(`
+            <div class="modal-header">
+                <h3>${monitor ? `Edit ${this.escapeHtml(monitor.name)}` : `Add Monitor to ${this.escapeHtml(siteName)}`}</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="form-row">
+                    ${this.renderInput('hm-name', 'Name', monitor?.name || '', { placeholder: 'Home page' })}
+                    ${this.renderInput('hm-url', 'URL', monitor?.url || site?.url || '', {
+                        placeholder: 'https://mysite.local/health',
+                        hint: 'Redirects are not followed'
+                    })}
+                </div>
+                <div class="form-row">
+                    ${this.renderInput('hm-expected-status', 'Expected Status', monitor?.expectedStatusCode ?? 200, { type: 'number' })}
+                    ${this.renderInput('hm-expected-body', 'Response Contains', monitor?.expectedBodyContains || '', { hint: 'Optional text the response body must include' })}
+                </div>
+                <div class="form-row">
+                    ${this.renderInput('hm-timeout', 'Timeout (seconds)', monitor?.timeoutSeconds ?? 10, { type: 'number' })}
+                    ${this.renderInput('hm-interval', 'Interval (seconds)', monitor?.intervalSeconds ?? 60, { type: 'number' })}
+                </div>
+                <div class="form-row">
+                    ${this.renderInput('hm-failure-threshold', 'Failures Before Unhealthy', monitor?.failureThreshold ?? 3, {
+                        type: 'number',
+                        hint: 'Failed checks in a row; fewer show as Degraded'
+                    })}
+                    ${this.renderInput('hm-degraded-after', 'Degraded After (ms)', monitor?.degradedAfterMs ?? '', {
+                        type: 'number',
+                        hint: 'Optional; slower responses count as Degraded'
+                    })}
+                </div>
+                ${this.renderCheckbox('hm-auto-rollback', 'Roll back to the previous successful deployment when the site turns unhealthy soon after a deployment' +
+                    (this.can('Rollback') ? '' : ' (needs the Rollback permission)'), monitor?.autoRollback ?? false)}
+                ${this.renderCheckbox('hm-enabled', 'Monitor is enabled', monitor?.enabled ?? true)}
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-primary" onclick="app.saveMonitor(${monitor ? `'${monitor.id}'` : 'null'})">Save Monitor</button>
+            </div>
+        `);
+    }
+
+    async saveMonitor(id) {
+        const value = (elementId) => document.getElementById(elementId).value.trim();
+        const number = (elementId) => value(elementId) === '' ? null : parseInt(value(elementId), 10);
+        const monitor = {
+            siteName: this.editingMonitorSite,
+            name: value('hm-name'),
+            url: value('hm-url'),
+            expectedStatusCode: number('hm-expected-status'),
+            expectedBodyContains: document.getElementById('hm-expected-body').value || null,
+            timeoutSeconds: number('hm-timeout'),
+            intervalSeconds: number('hm-interval'),
+            failureThreshold: number('hm-failure-threshold'),
+            degradedAfterMs: number('hm-degraded-after'),
+            autoRollback: document.getElementById('hm-auto-rollback').checked,
+            enabled: document.getElementById('hm-enabled').checked
+        };
+
+        if (!monitor.name || !monitor.url) {
+            this.showError('Name and URL are required');
+            return;
+        }
+
+        if (this.offlineMode) {
+            this.closeModal();
+            this.showSuccess(`Monitor ${monitor.name} saved (offline demo mode, not persisted)`);
+            return;
+        }
+
+        try {
+            if (id) {
+                await this.api('PUT', `/monitors/${id}`, monitor);
+            } else {
+                await this.api('POST', '/monitors', monitor);
+            }
+        } catch (error) {
+            console.error('Error saving health monitor:', error);
+            this.showError('Could not save monitor: ' + (error.problem?.detail || error.message));
+            return;
+        }
+
+        this.closeModal();
+        this.showSuccess(`Health monitor ${monitor.name} saved`);
+        this.loadSites({ quiet: true });
+    }
+
+    async deleteMonitor(id) {
+        const monitor = this.siteMonitors.find(m => m.id === id);
+        if (!monitor) return;
+        if (!confirm(`Delete the health monitor "${monitor.name}" on ${monitor.siteName}? Its check history is deleted too.`)) return;
+
+        if (this.offlineMode) {
+            this.showSuccess(`Monitor ${monitor.name} deleted (offline demo mode, not persisted)`);
+            return;
+        }
+
+        try {
+            await this.api('DELETE', `/monitors/${id}`);
+        } catch (error) {
+            console.error('Error deleting health monitor:', error);
+            this.showError('Could not delete monitor: ' + (error.problem?.detail || error.message));
+            return;
+        }
+
+        this.showSuccess(`Health monitor ${monitor.name} deleted`);
+        this.loadSites({ quiet: true });
+    }
+
+    async checkMonitor(id) {
+        const monitor = this.siteMonitors.find(m => m.id === id);
+        if (!monitor) return;
+
+        if (this.offlineMode) {
+            this.showSuccess(`${monitor.name}: ${monitor.lastMessage || monitor.status} (offline demo mode)`);
+            return;
+        }
+
+        let result;
+        try {
+            result = await this.api('POST', `/monitors/${id}/check`);
+        } catch (error) {
+            console.error('Error checking health monitor:', error);
+            this.showError(`${monitor.name}: ${error.problem?.detail || error.message}`);
+            return;
+        }
+
+        const message = `${result.name}: ${result.lastMessage}`;
+        if (result.status === 'Unhealthy') {
+            this.showError(message);
+        } else {
+            this.showSuccess(message);
+        }
+        this.loadSites({ quiet: true });
+    }
+
+    async loadBackups() {
+        const tbody = document.querySelector('#backups-table tbody');
+        if (!tbody) return;
+        
+        this.renderTableMessage(tbody, 'Loading backups...', 'loading');
+        
+        try {
+            this.backupDatabases = await this.getBackups();
+        } catch (error) {
+            console.error('Error loading backups:', error);
+            this.renderTableMessage(tbody, `Failed to load backups: ${error.message}`, 'error');
+            return;
+        }
+        
+        // Keep the chosen database across refreshes
+        const select = document.getElementById('backups-database');
+        const selected = select.value;
+        select.innerHTML = this.backupDatabases.map(db => {
+            const key = this.getBackupDatabaseKey(db);
+            return `<option value="${this.escapeHtml(key)}" ${key === selected ? 'selected' : ''}>${this.escapeHtml(db.databaseName)}${db.serverName ? ` (${this.escapeHtml(db.serverName)})` : ''}</option>`;
+        }).join('');
+        
+        this.renderBackups();
+    }
+
+    getBackupDatabaseKey(db) {
+        return `${db.serverName || ''}|${db.databaseName}`;
+    }
+
+    getSelectedBackupDatabase() {
+        const key = document.getElementById('backups-database')?.value;
+        return (this.backupDatabases || []).find(db => this.getBackupDatabaseKey(db) === key);
+    }
+
+    renderBackups() {
+        const tbody = document.querySelector('#backups-table tbody');
+        if (!tbody) return;
+        
+        const db = this.getSelectedBackupDatabase();
+        document.getElementById('backups-now-btn').disabled = !db;
+        if (!db) {
+            this.setText('backups-summary', '');
+            this.renderTableMessage(tbody, 'No deployments use a database yet.', 'empty');
+            return;
+        }
+        
+        const retention = {
+            KeepLast5: 'keeps the last 5',
+            KeepLast10: 'keeps the last 10',
+            KeepDaily7Days: 'keeps one a day for 7 days',
+            KeepWeekly30Days: 'keeps one a week for 30 days',
+            KeepMonthly1Year: 'keeps one a month for a year',
+            Custom: 'keeps everything'
+        };
+        this.setText('backups-summary', [
+            `${db.provider} on ${db.serverName || 'the default server'}`,
+            `${db.siteName || 'no site'} (${db.environment})`,
+            `Retention ${retention[db.retentionPolicy] || db.retentionPolicy}; the newest backup is always kept`,
+            `${db.backups.length} backup(s), ${this.formatBytes(db.totalSizeBytes)}`
+        ].join(' · '));
+        
+        if (db.backups.length === 0) {
+            this.renderTableMessage(tbody, 'No backups yet. One is taken before each deployment that backs up first, or take one now.', 'empty');
+            return;
+        }
+        
+        const canVerify = this.can('Deploy');
+        const canRestore = this.can('Rollback') && (db.environment !== 'Production' || this.can('DeployProduction'));
+        tbody.innerHTML = db.backups.map(backup => {
+            const verified = !backup.verifiedAt
+                ? '<span class="badge info">Not verified</span>'
+                : backup.verified
+                    ? `<span class="badge success" title="${this.formatDate(backup.verifiedAt)}">Verified</span>`
+                    : `<span class="badge danger" title="${this.formatDate(backup.verifiedAt)}">Failed</span>`;
+            return `
+                <tr>
+                    <td>
+                        ${this.formatDate(backup.backupDate)}
+                        <small>by ${this.escapeHtml(backup.createdBy)}${backup.expiryDate ? ` · kept until ${this.formatDate(backup.expiryDate)}` : ''}</small>
+                    </td>
+                    <td>${this.formatBytes(backup.fileSizeBytes)}</td>
+                    <td>
+                        ${backup.checksum
+                            ? `<code title="SHA-256 ${this.escapeHtml(backup.checksum)}">${this.escapeHtml(backup.checksum.slice(0, 12))}…</code>`
+                            : '<span class="detail-empty">None</span>'}
+                        <small title="${this.escapeHtml(backup.filePath)}">${this.escapeHtml(backup.filePath.split(/[\\/]/).pop())}</small>
+                    </td>
+                    <td>
+                        ${backup.deploymentId
+                            ? `<a onclick="app.viewDeployment('${backup.deploymentId}')">${this.escapeHtml(backup.deploymentName || backup.deploymentId)}</a>`
+                            : '<span class="detail-empty">On demand</span>'}
+                    </td>
+                    <td>${verified}</td>
+                    <td>
+                        ${backup.restoredAt
+                            ? `${this.formatDate(backup.restoredAt)}<small>by ${this.escapeHtml(backup.restoredBy)}</small>`
+                            : ''}
+                    </td>
+                    <td>
+                        ${canVerify ? `<button class="btn btn-secondary btn-sm" onclick="app.verifyBackup('${backup.id}')">Verify</button>` : ''}
+                        ${canRestore ? `<button class="btn btn-danger btn-sm" onclick="app.openBackupRestore('${backup.id}')">Restore</button>` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    findBackup(id) {
+        for (const db of this.backupDatabases || []) {
+            const backup = db.backups.find(b => b.id === id);
+            if (backup) return { db, backup };
+        }
+        return {};
+    }
+
+    async backupNow() {
+        const db = this.getSelectedBackupDatabase();
+        if (!db) return;
+        
+        if (this.offlineMode) {
+            this.showSuccess(`${db.databaseName} backed up (offline demo mode, not persisted)`);
+            return;
+        }
+        
+        const button = document.getElementById('backups-now-btn');
+        button.disabled = true;
+        let backup;
+        try {
+            backup = await this.api('POST', '/backups', { serverName: db.serverName, databaseName: db.databaseName });
+        } catch (error) {
+            console.error('Error backing up database:', error);
+            this.showError(`Could not back up ${db.databaseName}: ${error.problem?.detail || error.message}`);
+            button.disabled = false;
+            return;
+        }
+        
+        this.showSuccess(`${db.databaseName} backed up to ${backup.filePath}`);
+        this.loadBackups();
+    }
+
+    async verifyBackup(id) {
+        const { backup } = this.findBackup(id);
+        if (!backup) return;
+        
+        if (this.offlineMode) {
+            this.showSuccess(`Backup of ${backup.databaseName} matches its checksum (offline demo mode)`);
+            return;
+        }
+        
+        let result;
+        try {
+            result = await this.api('POST', `/backups/${id}/verify`);
+        } catch (error) {
+            console.error('Error verifying backup:', error);
+            this.showError('Could not verify backup: ' + (error.problem?.detail || error.message));
+            return;
+        }
+        
+        if (result.verified) {
+            this.showSuccess(`Backup of ${result.databaseName} matches its checksum`);
+        } else {
+            this.showError(`Backup of ${result.databaseName} failed verification: it is missing, changed or has no checksum`);
+        }
+        this.loadBackups();
+    }
+
+    openBackupRestore(id) {
+        const { db, backup } = this.findBackup(id);
+        if (!backup) return;
+        
+        this.openModal(`
+            <div class="modal-header">
+                <h3>Restore ${this.escapeHtml(backup.databaseName)}</h3>
+                <button class="modal-close" onclick="app.closeModal()">×</button>
+            </div>
+            <div class="modal-body">
+                <p>
+                    Overwrite ${this.escapeHtml(backup.databaseName)} on ${this.escapeHtml(db.serverName || 'the default server')}
+                    (${db.environment}) with the backup taken ${this.formatDate(backup.backupDate)}?
+                    Changes made since then are lost.
+                </p>
+                <p class="diff-summary">
+                    The file is checked against its SHA-256 checksum first and nothing is restored if it no longer matches.
+                    Restoring is refused while a deployment is using the database.
+                </p>
+            </div>
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-danger" id="backup-restore-btn" onclick="app.restoreBackup('${backup.id}')">Restore</button>
+            </div>
+        `);
+    }
+
+    async restoreBackup(id) {
+        const { backup } = this.findBackup(id);
+        if (!backup) return;
+        
+        if (this.offlineMode) {
+            this.closeModal();
+            this.showSuccess(`${backup.databaseName} restored (offline demo mode, not persisted)`);
+            return;
+        }
+        
+        const submit = document.getElementById('backup-restore-btn');
+        submit.disabled = true;
+        let result;
+        try {
+            result = await this.api('POST', `/backups/${id}/restore`);
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.showError('Could not restore backup: ' + (error.problem?.detail || error.message));
+            submit.disabled = false;
+            // Verification may have changed the backup's status
+            this.loadBackups();
+            return;
+        }
+        
+        this.closeModal();
+        this.showSuccess(`${result.databaseName} restored from the backup taken ${this.formatDate(result.backupDate)}`);
+        this.loadBackups();
+    }
+
+    // Data layer
+    async getDashboardSummary() {
+        if (this.offlineMode) {
+            return { ...this.getMockStats(), recentDeployments: this.getMockDeployments() };
+        }
+
+        const query = new URLSearchParams({ certificateWarningDays: this.settings.certificateWarningDays });
+        const summary = await this.api('GET', `/deployments/dashboard/summary?${query}`);
+        return this.mapDashboardSummary(summary);
+    }
+
+    async getAnalytics(query = {}) {
+        if (this.offlineMode) {
+            return this.getMockAnalytics(query);
+        }
+
+        const params = new URLSearchParams();
+        ['from', 'to', 'team'].forEach(key => {
+            if (query[key]) params.set(key, query[key]);
+        });
+
+        return this.api('GET', `/analytics?${params}`);
+    }
+
+    // Returns one page: { items, totalCount, page, pageSize, totalPages }
+    async getDeployments(query = {}) {
+        if (this.offlineMode) {
+            return this.queryMockDeployments(query);
+        }
+
+        const params = new URLSearchParams({
+            page: query.page || 1,
+            pageSize: query.pageSize || 20,
+            descending: query.descending ?? true
+        });
+        ['q', 'status', 'environment', 'target', 'strategy', 'from', 'to', 'sort'].forEach(key => {
+            if (query[key]) params.set(key, query[key]);
+        });
+
+        const result = await this.api('GET', `/deployments?${params}`);
+        return { ...result, items: result.items.map(d => this.mapDeployment(d)) };
+    }
+
+    // Offline stand-in for the server's filtering, sorting and paging
+    queryMockDeployments(query) {
+        const page = query.page || 1;
+        const pageSize = query.pageSize || 20;
+        const text = (query.q || '').trim().toLowerCase();
+        const from = query.from ? new Date(`${query.from}T00:00:00`) : null;
+        const to = query.to ? new Date(`${query.to}T23:59:59.999`) : null;
+        const sortKeys = {
+            createdAt: d => new Date(d.createdAt).getTime(),
+            name: d => d.name,
+            environment: d => d.environment,
+            target: d => d.target,
+            status: d => d.status,
+            duration: d => d.duration
+        };
+        const key = sortKeys[query.sort] || sortKeys.createdAt;
+        const direction = query.descending === false ? 1 : -1;
+
+        const matching = this.getMockDeployments()
+            .filter(d =>
+                (!query.status || d.status === query.status) &&
+                (!query.environment || d.environment === query.environment) &&
+                (!query.target || d.target === query.target) &&
+                (!query.strategy || d.strategy === query.strategy) &&
+                (!from || new Date(d.createdAt) >= from) &&
+                (!to || new Date(d.createdAt) <= to) &&
+                (!text || [d.name, d.domainName, d.siteName].some(v => v?.toLowerCase().includes(text))))
+            .sort((a, b) => key(a) < key(b) ? -direction : key(a) > key(b) ? direction : 0);
+
+        return {
+            items: matching.slice((page - 1) * pageSize, page * pageSize),
+            totalCount: matching.length,
+            page,
+            pageSize,
+            totalPages: Math.ceil(matching.length / pageSize)
+        };
+    }
+
+    async search(query) {
+        if (this.offlineMode) {
+            const text = query.toLowerCase();
+            const matches = (value) => value?.toLowerCase().includes(text);
+            return {
+                deployments: this.getMockDeployments().filter(d => matches(d.name)).slice(0, 5),
+                sites: this.getMockSites().filter(s => matches(s.name) || matches(s.url)).slice(0, 5),
+                profiles: this.getMockProfiles().filter(p => matches(p.name) || matches(p.description)).slice(0, 5)
+            };
+        }
+
+        const results = await this.api('GET', `/search?${new URLSearchParams({ q: query })}`);
+        return {
+            deployments: results.deployments.map(d => this.mapDeployment(d)),
+            sites: results.sites.map(s => this.mapSite(s)),
+            profiles: results.profiles.map(p => this.mapProfile(p))
+        };
+    }
+
+    async getDeploymentDetail(id) {
+        if (this.offlineMode) {
+            throw new Error('Deployment details are not available in offline demo mode');
+        }
+
+        return this.api('GET', `/deployments/${id}`);
+    }
+
+    async getDeploymentNotifications(id) {
+        if (this.offlineMode) {
+            return [];
+        }
+
+        return this.api('GET', `/deployments/${id}/notifications`);
+    }
+
+    async getSiteHistory(id, status = null) {
+        if (this.offlineMode) {
+            return [];
+        }
+
+        const query = status ? `?status=${status}` : '';
+        return this.api('GET', `/deployments/${id}/history${query}`);
+    }
+
+    async getSites() {
+        if (this.offlineMode) {
+            return this.getMockSites();
+        }
+
+        const sites = await this.api('GET', '/sites');
+        return sites.map(s => this.mapSite(s));
+    }
+
+    async getMonitors() {
+        if (this.offlineMode) {
+            return this.getMockMonitors();
+        }
+
+        return this.api('GET', '/monitors');
+    }
+
+    async getBackups() {
+        if (this.offlineMode) {
+            return this.getMockBackups();
+        }
+
+        return this.api('GET', '/backups');
+    }
+
+    async getPipelines() {
+        if (this.offlineMode) {
+            return this.getMockPipelines();
+        }
+
+        return this.api('GET', '/promotions/pipelines');
+    }
+
+    async getPromotionPlan(deploymentId, request = {}) {
+        if (this.offlineMode) {
+            return this.getMockPromotionPlan(deploymentId, request);
+        }
+
+        return this.api('POST', `/promotions/${deploymentId}/plan`, request);
+    }
+
+    async getHostsFile() {
+        if (this.offlineMode) {
+            return this.getMockHostsFile();
+        }
+
+        return this.api('GET', '/hosts');
+    }
+
+    async getHostsBackups() {
+        if (this.offlineMode) {
+            return this.getMockHostsBackups();
+        }
+
+        return this.api('GET', '/hosts/backups');
+    }
+
+    async getHostsChange(edit) {
+        if (this.offlineMode) {
+            return this.getMockHostsChange(edit);
+        }
+
+        return this.api('POST', '/hosts/preview', edit);
+    }
+
+    // Pass daysThreshold to only fetch certificates expiring within that many days
+    async getCertificates(daysThreshold = null) {
+        if (this.offlineMode) {
+            const certificates = this.getMockCertificates();
+            return daysThreshold === null ? certificates : certificates.filter(c => c.daysUntilExpiry <= daysThreshold);
+        }
+
+        const query = daysThreshold === null ? '' : `?expiringWithinDays=${daysThreshold}`;
+        return this.api('GET', `/certificates${query}`);
+    }
+
+    async getDeploymentQueue() {
+        if (this.offlineMode) {
+            const waiting = this.getMockDeployments().find(d => d.status === 'Pending');
+            return waiting
+                ? [{ deploymentId: waiting.id, siteName: waiting.siteName, position: 1, ahead: 1, queuedAt: waiting.createdAt }]
+                : [];
+        }
+
+        return this.api('GET', '/deployments/queue');
+    }
+
+    async getSchedules() {
+        if (this.offlineMode) {
+            return this.getMockSchedules();
+        }
+
+        return this.api('GET', '/schedules');
+    }
+
+    async getScheduledRuns(from, to) {
+        if (this.offlineMode) {
+            return this.getMockScheduledRuns(from, to);
+        }
+
+        const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+        return this.api('GET', `/schedules/runs?${params}`);
+    }
+
+    async getPendingApprovals() {
+        if (this.offlineMode) {
+            return this.getMockDeployments()
+                .filter(d => d.status === 'PendingApproval')
+                .map(deployment => ({ deployment, canApprove: true, cannotApproveReason: null, changeWindow: { isOpen: true } }));
+        }
+
+        const pending = await this.api('GET', '/approvals');
+        return pending.map(item => ({ ...item, deployment: { ...item.deployment, ...this.mapDeployment(item.deployment) } }));
+    }
+
+    async getApprovalPolicies() {
+        if (this.offlineMode) {
+            return [{
+                policy: { environment: 'Production', requiredApprovals: 1, approverRoles: ['Administrator', 'TeamLead'], changeWindows: [] },
+                changeWindow: { isOpen: true, timeZone: 'UTC' }
+            }];
+        }
+
+        return this.api('GET', '/approvals/policies');
+    }
+
+    // Returns one page of audit records, newest first
+    async getAuditRecords(query = {}) {
+        if (this.offlineMode) {
+            const page = query.page || 1;
+            const pageSize = query.pageSize || 50;
+            const matching = this.queryMockAuditRecords(query);
+            return {
+                items: matching.slice((page - 1) * pageSize, page * pageSize),
+                totalCount: matching.length,
+                page,
+                pageSize,
+                totalPages: Math.ceil(matching.length / pageSize)
+            };
         }
 
-        // Update overall progress
-        this.setProgressBar(100);
+        return this.api('GET', `/audit?${this.getAuditParams(query)}`);
     }
 
-    updateProgress(stepNumber, status, state) {
-        const step = document.querySelector(`.progress-step[data-step="${stepNumber}"]`);
-        if (!step) return;
-        
-        step.classList.remove('active', 'completed');
-        if (state) {
-            step.classList.add(state);
+    async verifyAuditTrail() {
+        if (this.offlineMode) {
+            const records = this.getMockAuditRecords();
+            return {
+                isValid: true,
+                recordCount: records.length,
+                lastSequence: records.length,
+                signaturesChecked: false,
+                verifiedAt: new Date().toISOString(),
+                issues: []
+            };
         }
-        
-        const statusEl = step.querySelector('.step-status');
-        if (statusEl) {
-            statusEl.textContent = status;
+
+        return this.api('GET', '/audit/verify');
+    }
+
+    // Resolves to a CSV Blob
+    async exportAudit(query = {}) {
+        if (this.offlineMode) {
+            const field = (value) => {
+                const text = String(value ?? '');
+                return `"${(/^[=+\-@]/.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+            };
+            const rows = this.queryMockAuditRecords(query).map(r => [
+                r.sequence, r.createdAt, r.eventType, r.userName, r.action, r.resourceType, r.resourceId,
+                r.success, r.errorMessage, r.beforeValue, r.afterValue
+            ]);
+            const header = ['Sequence', 'Time (UTC)', 'Event', 'User', 'Action', 'Resource Type', 'Resource', 'Success', 'Error', 'Before', 'After'];
+            const csv = [header, ...rows].map(row => row.map(field).join(',')).join('\r\n');
+            return new Blob(['\ufeff', csv], { type: 'text/csv' });
         }
-        
-        // Calculate progress percentage
-        const progress = (stepNumber / 5) * 100;
-        this.setProgressBar(progress);
+
+        return this.api('GET', `/audit/export?${this.getAuditParams(query)}`);
     }
 
-    setProgressBar(percent) {
-        const fill = document.querySelector('.progress-fill');
-        const percentText = document.querySelector('.progress-percent');
-        
-        if (fill) fill.style.width = `${percent}%`;
-        if (percentText) percentText.textContent = `${Math.round(percent)}%`;
+    getAuditParams(query) {
+        const params = new URLSearchParams();
+        const names = { type: 'eventType', user: 'user', resource: 'resource', from: 'from', to: 'to', page: 'page', pageSize: 'pageSize' };
+        Object.entries(names).forEach(([key, param]) => {
+            if (query[key]) params.set(param, query[key]);
+        });
+        return params;
     }
 
-    addLog(message, type = 'info') {
-        const logContent = document.getElementById('deployment-log-content');
-        if (!logContent) return;
-        
-        const timestamp = new Date().toLocaleTimeString();
-        const logEntry = document.createElement('div');
-        logEntry.className = `log-entry ${type}`;
-        logEntry.textContent = `[${timestamp}] ${message}`;
-        
-        logContent.appendChild(logEntry);
-        logContent.scrollTop = logContent.scrollHeight;
+    queryMockAuditRecords(query) {
+        const user = (query.user || '').toLowerCase();
+        const resource = (query.resource || '').toLowerCase();
+        const from = query.from ? new Date(`${query.from}T00:00:00`) : null;
+        const to = query.to ? new Date(`${query.to}T23:59:59.999`) : null;
+
+        return this.getMockAuditRecords()
+            .filter(r =>
+                (!query.type || r.eventType === query.type) &&
+                (!user || r.userName.toLowerCase().includes(user)) &&
+                (!resource || `${r.resourceType} ${r.resourceId}`.toLowerCase().includes(resource)) &&
+                (!from || new Date(r.createdAt) >= from) &&
+                (!to || new Date(r.createdAt) <= to))
+            .sort((a, b) => b.sequence - a.sequence);
     }
 
-    resetProgress() {
-        const steps = document.querySelectorAll('.progress-step');
-        steps.forEach(step => {
-            step.classList.remove('active', 'completed');
-            const status = step.querySelector('.step-status');
-            if (status) status.textContent = 'Waiting...';
-        });
-        
-        this.setProgressBar(0);
-        
-        const logContent = document.getElementById('deployment-log-content');
-        if (logContent) logContent.innerHTML = '';
+    async getUsers() {
+        if (this.offlineMode) {
+            return [{ ...this.session.user, email: 'demo@example.com', teamName: null, isActive: true, lastLoginAt: new Date().toISOString() }];
+        }
+
+        return this.api('GET', '/users');
     }
 
-    viewDeployment(id) {
-        alert(`Viewing deployment: ${id}\n\nIn a production app, this would show detailed deployment information.`);
+    async getNotificationChannels() {
+        if (this.offlineMode) {
+            return this.getMockNotificationChannels();
+        }
+
+        return this.api('GET', '/notifications/channels');
     }
 
-    async rollbackDeployment(id) {
-        if (!confirm('Are you sure you want to rollback this deployment?')) {
-            return;
+    async getProfile(id) {
+        if (this.offlineMode) {
+            const profile = this.getMockProfiles().find(p => p.id === id);
+            if (!profile) throw new Error(`Profile not found: ${id}`);
+            return profile;
         }
-        
-        this.showSuccess('Rollback initiated for deployment ' + id.substring(0, 8));
-        
-        // In production, call: await this.api('POST', `/deployments/${id}/rollback`);
+
+        return this.api('GET', `/profiles/${id}`);
     }
 
-    useProfile(id) {
-        this.showSuccess('Profile loaded! Fill in the application path to deploy.');
-        this.showPage('deploy');
+    async getProfileTemplates() {
+        if (this.offlineMode) {
+            return this.getMockProfiles().map(p => ({ ...p, createdBy: 'IIScribe' }));
+        }
+
+        return this.api('GET', '/profiles/templates');
     }
 
-    editProfile(id) {
-        alert('Edit profile: ' + id);
+    async getProfiles() {
+        if (this.offlineMode) {
+            return this.getMockProfiles();
+        }
+
+        const profiles = await this.api('GET', '/profiles');
+        return profiles.map(p => this.mapProfile(p));
     }
 
-    stopSite(name) {
-        this.showSuccess(`Site ${name} stopped`);
-        setTimeout(() => this.loadSites(), 500);
+    // Map server DTOs (Deployment, DeploymentProfile, SiteStatus, DashboardSummary) onto view models
+    mapDeployment(dto) {
+        return {
+            id: dto.id,
+            name: dto.name,
+            environment: dto.environment,
+            target: dto.target,
+            strategy: dto.strategy,
+            status: dto.status,
+            duration: dto.durationSeconds ?? 0,
+            createdAt: dto.createdAt,
+            domainName: dto.domainName,
+            siteName: dto.siteName,
+            targetUrl: dto.targetUrl,
+            errorMessage: dto.errorMessage,
+            createdBy: dto.createdBy,
+            requiredApprovals: dto.requiredApprovals ?? 0,
+            approvals: dto.approvals || [],
+            emergencyJustification: dto.emergencyJustification
+        };
     }
 
-    startSite(name) {
-        this.showSuccess(`Site ${name} started`);
-        setTimeout(() => this.loadSites(), 500);
+    mapProfile(dto) {
+        return {
+            id: dto.id,
+            name: dto.name,
+            description: dto.description || '',
+            environment: dto.environment,
+            target: dto.target,
+            strategy: dto.strategy,
+            deploymentCount: dto.deploymentCount ?? 0
+        };
     }
 
-    browseSite(url) {
-        window.open(url, '_blank');
+    mapSite(dto) {
+        return {
+            name: dto.siteName,
+            url: dto.url,
+            isRunning: dto.isRunning,
+            state: dto.state,
+            appPoolName: dto.appPoolName,
+            appPoolRunning: dto.appPoolRunning,
+            memoryMB: dto.workingSetMemoryMB ?? 0,
+            cpuPercent: dto.cpuUsagePercent ?? 0,
+            activeConnections: dto.activeConnections ?? 0,
+            environment: dto.additionalInfo?.Environment,
+            lastDeploymentId: dto.lastDeploymentId,
+            lastDeployed: dto.lastDeployedAt,
+            lastDeployedBy: dto.lastDeployedBy,
+            health: dto.health,
+            lastHealthCheckAt: dto.lastHealthCheckAt
+        };
+    }
+
+    mapDashboardSummary(dto) {
+        return {
+            totalDeployments: dto.totalDeployments,
+            activeSites: dto.activeSites,
+            successRate: dto.successRate,
+            certsExpiring: dto.certificatesExpiringSoon,
+            recentDeployments: (dto.recentDeployments || []).map(d => this.mapDeployment(d))
+        };
     }
 
     // API helper
     async api(method, endpoint, data = null) {
+        // FormData (file uploads) sets its own multipart content type
+        const isForm = data instanceof FormData;
         const options = {
             method,
-            headers: {
+            headers: isForm ? {} : {
                 'Content-Type': 'application/json'
             }
         };
+        if (this.session?.token) {
+            options.headers.Authorization = `Bearer ${this.session.token}`;
+        }
         
         if (data) {
-            options.body = JSON.stringify(data);
+            options.body = isForm ? data : JSON.stringify(data);
         }
         
         const response = await fetch(this.apiBase + endpoint, options);
         
         if (!response.ok) {
-            throw new Error(`API error: ${response.statusText}`);
+            // Controllers report failures as ProblemDetails
+            const problem = await response.json().catch(() => null);
+            const error = new Error(problem?.detail || problem?.title || `API error: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            error.problem = problem;
+            
+            // An expired or revoked token; a failed sign-in also answers 401 but is reported by its form
+            if (response.status === 401 && this.session && endpoint !== '/auth/login') {
+                this.storeSession(null);
+                this.renderUser();
+                this.showLogin('Your session has expired. Sign in again.');
+            }
+            throw error;
+        }
+        
+        if (response.status === 204) {
+            return null;
+        }
+        
+        // File downloads such as the audit CSV
+        if (!(response.headers.get('Content-Type') || '').includes('json')) {
+            return response.blob();
         }
         
         return response.json();
@@ -446,8 +6192,148 @@ class IIScribeApp {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        if (total < 60) return `${total}s`;
+        
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total % 3600 / 60);
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${total % 60}s`;
+    }
+
     formatDate(date) {
-        return new Date(date).toLocaleString();
+        const { timeZone } = this.settings;
+        return new Date(date).toLocaleString(undefined, timeZone ? { timeZone } : undefined);
+    }
+
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let size = bytes;
+        let unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return unit === 0 ? `${size} B` : `${size.toFixed(1)} ${units[unit]}`;
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Form field builders for editors rendered into the modal
+    renderInput(id, label, value, { type = 'text', placeholder = '', hint = '' } = {}) {
+        return `
+            <div class="form-group">
+                <label for="${id}">${label}</label>
+                <input type="${type}" id="${id}" value="${this.escapeHtml(value)}" placeholder="${this.escapeHtml(placeholder)}">
+                ${hint ? `<small>${hint}</small>` : ''}
+            </div>
+        `;
+    }
+
+    renderSelect(id, label, options, value) {
+        return `
+            <div class="form-group">
+                <label for="${id}">${label}</label>
+                <select id="${id}">
+                    ${options.map(option => `
+                        <option value="${option}" ${option === value ? 'selected' : ''}>${option}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    renderCheckbox(id, label, checked) {
+        return `
+            <div class="form-group">
+                <label><input type="checkbox" id="${id}" ${checked ? 'checked' : ''}> ${label}</label>
+            </div>
+        `;
+    }
+
+    renderTextarea(id, label, value, hint = '') {
+        return `
+            <div class="form-group">
+                <label for="${id}">${label}</label>
+                <textarea id="${id}" rows="4">${this.escapeHtml(value)}</textarea>
+                ${hint ? `<small>${hint}</small>` : ''}
+            </div>
+        `;
+    }
+
+    formatKeyValues(values) {
+        return Object.entries(values || {}).map(([key, value]) => `${key}=${value}`).join('\n');
+    }
+
+    parseKeyValues(text) {
+        return Object.fromEntries(text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line && line.includes('='))
+            .map(line => {
+                const index = line.indexOf('=');
+                return [line.substring(0, index).trim(), line.substring(index + 1).trim()];
+            }));
+    }
+
+    // Selects on the deploy form only list common values; add the profile's value if it's missing
+    // Options are values or [value, label] pairs
+    fillSelect(id, options, selected) {
+        const select = document.getElementById(id);
+        if (!select) return;
+        
+        select.innerHTML = options.map(option => {
+            const [value, label] = Array.isArray(option) ? option : [option, option];
+            return `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label)}</option>`;
+        }).join('');
+        select.value = selected ?? '';
+    }
+
+    setSelectValue(id, value) {
+        const select = document.getElementById(id);
+        if (!select || !value) return;
+        
+        if (![...select.options].some(option => option.value === value)) {
+            select.add(new Option(value, value));
+        }
+        select.value = value;
+    }
+
+    setChecked(id, checked) {
+        const checkbox = document.getElementById(id);
+        if (!checkbox) return;
+        
+        checkbox.checked = checked;
+        checkbox.dispatchEvent(new Event('change'));
+    }
+
+    setText(id, value) {
+        const el = document.getElementById(id);
+        if (el) el.textContent = value;
+    }
+
+    // Loading, empty and error placeholders for tables and card grids
+    renderTableMessage(tbody, message, state) {
+        if (!tbody) return;
+        
+        const columns = tbody.closest('table')?.querySelectorAll('thead th').length || 1;
+        tbody.innerHTML = `
+            <tr class="table-message ${state}">
+                <td colspan="${columns}">${this.escapeHtml(message)}</td>
+            </tr>
+        `;
+    }
+
+    renderGridMessage(grid, message, state) {
+        if (!grid) return;
+        
+        grid.innerHTML = `<div class="grid-message ${state}">${this.escapeHtml(message)}</div>`;
     }
 
     getStatusClass(status) {
@@ -456,7 +6342,39 @@ class IIScribeApp {
             'Failed': 'danger',
             'InProgress': 'warning',
             'Pending': 'info',
-            'RolledBack': 'warning'
+            'PendingApproval': 'warning',
+            'RolledBack': 'warning',
+            'Rejected': 'danger'
+        };
+        return map[status] || 'info';
+    }
+
+    // Server enum values offered by the editors
+    getEnumValues(name) {
+        const map = {
+            'category': ['Active', 'Archived', 'Template'],
+            'environment': ['Development', 'Staging', 'Production', 'Testing', 'Local'],
+            'target': ['LocalIIS', 'LocalIISExpress', 'AzureAppService', 'AzureVM', 'AWSEC2', 'GoogleCloudVM', 'OnPremiseWindows', 'Docker', 'Kubernetes'],
+            'strategy': ['StopAndDeploy', 'BlueGreen', 'Canary', 'Rolling', 'InPlace'],
+            'applicationType': ['AspNetCoreMvc', 'AspNetCoreRazor', 'AspNetCoreBlazorServer', 'AspNetCoreBlazorWasm', 'AspNetCoreWebApi', 'AspNetFrameworkMvc', 'AspNetFrameworkWebForms', 'StaticWebsite', 'NodeJs', 'Unknown'],
+            'runtimeVersion': ['NoManagedCode', 'V2_0', 'V4_0'],
+            'pipelineMode': ['Integrated', 'Classic'],
+            'databaseProvider': ['SqlServerLocalDb', 'SqlServerExpress', 'SqlServer', 'AzureSqlDatabase', 'PostgreSQL', 'MySQL', 'SQLite', 'MongoDB', 'CosmosDB'],
+            'databaseDeploymentMode': ['Migrate', 'Fresh', 'SchemaCompare', 'DacPac', 'None'],
+            'databaseAuthMode': ['WindowsIntegrated', 'SqlAuthentication', 'AzureManagedIdentity', 'ConnectionString'],
+            'certificateType': ['SelfSigned', 'LetsEncrypt', 'InternalCA', 'AzureKeyVault', 'CustomCertificate'],
+            'userRole': ['Administrator', 'TeamLead', 'Developer', 'DevOpsEngineer', 'DatabaseAdministrator', 'SecurityOfficer', 'Viewer'],
+            'notificationChannel': ['Email', 'Slack', 'MicrosoftTeams', 'Webhook'],
+            'permission': ['Deploy', 'DeployProduction', 'Rollback', 'ManageSites', 'ManageProfiles', 'ManageCertificates', 'ManageNotifications', 'ManageHostsFile', 'ManageUsers', 'ViewAudit']
+        };
+        return map[name] || [];
+    }
+
+    getHealthClass(status) {
+        const map = {
+            'Healthy': 'success',
+            'Degraded': 'warning',
+            'Unhealthy': 'danger'
         };
         return map[status] || 'info';
     }
@@ -480,7 +6398,276 @@ class IIScribeApp {
             totalDeployments: 247,
             activeSites: 15,
             successRate: 94.7,
-            certsExpiring: 2
+            certsExpiring: this.getMockCertificates()
+                .filter(c => c.daysUntilExpiry <= this.settings.certificateWarningDays).length
+        };
+    }
+
+    getMockPipelines() {
+        const hour = 60 * 60 * 1000;
+        const dep = (id, environment, applicationPath, domainName, hoursAgo, status = 'Success') => ({
+            id,
+            name: `Deployment_${id.substring(0, 4)}`,
+            applicationPath,
+            applicationVersion: '',
+            domainName,
+            siteName: domainName.replace(/\./g, '_'),
+            status,
+            createdAt: new Date(Date.now() - hoursAgo * hour - 5 * 60 * 1000),
+            completedAt: status === 'Success' ? new Date(Date.now() - hoursAgo * hour) : null,
+            createdBy: 'admin',
+            promotedFromId: environment === 'Development' ? null : 'promoted'
+        });
+        const stage = (environment, promotesTo, current, latest = null) => ({ environment, current, latest, promotesTo });
+        
+        return [
+            {
+                applicationName: 'MyWebApp',
+                stages: [
+                    stage('Development', 'Testing', dep('d1a2b3c4-0000-4000-8000-000000000001', 'Development', 'C:\\builds\\MyWebApp', 'mywebapp.development.local', 3)),
+                    stage('Testing', 'Staging', dep('d1a2b3c4-0000-4000-8000-000000000002', 'Testing', 'C:\\builds\\MyWebApp', 'mywebapp.testing.local', 26)),
+                    stage('Staging', 'Production', dep('d1a2b3c4-0000-4000-8000-000000000003', 'Staging', 'C:\\builds\\MyWebApp', 'mywebapp.staging.local', 50),
+                        dep('d1a2b3c4-0000-4000-8000-000000000004', 'Staging', 'C:\\builds\\MyWebApp', 'mywebapp.staging.local', 1, 'PendingApproval')),
+                    stage('Production', null, dep('d1a2b3c4-0000-4000-8000-000000000005', 'Production', 'C:\\builds\\MyWebApp', 'mywebapp.local', 120))
+                ]
+            },
+            {
+                applicationName: 'WebAPI',
+                stages: [
+                    stage('Development', 'Testing', dep('e2b3c4d5-0000-4000-8000-000000000001', 'Development', 'C:\\builds\\WebAPI', 'webapi.development.local', 5)),
+                    stage('Testing', 'Staging', null,
+                        dep('e2b3c4d5-0000-4000-8000-000000000002', 'Testing', 'C:\\builds\\WebAPI', 'webapi.testing.local', 4, 'Failed')),
+                    stage('Staging', 'Production', null),
+                    stage('Production', null, null)
+                ]
+            }
+        ];
+    }
+
+    // Offline plans swap the environment label in the domain and database name, as the server proposes
+    getMockPromotionPlan(deploymentId, request) {
+        const current = this.getMockPipelines()
+            .flatMap(pipeline => pipeline.stages)
+            .find(stage => stage.current?.id === deploymentId)
+            || this.getMockPipelines()[0].stages[0];
+        
+        const from = current.environment;
+        const to = current.promotesTo;
+        const swap = value => value.replace(from.toLowerCase(), to === 'Production' ? '' : to.toLowerCase()).replace('..', '.');
+        const source = {
+            ...current.current,
+            environment: from,
+            target: 'LocalIIS',
+            strategy: 'StopAndDeploy',
+            httpPort: 80,
+            httpsPort: 443,
+            databaseConfig: { provider: 'SqlServer', databaseName: `MyWebApp_${from}`, deploymentMode: 'Migrate' },
+            sslConfig: { certificateType: 'SelfSigned', enableHsts: true }
+        };
+        const domainName = request.domainName || swap(source.domainName);
+        const target = {
+            ...source,
+            environment: to,
+            domainName,
+            siteName: domainName.replace(/\./g, '_'),
+            appPoolName: `AppPool_${domainName.replace(/\./g, '_')}`,
+            requiredApprovals: to === 'Production' ? 1 : 0,
+            databaseConfig: { ...source.databaseConfig, databaseName: request.databaseName || `MyWebApp_${to}` },
+            sslConfig: { ...source.sslConfig, certificateType: request.certificateType || (to === 'Staging' ? 'InternalCA' : 'SelfSigned') }
+        };
+        
+        return {
+            source,
+            target,
+            errors: [],
+            warnings: to === 'Production' ? ["Let's Encrypt cannot issue certificates for .local domains; keeping SelfSigned"] : []
+        };
+    }
+
+    getMockHostsFile() {
+        const entry = (lineNumber, ipAddress, hostName, isManaged, siteName = null) =>
+            ({ lineNumber, ipAddress, hostName, isManaged, siteName, isOrphaned: isManaged && !siteName });
+        
+        return {
+            path: 'C:\\Windows\\System32\\drivers\\etc\\hosts',
+            entries: [
+                entry(22, '127.0.0.1', 'localhost', false),
+                entry(23, '::1', 'localhost', false),
+                entry(24, '127.0.0.1', 'mywebapp.local', true, 'MyWebApp'),
+                entry(25, '127.0.0.1', 'webapi.local', true, 'WebAPI'),
+                entry(26, '127.0.0.1', 'dashboard.local', true, 'Dashboard'),
+                entry(27, '127.0.0.1', 'oldshop.local', true)
+            ]
+        };
+    }
+
+    getMockHostsBackups() {
+        const day = 24 * 60 * 60 * 1000;
+        const backup = (daysAgo) => {
+            const createdAt = new Date(Date.now() - daysAgo * day);
+            const stamp = createdAt.toISOString().replace(/\D/g, '').slice(0, 14);
+            return { name: `hosts.backup_${stamp}`, createdAt, sizeBytes: 1024 };
+        };
+        
+        return [backup(1), backup(9)];
+    }
+
+    // Offline previews diff against the mock entries, IIScribe-style formatting included
+    getMockHostsChange(edit) {
+        const format = (ip, host) => `${ip.padEnd(20)} ${host.padEnd(30)} # IIScribe`;
+        const entries = this.getMockHostsFile().entries;
+        const lines = entries.map(e => ({
+            kind: 'Unchanged',
+            text: e.isManaged ? format(e.ipAddress, e.hostName) : `${e.ipAddress} ${e.hostName}`,
+            oldLineNumber: e.lineNumber,
+            newLineNumber: e.lineNumber
+        }));
+        const notes = [];
+        
+        if (edit.restoreBackup) {
+            lines.push({ kind: 'Added', text: format('127.0.0.1', 'staging.local'), oldLineNumber: null, newLineNumber: 28 });
+        }
+        
+        (edit.remove || []).forEach(hostName => {
+            const entry = entries.find(e => e.hostName === hostName);
+            if (!entry?.isManaged) {
+                notes.push(entry ? `${hostName} (line ${entry.lineNumber}) was not added by IIScribe; edit it by hand` : `${hostName} is not in the hosts file`);
+                return;
+            }
+            Object.assign(lines[entries.indexOf(entry)], { kind: 'Removed', newLineNumber: null });
+        });
+        
+        (edit.add || []).forEach(({ ipAddress, hostName }) => {
+            if (entries.some(e => e.hostName === hostName)) {
+                notes.push(`${hostName} is already in the hosts file`);
+                return;
+            }
+            lines.push({ kind: 'Added', text: format(ipAddress, hostName), oldLineNumber: null, newLineNumber: lines.length + 22 });
+        });
+        
+        const added = lines.filter(line => line.kind === 'Added').length;
+        const removed = lines.filter(line => line.kind === 'Removed').length;
+        return { baseHash: 'offline', lines, added, removed, hasChanges: added + removed > 0, notes, backupName: null };
+    }
+
+    getMockCertificates() {
+        const day = 24 * 60 * 60 * 1000;
+        const cert = (thumbprint, subjectName, issuerName, issuedDaysAgo, validDays, boundSites) => ({
+            thumbprint,
+            subjectName,
+            issuerName,
+            notBefore: new Date(Date.now() - issuedDaysAgo * day),
+            notAfter: new Date(Date.now() + (validDays - issuedDaysAgo) * day),
+            daysUntilExpiry: validDays - issuedDaysAgo,
+            isSelfSigned: subjectName === issuerName,
+            boundSites
+        });
+        
+        return [
+            cert('4F1C9A0B7E2D6C3F8A5B1E9D0C7F2A6B3E8D1C4A', 'CN=legacy.local', 'CN=legacy.local', 370, 365, []),
+            cert('A7E3B19C0D5F2E8A6C4B1D9F7E3A0C5B8D2F6E1A', 'CN=webapi.local', 'CN=webapi.local', 355, 365, ['WebAPI']),
+            cert('2B8D6F1A9C3E7B0D5F4A8C2E6B1D9F3A7C0E5B4D', 'CN=mywebapp.local', "CN=R3, O=Let's Encrypt, C=US", 68, 90, ['MyWebApp']),
+            cert('E5C0A8F3B6D1E9C4A2F7B0D8E3C6A1F9B4D7E2C0', 'CN=dashboard.local', 'CN=dashboard.local', 30, 365, ['Dashboard'])
+        ];
+    }
+
+    getMockAuditRecords() {
+        const hour = 60 * 60 * 1000;
+        const record = (sequence, hoursAgo, eventType, userName, action, resourceType, resourceId, before = null, after = null, success = true) => ({
+            sequence,
+            createdAt: new Date(Date.now() - hoursAgo * hour).toISOString(),
+            eventType,
+            userId: userName,
+            userName,
+            action,
+            resourceType,
+            resourceId,
+            beforeValue: before && JSON.stringify(before),
+            afterValue: after && JSON.stringify(after),
+            success,
+            errorMessage: success ? null : 'Invalid username or password',
+            additionalData: {}
+        });
+        
+        return [
+            record(1, 72, 'PermissionGranted', 'admin', 'CreateUser', 'User', 'jane',
+                null, { username: 'jane', role: 'Developer', isActive: true }),
+            record(2, 48, 'DeploymentStarted', 'jane', 'Deploy', 'Deployment', 'MyWebApp'),
+            record(3, 47, 'DeploymentCompleted', 'jane', 'Deploy', 'Deployment', 'MyWebApp'),
+            record(4, 30, 'ConfigurationChanged', 'admin', 'UpdateProfile', 'Profile', 'WebAPI Production',
+                { name: 'WebAPI Production', httpPort: 80, strategy: 'StopAndDeploy' },
+                { name: 'WebAPI Production', httpPort: 8080, strategy: 'BlueGreen' }),
+            record(5, 20, 'SecurityAlert', 'unknown', 'Login', 'User', 'unknown', null, null, false),
+            record(6, 5, 'ConfigurationChanged', 'admin', 'StopSite', 'Site', 'Dashboard',
+                { state: 'Started', appPoolRunning: true }, { state: 'Stopped', appPoolRunning: true }),
+            record(7, 2, 'CertificateRenewed', 'admin', 'RenewCertificate', 'Certificate', 'A7E3B19C0D5F2E8A6C4B1D9F7E3A0C5B8D2F6E1A')
+        ];
+    }
+
+    // Synthetic but stable numbers so the charts have something to show offline
+    getMockAnalytics(query) {
+        const day = 24 * 60 * 60 * 1000;
+        const to = query.to ? new Date(`${query.to}T00:00:00Z`) : new Date(new Date().toISOString().slice(0, 10));
+        const from = query.from ? new Date(`${query.from}T00:00:00Z`) : new Date(to - 29 * day);
+        const days = Math.max(1, Math.round((to - from) / day) + 1);
+        const scale = query.team ? 0.5 : 1;
+        
+        const daily = Array.from({ length: days }, (_, i) => {
+            const date = new Date(from.getTime() + i * day);
+            const seed = date.getUTCDate();
+            const byStatus = {
+                Success: Math.round((4 + seed % 5) * scale),
+                Failed: seed % 4 === 0 ? 1 : 0,
+                RolledBack: seed % 9 === 0 ? 1 : 0
+            };
+            Object.keys(byStatus).forEach(status => byStatus[status] || delete byStatus[status]);
+            return {
+                date: date.toISOString(),
+                total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+                byStatus
+            };
+        });
+        
+        const team = (teamName, totalDeployments, successRate, averageDeploymentTimeSeconds, user, error) => ({
+            teamName,
+            totalDeployments,
+            successRate,
+            averageDeploymentTimeSeconds,
+            deploymentsByUser: { [user]: totalDeployments },
+            deploymentsByEnvironment: { Production: Math.round(totalDeployments / 3), Development: totalDeployments },
+            mostCommonErrors: error ? [error] : []
+        });
+        const teamMetrics = [
+            team('Platform', 96, 95.8, 58, 'alice', "Port N is already bound by site '…'"),
+            team('Web', 71, 91.5, 74, 'bob', 'Health check failed: HTTP N from {path}')
+        ].filter(t => !query.team || t.teamName === query.team);
+        
+        return {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            team: query.team || null,
+            teams: ['Platform', 'Web'],
+            daily,
+            byEnvironment: [
+                { name: 'Development', total: 120, succeeded: 110, successRate: 91.7, medianDurationSeconds: 41 },
+                { name: 'Staging', total: 48, succeeded: 46, successRate: 95.8, medianDurationSeconds: 63 },
+                { name: 'Production', total: 31, succeeded: 30, successRate: 96.8, medianDurationSeconds: 88 }
+            ],
+            byTarget: [
+                { name: 'LocalIIS', total: 142, succeeded: 131, successRate: 92.3, medianDurationSeconds: 45 },
+                { name: 'AzureVM', total: 57, succeeded: 55, successRate: 96.5, medianDurationSeconds: 97 }
+            ],
+            failingSites: [
+                { siteName: 'Dashboard', failures: 6, total: 38, lastFailureAt: new Date(Date.now() - day) },
+                { siteName: 'WebAPI', failures: 3, total: 44, lastFailureAt: new Date(Date.now() - 4 * day) }
+            ],
+            commonErrors: [
+                { message: "Port N is already bound by site '…'", count: 5, lastSeenAt: new Date(Date.now() - day), latestDeploymentId: 'dep-003' },
+                { message: 'Health check failed: HTTP N from {path}', count: 3, lastSeenAt: new Date(Date.now() - 4 * day), latestDeploymentId: 'dep-003' }
+            ],
+            meanTimeToRecoveryMinutes: 42.5,
+            recoveries: 8,
+            teamMetrics
         };
     }
 
@@ -525,11 +6712,38 @@ class IIScribeApp {
             {
                 id: 'dep-005-' + Date.now(),
                 name: 'AdminPortal',
+                siteName: 'admin_local',
                 environment: 'Development',
                 target: 'LocalIIS',
                 status: 'InProgress',
                 duration: 0,
                 createdAt: new Date()
+            },
+            {
+                id: 'dep-007-' + Date.now(),
+                name: 'AdminPortal',
+                siteName: 'admin_local',
+                environment: 'Development',
+                target: 'LocalIIS',
+                status: 'Pending',
+                duration: 0,
+                createdAt: new Date()
+            },
+            {
+                id: 'dep-006-' + Date.now(),
+                name: 'Billing',
+                siteName: 'billing_example_com',
+                applicationPath: 'C:\\Apps\\Billing',
+                environment: 'Production',
+                target: 'LocalIIS',
+                status: 'PendingApproval',
+                duration: 0,
+                createdAt: new Date(Date.now() - 30 * 60 * 1000),
+                createdBy: 'jane',
+                requiredApprovals: 2,
+                approvals: [
+                    { userName: 'sam', role: 'TeamLead', approved: true, comment: 'Release notes reviewed', decidedAt: new Date(Date.now() - 10 * 60 * 1000) }
+                ]
             }
         ];
     }
@@ -563,13 +6777,168 @@ class IIScribeApp {
         ];
     }
 
+    getMockNotificationChannels() {
+        return [
+            {
+                id: 'channel-001',
+                name: 'Ops webhook',
+                channel: 'Webhook',
+                enabled: true,
+                notifyOnStart: false,
+                notifyOnSuccess: true,
+                notifyOnFailure: true,
+                notifyOnRollback: true,
+                notifyOnHealthAlert: true,
+                webhookUrl: 'https://ops.example.com/hooks/iiscribe',
+                webhookHeaders: {},
+                hasWebhookSecret: true
+            },
+            {
+                id: 'channel-002',
+                name: 'Release team',
+                channel: 'Email',
+                enabled: true,
+                notifyOnStart: true,
+                notifyOnSuccess: true,
+                notifyOnFailure: true,
+                notifyOnRollback: true,
+                notifyOnHealthAlert: false,
+                emailTo: 'releases@example.com',
+                emailFrom: 'iiscribe@example.com',
+                smtpServer: 'localhost',
+                smtpPort: 25,
+                webhookHeaders: {},
+                hasWebhookSecret: false
+            }
+        ];
+    }
+
+    getMockSchedules() {
+        const tonight = new Date();
+        tonight.setDate(tonight.getDate() + 1);
+        tonight.setHours(2, 0, 0, 0);
+        
+        const release = new Date(tonight);
+        release.setDate(release.getDate() + 2);
+        
+        return [
+            {
+                id: 'schedule-001',
+                siteName: 'myapp_local',
+                environment: 'Development',
+                recurrence: 'Daily',
+                nextRunAt: tonight,
+                createdBy: 'sam',
+                lastRunAt: new Date(tonight.getTime() - 24 * 60 * 60 * 1000),
+                lastError: null,
+                request: { applicationPath: 'C:\\Projects\\MyApp' }
+            },
+            {
+                id: 'schedule-002',
+                siteName: 'api_example_com',
+                environment: 'Production',
+                recurrence: 'Once',
+                nextRunAt: release,
+                createdBy: 'jane',
+                lastRunAt: null,
+                lastError: null,
+                request: { applicationPath: 'C:\\Apps\\Api' }
+            }
+        ];
+    }
+
+    // Runs of the mock schedules, repeated the way the server repeats them
+    getMockScheduledRuns(from, to) {
+        const runs = [];
+        this.getMockSchedules().forEach(schedule => {
+            const first = new Date(schedule.nextRunAt);
+            for (let runAt = new Date(first); runAt < to; runAt.setDate(runAt.getDate() + 1)) {
+                const weekend = runAt.getDay() === 0 || runAt.getDay() === 6;
+                const runsOnDay = runAt.getTime() === first.getTime() ||
+                    schedule.recurrence === 'Daily' ||
+                    (schedule.recurrence === 'Weekdays' && !weekend) ||
+                    (schedule.recurrence === 'Weekly' && runAt.getDay() === first.getDay());
+                
+                if (runAt >= from && runsOnDay) {
+                    runs.push({ ...schedule, scheduleId: schedule.id, runAt: new Date(runAt) });
+                }
+                if (schedule.recurrence === 'Once') break;
+            }
+        });
+        return runs.sort((a, b) => a.runAt - b.runAt);
+    }
+
+    // What the server generates for the demo's ASP.NET Core MVC app
+    getMockContainerPreview(data, siteName) {
+        const container = { imageTag: 'latest', containerPort: 8080, namespace: 'default', replicas: 1, serviceType: 'ClusterIP', ...data.containerConfig };
+        const image = `${container.registry ? `${container.registry}/` : ''}${container.imageName}:${container.imageTag}`;
+        const name = siteName.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+        const port = container.containerPort;
+        
+        return {
+            image,
+            dockerfile: [
+                '# Generated by IIScribe for AspNetCoreMvc; build it from the published output folder',
+                'FROM mcr.microsoft.com/dotnet/aspnet:8.0',
+                'WORKDIR /app',
+                'COPY . .',
+                `ENV ASPNETCORE_URLS=http://+:${port}`,
+                `EXPOSE ${port}`,
+                'ENTRYPOINT ["dotnet", "MyWebApp.dll"]'
+            ].join('\n'),
+            runCommand: data.target === 'Docker'
+                ? `docker run -d --name ${name} --restart unless-stopped -p ${container.hostPort || data.httpPort}:${port} ${image}`
+                : null,
+            kubernetesManifest: data.target === 'Kubernetes' ? [
+                'apiVersion: apps/v1',
+                'kind: Deployment',
+                'metadata:',
+                `  name: ${name}`,
+                `  namespace: ${container.namespace}`,
+                'spec:',
+                `  replicas: ${container.replicas}`,
+                '  selector:',
+                '    matchLabels:',
+                `      app: ${name}`,
+                '  template:',
+                '    metadata:',
+                '      labels:',
+                `        app: ${name}`,
+                '    spec:',
+                '      containers:',
+                `        - name: ${name}`,
+                `          image: ${image}`,
+                '          ports:',
+                `            - containerPort: ${port}`,
+                '---',
+                'apiVersion: v1',
+                'kind: Service',
+                'metadata:',
+                `  name: ${name}`,
+                `  namespace: ${container.namespace}`,
+                'spec:',
+                `  type: ${container.serviceType}`,
+                '  selector:',
+                `    app: ${name}`,
+                '  ports:',
+                '    - port: 80',
+                `      targetPort: ${port}`
+            ].join('\n') : null
+        };
+    }
+
     getMockSites() {
         return [
             {
                 name: 'MyWebApp',
                 url: 'https://mywebapp.local',
                 isRunning: true,
+                state: 'Started',
                 appPoolName: 'MyWebApp_Pool',
+                appPoolRunning: true,
+                memoryMB: 184,
+                cpuPercent: 3.2,
+                activeConnections: 12,
                 environment: 'Production',
                 lastDeployed: new Date(Date.now() - 2 * 60 * 60 * 1000)
             },
@@ -577,7 +6946,12 @@ class IIScribeApp {
                 name: 'WebAPI',
                 url: 'https://webapi.local',
                 isRunning: true,
+                state: 'Started',
                 appPoolName: 'WebAPI_Pool',
+                appPoolRunning: true,
+                memoryMB: 96,
+                cpuPercent: 0.8,
+                activeConnections: 3,
                 environment: 'Development',
                 lastDeployed: new Date(Date.now() - 5 * 60 * 60 * 1000)
             },
@@ -585,12 +6959,140 @@ class IIScribeApp {
                 name: 'Dashboard',
                 url: 'https://dashboard.local',
                 isRunning: false,
+                state: 'Stopped',
                 appPoolName: 'Dashboard_Pool',
+                appPoolRunning: false,
+                memoryMB: 0,
+                cpuPercent: 0,
+                activeConnections: 0,
                 environment: 'Development',
                 lastDeployed: new Date(Date.now() - 24 * 60 * 60 * 1000)
             }
         ];
     }
+
+    // Ten hours of checks, one every ten minutes; WebAPI has slowed down over the last hour
+    getMockMonitors() {
+        const now = Date.now();
+        const history = (latency, statusAt) => Array.from({ length: 60 }, (_, index) => {
+            const status = statusAt(index);
+            return {
+                checkedAt: new Date(now - (59 - index) * 10 * 60 * 1000),
+                status,
+                responseTimeMs: status === 'Unhealthy' ? 10000 : latency(index)
+            };
+        });
+        const summarize = (monitor) => ({
+            ...monitor,
+            uptimePercent: Math.round(1000 * monitor.history.filter(h => h.status !== 'Unhealthy').length / monitor.history.length) / 10,
+            averageResponseTimeMs: Math.round(monitor.history.reduce((sum, h) => sum + h.responseTimeMs, 0) / monitor.history.length),
+            lastCheckedAt: monitor.history[monitor.history.length - 1].checkedAt
+        });
+
+        return [
+            summarize({
+                id: 'monitor-1',
+                siteName: 'MyWebApp',
+                name: 'Home page',
+                url: 'https://mywebapp.local/',
+                enabled: true,
+                expectedStatusCode: 200,
+                expectedBodyContains: null,
+                degradedAfterMs: 1000,
+                timeoutSeconds: 10,
+                intervalSeconds: 600,
+                failureThreshold: 3,
+                autoRollback: true,
+                autoRollbackEnabledBy: 'admin',
+                status: 'Healthy',
+                consecutiveFailures: 0,
+                lastMessage: '200 in 48 ms',
+                history: history(i => 40 + (i * 7) % 25, i => i === 21 ? 'Unhealthy' : 'Healthy')
+            }),
+            summarize({
+                id: 'monitor-2',
+                siteName: 'WebAPI',
+                name: 'Health endpoint',
+                url: 'https://webapi.local/health',
+                enabled: true,
+                expectedStatusCode: 200,
+                expectedBodyContains: 'Healthy',
+                degradedAfterMs: 500,
+                timeoutSeconds: 5,
+                intervalSeconds: 600,
+                failureThreshold: 3,
+                autoRollback: false,
+                status: 'Degraded',
+                consecutiveFailures: 0,
+                lastMessage: '200 in 812 ms, slower than 500 ms',
+                history: history(i => i < 54 ? 120 + (i * 13) % 60 : 700 + (i % 3) * 60, i => i < 54 ? 'Healthy' : 'Degraded')
+            })
+        ];
+    }
+
+    getMockBackups() {
+        const day = 24 * 60 * 60 * 1000;
+        const backup = (databaseName, daysAgo, sizeBytes, extra = {}) => {
+            const backupDate = new Date(Date.now() - daysAgo * day);
+            const stamp = backupDate.toISOString().replace(/\D/g, '').slice(0, 14);
+            return {
+                id: `backup-${databaseName}-${daysAgo}`,
+                serverName: null,
+                databaseName,
+                filePath: `D:\\Backups\\${databaseName}_backup_${stamp}.bak`,
+                fileSizeBytes: sizeBytes,
+                checksum: Array.from({ length: 64 }, (_, i) => '0123456789abcdef'[(i * 7 + Math.round(daysAgo * 10)) % 16]).join(''),
+                backupDate,
+                expiryDate: null,
+                createdBy: 'System',
+                deploymentId: null,
+                deploymentName: null,
+                verified: false,
+                verifiedAt: null,
+                isRestored: false,
+                restoredAt: null,
+                restoredBy: null,
+                ...extra
+            };
+        };
+        const database = (databaseName, extra, backups) => ({
+            serverName: null,
+            databaseName,
+            latestDeploymentId: `dep-${databaseName}`,
+            totalSizeBytes: backups.reduce((sum, b) => sum + b.fileSizeBytes, 0),
+            backups,
+            ...extra
+        });
+        
+        return [
+            database('MyWebApp_Production', {
+                provider: 'SqlServer',
+                retentionPolicy: 'KeepDaily7Days',
+                siteName: 'MyWebApp',
+                environment: 'Production'
+            }, [
+                backup('MyWebApp_Production', 0.1, 48 * 1024 * 1024, {
+                    deploymentId: 'dep-001', deploymentName: 'MyWebApp', verified: true, verifiedAt: new Date(Date.now() - 0.05 * day)
+                }),
+                backup('MyWebApp_Production', 1, 47 * 1024 * 1024, { createdBy: 'admin' }),
+                backup('MyWebApp_Production', 3, 45 * 1024 * 1024, {
+                    deploymentId: 'dep-004', deploymentName: 'MyWebApp', isRestored: true,
+                    restoredAt: new Date(Date.now() - 2 * day), restoredBy: 'admin'
+                })
+            ].map(b => ({ ...b, expiryDate: new Date(new Date(b.backupDate).getTime() + 7 * day) }))),
+            database('WebAPI_Dev', {
+                provider: 'SqlServerLocalDb',
+                retentionPolicy: 'KeepLast5',
+                siteName: 'WebAPI',
+                environment: 'Development'
+            }, [
+                backup('WebAPI_Dev', 0.5, 2.5 * 1024 * 1024, { deploymentId: 'dep-002', deploymentName: 'WebAPI' }),
+                backup('WebAPI_Dev', 2, 2.4 * 1024 * 1024, {
+                    deploymentId: 'dep-003', deploymentName: 'WebAPI', verified: false, verifiedAt: new Date(Date.now() - day)
+                })
+            ])
+        ];
+    }
 }
 
 // Initialize app when DOM is ready
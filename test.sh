@@ -4,3 +4,6 @@ echo "=================================="
 echo "IIScribe v3.0 - Testing Suite"
 echo "=================================="
 
+
+cd "$(dirname "$0")"
+dotnet test tests/IIScribe.Tests/IIScribe.Tests.csproj "$@"
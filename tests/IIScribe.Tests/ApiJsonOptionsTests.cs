@@ -0,0 +1,104 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Web.Services;
+using System.Reflection;
+using System.Text.Json;
+
+namespace IIScribe.Tests;
+
+/// <summary>
+/// Deployments, schedules, promotion plans and profiles are returned as entities, so their secrets must be
+/// left out by the API's JSON settings
+/// </summary>
+public class ApiJsonOptionsTests
+{
+    private const string Secret = "s3cret-value";
+
+    private static readonly JsonSerializerOptions Options = CreateOptions();
+
+    [Fact]
+    public void Deployment_responses_leave_out_every_secret()
+    {
+        var json = JsonSerializer.Serialize(CreateDeployment(), Options);
+
+        Assert.DoesNotContain(Secret, json);
+        Assert.DoesNotContain("Encrypted", json, StringComparison.OrdinalIgnoreCase);
+        Assert.DoesNotContain("certificatePassword", json, StringComparison.OrdinalIgnoreCase);
+    }
+
+    [Fact]
+    public void Schedule_promotion_and_profile_responses_leave_out_secrets()
+    {
+        var deployment = CreateDeployment();
+        var responses = new object[]
+        {
+            new ScheduledDeployment { Request = DeploymentRequest.From(deployment) },
+            new PromotionPlan { Source = deployment, Target = CreateDeployment() },
+            new DeploymentProfile
+            {
+                DatabaseTemplate = deployment.DatabaseConfig,
+                SslTemplate = deployment.SslConfig,
+                CloudTemplate = deployment.CloudConfig
+            },
+            new List<Deployment> { deployment }
+        };
+
+        foreach (var response in responses)
+            Assert.DoesNotContain(Secret, JsonSerializer.Serialize(response, response.GetType(), Options));
+    }
+
+    [Fact]
+    public void Secrets_are_still_read_from_requests()
+    {
+        var request = JsonSerializer.Deserialize<DeploymentRequest>(
+            """{"applicationPath":"C:\\apps\\shop","cloudConfig":{"remotePasswordEncrypted":"s3cret-value"}}""", Options);
+
+        Assert.Equal(Secret, request!.CloudConfig!.RemotePasswordEncrypted);
+    }
+
+    [Fact]
+    public void Enums_are_still_written_by_name()
+    {
+        var json = JsonSerializer.Serialize(CreateDeployment(), Options);
+
+        Assert.Contains("\"Production\"", json);
+    }
+
+    [Fact]
+    public void Every_password_or_encrypted_property_is_marked_secret()
+    {
+        var unmarked = typeof(Deployment).Assembly.GetTypes()
+            .Where(type => type.Namespace == typeof(Deployment).Namespace)
+            .SelectMany(type => type.GetProperties())
+            .Where(property => property.Name.EndsWith("Encrypted") || property.Name.EndsWith("Password"))
+            .Where(property => property.GetCustomAttribute<SecretAttribute>() == null)
+            .Select(property => $"{property.DeclaringType!.Name}.{property.Name}")
+            .ToList();
+
+        Assert.Empty(unmarked);
+    }
+
+    private static JsonSerializerOptions CreateOptions()
+    {
+        var options = new JsonSerializerOptions(JsonSerializerDefaults.Web);
+        ApiJsonOptions.Configure(options);
+        return options;
+    }
+
+    private static Deployment CreateDeployment() => new()
+    {
+        Name = "shop",
+        ApplicationPath = @"C:\apps\shop",
+        Environment = DeploymentEnvironment.Production,
+        DatabaseConfig = new DatabaseConfiguration { DatabaseName = "shop", PasswordEncrypted = Secret },
+        SslConfig = new SslConfiguration { CertificatePassword = Secret },
+        CloudConfig = new CloudConfiguration
+        {
+            AwsSecretKeyEncrypted = Secret,
+            GcpServiceAccountKeyEncrypted = Secret,
+            RemotePasswordEncrypted = Secret
+        },
+        ContainerConfig = new ContainerConfiguration { RegistryPasswordEncrypted = Secret }
+    };
+}
@@ -0,0 +1,77 @@
+using IIScribe.Core.Enums;
+using IIScribe.Web.Controllers;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.Routing;
+using System.Reflection;
+
+namespace IIScribe.Tests;
+
+public class AuthorizationTests
+{
+    // Actions that change nothing, or whose service checks the caller itself
+    private static readonly HashSet<string> UngatedActions = new()
+    {
+        $"{nameof(AuthController)}.{nameof(AuthController.Login)}",
+        $"{nameof(AuthController)}.{nameof(AuthController.ChangePassword)}",
+        $"{nameof(ApprovalsController)}.{nameof(ApprovalsController.Approve)}",
+        $"{nameof(ApprovalsController)}.{nameof(ApprovalsController.Reject)}",
+        $"{nameof(HostsController)}.{nameof(HostsController.Preview)}",
+        $"{nameof(ProfilesController)}.{nameof(ProfilesController.PreviewImport)}",
+        $"{nameof(PromotionsController)}.{nameof(PromotionsController.Plan)}"
+    };
+
+    [Fact]
+    public void Viewers_are_read_only()
+    {
+        Assert.Empty(RolePermissions.For(UserRole.Viewer));
+    }
+
+    [Theory]
+    [InlineData(UserRole.Administrator, true)]
+    [InlineData(UserRole.TeamLead, true)]
+    [InlineData(UserRole.DevOpsEngineer, false)]
+    [InlineData(UserRole.Developer, false)]
+    [InlineData(UserRole.DatabaseAdministrator, false)]
+    [InlineData(UserRole.SecurityOfficer, false)]
+    public void Only_team_leads_and_administrators_deploy_to_production_and_roll_back(UserRole role, bool allowed)
+    {
+        Assert.Equal(allowed, RolePermissions.Has(role, Permission.DeployProduction));
+        Assert.Equal(allowed, RolePermissions.Has(role, Permission.Rollback));
+    }
+
+    [Fact]
+    public void Only_administrators_manage_users()
+    {
+        var managers = Enum.GetValues<UserRole>().Where(role => RolePermissions.Has(role, Permission.ManageUsers));
+
+        Assert.Equal(new[] { UserRole.Administrator }, managers);
+    }
+
+    [Fact]
+    public void Every_action_that_changes_something_needs_a_permission()
+    {
+        var ungated = typeof(DeploymentsController).Assembly.GetTypes()
+            .Where(type => typeof(ControllerBase).IsAssignableFrom(type) && !type.IsAbstract)
+            .SelectMany(type => type.GetMethods(BindingFlags.Public | BindingFlags.Instance | BindingFlags.DeclaredOnly)
+                .Where(action => action.GetCustomAttributes<HttpMethodAttribute>().Any(http => !http.HttpMethods.Contains("GET")))
+                .Where(action => PolicyOf(action) == null)
+                .Select(action => $"{type.Name}.{action.Name}"))
+            .Where(action => !UngatedActions.Contains(action))
+            .ToList();
+
+        Assert.Empty(ungated);
+    }
+
+    [Fact]
+    public void Preflight_analysis_needs_the_deploy_permission()
+    {
+        var preflight = typeof(DeploymentsController).GetMethod(nameof(DeploymentsController.Preflight))!;
+
+        Assert.Equal(nameof(Permission.Deploy), PolicyOf(preflight));
+    }
+
+    private static string? PolicyOf(MethodInfo action) =>
+        action.GetCustomAttributes<AuthorizeAttribute>().Select(a => a.Policy).FirstOrDefault(p => p != null)
+        ?? action.DeclaringType!.GetCustomAttributes<AuthorizeAttribute>().Select(a => a.Policy).FirstOrDefault(p => p != null);
+}
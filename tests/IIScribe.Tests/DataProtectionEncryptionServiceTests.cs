@@ -0,0 +1,41 @@
+using IIScribe.Web.Services;
+using Microsoft.AspNetCore.DataProtection;
+using System.Security.Cryptography;
+
+namespace IIScribe.Tests;
+
+public class DataProtectionEncryptionServiceTests
+{
+    private readonly DataProtectionEncryptionService _encryption = new(new EphemeralDataProtectionProvider());
+
+    [Fact]
+    public void Secrets_round_trip_without_appearing_in_the_ciphertext()
+    {
+        const string secret = "s3cret-value";
+
+        var cipherText = _encryption.Encrypt(secret);
+
+        Assert.DoesNotContain(secret, cipherText);
+        Assert.Equal(secret, _encryption.Decrypt(cipherText));
+    }
+
+    [Fact]
+    public void Other_keys_cannot_decrypt()
+    {
+        var cipherText = _encryption.Encrypt("s3cret-value");
+        var other = new DataProtectionEncryptionService(new EphemeralDataProtectionProvider());
+
+        Assert.ThrowsAny<CryptographicException>(() => other.Decrypt(cipherText));
+    }
+
+    [Fact]
+    public void Passwords_are_salted_and_verified()
+    {
+        var hash = _encryption.HashPassword("password123");
+
+        Assert.NotEqual(hash, _encryption.HashPassword("password123"));
+        Assert.True(_encryption.VerifyPassword("password123", hash));
+        Assert.False(_encryption.VerifyPassword("password124", hash));
+        Assert.False(_encryption.VerifyPassword("password123", "not-a-hash"));
+    }
+}
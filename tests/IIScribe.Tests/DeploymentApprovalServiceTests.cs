@@ -0,0 +1,113 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Infrastructure.Services;
+using Microsoft.Extensions.Logging.Abstractions;
+
+namespace IIScribe.Tests;
+
+public class DeploymentApprovalServiceTests
+{
+    private readonly TestCurrentUser _currentUser = new();
+    private readonly InMemoryRepository<Deployment> _deploymentRepo;
+    private readonly DeploymentQueue _queue = new();
+    private readonly DeploymentApprovalService _approvals;
+
+    public DeploymentApprovalServiceTests()
+    {
+        _deploymentRepo = new InMemoryRepository<Deployment>(_currentUser);
+        var audit = new RealAuditService(new InMemoryRepository<AuditLog>(_currentUser), null, NullLogger<RealAuditService>.Instance);
+
+        _approvals = new DeploymentApprovalService(
+            new[]
+            {
+                new ApprovalPolicy
+                {
+                    Environment = DeploymentEnvironment.Production,
+                    RequiredApprovals = 2,
+                    ApproverRoles = new() { UserRole.TeamLead, UserRole.Administrator }
+                }
+            },
+            TimeZoneInfo.Utc, _deploymentRepo, _queue, new MockDeploymentLogger(), audit, _currentUser);
+    }
+
+    [Fact]
+    public async Task Requester_cannot_approve_their_own_deployment()
+    {
+        var deployment = await AddPendingAsync("lead");
+
+        SignIn("lead", UserRole.TeamLead);
+
+        await Assert.ThrowsAsync<UnauthorizedAccessException>(() => _approvals.DecideAsync(deployment.Id, true, null));
+        Assert.Empty(deployment.Approvals);
+    }
+
+    [Fact]
+    public async Task Roles_outside_the_policy_cannot_approve()
+    {
+        var deployment = await AddPendingAsync("dev");
+
+        SignIn("ops", UserRole.DevOpsEngineer);
+
+        await Assert.ThrowsAsync<UnauthorizedAccessException>(() => _approvals.DecideAsync(deployment.Id, true, null));
+    }
+
+    [Fact]
+    public async Task Same_approver_cannot_count_twice()
+    {
+        var deployment = await AddPendingAsync("dev");
+
+        SignIn("lead", UserRole.TeamLead);
+        await _approvals.DecideAsync(deployment.Id, true, null);
+
+        await Assert.ThrowsAsync<UnauthorizedAccessException>(() => _approvals.DecideAsync(deployment.Id, true, null));
+        Assert.Equal(DeploymentStatus.PendingApproval, deployment.Status);
+    }
+
+    [Fact]
+    public async Task Deployment_is_queued_only_after_the_last_required_approval()
+    {
+        var deployment = await AddPendingAsync("dev");
+
+        SignIn("lead", UserRole.TeamLead);
+        await _approvals.DecideAsync(deployment.Id, true, null);
+        Assert.Equal(DeploymentStatus.PendingApproval, deployment.Status);
+        Assert.Null(_queue.GetPosition(deployment.Id));
+
+        SignIn("admin", UserRole.Administrator);
+        await _approvals.DecideAsync(deployment.Id, true, "Looks good");
+
+        Assert.Equal(DeploymentStatus.Pending, deployment.Status);
+        Assert.NotNull(_queue.GetPosition(deployment.Id));
+    }
+
+    [Fact]
+    public async Task Rejecting_needs_a_reason()
+    {
+        var deployment = await AddPendingAsync("dev");
+
+        SignIn("lead", UserRole.TeamLead);
+
+        await Assert.ThrowsAsync<ArgumentException>(() => _approvals.DecideAsync(deployment.Id, false, " "));
+        await _approvals.DecideAsync(deployment.Id, false, "Wrong build");
+        Assert.Equal(DeploymentStatus.Rejected, deployment.Status);
+    }
+
+    private void SignIn(string userName, UserRole role)
+    {
+        _currentUser.UserName = userName;
+        _currentUser.Role = role;
+    }
+
+    private Task<Deployment> AddPendingAsync(string createdBy) =>
+        _deploymentRepo.AddAsync(new Deployment
+        {
+            Name = "shop",
+            SiteName = "shop",
+            ApplicationPath = @"C:\apps\shop",
+            Environment = DeploymentEnvironment.Production,
+            Status = DeploymentStatus.PendingApproval,
+            RequiredApprovals = 2,
+            CreatedBy = createdBy
+        });
+}
@@ -0,0 +1,56 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Infrastructure.Services;
+using IIScribe.Web.Services;
+using Microsoft.AspNetCore.DataProtection;
+
+namespace IIScribe.Tests;
+
+public class DeploymentOrchestratorTests
+{
+    private readonly TestCurrentUser _currentUser = new();
+    private readonly DataProtectionEncryptionService _encryption = new(new EphemeralDataProtectionProvider());
+    private readonly DeploymentOrchestrator _orchestrator;
+
+    public DeploymentOrchestratorTests()
+    {
+        // Only what building a deployment from a request touches; the deployment services are never reached
+        _orchestrator = new DeploymentOrchestrator(null!, null!, null!, null!, null!, null!, null!, null!,
+            new InMemoryRepository<Deployment>(_currentUser), new InMemoryRepository<DeploymentProfile>(_currentUser),
+            null!, null!, _currentUser, null!, _encryption, null!);
+    }
+
+    [Fact]
+    public async Task Malformed_profile_id_is_a_validation_error()
+    {
+        var request = new DeploymentRequest { ApplicationPath = @"C:\apps\shop", ProfileId = "not-a-guid" };
+
+        var error = await Assert.ThrowsAsync<ArgumentException>(() => _orchestrator.PreviewDeploymentAsync(request));
+        Assert.Contains("not-a-guid", error.Message);
+    }
+
+    [Fact]
+    public void Target_secrets_are_encrypted_and_the_plain_ones_dropped()
+    {
+        var request = new DeploymentRequest
+        {
+            ApplicationPath = @"C:\apps\shop",
+            Secrets = new DeploymentSecrets
+            {
+                AwsSecretAccessKey = "aws-secret",
+                GcpServiceAccountKey = "gcp-key",
+                RemotePassword = "remote-password",
+                RegistryPassword = "registry-password"
+            }
+        };
+
+        var protectedRequest = _orchestrator.ProtectSecrets(request);
+
+        Assert.Null(protectedRequest.Secrets);
+        Assert.Equal("aws-secret", _encryption.Decrypt(protectedRequest.CloudConfig!.AwsSecretKeyEncrypted!));
+        Assert.Equal("gcp-key", _encryption.Decrypt(protectedRequest.CloudConfig.GcpServiceAccountKeyEncrypted!));
+        Assert.Equal("remote-password", _encryption.Decrypt(protectedRequest.CloudConfig.RemotePasswordEncrypted!));
+        Assert.Equal("registry-password", _encryption.Decrypt(protectedRequest.ContainerConfig!.RegistryPasswordEncrypted!));
+        Assert.DoesNotContain("aws-secret", protectedRequest.CloudConfig.AwsSecretKeyEncrypted);
+    }
+}
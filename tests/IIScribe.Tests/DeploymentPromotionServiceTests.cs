@@ -0,0 +1,106 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Infrastructure.Services;
+using Microsoft.Extensions.Logging.Abstractions;
+
+namespace IIScribe.Tests;
+
+/// <summary>
+/// Promotion deploys the source's folder again, so it must refuse once the files there have changed
+/// </summary>
+public class DeploymentPromotionServiceTests : IDisposable
+{
+    private readonly string _applicationPath = Path.Combine(Path.GetTempPath(), "iiscribe-tests-" + Guid.NewGuid().ToString("N"));
+    private readonly TestCurrentUser _currentUser = new("dev", UserRole.Developer);
+    private readonly InMemoryRepository<Deployment> _deploymentRepo;
+    private readonly DeploymentPromotionService _promotions;
+
+    public DeploymentPromotionServiceTests()
+    {
+        Directory.CreateDirectory(Path.Combine(_applicationPath, "css"));
+        File.WriteAllText(Path.Combine(_applicationPath, "index.html"), "<h1>Shop</h1>");
+        File.WriteAllText(Path.Combine(_applicationPath, "css", "site.css"), "h1 { color: teal; }");
+
+        _deploymentRepo = new InMemoryRepository<Deployment>(_currentUser);
+        var profileRepo = new InMemoryRepository<DeploymentProfile>(_currentUser);
+        var queue = new DeploymentQueue();
+        var logger = new MockDeploymentLogger();
+        var audit = new RealAuditService(new InMemoryRepository<AuditLog>(_currentUser), null, NullLogger<RealAuditService>.Instance);
+        var approvals = new DeploymentApprovalService(Array.Empty<ApprovalPolicy>(), TimeZoneInfo.Utc,
+            _deploymentRepo, queue, logger, audit, _currentUser);
+
+        // Deploying itself is never reached; only discovery, pre-flight and the deployment record are
+        var orchestrator = new DeploymentOrchestrator(
+            new RealApplicationDiscoveryService(NullLogger<RealApplicationDiscoveryService>.Instance),
+            new LocalIISDeploymentService(NullLogger<LocalIISDeploymentService>.Instance),
+            null!, null!, null!, null!, null!, logger, _deploymentRepo, profileRepo, audit, null!, _currentUser,
+            approvals, null!, new ContainerManifestService());
+
+        _promotions = new DeploymentPromotionService(new Dictionary<DeploymentEnvironment, PromotionEnvironmentOptions>(),
+            _deploymentRepo, profileRepo, orchestrator, queue, logger, audit, _currentUser);
+    }
+
+    public void Dispose() => Directory.Delete(_applicationPath, recursive: true);
+
+    [Fact]
+    public async Task Content_hash_ignores_where_the_folder_is_but_not_what_is_in_it()
+    {
+        var copy = _applicationPath + "-copy";
+        Directory.CreateDirectory(Path.Combine(copy, "css"));
+        try
+        {
+            foreach (var file in new[] { "index.html", Path.Combine("css", "site.css") })
+                File.Copy(Path.Combine(_applicationPath, file), Path.Combine(copy, file));
+
+            var original = await ApplicationContentHash.ComputeAsync(_applicationPath);
+            Assert.Equal(original, await ApplicationContentHash.ComputeAsync(copy));
+
+            File.Move(Path.Combine(copy, "css", "site.css"), Path.Combine(copy, "site.css"));
+            Assert.NotEqual(original, await ApplicationContentHash.ComputeAsync(copy));
+        }
+        finally
+        {
+            Directory.Delete(copy, recursive: true);
+        }
+    }
+
+    [Fact]
+    public async Task Unchanged_folder_can_be_promoted()
+    {
+        var source = await AddSourceAsync();
+
+        var plan = await _promotions.PlanAsync(source.Id, new PromotionRequest());
+        Assert.DoesNotContain(plan.Errors, e => e.Field == "applicationPath");
+
+        var promoted = await _promotions.PromoteAsync(source.Id, new PromotionRequest());
+        Assert.Equal(DeploymentEnvironment.Testing, promoted.Environment);
+        Assert.Equal(source.Metadata["ContentHash"], promoted.Metadata["ExpectedContentHash"]);
+    }
+
+    [Fact]
+    public async Task Changed_folder_is_reported_and_refused()
+    {
+        var source = await AddSourceAsync();
+        File.WriteAllText(Path.Combine(_applicationPath, "index.html"), "<h1>Shop v2</h1>");
+
+        var plan = await _promotions.PlanAsync(source.Id, new PromotionRequest());
+        Assert.Contains(plan.Errors, e => e.Field == "applicationPath" && e.Message.Contains("have changed"));
+
+        await Assert.ThrowsAsync<InvalidOperationException>(() => _promotions.PromoteAsync(source.Id, new PromotionRequest()));
+        Assert.Single(await _deploymentRepo.GetAllAsync());
+    }
+
+    private async Task<Deployment> AddSourceAsync() =>
+        await _deploymentRepo.AddAsync(new Deployment
+        {
+            Name = "shop",
+            ApplicationPath = _applicationPath,
+            DomainName = "shop.development.local",
+            SiteName = "shop_development_local",
+            Environment = DeploymentEnvironment.Development,
+            Status = DeploymentStatus.Success,
+            CompletedAt = DateTime.UtcNow,
+            Metadata = { ["ContentHash"] = await ApplicationContentHash.ComputeAsync(_applicationPath) }
+        });
+}
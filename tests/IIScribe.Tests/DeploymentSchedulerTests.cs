@@ -0,0 +1,186 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Infrastructure.Services;
+using Microsoft.Extensions.Logging.Abstractions;
+
+namespace IIScribe.Tests;
+
+public class DeploymentSchedulerTests
+{
+    private readonly TestCurrentUser _currentUser = new();
+    private readonly InMemoryRepository<ScheduledDeployment> _scheduleRepo;
+    private readonly InMemoryRepository<AuditLog> _auditRepo;
+    private readonly LocalUserService _users;
+    private readonly DeploymentScheduler _scheduler;
+
+    public DeploymentSchedulerTests()
+    {
+        _scheduleRepo = new InMemoryRepository<ScheduledDeployment>(_currentUser);
+        _auditRepo = new InMemoryRepository<AuditLog>(_currentUser);
+        _users = new LocalUserService(new InMemoryRepository<User>(_currentUser));
+
+        var deploymentRepo = new InMemoryRepository<Deployment>(_currentUser);
+        var queue = new DeploymentQueue();
+        var logger = new MockDeploymentLogger();
+        var audit = new RealAuditService(_auditRepo, null, NullLogger<RealAuditService>.Instance);
+        var approvals = new DeploymentApprovalService(
+            new[]
+            {
+                new ApprovalPolicy
+                {
+                    Environment = DeploymentEnvironment.Production,
+                    ChangeWindows = new() { new ChangeWindow { Days = new() { DayOfWeek.Saturday }, Start = TimeSpan.FromHours(1), End = TimeSpan.FromHours(3) } }
+                }
+            },
+            TimeZoneInfo.Utc, deploymentRepo, queue, logger, audit, _currentUser);
+
+        // The orchestrator is only reached when a run starts, which these tests stop before
+        _scheduler = new DeploymentScheduler(TimeZoneInfo.Utc, _scheduleRepo, deploymentRepo, null!, queue, approvals,
+            logger, audit, _currentUser, _users, NullLogger<DeploymentScheduler>.Instance);
+    }
+
+    [Fact]
+    public async Task Creator_can_cancel_their_own_schedule()
+    {
+        await AddUserAsync("dev", UserRole.Developer);
+        var schedule = await AddScheduleAsync("dev", DeploymentEnvironment.Development);
+
+        SignIn("dev", UserRole.Developer);
+        await _scheduler.CancelAsync(schedule.Id);
+
+        Assert.False(schedule.IsActive);
+    }
+
+    [Fact]
+    public async Task Developer_cannot_cancel_someone_elses_schedule()
+    {
+        var schedule = await AddScheduleAsync("other", DeploymentEnvironment.Development);
+
+        SignIn("dev", UserRole.Developer);
+
+        await Assert.ThrowsAsync<UnauthorizedAccessException>(() => _scheduler.CancelAsync(schedule.Id));
+        Assert.True(schedule.IsActive);
+    }
+
+    [Fact]
+    public async Task Developer_cannot_move_a_production_schedule_even_their_own()
+    {
+        var schedule = await AddScheduleAsync("dev", DeploymentEnvironment.Production);
+
+        SignIn("dev", UserRole.Developer);
+
+        await Assert.ThrowsAsync<UnauthorizedAccessException>(() =>
+            _scheduler.RescheduleAsync(schedule.Id, new RescheduleRequest { RunAt = NextSaturdayAt(2) }));
+    }
+
+    [Fact]
+    public async Task Team_lead_can_cancel_someone_elses_production_schedule()
+    {
+        var schedule = await AddScheduleAsync("other", DeploymentEnvironment.Production);
+
+        SignIn("lead", UserRole.TeamLead);
+        await _scheduler.CancelAsync(schedule.Id);
+
+        Assert.False(schedule.IsActive);
+    }
+
+    [Fact]
+    public async Task Moving_outside_the_change_window_needs_a_new_justification()
+    {
+        var schedule = await AddScheduleAsync("lead", DeploymentEnvironment.Production);
+        schedule.Request = schedule.Request with { EmergencyJustification = "Hotfix for the Saturday outage" };
+
+        SignIn("lead", UserRole.TeamLead);
+
+        await Assert.ThrowsAsync<UnauthorizedAccessException>(() =>
+            _scheduler.RescheduleAsync(schedule.Id, new RescheduleRequest { RunAt = NextSaturdayAt(12) }));
+    }
+
+    [Fact]
+    public async Task Justified_move_outside_the_change_window_is_audited()
+    {
+        var schedule = await AddScheduleAsync("lead", DeploymentEnvironment.Production);
+
+        SignIn("lead", UserRole.TeamLead);
+        await _scheduler.RescheduleAsync(schedule.Id, new RescheduleRequest
+        {
+            RunAt = NextSaturdayAt(12),
+            EmergencyJustification = "Payment provider deadline"
+        });
+
+        Assert.Equal("Payment provider deadline", schedule.Request.EmergencyJustification);
+        var overridden = Assert.Single(await _auditRepo.FindAsync(a => a.EventType == AuditEventType.ChangeWindowOverridden));
+        Assert.Equal("Payment provider deadline", overridden.AdditionalData["Justification"]);
+    }
+
+    [Fact]
+    public async Task Moving_inside_the_change_window_drops_the_old_justification()
+    {
+        var schedule = await AddScheduleAsync("lead", DeploymentEnvironment.Production);
+        schedule.Request = schedule.Request with { EmergencyJustification = "Hotfix for the Saturday outage" };
+
+        SignIn("lead", UserRole.TeamLead);
+        await _scheduler.RescheduleAsync(schedule.Id, new RescheduleRequest { RunAt = NextSaturdayAt(1).AddMinutes(30) });
+
+        Assert.Null(schedule.Request.EmergencyJustification);
+    }
+
+    [Fact]
+    public async Task Runs_of_a_creator_who_lost_deploy_rights_are_cancelled_and_audited()
+    {
+        await AddUserAsync("dev", UserRole.Viewer);
+        var schedule = await AddScheduleAsync("dev", DeploymentEnvironment.Development, DateTime.UtcNow.AddMinutes(-1));
+
+        await _scheduler.RunDueAsync(DateTime.UtcNow);
+
+        Assert.False(schedule.IsActive);
+        Assert.Contains("no longer allowed to deploy", schedule.LastError);
+        Assert.Contains(await _auditRepo.GetAllAsync(), a => a.EventType == AuditEventType.DeploymentScheduleCancelled);
+    }
+
+    [Fact]
+    public async Task Production_runs_of_a_creator_without_deploy_production_are_cancelled()
+    {
+        await AddUserAsync("ops", UserRole.DevOpsEngineer);
+        var schedule = await AddScheduleAsync("ops", DeploymentEnvironment.Production, DateTime.UtcNow.AddMinutes(-1));
+
+        await _scheduler.RunDueAsync(DateTime.UtcNow);
+
+        Assert.False(schedule.IsActive);
+        Assert.Contains("Production", schedule.LastError);
+    }
+
+    private void SignIn(string userName, UserRole role)
+    {
+        _currentUser.UserName = userName;
+        _currentUser.Role = role;
+    }
+
+    private Task<User> AddUserAsync(string userName, UserRole role) =>
+        _users.CreateUserAsync(new SaveUserRequest { Username = userName, Role = role, Password = "password123" });
+
+    private Task<ScheduledDeployment> AddScheduleAsync(string createdBy, DeploymentEnvironment environment, DateTime? runAt = null)
+    {
+        var at = runAt ?? NextSaturdayAt(2);
+        return _scheduleRepo.AddAsync(new ScheduledDeployment
+        {
+            Request = new DeploymentRequest { ApplicationPath = @"C:\apps\shop", Environment = environment },
+            SiteName = "shop",
+            Environment = environment,
+            Recurrence = DeploymentRecurrence.Daily,
+            FirstRunAt = at,
+            NextRunAt = at,
+            CreatedBy = createdBy
+        });
+    }
+
+    // Inside the Production change window of these tests
+    private static DateTime NextSaturdayAt(int hour)
+    {
+        var day = DateTime.UtcNow.Date.AddDays(1);
+        while (day.DayOfWeek != DayOfWeek.Saturday)
+            day = day.AddDays(1);
+        return DateTime.SpecifyKind(day.AddHours(hour), DateTimeKind.Utc);
+    }
+}
@@ -0,0 +1,21 @@
+using IIScribe.Core.Enums;
+
+namespace IIScribe.Tests;
+
+public class DeploymentStatusTests
+{
+    [Theory]
+    [InlineData(DeploymentStatus.Pending, 0)]
+    [InlineData(DeploymentStatus.InProgress, 1)]
+    [InlineData(DeploymentStatus.RunningHealthChecks, 7)]
+    [InlineData(DeploymentStatus.Success, 8)]
+    [InlineData(DeploymentStatus.Failed, 9)]
+    [InlineData(DeploymentStatus.RolledBack, 10)]
+    [InlineData(DeploymentStatus.PartialSuccess, 11)]
+    [InlineData(DeploymentStatus.Rejected, 12)]
+    [InlineData(DeploymentStatus.PendingApproval, 13)]
+    public void Stored_statuses_keep_their_numbers(DeploymentStatus status, int value)
+    {
+        Assert.Equal(value, (int)status);
+    }
+}
@@ -0,0 +1,56 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Infrastructure.Services;
+using Microsoft.Extensions.Logging.Abstractions;
+
+namespace IIScribe.Tests;
+
+public class RealAuditServiceTests
+{
+    private const string Secret = "s3cret-value";
+
+    private readonly RealAuditService _audit = new(
+        new InMemoryRepository<AuditLog>(new TestCurrentUser()), new byte[32], NullLogger<RealAuditService>.Instance);
+
+    [Fact]
+    public async Task Change_snapshots_mask_target_secrets()
+    {
+        var request = new DeploymentRequest
+        {
+            ApplicationPath = @"C:\apps\shop",
+            CloudConfig = new CloudConfiguration
+            {
+                AwsSecretKeyEncrypted = Secret,
+                GcpServiceAccountKeyEncrypted = Secret,
+                RemotePasswordEncrypted = Secret
+            },
+            ContainerConfig = new ContainerConfiguration { RegistryPasswordEncrypted = Secret },
+            Secrets = new DeploymentSecrets
+            {
+                AwsSecretAccessKey = Secret,
+                GcpServiceAccountKey = Secret,
+                RemotePassword = Secret,
+                RegistryPassword = Secret
+            }
+        };
+
+        await _audit.LogChangeAsync(AuditEventType.ConfigurationChanged, "admin", "Update", "Schedule", "1", null, request);
+
+        var record = Assert.Single(await _audit.GetAuditTrailAsync("1"));
+        Assert.DoesNotContain(Secret, record.AfterValue);
+        Assert.Contains(@"C:\\apps\\shop", record.AfterValue);
+    }
+
+    [Fact]
+    public async Task Anything_inside_a_secrets_object_is_masked()
+    {
+        var after = new { Name = "shop", Secrets = new { SomeNewKind = Secret } };
+
+        await _audit.LogChangeAsync(AuditEventType.ConfigurationChanged, "admin", "Update", "Profile", "2", null, after);
+
+        var record = Assert.Single(await _audit.GetAuditTrailAsync("2"));
+        Assert.DoesNotContain(Secret, record.AfterValue);
+        Assert.Contains("shop", record.AfterValue);
+    }
+}
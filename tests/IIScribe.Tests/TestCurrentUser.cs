@@ -0,0 +1,22 @@
+using IIScribe.Core.Enums;
+using IIScribe.Core.Interfaces;
+
+namespace IIScribe.Tests;
+
+/// <summary>
+/// A signed-in user with a role's permissions; Role null stands for the system, as outside a request
+/// </summary>
+public class TestCurrentUser : ICurrentUserService
+{
+    public TestCurrentUser(string userName = "System", UserRole? role = null)
+    {
+        UserName = userName;
+        Role = role;
+    }
+
+    public string UserName { get; set; }
+    public UserRole? Role { get; set; }
+    public bool IsAuthenticated => Role != null;
+
+    public bool HasPermission(Permission permission) => Role == null || RolePermissions.Has(Role.Value, permission);
+}
@@ -0,0 +1,93 @@
+using IIScribe.Core.DTOs;
+using IIScribe.Core.Entities;
+using IIScribe.Core.Enums;
+using IIScribe.Infrastructure.Services;
+using IIScribe.Web.Services;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+using System.Text.Encodings.Web;
+
+namespace IIScribe.Tests;
+
+public class TokenAuthenticationHandlerTests
+{
+    private readonly HmacTokenService _tokens = new(new byte[32], TimeSpan.FromHours(1));
+    private readonly LocalUserService _users = new(new InMemoryRepository<User>(new TestCurrentUser()));
+
+    [Fact]
+    public async Task Bearer_token_grants_the_permissions_of_the_users_role()
+    {
+        var token = await SignInAsync("dev", UserRole.Developer);
+
+        var result = await AuthenticateAsync("POST", "/api/deployments", headerToken: token);
+
+        Assert.True(result.Succeeded);
+        Assert.Equal("dev", result.Principal!.Identity!.Name);
+        Assert.True(result.Principal.HasClaim(RolePermissions.ClaimType, nameof(Permission.Deploy)));
+        Assert.False(result.Principal.HasClaim(RolePermissions.ClaimType, nameof(Permission.DeployProduction)));
+    }
+
+    [Fact]
+    public async Task Role_changes_apply_to_tokens_already_issued()
+    {
+        var token = await SignInAsync("dev", UserRole.Developer);
+        await _users.UpdateUserAsync("dev", new SaveUserRequest { Username = "dev", Role = UserRole.Viewer });
+
+        var result = await AuthenticateAsync("POST", "/api/deployments", headerToken: token);
+
+        Assert.False(result.Principal!.HasClaim(RolePermissions.ClaimType, nameof(Permission.Deploy)));
+    }
+
+    [Fact]
+    public async Task Disabled_users_are_refused()
+    {
+        var token = await SignInAsync("dev", UserRole.Developer);
+        await _users.UpdateUserAsync("dev", new SaveUserRequest { Username = "dev", Role = UserRole.Developer, IsActive = false });
+
+        var result = await AuthenticateAsync("GET", "/api/deployments", headerToken: token);
+
+        Assert.False(result.Succeeded);
+    }
+
+    [Fact]
+    public async Task Query_string_token_is_only_accepted_by_the_log_stream()
+    {
+        var token = await SignInAsync("dev", UserRole.Developer);
+        var id = Guid.NewGuid();
+
+        Assert.True((await AuthenticateAsync("GET", $"/api/deployments/{id}/logs/stream", queryToken: token)).Succeeded);
+        Assert.True((await AuthenticateAsync("GET", $"/api/deployments/{id}", queryToken: token)).None);
+        Assert.True((await AuthenticateAsync("POST", "/api/deployments", queryToken: token)).None);
+    }
+
+    private async Task<string> SignInAsync(string userName, UserRole role)
+    {
+        var user = await _users.CreateUserAsync(new SaveUserRequest { Username = userName, Role = role, Password = "password123" });
+        return _tokens.IssueToken(user).Token;
+    }
+
+    private async Task<AuthenticateResult> AuthenticateAsync(string method, string path, string? headerToken = null, string? queryToken = null)
+    {
+        var context = new DefaultHttpContext();
+        context.Request.Method = method;
+        context.Request.Path = path;
+        if (headerToken != null)
+            context.Request.Headers.Authorization = $"Bearer {headerToken}";
+        if (queryToken != null)
+            context.Request.QueryString = QueryString.Create("access_token", queryToken);
+
+        var handler = new TokenAuthenticationHandler(new SchemeOptions(), NullLoggerFactory.Instance, UrlEncoder.Default, _tokens, _users);
+        await handler.InitializeAsync(
+            new AuthenticationScheme(TokenAuthenticationHandler.SchemeName, null, typeof(TokenAuthenticationHandler)), context);
+        return await handler.AuthenticateAsync();
+    }
+
+    private class SchemeOptions : IOptionsMonitor<AuthenticationSchemeOptions>
+    {
+        public AuthenticationSchemeOptions CurrentValue { get; } = new();
+        public AuthenticationSchemeOptions Get(string? name) => CurrentValue;
+        public IDisposable? OnChange(Action<AuthenticationSchemeOptions, string?> listener) => null;
+    }
+}